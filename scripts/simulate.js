@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/**
+ * Balance simulator command line for Unicorn Ranch
+ * Runs src/simulator.js headlessly and prints the report.
+ *
+ *   npm run simulate -- --levels 12 --drain-growth 0.6,0.8,1.0
+ */
+
+const { USAGE, parseArgs, simulateSweep, formatReport } = require('../src/simulator');
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error(`Error: ${e.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const report = simulateSweep(options);
+console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
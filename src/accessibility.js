@@ -0,0 +1,178 @@
+/**
+ * Accessibility Module for Unicorn Ranch
+ * Settings for playing without relying on colour, motion or fast
+ * reactions: a high-contrast theme, reduced motion (no screen shake,
+ * particles or level flash) and the slower-drain assist (see
+ * DRAIN_ASSISTS in gameLogic.js). It also turns the events stepGame
+ * reports into messages for a screen reader's live region: needs going
+ * critical, the unicorn changing zone and levels changing. Messages are
+ * ids plus the registry ids they mention; the page words them.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Accessibility)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Accessibility = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { GAME_EVENTS, DRAIN_ASSISTS } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into saved accessibility settings */
+  const ACCESSIBILITY_VERSION = 1;
+
+  /* On/off settings, in the order the settings panel lists them */
+  const ACCESSIBILITY_TOGGLES = ['highContrast', 'reducedMotion'];
+
+  const DEFAULT_ACCESSIBILITY = { highContrast: false, reducedMotion: false, drainAssist: 1 };
+
+  /*
+   * Announcement for each event type worth reading out, and the event
+   * fields it mentions. Urgent announcements interrupt the screen reader.
+   */
+  const EVENT_ANNOUNCEMENTS = {
+    [GAME_EVENTS.NEED_CRITICAL]: { id: 'needCritical', fields: ['need'], urgent: true },
+    [GAME_EVENTS.MONSTER_TRIGGERED]: { id: 'monster', fields: [], urgent: true },
+    [GAME_EVENTS.ZONE_ENTERED]: { id: 'zoneEntered', fields: ['zone'], urgent: false },
+    [GAME_EVENTS.LEVEL_COMPLETE]: { id: 'levelComplete', fields: ['level'], urgent: false }
+  };
+
+  // ============================================
+  // SETTINGS
+  // ============================================
+
+  /**
+   * Works out first-visit settings from the browser's preferences
+   * @param {object} [prefers] - Media query results
+   * @param {boolean} [prefers.reducedMotion] - prefers-reduced-motion: reduce
+   * @param {boolean} [prefers.highContrast] - prefers-contrast: more
+   * @returns {object} Accessibility settings
+   */
+  function detectAccessibility(prefers = {}) {
+    return {
+      ...DEFAULT_ACCESSIBILITY,
+      highContrast: prefers.highContrast === true,
+      reducedMotion: prefers.reducedMotion === true
+    };
+  }
+
+  /**
+   * Validates accessibility settings
+   * @param {*} settings - Value to check
+   * @returns {Array<string>} Problems found; empty when the settings are valid
+   */
+  function validateAccessibility(settings) {
+    if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['must be an object'];
+    }
+    const errors = ACCESSIBILITY_TOGGLES
+      .filter(toggle => typeof settings[toggle] !== 'boolean')
+      .map(toggle => `${toggle} must be true or false`);
+    if (!DRAIN_ASSISTS.includes(settings.drainAssist)) {
+      errors.push(`drainAssist must be one of ${DRAIN_ASSISTS.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Serializes accessibility settings for storage
+   * @param {object} settings - Accessibility settings
+   * @returns {string} JSON tagged with ACCESSIBILITY_VERSION
+   */
+  function serializeAccessibility(settings) {
+    return JSON.stringify({ version: ACCESSIBILITY_VERSION, settings });
+  }
+
+  /**
+   * Parses and validates stored accessibility settings
+   * @param {string} json - Settings produced by serializeAccessibility
+   * @returns {object} Accessibility settings
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseAccessibility(json) {
+    let saved;
+    try {
+      saved = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid accessibility settings: not valid JSON');
+    }
+    if (saved === null || typeof saved !== 'object' || saved.version !== ACCESSIBILITY_VERSION) {
+      throw new Error(`Invalid accessibility settings: version must be ${ACCESSIBILITY_VERSION}`);
+    }
+    const errors = validateAccessibility(saved.settings);
+    if (errors.length > 0) {
+      throw new Error(`Invalid accessibility settings: ${errors.join('; ')}`);
+    }
+    const { highContrast, reducedMotion, drainAssist } = saved.settings;
+    return { highContrast, reducedMotion, drainAssist };
+  }
+
+  // ============================================
+  // ANNOUNCEMENTS
+  // ============================================
+
+  /**
+   * Works out what a screen reader should say about an event
+   * @param {object} event - Event from stepGame
+   * @returns {object|null} Message {id, urgent, ...fields}, or null for events left unsaid
+   */
+  function describeEvent(event) {
+    const announcement = Object.prototype.hasOwnProperty.call(EVENT_ANNOUNCEMENTS, event.type)
+      ? EVENT_ANNOUNCEMENTS[event.type]
+      : null;
+    if (!announcement) {
+      return null;
+    }
+    const fields = Object.fromEntries(announcement.fields.map(field => [field, event[field]]));
+    return { id: announcement.id, urgent: announcement.urgent, ...fields };
+  }
+
+  /**
+   * Plans the announcements for one frame: one per event worth reading
+   * out, in order, then the new level if the state has moved on from the
+   * last one announced. Levels start outside stepGame too (between-level
+   * breaks), which is why the level is compared rather than an event.
+   * @param {Array<object>} events - Events from stepGame, in order
+   * @param {object} state - State the events led to
+   * @param {number|null} announcedLevel - Level last announced, or null
+   * @returns {Array<object>} Messages (see describeEvent); level starts are {id: 'levelStarted', level}
+   */
+  function planAnnouncements(events, state, announcedLevel) {
+    const messages = events.map(describeEvent).filter(message => message !== null);
+    if (state.level !== announcedLevel && !state.status) {
+      messages.push({ id: 'levelStarted', urgent: false, level: state.level });
+    }
+    return messages;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    ACCESSIBILITY_VERSION,
+    ACCESSIBILITY_TOGGLES,
+    DEFAULT_ACCESSIBILITY,
+    EVENT_ANNOUNCEMENTS,
+
+    // Settings
+    detectAccessibility,
+    validateAccessibility,
+    serializeAccessibility,
+    parseAccessibility,
+
+    // Announcements
+    describeEvent,
+    planAnnouncements
+  };
+}));
@@ -0,0 +1,345 @@
+/**
+ * Achievements Module for Unicorn Ranch
+ * Declares the achievements as data and unlocks them from the typed
+ * events stepGame reports: zones entered, needs going critical, levels
+ * completed and monster triggers. Counters and unlock dates are kept as
+ * the player's progress, which is saved locally and survives every run.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Achievements)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Achievements = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { GAME_EVENTS, getZoneAt } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into saved progress */
+  const ACHIEVEMENTS_VERSION = 1;
+
+  /*
+   * How an achievement is earned:
+   * - count: goal events of type event, optionally only those whose fields
+   *   equal everything in match; counted across every run
+   * - level: reach level goal in any run
+   * - avoid: complete a level without entering zone
+   * - closeCall: complete a level after a need fell to threshold or below
+   */
+  const ACHIEVEMENT_KINDS = ['count', 'level', 'avoid', 'closeCall'];
+
+  /* Achievements registry, in the order the gallery lists them */
+  const ACHIEVEMENTS = {
+    rookie: {
+      id: 'rookie', name: 'Ranch Hand', icon: '🌱', description: 'Clear your first level',
+      kind: 'count', event: GAME_EVENTS.LEVEL_COMPLETE, goal: 1
+    },
+    veteran: {
+      id: 'veteran', name: 'Old Hand', icon: '🎖️', description: 'Clear 25 levels',
+      kind: 'count', event: GAME_EVENTS.LEVEL_COMPLETE, goal: 25
+    },
+    summit: {
+      id: 'summit', name: 'Ten Levels Deep', icon: '🏔️', description: 'Reach level 10',
+      kind: 'level', goal: 10
+    },
+    untamed: {
+      id: 'untamed', name: 'Untamed', icon: '🌄', description: 'Finish a level without visiting the barn',
+      kind: 'avoid', zone: 'barn'
+    },
+    whisker: {
+      id: 'whisker', name: 'By a Whisker', icon: '😅', description: 'Survive a level with a need at 1%',
+      kind: 'closeCall', threshold: 1
+    },
+    wanderer: {
+      id: 'wanderer', name: 'Wanderer', icon: '🧭', description: 'Walk into zones 100 times',
+      kind: 'count', event: GAME_EVENTS.ZONE_ENTERED, goal: 100
+    },
+    splash: {
+      id: 'splash', name: 'Splash Happy', icon: '💦', description: 'Visit the Crystal Lake 30 times',
+      kind: 'count', event: GAME_EVENTS.ZONE_ENTERED, match: { zone: 'lake' }, goal: 30
+    },
+    daredevil: {
+      id: 'daredevil', name: 'Daredevil', icon: '⚠️', description: 'Let needs go critical 50 times',
+      kind: 'count', event: GAME_EVENTS.NEED_CRITICAL, goal: 50
+    },
+    bait: {
+      id: 'bait', name: 'Monster Bait', icon: '👹', description: 'Set the monster on your trail 10 times',
+      kind: 'count', event: GAME_EVENTS.MONSTER_TRIGGERED, goal: 10
+    }
+  };
+
+  // ============================================
+  // ACHIEVEMENTS
+  // ============================================
+
+  /**
+   * Looks up an achievement in the ACHIEVEMENTS registry
+   * @param {string} id - Achievement identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getAchievement(id) {
+    return id != null && Object.prototype.hasOwnProperty.call(ACHIEVEMENTS, id) ? ACHIEVEMENTS[id] : null;
+  }
+
+  /**
+   * Checks whether an achievement counts up towards a goal, and so has a progress bar
+   * @param {object} achievement - Registry entry
+   * @returns {boolean} True for count and level achievements
+   */
+  function isCounted(achievement) {
+    return achievement.kind === 'count' || achievement.kind === 'level';
+  }
+
+  /**
+   * Checks whether an event counts towards a count achievement
+   * @param {object} achievement - Registry entry of kind count
+   * @param {object} event - Event from stepGame
+   * @returns {boolean} True if the event has the right type and fields
+   */
+  function matchesEvent(achievement, event) {
+    const match = achievement.match || {};
+    return event.type === achievement.event && Object.keys(match).every(key => event[key] === match[key]);
+  }
+
+  // ============================================
+  // PROGRESS
+  // ============================================
+
+  /**
+   * Creates the progress of a player who has earned nothing yet
+   * @returns {object} Progress {unlocked, counts}: unlock dates and counters keyed by achievement id
+   */
+  function createProgress() {
+    return { unlocked: {}, counts: {} };
+  }
+
+  /**
+   * Checks whether an achievement has been unlocked
+   * @param {object} progress - Player's progress
+   * @param {string} id - Achievement identifier
+   * @returns {boolean} True once unlocked
+   */
+  function isUnlocked(progress, id) {
+    return Object.prototype.hasOwnProperty.call(progress.unlocked, id);
+  }
+
+  /**
+   * Works out how far a counted achievement has got, for its progress bar
+   * @param {object} progress - Player's progress
+   * @param {string} id - Achievement identifier
+   * @returns {{value: number, goal: number}|null} Count so far (capped at the goal) and
+   *   the goal, or null for achievements that don't count up
+   */
+  function getAchievementProgress(progress, id) {
+    const achievement = getAchievement(id);
+    if (!isCounted(achievement)) {
+      return null;
+    }
+    const value = isUnlocked(progress, id) ? achievement.goal : progress.counts[id] || 0;
+    return { value: Math.min(value, achievement.goal), goal: achievement.goal };
+  }
+
+  /**
+   * Starts following a run: the zones visited this level and the lowest
+   * need seen. Runs resumed mid-level start from where the unicorn stands.
+   * @param {object} state - Game state the run starts or resumes from
+   * @returns {object} Tracker {visited, lowest}
+   */
+  function createTracker(state) {
+    const zone = getZoneAt(state.x, state.y, state.layout);
+    return { visited: zone ? [zone] : [], lowest: Math.min(...Object.values(state.needs)) };
+  }
+
+  /**
+   * Feeds a stretch of the live run to the achievements: the events
+   * stepGame reported and the state they led to. Count and level
+   * achievements move their counters; avoid and closeCall achievements
+   * are checked as each level completes, after which the tracker starts
+   * the next level afresh.
+   * @param {object} progress - Player's progress
+   * @param {object} tracker - Tracker from createTracker
+   * @param {Array<object>} events - Events from stepGame, in order
+   * @param {object} state - Game state after those events
+   * @param {Date} [date] - When they happened, defaults to now
+   * @returns {{progress: object, tracker: object, unlocked: Array<string>}} Updated progress
+   *   and tracker, and the ids unlocked just now
+   */
+  function trackTick(progress, tracker, events, state, date = new Date()) {
+    const counts = { ...progress.counts };
+    const earned = [];
+    let { visited } = tracker;
+    let lowest = Math.min(tracker.lowest, ...Object.values(state.needs));
+
+    const earn = id => {
+      if (!isUnlocked(progress, id) && !earned.includes(id)) {
+        earned.push(id);
+      }
+    };
+
+    events.forEach(event => {
+      const completed = event.type === GAME_EVENTS.LEVEL_COMPLETE;
+      Object.values(ACHIEVEMENTS).forEach(achievement => {
+        const { id } = achievement;
+        switch (achievement.kind) {
+          case 'count':
+            if (matchesEvent(achievement, event) && !isUnlocked(progress, id)) {
+              counts[id] = (counts[id] || 0) + 1;
+            }
+            break;
+          case 'level':
+            if (completed && !isUnlocked(progress, id)) {
+              counts[id] = Math.max(counts[id] || 0, event.level + 1);
+            }
+            break;
+          case 'avoid':
+            if (completed && !visited.includes(achievement.zone)) {
+              earn(id);
+            }
+            break;
+          case 'closeCall':
+          default:
+            if (completed && lowest <= achievement.threshold) {
+              earn(id);
+            }
+        }
+        if (isCounted(achievement) && counts[id] >= achievement.goal) {
+          earn(id);
+        }
+      });
+
+      if (event.type === GAME_EVENTS.ZONE_ENTERED && !visited.includes(event.zone)) {
+        visited = [...visited, event.zone];
+      }
+      if (completed) {
+        const zone = getZoneAt(state.x, state.y, state.layout);
+        visited = zone ? [zone] : [];
+        lowest = Infinity;
+      }
+    });
+
+    const stamp = date.toISOString();
+    earned.forEach(id => delete counts[id]);
+    return {
+      progress: {
+        unlocked: { ...progress.unlocked, ...Object.fromEntries(earned.map(id => [id, stamp])) },
+        counts
+      },
+      tracker: { visited, lowest },
+      unlocked: earned
+    };
+  }
+
+  // ============================================
+  // SAVING
+  // ============================================
+
+  /**
+   * Validates a player's progress
+   * @param {*} progress - Value to check
+   * @returns {Array<string>} Problems found; empty when the progress is valid
+   */
+  function validateProgress(progress) {
+    if (progress === null || typeof progress !== 'object' || Array.isArray(progress)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (!isObject(progress.unlocked)) {
+      errors.push('unlocked must be an object');
+    } else {
+      Object.entries(progress.unlocked).forEach(([id, date]) => {
+        if (!getAchievement(id)) {
+          errors.push(`unlocked.${id} is not a known achievement`);
+        } else if (typeof date !== 'string' || Number.isNaN(Date.parse(date))) {
+          errors.push(`unlocked.${id} must be an ISO date string`);
+        }
+      });
+    }
+    if (!isObject(progress.counts)) {
+      errors.push('counts must be an object');
+    } else {
+      Object.entries(progress.counts).forEach(([id, count]) => {
+        const achievement = getAchievement(id);
+        if (!achievement || !isCounted(achievement)) {
+          errors.push(`counts.${id} is not a counted achievement`);
+        } else if (!Number.isInteger(count) || count < 0) {
+          errors.push(`counts.${id} must be an integer of at least 0`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Serializes progress for storage
+   * @param {object} progress - Player's progress
+   * @returns {string} JSON tagged with ACHIEVEMENTS_VERSION
+   */
+  function serializeProgress(progress) {
+    return JSON.stringify({ version: ACHIEVEMENTS_VERSION, ...progress });
+  }
+
+  /**
+   * Parses and validates stored progress
+   * @param {string} json - Progress produced by serializeProgress
+   * @returns {object} Player's progress
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseProgress(json) {
+    let saved;
+    try {
+      saved = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid achievements: not valid JSON');
+    }
+    if (saved === null || typeof saved !== 'object' || saved.version !== ACHIEVEMENTS_VERSION) {
+      throw new Error(`Invalid achievements: version must be ${ACHIEVEMENTS_VERSION}`);
+    }
+    const progress = { unlocked: saved.unlocked, counts: saved.counts };
+    const errors = validateProgress(progress);
+    if (errors.length > 0) {
+      throw new Error(`Invalid achievements: ${errors.join('; ')}`);
+    }
+    return progress;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    ACHIEVEMENTS_VERSION,
+    ACHIEVEMENT_KINDS,
+    ACHIEVEMENTS,
+
+    // Achievements
+    getAchievement,
+    isCounted,
+    matchesEvent,
+
+    // Progress
+    createProgress,
+    isUnlocked,
+    getAchievementProgress,
+    createTracker,
+    trackTick,
+
+    // Saving
+    validateProgress,
+    serializeProgress,
+    parseProgress
+  };
+}));
@@ -0,0 +1,92 @@
+/**
+ * Campaign Module for Unicorn Ranch
+ * Reads and writes campaign packs: JSON files holding a named list of
+ * authored levels (see validateLevel in gameLogic.js for the level
+ * format). A run started from a pack keeps it in state.campaign, and
+ * createNextLevelState plays its levels in order before falling back
+ * to the usual formulas.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Campaign)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Campaign = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { DEFAULT_MODE, DEFAULT_NEEDS, createInitialState, createPlayerError, startCampaign, validateCampaign } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into campaign packs */
+  const CAMPAIGN_VERSION = 1;
+
+  // ============================================
+  // PACKS
+  // ============================================
+
+  /**
+   * Serializes a campaign as a pack file
+   * @param {object} campaign - Campaign {id, name, levels}
+   * @returns {string} JSON tagged with CAMPAIGN_VERSION
+   */
+  function serializeCampaign(campaign) {
+    return JSON.stringify({ version: CAMPAIGN_VERSION, ...campaign }, null, 2);
+  }
+
+  /**
+   * Parses and validates a campaign pack
+   * @param {string} json - Pack produced by serializeCampaign or written by hand
+   * @returns {object} Campaign {id, name, levels}
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseCampaign(json) {
+    let pack;
+    try {
+      pack = JSON.parse(json);
+    } catch (e) {
+      throw createPlayerError('campaign.json', {}, 'Invalid campaign: not valid JSON');
+    }
+    if (pack === null || typeof pack !== 'object' || pack.version !== CAMPAIGN_VERSION) {
+      throw createPlayerError('campaign.version', {}, `Invalid campaign: version must be ${CAMPAIGN_VERSION}`);
+    }
+    const { version, ...campaign } = pack;
+    const errors = validateCampaign(campaign);
+    if (errors.length > 0) {
+      throw createPlayerError('campaign.invalid', { count: errors.length }, `Invalid campaign: ${errors.join('; ')}`);
+    }
+    return { id: campaign.id, name: campaign.name, levels: campaign.levels };
+  }
+
+  /**
+   * Creates the state a campaign run starts in
+   * @param {object} campaign - Campaign from parseCampaign
+   * @param {number} seed - Random seed for the run
+   * @param {string} [mode] - Game mode id, defaults to DEFAULT_MODE
+   * @returns {object} Initial game state playing the campaign
+   */
+  function createCampaignState(campaign, seed, mode = DEFAULT_MODE) {
+    return startCampaign(createInitialState(DEFAULT_NEEDS, seed, mode), campaign);
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    CAMPAIGN_VERSION,
+
+    // Packs
+    serializeCampaign,
+    parseCampaign,
+    createCampaignState
+  };
+}));
@@ -0,0 +1,297 @@
+/**
+ * Controls Module for Unicorn Ranch
+ * Turns keyboard and gamepad state into the movement input stepGame takes,
+ * and manages the player's rebindable key bindings.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Controls)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Controls = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { createPlayerError } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Rebindable actions, in the order the settings screen lists them */
+  const ACTIONS = ['up', 'down', 'left', 'right', 'pause'];
+
+  /* Bindings use KeyboardEvent.code so they don't depend on keyboard layout */
+  const DEFAULT_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    pause: ['KeyP', 'Escape']
+  };
+
+  const KEYS_PER_ACTION = 2;
+  const GAMEPAD_DEADZONE = 0.2;
+
+  /* Standard gamepad mapping: d-pad buttons and the left stick axes */
+  const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+  const STICK_X_AXIS = 0;
+  const STICK_Y_AXIS = 1;
+
+  const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space'
+  };
+
+  // ============================================
+  // KEYBOARD FUNCTIONS
+  // ============================================
+
+  /**
+   * Finds the action a key is bound to
+   * @param {string} code - KeyboardEvent.code
+   * @param {object} [bindings] - Key bindings, defaults to DEFAULT_BINDINGS
+   * @returns {string|null} Action name, or null if the key is unbound
+   */
+  function getActionForKey(code, bindings = DEFAULT_BINDINGS) {
+    return ACTIONS.find(action => bindings[action].includes(code)) || null;
+  }
+
+  /**
+   * Works out the movement direction from the keys currently held
+   * @param {Iterable<string>} pressed - KeyboardEvent.code of every held key
+   * @param {object} [bindings] - Key bindings, defaults to DEFAULT_BINDINGS
+   * @returns {object} Direction {x, y}, each -1, 0 or 1
+   */
+  function getKeyboardVector(pressed, bindings = DEFAULT_BINDINGS) {
+    const held = new Set(pressed);
+    const isHeld = action => bindings[action].some(code => held.has(code));
+    return {
+      x: (isHeld('right') ? 1 : 0) - (isHeld('left') ? 1 : 0),
+      y: (isHeld('down') ? 1 : 0) - (isHeld('up') ? 1 : 0)
+    };
+  }
+
+  /**
+   * Gets a short display name for a key
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string} Display name, e.g. 'W' for 'KeyW'
+   */
+  function formatKey(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+    return code;
+  }
+
+  // ============================================
+  // GAMEPAD FUNCTIONS
+  // ============================================
+
+  /**
+   * Applies a radial deadzone to a stick reading, rescaling what is left so
+   * movement starts from zero at the edge of the deadzone
+   * @param {number} x - Stick x axis, -1 to 1
+   * @param {number} y - Stick y axis, -1 to 1
+   * @param {number} [deadzone] - Ignored radius, defaults to GAMEPAD_DEADZONE
+   * @returns {object} Direction {x, y}
+   */
+  function applyDeadzone(x, y, deadzone = GAMEPAD_DEADZONE) {
+    const length = Math.hypot(x, y);
+    if (length <= deadzone) {
+      return { x: 0, y: 0 };
+    }
+    const scale = Math.min(1, (length - deadzone) / (1 - deadzone)) / length;
+    return { x: x * scale, y: y * scale };
+  }
+
+  /**
+   * Works out the movement direction from a gamepad. The d-pad wins over
+   * the left stick when both are in use.
+   * @param {object|null} gamepad - Gamepad from navigator.getGamepads()
+   * @param {number} [deadzone] - Stick deadzone, defaults to GAMEPAD_DEADZONE
+   * @returns {object} Direction {x, y}
+   */
+  function getGamepadVector(gamepad, deadzone = GAMEPAD_DEADZONE) {
+    if (!gamepad) {
+      return { x: 0, y: 0 };
+    }
+
+    const pressed = action => {
+      const button = gamepad.buttons[DPAD_BUTTONS[action]];
+      return Boolean(button && button.pressed);
+    };
+    const dpad = {
+      x: (pressed('right') ? 1 : 0) - (pressed('left') ? 1 : 0),
+      y: (pressed('down') ? 1 : 0) - (pressed('up') ? 1 : 0)
+    };
+    if (dpad.x !== 0 || dpad.y !== 0) {
+      return dpad;
+    }
+
+    return applyDeadzone(
+      gamepad.axes[STICK_X_AXIS] || 0,
+      gamepad.axes[STICK_Y_AXIS] || 0,
+      deadzone
+    );
+  }
+
+  /**
+   * Adds direction vectors from several devices, capped at length 1
+   * @param {...object} vectors - Directions {x, y}
+   * @returns {object} Combined direction {x, y}
+   */
+  function combineVectors(...vectors) {
+    const x = vectors.reduce((sum, v) => sum + v.x, 0);
+    const y = vectors.reduce((sum, v) => sum + v.y, 0);
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+  }
+
+  // ============================================
+  // BINDING FUNCTIONS
+  // ============================================
+
+  /**
+   * Binds a key to an action. If another action already uses the key, the
+   * two swap: that action gets the key this slot held before, so one key
+   * never does two things and no action is left unbound.
+   * @param {object} bindings - Current key bindings
+   * @param {string} action - Action to bind
+   * @param {string} code - KeyboardEvent.code to bind
+   * @param {number} [slot] - Which of the action's keys to replace, defaults to the primary
+   * @returns {object} New bindings
+   */
+  function rebindKey(bindings, action, code, slot = 0) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= KEYS_PER_ACTION) {
+      throw new Error(`Slot must be between 0 and ${KEYS_PER_ACTION - 1}`);
+    }
+
+    const previous = bindings[action][slot];
+    const updated = {};
+
+    ACTIONS.forEach(a => {
+      if (a === action) {
+        const keys = bindings[a].slice();
+        const existing = keys.indexOf(code);
+        if (existing !== -1) keys[existing] = previous;
+        keys[Math.min(slot, keys.length)] = code;
+        updated[a] = keys.filter(Boolean);
+        return;
+      }
+
+      updated[a] = bindings[a].map(c => (c === code ? previous : c)).filter(Boolean);
+      if (updated[a].length === 0) {
+        const key = formatKey(code);
+        throw createPlayerError('onlyKey', { key, action: a }, `${key} is the only key for ${a}`);
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Validates key bindings, e.g. ones loaded from storage
+   * @param {*} bindings - Value to check
+   * @returns {Array<string>} Problems found; empty when the bindings are valid
+   */
+  function validateBindings(bindings) {
+    if (bindings === null || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      return ['bindings must be an object'];
+    }
+
+    const errors = [];
+    const seen = {};
+
+    Object.keys(bindings).forEach(action => {
+      if (!ACTIONS.includes(action)) {
+        errors.push(`${action} is not a known action`);
+      }
+    });
+
+    ACTIONS.forEach(action => {
+      const keys = bindings[action];
+      if (!Array.isArray(keys) || keys.length === 0 || keys.length > KEYS_PER_ACTION ||
+        !keys.every(k => typeof k === 'string' && k.length > 0)) {
+        errors.push(`${action} must have 1 to ${KEYS_PER_ACTION} keys`);
+        return;
+      }
+      keys.forEach(code => {
+        if (seen[code]) {
+          errors.push(`${code} is bound to both ${seen[code]} and ${action}`);
+        }
+        seen[code] = action;
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Serializes key bindings for storage
+   * @param {object} bindings - Key bindings
+   * @returns {string} JSON
+   */
+  function serializeBindings(bindings) {
+    return JSON.stringify(bindings);
+  }
+
+  /**
+   * Parses and validates stored key bindings
+   * @param {string} json - Bindings produced by serializeBindings
+   * @returns {object} Key bindings
+   * @throws {Error} If the JSON is corrupt or the bindings fail validation
+   */
+  function parseBindings(json) {
+    let bindings;
+    try {
+      bindings = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid bindings: not valid JSON');
+    }
+    const errors = validateBindings(bindings);
+    if (errors.length > 0) {
+      throw new Error(`Invalid bindings: ${errors.join('; ')}`);
+    }
+    return bindings;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    ACTIONS,
+    DEFAULT_BINDINGS,
+    KEYS_PER_ACTION,
+    GAMEPAD_DEADZONE,
+
+    // Keyboard Functions
+    getActionForKey,
+    getKeyboardVector,
+    formatKey,
+
+    // Gamepad Functions
+    applyDeadzone,
+    getGamepadVector,
+    combineVectors,
+
+    // Binding Functions
+    rebindKey,
+    validateBindings,
+    serializeBindings,
+    parseBindings
+  };
+}));
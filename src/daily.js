@@ -0,0 +1,370 @@
+/**
+ * Daily Challenge Module for Unicorn Ranch
+ * Turns a calendar date into that day's challenge: boosted and weakened
+ * zones, starting needs, drain modifiers and a target level. The date is
+ * the only input, so every player gets the same rules and the same seed.
+ * Also keeps the best result for each day and encodes results as short
+ * share codes that any browser can check against the day's challenge.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Daily)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Daily = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { DEFAULT_LAYOUT, DEFAULT_NEEDS, createInitialState, createPlayerError, createRandom } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Game mode daily challenges are played in */
+  const DAILY_MODE = 'daily';
+
+  /* Format version written into the stored results */
+  const DAILY_VERSION = 1;
+
+  /* Days of results kept; the oldest go first */
+  const MAX_DAYS = 60;
+
+  /*
+   * Ranges the rules are drawn from. Changing any of these (or the order
+   * of the draws in generateChallenge) changes every past challenge and
+   * breaks old share codes.
+   */
+  const ZONE_BOOST = 1.5;              // recharge multiplier of the boosted zone
+  const ZONE_WEAKEN = 0.6;             // recharge multiplier of the weakened zone
+  const START_NEED_RANGE = [60, 100, 5]; // min, max and step of starting needs
+  const DRAIN_RANGE = [0.8, 1.3, 0.05];  // min, max and step of drain multipliers
+  const TARGET_LEVEL_RANGE = [3, 5];     // lowest and highest target level
+
+  /* Dates are days of the UTC calendar, so everyone switches at once */
+  const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+  /* Share codes: date, levels cleared, score and a checksum, e.g. 20261019-4-5230-1A2B3C */
+  const SHARE_CODE = /^(\d{4})(\d{2})(\d{2})-(\d+)-(\d+)-([0-9A-Z]{6})$/;
+
+  // ============================================
+  // CHALLENGES
+  // ============================================
+
+  /**
+   * Names a day
+   * @param {Date} [date] - Any moment of the day, defaults to now
+   * @returns {string} UTC date as YYYY-MM-DD
+   */
+  function getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Checks for a real calendar date in YYYY-MM-DD form
+   * @param {*} key - Value to check
+   * @returns {boolean} True for a valid date key
+   */
+  function isValidDateKey(key) {
+    const match = typeof key === 'string' && DATE_KEY.exec(key);
+    if (!match) {
+      return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return getDateKey(date) === key;
+  }
+
+  /**
+   * Hashes a string to a seed (FNV-1a)
+   * @param {string} text - Text to hash
+   * @returns {number} Unsigned 32-bit integer
+   */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Picks a value from a stepped range
+   * @param {function(): number} random - Generator from createRandom
+   * @param {Array<number>} range - [min, max, step]
+   * @returns {number} One of min, min + step, ... max
+   */
+  function pickStep(random, [min, max, step]) {
+    const steps = Math.round((max - min) / step);
+    return Math.round((min + Math.floor(random() * (steps + 1)) * step) * 100) / 100;
+  }
+
+  /**
+   * Generates a day's challenge
+   * @param {string} dateKey - Day from getDateKey
+   * @returns {object} Challenge for createInitialState (see validateChallenge)
+   * @throws {Error} If the date key is not a valid date
+   */
+  function generateChallenge(dateKey) {
+    if (!isValidDateKey(dateKey)) {
+      throw new Error(`Invalid date: ${dateKey}`);
+    }
+    const random = createRandom(hashString(`rules:${dateKey}`));
+
+    // Daily runs play on DEFAULT_LAYOUT, so only its zones are boosted or weakened
+    const zones = DEFAULT_LAYOUT.map(zone => zone.id);
+    const boosted = zones[Math.floor(random() * zones.length)];
+    const others = zones.filter(zone => zone !== boosted);
+    const weakened = others[Math.floor(random() * others.length)];
+
+    const startNeeds = Object.fromEntries(DEFAULT_NEEDS.map(id => [id, pickStep(random, START_NEED_RANGE)]));
+    const drain = Object.fromEntries(DEFAULT_NEEDS.map(id => [id, pickStep(random, DRAIN_RANGE)]));
+    const [lowest, highest] = TARGET_LEVEL_RANGE;
+    const targetLevel = lowest + Math.floor(random() * (highest - lowest + 1));
+
+    return {
+      id: dateKey,
+      targetLevel,
+      startNeeds,
+      drain,
+      recharge: { [boosted]: ZONE_BOOST, [weakened]: ZONE_WEAKEN }
+    };
+  }
+
+  /**
+   * Seeds a day's run, so the monster's rolls are the same for everyone too
+   * @param {string} dateKey - Day from getDateKey
+   * @returns {number} Seed for createInitialState
+   */
+  function getDailySeed(dateKey) {
+    return hashString(`run:${dateKey}`);
+  }
+
+  /**
+   * Starts a day's challenge run
+   * @param {string} dateKey - Day from getDateKey
+   * @returns {object} Initial game state in DAILY_MODE
+   */
+  function createDailyState(dateKey) {
+    return createInitialState(DEFAULT_NEEDS, getDailySeed(dateKey), DAILY_MODE, generateChallenge(dateKey));
+  }
+
+  // ============================================
+  // RESULTS
+  // ============================================
+
+  /**
+   * Records the outcome of a finished challenge run
+   * @param {object} state - Final game state of a daily run
+   * @returns {object} Result {date, cleared, score, completed}
+   */
+  function createDailyResult(state) {
+    const completed = state.status === 'complete';
+    return {
+      date: state.challenge.id,
+      cleared: completed ? state.level : state.level - 1,
+      score: Math.floor(state.score.total),
+      completed
+    };
+  }
+
+  /**
+   * Compares two results of the same day: completing the challenge comes
+   * first, then levels cleared, then score
+   * @param {object} result - Result to check
+   * @param {object|null} best - Best result so far, if any
+   * @returns {boolean} True if result beats best
+   */
+  function isBetterResult(result, best) {
+    if (!best) {
+      return true;
+    }
+    if (result.completed !== best.completed) {
+      return result.completed;
+    }
+    if (result.cleared !== best.cleared) {
+      return result.cleared > best.cleared;
+    }
+    return result.score > best.score;
+  }
+
+  /**
+   * Keeps a result if it is the best of its day
+   * @param {object} results - Best results keyed by date
+   * @param {object} result - Result from createDailyResult
+   * @returns {{results: object, best: boolean}} Updated results and whether the result is a new best
+   */
+  function recordDailyResult(results, result) {
+    if (!isBetterResult(result, results[result.date] || null)) {
+      return { results, best: false };
+    }
+    const kept = Object.keys({ ...results, [result.date]: result }).sort().slice(-MAX_DAYS);
+    const updated = Object.fromEntries(kept.map(date => [date, date === result.date ? result : results[date]]));
+    return { results: updated, best: true };
+  }
+
+  /**
+   * Validates a single result
+   * @param {*} result - Value to check
+   * @returns {Array<string>} Problems found; empty when the result is valid
+   */
+  function validateDailyResult(result) {
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+
+    if (!isValidDateKey(result.date)) {
+      errors.push('date must be a YYYY-MM-DD date');
+    }
+    if (!Number.isInteger(result.cleared) || result.cleared < 0) {
+      errors.push('cleared must be an integer of at least 0');
+    }
+    if (!Number.isInteger(result.score) || result.score < 0) {
+      errors.push('score must be an integer of at least 0');
+    }
+    if (typeof result.completed !== 'boolean') {
+      errors.push('completed must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Serializes results for storage
+   * @param {object} results - Best results keyed by date
+   * @returns {string} JSON tagged with DAILY_VERSION
+   */
+  function serializeDailyResults(results) {
+    return JSON.stringify({ version: DAILY_VERSION, results });
+  }
+
+  /**
+   * Parses and validates stored results
+   * @param {string} json - Results produced by serializeDailyResults
+   * @returns {object} Best results keyed by date
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseDailyResults(json) {
+    let saved;
+    try {
+      saved = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid daily results: not valid JSON');
+    }
+    if (saved === null || typeof saved !== 'object' || saved.version !== DAILY_VERSION) {
+      throw new Error(`Invalid daily results: version must be ${DAILY_VERSION}`);
+    }
+    const { results } = saved;
+    if (results === null || typeof results !== 'object' || Array.isArray(results)) {
+      throw new Error('Invalid daily results: results must be an object');
+    }
+
+    const errors = [];
+    Object.entries(results).forEach(([date, result]) => {
+      validateDailyResult(result).forEach(e => errors.push(`results[${date}] ${e}`));
+      if (isValidDateKey(result && result.date) && result.date !== date) {
+        errors.push(`results[${date}] is filed under the wrong date`);
+      }
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid daily results: ${errors.join('; ')}`);
+    }
+    return results;
+  }
+
+  // ============================================
+  // SHARE CODES
+  // ============================================
+
+  /**
+   * Computes the checksum that ties a share code's fields together. It
+   * catches typos and casual edits; it is not a signature.
+   * @param {object} result - Result {date, cleared, score}
+   * @returns {string} Six base-36 characters
+   */
+  function getChecksum(result) {
+    const hash = hashString(`${result.date}|${result.cleared}|${result.score}`);
+    return hash.toString(36).toUpperCase().padStart(6, '0').slice(-6);
+  }
+
+  /**
+   * Encodes a result as a short code to share
+   * @param {object} result - Result from createDailyResult
+   * @returns {string} e.g. "20261019-4-5230-1A2B3C"
+   */
+  function createShareCode(result) {
+    const date = result.date.replace(/-/g, '');
+    return `${date}-${result.cleared}-${result.score}-${getChecksum(result)}`;
+  }
+
+  /**
+   * Checks a share code against its day's challenge
+   * @param {string} code - Code from createShareCode
+   * @returns {object} Result {date, cleared, score, completed, targetLevel}
+   * @throws {Error} If the code is malformed, its date invalid, its levels
+   *   impossible for that challenge or its checksum wrong
+   */
+  function verifyShareCode(code) {
+    const match = SHARE_CODE.exec(String(code).trim().toUpperCase());
+    if (!match) {
+      throw createPlayerError('shareCode.format', {},
+        'Invalid share code: expected date-levels-score-check, e.g. 20261019-4-5230-1A2B3C');
+    }
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    if (!isValidDateKey(date)) {
+      throw createPlayerError('shareCode.date', { date }, `Invalid share code: ${date} is not a date`);
+    }
+    const cleared = Number(match[4]);
+    const score = Number(match[5]);
+    const { targetLevel } = generateChallenge(date);
+    if (cleared > targetLevel) {
+      throw createPlayerError('shareCode.levels', { date, level: targetLevel },
+        `Invalid share code: the ${date} challenge ends after level ${targetLevel}`);
+    }
+    if (getChecksum({ date, cleared, score }) !== match[6]) {
+      throw createPlayerError('shareCode.checksum', {}, 'Invalid share code: checksum does not match');
+    }
+    return { date, cleared, score, completed: cleared === targetLevel, targetLevel };
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    DAILY_MODE,
+    DAILY_VERSION,
+    MAX_DAYS,
+    ZONE_BOOST,
+    ZONE_WEAKEN,
+    START_NEED_RANGE,
+    DRAIN_RANGE,
+    TARGET_LEVEL_RANGE,
+
+    // Challenges
+    getDateKey,
+    isValidDateKey,
+    hashString,
+    generateChallenge,
+    getDailySeed,
+    createDailyState,
+
+    // Results
+    createDailyResult,
+    isBetterResult,
+    recordDailyResult,
+    validateDailyResult,
+    serializeDailyResults,
+    parseDailyResults,
+
+    // Share Codes
+    createShareCode,
+    verifyShareCode
+  };
+}));
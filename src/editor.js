@@ -0,0 +1,334 @@
+/**
+ * Level Editor Module for Unicorn Ranch
+ * The logic behind the in-browser level editor. A draft is a campaign
+ * (see validateCampaign in gameLogic.js), so it exports as a campaign
+ * pack and playtests through startCampaign like any other. Zones are
+ * moved and resized by their bounding box, in percent of the field, and
+ * the need curves are predicted by playing the draft with stepGame.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Editor)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Editor = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const {
+    DEFAULT_LAYOUT,
+    DEFAULT_MODE,
+    DEFAULT_NEEDS,
+    FIXED_DT,
+    LEVEL_TIME,
+    MONSTER_CHOMP_TIME,
+    clamp,
+    createInitialState,
+    getShapeBounds,
+    getSpawnTable,
+    scheduleWorldEvents,
+    startCampaign,
+    stepGame
+  } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  const MIN_ZONE_SIZE = 5;   // smallest width or height a zone can be resized to, in percent
+  const CURVE_STEP = 1;      // seconds between samples of a predicted need curve
+  const PREVIEW_LIMIT = 120; // longest a prediction plays, for thrive levels that never end
+
+  /* Where a zone added to a level goes if DEFAULT_LAYOUT doesn't place it */
+  const NEW_ZONE_SHAPE = { type: 'rect', x: 40, y: 40, w: 20, h: 20 };
+
+  // ============================================
+  // DRAFTS
+  // ============================================
+
+  /**
+   * Creates a level to start editing from
+   * @param {number} number - Level number, for its name
+   * @returns {object} Level definition
+   */
+  function createDraftLevel(number) {
+    return { name: `Level ${number}`, duration: LEVEL_TIME, zones: DEFAULT_LAYOUT };
+  }
+
+  /**
+   * Creates a campaign with a single level to start editing from
+   * @returns {object} Campaign {id, name, levels}
+   */
+  function createDraftCampaign() {
+    return { id: 'new-campaign', name: 'New Campaign', levels: [createDraftLevel(1)] };
+  }
+
+  /**
+   * Changes fields of one of a campaign's levels. A field set to
+   * undefined is removed, so the level falls back to the usual value.
+   * @param {object} campaign - Campaign being edited
+   * @param {number} index - Level index, from 0
+   * @param {object} changes - Fields to set
+   * @returns {object} Campaign with the level changed
+   */
+  function updateLevel(campaign, index, changes) {
+    const level = { ...campaign.levels[index], ...changes };
+    Object.keys(changes)
+      .filter(key => changes[key] === undefined)
+      .forEach(key => delete level[key]);
+    return { ...campaign, levels: campaign.levels.map((l, i) => (i === index ? level : l)) };
+  }
+
+  /**
+   * Sets one entry of a level's drain, recharge or startNeeds table. An
+   * entry set to undefined is removed, and so is a table left empty.
+   * @param {object} level - Level definition
+   * @param {string} field - Table field: 'drain', 'recharge' or 'startNeeds'
+   * @param {string} id - Need or zone id the entry is for
+   * @param {number|undefined} value - New value, or undefined to remove it
+   * @returns {object} Changes for updateLevel
+   */
+  function setTableEntry(level, field, id, value) {
+    const table = { ...(level[field] || {}), [id]: value };
+    if (value === undefined) {
+      delete table[id];
+    }
+    return { [field]: Object.keys(table).length > 0 ? table : undefined };
+  }
+
+  /**
+   * Adds a level to the end of a campaign
+   * @param {object} campaign - Campaign being edited
+   * @returns {object} Campaign with a new draft level
+   */
+  function addLevel(campaign) {
+    return { ...campaign, levels: [...campaign.levels, createDraftLevel(campaign.levels.length + 1)] };
+  }
+
+  /**
+   * Removes a level from a campaign, keeping at least one
+   * @param {object} campaign - Campaign being edited
+   * @param {number} index - Level index, from 0
+   * @returns {object} Campaign without the level
+   */
+  function removeLevel(campaign, index) {
+    if (campaign.levels.length <= 1) {
+      return campaign;
+    }
+    return { ...campaign, levels: campaign.levels.filter((l, i) => i !== index) };
+  }
+
+  // ============================================
+  // ZONES
+  // ============================================
+
+  /**
+   * Rounds a coordinate to a tenth of a percent, so dragged layouts
+   * export as readable numbers
+   * @param {number} value - Coordinate
+   * @returns {number} Rounded coordinate
+   */
+  function roundCoordinate(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * Moves a shape, keeping it inside the field
+   * @param {object} shape - Rect, ellipse or polygon shape
+   * @param {number} dx - Distance to move right, in percent
+   * @param {number} dy - Distance to move down, in percent
+   * @returns {object} Moved shape
+   */
+  function moveShape(shape, dx, dy) {
+    const b = getShapeBounds(shape);
+    const x = roundCoordinate(clamp(b.x + dx, 0, 100 - b.w));
+    const y = roundCoordinate(clamp(b.y + dy, 0, 100 - b.h));
+    const offset = ([px, py]) => [roundCoordinate(px + x - b.x), roundCoordinate(py + y - b.y)];
+    switch (shape.type) {
+      case 'rect':
+        return { ...shape, x, y };
+      case 'ellipse': {
+        const [cx, cy] = offset([shape.cx, shape.cy]);
+        return { ...shape, cx, cy };
+      }
+      case 'polygon':
+        return { ...shape, points: shape.points.map(offset) };
+      default:
+        return shape;
+    }
+  }
+
+  /**
+   * Resizes a shape from its bottom-right corner, keeping its top-left
+   * corner where it is. Sizes are kept between MIN_ZONE_SIZE and the
+   * edge of the field.
+   * @param {object} shape - Rect, ellipse or polygon shape
+   * @param {number} w - New width of its bounds, in percent
+   * @param {number} h - New height of its bounds, in percent
+   * @returns {object} Resized shape
+   */
+  function resizeShape(shape, w, h) {
+    const b = getShapeBounds(shape);
+    const width = roundCoordinate(clamp(w, MIN_ZONE_SIZE, Math.max(MIN_ZONE_SIZE, 100 - b.x)));
+    const height = roundCoordinate(clamp(h, MIN_ZONE_SIZE, Math.max(MIN_ZONE_SIZE, 100 - b.y)));
+    switch (shape.type) {
+      case 'rect':
+        return { ...shape, w: width, h: height };
+      case 'ellipse':
+        return { ...shape, cx: b.x + width / 2, cy: b.y + height / 2, rx: width / 2, ry: height / 2 };
+      case 'polygon':
+        return {
+          ...shape,
+          points: shape.points.map(([px, py]) => [
+            roundCoordinate(b.x + (b.w > 0 ? (px - b.x) * width / b.w : 0)),
+            roundCoordinate(b.y + (b.h > 0 ? (py - b.y) * height / b.h : 0))
+          ])
+        };
+      default:
+        return shape;
+    }
+  }
+
+  /**
+   * Moves one zone of a layout
+   * @param {Array<object>} zones - Zone layout
+   * @param {number} index - Zone index
+   * @param {number} dx - Distance to move right, in percent
+   * @param {number} dy - Distance to move down, in percent
+   * @returns {Array<object>} New layout
+   */
+  function moveZone(zones, index, dx, dy) {
+    return zones.map((zone, i) => (i === index ? { ...zone, shape: moveShape(zone.shape, dx, dy) } : zone));
+  }
+
+  /**
+   * Resizes one zone of a layout (see resizeShape)
+   * @param {Array<object>} zones - Zone layout
+   * @param {number} index - Zone index
+   * @param {number} w - New width, in percent
+   * @param {number} h - New height, in percent
+   * @returns {Array<object>} New layout
+   */
+  function resizeZone(zones, index, w, h) {
+    return zones.map((zone, i) => (i === index ? { ...zone, shape: resizeShape(zone.shape, w, h) } : zone));
+  }
+
+  /**
+   * Adds a zone to a layout, where DEFAULT_LAYOUT puts it or else in the
+   * middle of the field
+   * @param {Array<object>} zones - Zone layout
+   * @param {string} zoneId - Zone id from ZONES
+   * @returns {Array<object>} New layout, drawing the zone on top
+   */
+  function addZone(zones, zoneId) {
+    const placed = DEFAULT_LAYOUT.find(zone => zone.id === zoneId);
+    return [...zones, { id: zoneId, shape: placed ? placed.shape : NEW_ZONE_SHAPE }];
+  }
+
+  /**
+   * Removes a zone from a layout
+   * @param {Array<object>} zones - Zone layout
+   * @param {number} index - Zone index
+   * @returns {Array<object>} New layout
+   */
+  function removeZone(zones, index) {
+    return zones.filter((zone, i) => i !== index);
+  }
+
+  // ============================================
+  // PLAYTESTING
+  // ============================================
+
+  /**
+   * Creates the state a campaign's level starts in, for playtesting a
+   * level without playing the ones before it. Items and world events are
+   * set up for the level, as createNextLevelState does.
+   * @param {object} campaign - Campaign being edited
+   * @param {number} level - Level number, from 1
+   * @param {object} [options]
+   * @param {number} [options.seed] - Random seed, defaults to createInitialState's
+   * @param {string} [options.mode] - Game mode id, defaults to DEFAULT_MODE
+   * @returns {object} Game state at the start of the level
+   * @throws {Error} If the campaign fails validation
+   */
+  function createLevelState(campaign, level, options = {}) {
+    const { seed, mode = DEFAULT_MODE } = options;
+    const initial = createInitialState(DEFAULT_NEEDS, seed, mode);
+    return startCampaign({
+      ...initial,
+      level,
+      spawnTimer: getSpawnTable(level).interval,
+      worldEvents: scheduleWorldEvents(level, initial.rng)
+    }, campaign);
+  }
+
+  /**
+   * Predicts how a level's needs rise and fall by playing it with a bot
+   * strategy (see simulator.js) through stepGame. Needs are sampled
+   * every CURVE_STEP seconds until the level is over, the run ends or
+   * PREVIEW_LIMIT runs out.
+   * @param {object} campaign - Campaign being edited
+   * @param {number} level - Level number, from 1
+   * @param {function} strategy - Strategy choosing the input each tick
+   * @param {object} [options] - As for createLevelState, plus:
+   * @param {number} [options.dt] - Seconds per tick, defaults to FIXED_DT
+   * @returns {{samples: Array<{time: number, needs: object}>, cleared: boolean, eaten: boolean, time: number}}
+   *   Samples, first at time 0, whether the level was cleared or the
+   *   unicorn eaten, and the time when the prediction stopped
+   */
+  function predictNeedCurves(campaign, level, strategy, options = {}) {
+    const { dt = FIXED_DT } = options;
+    let state = createLevelState(campaign, level, options);
+    const samples = [{ time: 0, needs: state.needs }];
+    const maxSteps = Math.ceil((PREVIEW_LIMIT + MONSTER_CHOMP_TIME) / dt);
+    const stepsPerSample = Math.round(CURVE_STEP / dt);
+    let steps = 0;
+
+    // Modes without level breaks carry straight on to the next level
+    while (steps < maxSteps && !state.status && state.level === level) {
+      state = stepGame(state, strategy(state), dt).state;
+      steps++;
+      if (steps % stepsPerSample === 0 || state.status || state.level !== level) {
+        samples.push({ time: steps * dt, needs: state.needs });
+      }
+    }
+
+    const cleared = state.level !== level || state.status === 'nextlevel' || state.status === 'complete';
+    return { samples, cleared, eaten: state.eaten, time: steps * dt };
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    MIN_ZONE_SIZE,
+    CURVE_STEP,
+    PREVIEW_LIMIT,
+
+    // Drafts
+    createDraftLevel,
+    createDraftCampaign,
+    updateLevel,
+    setTableEntry,
+    addLevel,
+    removeLevel,
+
+    // Zones
+    moveShape,
+    resizeShape,
+    moveZone,
+    resizeZone,
+    addZone,
+    removeZone,
+
+    // Playtesting
+    createLevelState,
+    predictNeedCurves
+  };
+}));
@@ -1,289 +1,2694 @@
 /**
  * Game Logic Module for Unicorn Ranch
  * Contains pure functions that can be unit tested independently
+ *
+ * Loaded by index.html as a plain script (exposed as window.GameLogic)
+ * and by the tests through require().
  */
 
-// ============================================
-// CONSTANTS
-// ============================================
-
-const BASE_DRAIN = { hunger: 1.0, thirst: 1.0, energy: 1.0, fun: 1.0 };
-const BASE_RECHARGE = {
-  lake: { thirst: 6 },
-  field: { hunger: 6 },
-  barn: { energy: 8 },
-  play: { fun: 6 }
-};
-const DRAIN_GROWTH = 0.80;    // drain +80% per level
-const RECHARGE_GROWTH = 0.30; // recharge +30% per level
-const LEVEL_TIME = 30;        // seconds per level
-
-// ============================================
-// UTILITY FUNCTIONS
-// ============================================
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GameLogic = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
 
-/**
- * Clamps a value between min and max bounds
- * @param {number} v - The value to clamp
- * @param {number} min - Minimum bound
- * @param {number} max - Maximum bound
- * @returns {number} The clamped value
- */
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
-}
+  // ============================================
+  // CONSTANTS
+  // ============================================
 
-// ============================================
-// GAME STATE FUNCTIONS
-// ============================================
+  /*
+   * Needs registry. Drain is per second at level 1 and scales with
+   * calculateDrainMultiplier; start is the value on every level reset;
+   * below critical the HUD flags the need. Which needs a run tracks is
+   * decided by the keys of state.needs (see createNeeds).
+   */
+  const NEEDS = {
+    hunger: { id: 'hunger', label: 'Hunger', icon: '🍎', color: 'hunger', drain: 1.0, start: 100, critical: 30 },
+    thirst: { id: 'thirst', label: 'Thirst', icon: '💧', color: 'thirst', drain: 1.0, start: 100, critical: 30 },
+    energy: { id: 'energy', label: 'Energy', icon: '⚡', color: 'energy', drain: 1.0, start: 100, critical: 30 },
+    fun: { id: 'fun', label: 'Joy', icon: '🎈', color: 'fun', drain: 1.0, start: 100, critical: 30 },
+    hygiene: { id: 'hygiene', label: 'Hygiene', icon: '🫧', color: 'hygiene', drain: 0.8, start: 100, critical: 30 },
+    affection: { id: 'affection', label: 'Affection', icon: '💖', color: 'affection', drain: 0.6, start: 80, critical: 25 }
+  };
 
-/**
- * Creates the initial game state
- * @returns {object} Initial game state object
- */
-function createInitialState() {
-  return {
-    x: 15,
-    y: 25,
-    needs: { hunger: 100, thirst: 100, energy: 100, fun: 100 },
-    level: 1,
-    levelTime: LEVEL_TIME,
-    status: null,
-    eaten: false,
-    monster: { x: -20, y: 50, chomp: false }
+  /* Needs tracked by a classic run */
+  const DEFAULT_NEEDS = ['hunger', 'thirst', 'energy', 'fun'];
+
+  /* Drain rates by need id, derived from NEEDS */
+  const BASE_DRAIN = Object.fromEntries(
+    Object.values(NEEDS).map(need => [need.id, need.drain])
+  );
+
+  /*
+   * Zone registry. Recharge rates are per second at level 1 and may cover
+   * any number of needs; negative rates cost that need while standing in
+   * the zone. Both scale with calculateRechargeMultiplier. Safe zones
+   * scare the monster off (see updateMonster).
+   */
+  const ZONES = {
+    lake: { id: 'lake', name: 'Crystal Lake', icon: '💧', recharge: { thirst: 6, hygiene: 5 } },
+    field: { id: 'field', name: 'Golden Fields', icon: '🌾', recharge: { hunger: 6 } },
+    barn: { id: 'barn', name: 'Cozy Barn', icon: '🏠', recharge: { energy: 8, affection: 4 }, safe: true },
+    play: { id: 'play', name: 'Festival Grounds', icon: '🎪', recharge: { fun: 6, affection: 3 } },
+    meadow: { id: 'meadow', name: 'Rainbow Meadow', icon: '🌈', recharge: { hunger: 4, fun: 4, energy: -3 } }
   };
-}
 
-/**
- * Calculates the drain multiplier based on level
- * @param {number} level - Current game level
- * @returns {number} The drain multiplier
- */
-function calculateDrainMultiplier(level) {
-  return 1 + (level - 1) * DRAIN_GROWTH;
-}
+  /* Recharge rates by zone id, derived from ZONES */
+  const BASE_RECHARGE = Object.fromEntries(
+    Object.values(ZONES).map(zone => [zone.id, zone.recharge])
+  );
+  const DRAIN_GROWTH = 0.80;    // drain +80% per level
+  const RECHARGE_GROWTH = 0.30; // recharge +30% per level
 
-/**
- * Calculates the recharge multiplier based on level
- * @param {number} level - Current game level
- * @returns {number} The recharge multiplier
- */
-function calculateRechargeMultiplier(level) {
-  return 1 + (level - 1) * RECHARGE_GROWTH;
-}
+  /* Difficulty tuning used when none is given; the balance simulator sweeps these */
+  const DEFAULT_TUNING = { drainGrowth: DRAIN_GROWTH, rechargeGrowth: RECHARGE_GROWTH };
 
-/**
- * Applies drain to all needs based on level and time delta
- * @param {object} needs - Current needs object {hunger, thirst, energy, fun}
- * @param {number} level - Current game level
- * @param {number} dt - Time delta in seconds
- * @returns {object} Updated needs object
- */
-function applyDrain(needs, level, dt) {
-  const drainMult = calculateDrainMultiplier(level);
-  return {
-    hunger: clamp(needs.hunger - BASE_DRAIN.hunger * drainMult * dt, 0, 100),
-    thirst: clamp(needs.thirst - BASE_DRAIN.thirst * drainMult * dt, 0, 100),
-    energy: clamp(needs.energy - BASE_DRAIN.energy * drainMult * dt, 0, 100),
-    fun: clamp(needs.fun - BASE_DRAIN.fun * drainMult * dt, 0, 100)
+  const LEVEL_TIME = 30;        // seconds per level
+  const FIXED_DT = 1 / 60;      // seconds per simulation step
+  const MAX_FRAME_TIME = 0.25;  // longest frame the loop catches up on
+  const UNICORN_SPEED = 40;     // percent of the field per second at full tilt
+  const SPEED_GROWTH = 0.10;    // travel speed +10% per level
+  const TIRED_SPEED = 0.5;      // fraction of full speed with no energy left
+  const TRAVEL_ENERGY_COST = 0.05; // energy spent per percent of distance travelled
+  const STEADY_RATE = 0.05;     // net change per second too small to call a trend
+
+  /* Monster behaviour states, stepped by updateMonster */
+  const MONSTER_STATES = ['idle', 'prowling', 'chasing', 'chomping', 'retreating'];
+  const MONSTER_SPEED = 20;         // percent of the field per second at level 1
+  const MONSTER_SPEED_GROWTH = 0.20; // monster speed +20% per level
+  const MONSTER_PROWL_SPEED = 0.5;  // fraction of full speed while prowling
+  const MONSTER_PROWL_LEVEL = 3;    // first level the monster prowls the edges
+  const MONSTER_CATCH_RADIUS = 5;   // how close it must get to catch the unicorn
+  const MONSTER_CHOMP_TIME = 2;     // seconds from the catch to game over
+  const MONSTER_RETREAT_TIME = 3;   // seconds a scare keeps the monster away
+
+  /* Where the monster waits, just off the left edge of the field */
+  const MONSTER_LAIR = { x: -10, y: 50 };
+
+  /* Corners of the field, walked in order while prowling */
+  const PROWL_ROUTE = [
+    { x: 0, y: 0 },
+    { x: 100, y: 0 },
+    { x: 100, y: 100 },
+    { x: 0, y: 100 }
+  ];
+
+  /*
+   * Power-up effects registry. What an effect does is decided by its kind:
+   * - instant: applied on pickup (fill adds the item's amount to its need)
+   * - timed: lasts the item's amount in seconds (freeze pauses drain)
+   * - charges: holds the item's amount in uses (shield blocks a monster trigger)
+   * Timed and charged effects are kept in state.effects until they run out.
+   */
+  const EFFECTS = {
+    fill: { id: 'fill', label: 'Refill', icon: '🍏', kind: 'instant' },
+    freeze: { id: 'freeze', label: 'Drain Paused', icon: '⭐', kind: 'timed' },
+    shield: { id: 'shield', label: 'Shield', icon: '🛡️', kind: 'charges' }
   };
-}
 
-/**
- * Applies recharge to needs based on current zone
- * @param {object} needs - Current needs object {hunger, thirst, energy, fun}
- * @param {string|null} zone - Current zone ('lake', 'field', 'barn', 'play', or null)
- * @param {number} level - Current game level
- * @param {number} dt - Time delta in seconds
- * @returns {object} Updated needs object
- */
-function applyRecharge(needs, zone, level, dt) {
-  const rechargeMult = calculateRechargeMultiplier(level);
-  const updated = { ...needs };
+  /* Power-up items registry: each grants one effect from EFFECTS */
+  const ITEMS = {
+    apple: { id: 'apple', name: 'Golden Apple', icon: '🍏', effect: 'fill', need: 'hunger', amount: 100 },
+    star: { id: 'star', name: 'Star', icon: '⭐', effect: 'freeze', amount: 5 },
+    shield: { id: 'shield', name: 'Shield', icon: '🛡️', effect: 'shield', amount: 1 }
+  };
+
+  /*
+   * Spawn tables: from minLevel on, an item spawns every interval seconds,
+   * picked by weight. The last table whose minLevel has been reached applies.
+   */
+  const SPAWN_TABLES = [
+    { minLevel: 1, interval: 8, weights: { apple: 3, star: 1 } },
+    { minLevel: MONSTER_PROWL_LEVEL, interval: 7, weights: { apple: 3, star: 2, shield: 1 } },
+    { minLevel: 5, interval: 6, weights: { apple: 2, star: 2, shield: 2 } }
+  ];
+  const ITEM_LIFETIME = 8;          // seconds an item waits to be picked up
+  const ITEM_PICKUP_RADIUS = 5;     // how close the unicorn must get to pick an item up
+  const MAX_ITEMS = 2;              // items on the field at once
+  const ITEM_MARGIN = 5;            // items spawn at least this far from the edges
+
+  /*
+   * World events registry: weather and the time of day. A level schedules
+   * a few of them (see scheduleWorldEvents); each is announced
+   * EVENT_WARNING_TIME seconds ahead, then lasts its duration, changing
+   * drain and recharge through its modifiers while it runs.
+   */
+  const WORLD_EVENTS = {
+    heatwave: {
+      id: 'heatwave', name: 'Heatwave', icon: '☀️', duration: 10,
+      warning: 'Thirst drains twice as fast',
+      modifiers: { drain: { thirst: 2 }, recharge: {} }
+    },
+    storm: {
+      id: 'storm', name: 'Storm', icon: '⛈️', duration: 8,
+      warning: 'The Festival Grounds close and the barn is extra cozy',
+      modifiers: { drain: {}, recharge: { play: 0, barn: 1.5 } }
+    },
+    nightfall: {
+      id: 'nightfall', name: 'Nightfall', icon: '🌙', duration: 12,
+      warning: 'Energy drains faster in the dark',
+      modifiers: { drain: { energy: 1.5 }, recharge: {} }
+    }
+  };
+  const EVENT_WARNING_TIME = 3;     // seconds an event is announced before it starts
+  const EVENT_EARLIEST = 5;         // earliest start, in seconds after a level is scheduled
+  const EVENT_LATEST = 20;          // latest start
+  const MAX_WORLD_EVENTS = 3;       // most events scheduled for one level
+
+  /*
+   * Slower-drain assist settings, kept in state.assist for the whole run.
+   * Each scales every need's drain multiplier (see calculateDrainMultiplier);
+   * 1 is off.
+   */
+  const DRAIN_ASSISTS = [1, 0.75, 0.5];
+
+  /*
+   * Upgrade shop registry: what coins buy between levels. Owned upgrades
+   * are the unicorn's traits (state.traits, upgrade id to count), kept for
+   * the rest of the run. Each copy of an upgrade stacks its modifiers; each
+   * copy of an escape upgrade is instead used up getting the unicorn out
+   * of the monster's jaws once (see useEscape). Prices go up with every
+   * copy owned (see getUpgradeCost).
+   */
+  const UPGRADES = {
+    hydration: {
+      id: 'hydration', name: 'Camel Hump', icon: '🐪', cost: 4, max: 3,
+      description: 'Thirst drains 10% slower',
+      modifiers: { drain: { thirst: 0.9 }, recharge: {} }
+    },
+    bedding: {
+      id: 'bedding', name: 'Cozy Bedding', icon: '🛏️', cost: 4, max: 3,
+      description: 'The barn recharges 25% faster',
+      modifiers: { drain: {}, recharge: { barn: 1.25 } }
+    },
+    escape: {
+      id: 'escape', name: 'Escape Charm', icon: '🧿', cost: 6, max: 1,
+      description: 'Slip free the next time the monster catches you',
+      escape: true
+    }
+  };
+  const COIN_POINTS = 100;          // level points per coin earned
+
+  /* Scoring */
+  const SCORE_THRESHOLD = 50;       // every need must be above this to earn points
+  const POINTS_PER_SECOND = 10;     // points per second while scoring, before the streak multiplier
+  const STREAK_INTERVAL = 10;       // seconds without a critical need per multiplier step
+  const STREAK_STEP = 0.5;          // multiplier added per step
+  const MAX_STREAK_MULTIPLIER = 3;  // streak multiplier cap
+  const LEVEL_BONUS_RATE = 10;      // bonus points per average need point above SCORE_THRESHOLD
+
+  /* Fractions of calculateLevelPar a level's points must reach for two and three stars */
+  const STAR_THRESHOLDS = [0.5, 0.9];
+
+  /* Time attack */
+  const TIME_ATTACK_LIMIT = 120;    // seconds on the global clock
+  const TIME_ATTACK_GOAL = 15;      // seconds thriving (see isScoring) that clear a level
+
+  /*
+   * Game modes registry. Each mode decides how a level is won, what
+   * happens between levels and how the run ends (see stepGame):
+   * - goal: 'survive' clears the level when levelTime runs out; 'thrive'
+   *   only counts down levelTime while every need is above SCORE_THRESHOLD
+   * - levelBreaks: stop on the Victory screen after each level, otherwise
+   *   the next level starts straight away (see advanceLevel)
+   * - carryNeeds: needs carry over into the next level instead of refilling
+   * - smoothDifficulty: drain and recharge ramp up through each level
+   *   instead of jumping at the start of the next (see calculateDifficulty)
+   * - timeLimit: seconds on the global clock, or null for no limit
+   * - challenge: runs need a challenge with its own rules and target
+   *   level (see createInitialState and validateChallenge)
+   * - shop: cleared levels earn coins to spend on UPGRADES during the
+   *   level break (see buyUpgrade)
+   */
+  const GAME_MODES = {
+    classic: {
+      id: 'classic', name: 'Classic', icon: '🦄',
+      description: 'Survive 30-second levels. Needs refill between levels.',
+      goal: 'survive', levelTime: LEVEL_TIME, levelBreaks: true, carryNeeds: false, smoothDifficulty: false, timeLimit: null,
+      challenge: false, shop: true
+    },
+    endless: {
+      id: 'endless', name: 'Endless', icon: '♾️',
+      description: 'One long run with no breaks. Needs carry over and the ranch keeps getting harder.',
+      goal: 'survive', levelTime: LEVEL_TIME, levelBreaks: false, carryNeeds: true, smoothDifficulty: true, timeLimit: null,
+      challenge: false, shop: false
+    },
+    timeattack: {
+      id: 'timeattack', name: 'Time Attack', icon: '🏁',
+      description: `Clear as many levels as you can in ${TIME_ATTACK_LIMIT / 60} minutes. ` +
+        `A level clears after ${TIME_ATTACK_GOAL} seconds with every need above ${SCORE_THRESHOLD}%.`,
+      goal: 'thrive', levelTime: TIME_ATTACK_GOAL, levelBreaks: false, carryNeeds: false, smoothDifficulty: false,
+      timeLimit: TIME_ATTACK_LIMIT, challenge: false, shop: false
+    },
+    daily: {
+      id: 'daily', name: 'Daily Challenge', icon: '📅',
+      description: 'The same rules for everyone today: boosted and weakened zones, odd starting needs and a target level.',
+      goal: 'survive', levelTime: LEVEL_TIME, levelBreaks: true, carryNeeds: false, smoothDifficulty: false, timeLimit: null,
+      challenge: true, shop: true
+    }
+  };
+
+  /* Modifiers that leave drain and recharge unchanged */
+  const NO_MODIFIERS = { drain: {}, recharge: {} };
+
+  /* Mode for states created without one */
+  const DEFAULT_MODE = 'classic';
+
+  /*
+   * Default zone layout in the same 0-100 percent space as the unicorn's
+   * position. Zones are listed bottom to top: where shapes overlap, the
+   * later entry wins. Shapes are rects {x, y, w, h}, ellipses
+   * {cx, cy, rx, ry} or polygons {points: [[x, y], ...]}.
+   */
+  const DEFAULT_LAYOUT = [
+    { id: 'lake', shape: { type: 'rect', x: 1, y: 1, w: 48, h: 48 } },
+    { id: 'barn', shape: { type: 'rect', x: 51, y: 1, w: 48, h: 48 } },
+    { id: 'field', shape: { type: 'rect', x: 1, y: 51, w: 48, h: 48 } },
+    { id: 'play', shape: { type: 'rect', x: 51, y: 51, w: 48, h: 48 } }
+  ];
+
+  /*
+   * Level definitions: the format campaign packs write levels in (see
+   * validateLevel). Every field is optional; what a level leaves out
+   * comes from the mode and the usual formulas.
+   */
+  const LEVEL_FIELDS = ['name', 'duration', 'difficulty', 'zones', 'drain', 'recharge', 'startNeeds', 'monster', 'objective'];
+  const MONSTER_FIELDS = ['enabled', 'speed', 'prowl'];
+  const LEVEL_GOALS = ['survive', 'thrive'];
+
+  /* Seed for states created without one, so tests and tools are repeatable */
+  const DEFAULT_SEED = 1;
 
-  if (zone === 'lake') {
-    updated.thirst = clamp(updated.thirst + BASE_RECHARGE.lake.thirst * rechargeMult * dt, 0, 100);
+  /* Schema version written into saves; bump it and add a migration when the state shape changes */
+  const SAVE_VERSION = 14;
+
+  /*
+   * Event types reported by stepGame. Every event carries its type and
+   * level; zone-entered adds the zone, need-critical the need,
+   * item-collected the item and world events the event id.
+   */
+  const GAME_EVENTS = {
+    MONSTER_TRIGGERED: 'monster-triggered',
+    MONSTER_CAUGHT: 'monster-caught',
+    LEVEL_COMPLETE: 'level-complete',
+    GAME_OVER: 'game-over',
+    TIME_UP: 'time-up',
+    CHALLENGE_COMPLETE: 'challenge-complete',
+    ITEM_COLLECTED: 'item-collected',
+    SHIELD_BLOCKED: 'shield-blocked',
+    WORLD_EVENT_STARTED: 'world-event-started',
+    WORLD_EVENT_ENDED: 'world-event-ended',
+    MONSTER_ESCAPED: 'monster-escaped',
+    ZONE_ENTERED: 'zone-entered',
+    NEED_CRITICAL: 'need-critical'
+  };
+
+  // ============================================
+  // UTILITY FUNCTIONS
+  // ============================================
+
+  /**
+   * Clamps a value between min and max bounds
+   * @param {number} v - The value to clamp
+   * @param {number} min - Minimum bound
+   * @param {number} max - Maximum bound
+   * @returns {number} The clamped value
+   */
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
   }
-  if (zone === 'field') {
-    updated.hunger = clamp(updated.hunger + BASE_RECHARGE.field.hunger * rechargeMult * dt, 0, 100);
+
+  /**
+   * Checks for a finite number (rejects NaN, Infinity and non-numbers)
+   * @param {*} v - Value to check
+   * @returns {boolean} True if v is a finite number
+   */
+  function isFiniteNumber(v) {
+    return typeof v === 'number' && Number.isFinite(v);
   }
-  if (zone === 'barn') {
-    updated.energy = clamp(updated.energy + BASE_RECHARGE.barn.energy * rechargeMult * dt, 0, 100);
+
+  /**
+   * Checks for a plain object (not null, not an array)
+   * @param {*} v - Value to check
+   * @returns {boolean} True if v is a non-array object
+   */
+  function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
   }
-  if (zone === 'play') {
-    updated.fun = clamp(updated.fun + BASE_RECHARGE.play.fun * rechargeMult * dt, 0, 100);
+
+  /**
+   * Creates an error the player can be shown in their own language. The
+   * message stays English for logs and tests; the id names the catalog
+   * message ("error.<id>" in i18n.js) and params fill in its placeholders.
+   * @param {string} id - Message id, e.g. "leaderboard.invalid"
+   * @param {object} params - Placeholder values
+   * @param {string} message - English message
+   * @returns {Error} Error with id and params
+   */
+  function createPlayerError(id, params, message) {
+    return Object.assign(new Error(message), { id, params });
   }
 
-  return updated;
-}
+  // ============================================
+  // RANDOM NUMBERS
+  // ============================================
 
-/**
- * Updates needs for a single game tick
- * @param {object} needs - Current needs object
- * @param {string|null} zone - Current zone the unicorn is in
- * @param {number} level - Current game level
- * @param {number} dt - Time delta in seconds
- * @returns {object} Updated needs object
- */
-function updateNeeds(needs, zone, level, dt) {
-  const drained = applyDrain(needs, level, dt);
-  return applyRecharge(drained, zone, level, dt);
-}
+  /**
+   * Seeded random number generator (mulberry32). Game state carries the
+   * seed in state.rng, so a run replays exactly from its starting seed.
+   * @param {number} seed - Current seed, an unsigned 32-bit integer
+   * @returns {{value: number, seed: number}} Number in [0, 1) and the next seed
+   */
+  function nextRandom(seed) {
+    const next = (seed + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, seed: next };
+  }
 
-/**
- * Checks if any need has reached zero (game over condition)
- * @param {object} needs - Current needs object
- * @returns {boolean} True if any need is at or below zero
- */
-function checkGameOver(needs) {
-  return Object.values(needs).some(v => v <= 0);
-}
+  /**
+   * Creates a generator of seeded random numbers, for things outside the
+   * game state such as decorative particles
+   * @param {number} seed - Starting seed, an unsigned 32-bit integer
+   * @returns {function(): number} Returns the next number in [0, 1) on each call
+   */
+  function createRandom(seed) {
+    let current = seed >>> 0;
+    return () => {
+      const result = nextRandom(current);
+      current = result.seed;
+      return result.value;
+    };
+  }
 
-/**
- * Checks if level time has expired (level complete condition)
- * @param {number} levelTime - Current remaining time
- * @returns {boolean} True if level time is at or below zero
- */
-function checkLevelComplete(levelTime) {
-  return levelTime <= 0;
-}
+  /**
+   * Checks for a valid seed
+   * @param {*} seed - Value to check
+   * @returns {boolean} True for an unsigned 32-bit integer
+   */
+  function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF;
+  }
 
-/**
- * Creates the next level state
- * @param {object} currentState - Current game state
- * @returns {object} New state for next level
- */
-function createNextLevelState(currentState) {
-  return {
-    ...currentState,
-    level: currentState.level + 1,
-    needs: { hunger: 100, thirst: 100, energy: 100, fun: 100 },
-    levelTime: LEVEL_TIME,
-    status: null,
-    eaten: false,
-    monster: { x: -20, y: 50, chomp: false }
-  };
-}
+  // ============================================
+  // MODIFIERS
+  // ============================================
 
-/**
- * Updates the level timer
- * @param {number} currentTime - Current remaining time
- * @param {number} dt - Time delta in seconds
- * @returns {number} New remaining time
- */
-function updateLevelTimer(currentTime, dt) {
-  return currentTime - dt;
-}
+  /*
+   * Modifiers scale drain and recharge on top of the level multipliers:
+   * {drain: {needId: multiplier}, recharge: {zoneId: multiplier}}. Anything
+   * not listed is left at 1.
+   */
 
-/**
- * Creates monster chase state when a need reaches zero
- * @param {object} currentState - Current game state
- * @returns {object} State with monster chase initiated
- */
-function createMonsterChaseState(currentState) {
-  return {
-    ...currentState,
-    eaten: true,
-    monster: { x: -20, y: currentState.y, chomp: false }
-  };
-}
+  /**
+   * Reads one multiplier from a modifier table
+   * @param {object} table - Multipliers keyed by need or zone id
+   * @param {string} id - Need or zone identifier
+   * @returns {number} The multiplier, or 1 if the table doesn't list it
+   */
+  function getModifier(table, id) {
+    return Object.prototype.hasOwnProperty.call(table, id) ? table[id] : 1;
+  }
 
-/**
- * Gets the zone mapping for display purposes
- * @param {string} zone - Zone identifier
- * @returns {string} Display string for the zone
- */
-function getZoneDisplay(zone) {
-  const displays = {
-    lake: 'Lake 💧',
-    field: 'Field 🍎',
-    barn: 'Barn 💤',
-    play: 'Play 🎈'
+  /**
+   * Stacks modifiers by multiplying them together
+   * @param {...object} list - Modifiers to combine
+   * @returns {object} Combined modifiers
+   */
+  function combineModifiers(...list) {
+    const combine = key => list.reduce((acc, modifiers) => {
+      Object.entries(modifiers[key]).forEach(([id, mult]) => {
+        acc[id] = getModifier(acc, id) * mult;
+      });
+      return acc;
+    }, {});
+    return { drain: combine('drain'), recharge: combine('recharge') };
+  }
+
+  /**
+   * Collects the modifiers in force for a state: its challenge's rules,
+   * the unicorn's traits, its active power-ups, any world events under way,
+   * the slower-drain assist and the campaign's definition of the level
+   * @param {object} state - Current game state
+   * @returns {object} Modifiers for applyDrain and applyRecharge
+   */
+  function getStateModifiers(state) {
+    const { challenge } = state;
+    return combineModifiers(
+      challenge ? { drain: challenge.drain, recharge: challenge.recharge } : NO_MODIFIERS,
+      getTraitModifiers(state.traits),
+      getEffectModifiers(state.effects, Object.keys(state.needs)),
+      getWorldEventModifiers(state.worldEvents),
+      getAssistModifiers(state.assist, Object.keys(state.needs)),
+      getLevelModifiers(getLevelDefinition(state.campaign, state.level))
+    );
+  }
+
+  /**
+   * Works out the drain and recharge modifiers a level definition sets
+   * @param {object|null} definition - Level definition, or null
+   * @returns {object} Modifiers; none for levels without a definition
+   */
+  function getLevelModifiers(definition) {
+    if (!definition) {
+      return NO_MODIFIERS;
+    }
+    return { drain: definition.drain || {}, recharge: definition.recharge || {} };
+  }
+
+  /**
+   * Works out the drain modifiers of the slower-drain assist
+   * @param {number} assist - Drain scale from DRAIN_ASSISTS
+   * @param {Array<string>} needIds - Needs the state tracks
+   * @returns {object} Modifiers scaling every need's drain by the assist
+   */
+  function getAssistModifiers(assist, needIds) {
+    if (assist === 1) {
+      return NO_MODIFIERS;
+    }
+    return { drain: Object.fromEntries(needIds.map(id => [id, assist])), recharge: {} };
+  }
+
+  /**
+   * Turns the slower-drain assist on or off for a run. Replays start from
+   * the state a run began in, so set it before the run starts. Challenge
+   * modes have the same rules for everyone, so they are always played
+   * without it.
+   * @param {object} state - Game state
+   * @param {number} assist - Drain scale from DRAIN_ASSISTS
+   * @returns {object} State with the assist set
+   * @throws {Error} If the assist isn't one of DRAIN_ASSISTS
+   */
+  function setDrainAssist(state, assist) {
+    if (!DRAIN_ASSISTS.includes(assist)) {
+      throw new Error(`Invalid drain assist: ${assist}`);
+    }
+    return { ...state, assist: getGameMode(state.mode).challenge ? 1 : assist };
+  }
+
+  // ============================================
+  // GAME STATE FUNCTIONS
+  // ============================================
+
+  /**
+   * Looks up a need in the NEEDS registry
+   * @param {string} need - Need identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getNeed(need) {
+    return need != null && Object.prototype.hasOwnProperty.call(NEEDS, need) ? NEEDS[need] : null;
+  }
+
+  /**
+   * Creates a needs object with every listed need at its starting value
+   * @param {Array<string>} [needIds] - Needs to track, defaults to DEFAULT_NEEDS
+   * @param {object} [start] - Starting values that replace the registry's, keyed by need id
+   * @returns {object} Needs object keyed by need id
+   */
+  function createNeeds(needIds = DEFAULT_NEEDS, start = {}) {
+    return Object.fromEntries(needIds.map(id => {
+      const need = getNeed(id);
+      if (!need) {
+        throw new Error(`Unknown need: ${id}`);
+      }
+      return [id, Object.prototype.hasOwnProperty.call(start, id) ? start[id] : need.start];
+    }));
+  }
+
+  /**
+   * Checks whether a need is below its critical threshold
+   * @param {string} need - Need identifier
+   * @param {number} value - Current value of the need
+   * @returns {boolean} True if the need is critical
+   */
+  function isNeedCritical(need, value) {
+    const entry = getNeed(need);
+    return entry ? value < entry.critical : false;
+  }
+
+  /**
+   * Creates the initial game state
+   * @param {Array<string>} [needIds] - Needs to track, defaults to DEFAULT_NEEDS
+   * @param {number} [seed] - Random seed for the run, defaults to DEFAULT_SEED
+   * @param {string} [mode] - Game mode id, defaults to DEFAULT_MODE
+   * @param {object} [challenge] - Rules for modes that need a challenge (see validateChallenge)
+   * @returns {object} Initial game state object
+   */
+  function createInitialState(needIds = DEFAULT_NEEDS, seed = DEFAULT_SEED, mode = DEFAULT_MODE, challenge = null) {
+    if (!isValidSeed(seed)) {
+      throw new Error(`Invalid seed: ${seed}`);
+    }
+    const entry = getGameMode(mode);
+    if (!entry) {
+      throw new Error(`Unknown game mode: ${mode}`);
+    }
+    if (entry.challenge && !challenge) {
+      throw new Error(`Game mode ${mode} needs a challenge`);
+    }
+    if (challenge) {
+      const errors = validateChallenge(challenge);
+      if (errors.length > 0) {
+        throw new Error(`Invalid challenge: ${errors.join('; ')}`);
+      }
+    }
+    return {
+      x: 15,
+      y: 25,
+      needs: createNeeds(needIds, challenge ? challenge.startNeeds : {}),
+      level: 1,
+      levelTime: entry.levelTime,
+      status: null,
+      eaten: false,
+      monster: createMonster(),
+      layout: DEFAULT_LAYOUT,
+      target: null,
+      rng: seed,
+      score: createScore(),
+      runTime: 0,
+      mode,
+      timeLeft: entry.timeLimit,
+      challenge,
+      items: [],
+      effects: {},
+      spawnTimer: getSpawnTable(1).interval,
+      worldEvents: scheduleWorldEvents(1, seed),
+      coins: 0,
+      traits: {},
+      assist: 1,
+      campaign: null
+    };
+  }
+
+  /**
+   * Calculates the drain multiplier based on level
+   * @param {number} level - Current game level
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {number} The drain multiplier
+   */
+  function calculateDrainMultiplier(level, tuning = DEFAULT_TUNING) {
+    return 1 + (level - 1) * tuning.drainGrowth;
+  }
+
+  /**
+   * Calculates the recharge multiplier based on level
+   * @param {number} level - Current game level
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {number} The recharge multiplier
+   */
+  function calculateRechargeMultiplier(level, tuning = DEFAULT_TUNING) {
+    return 1 + (level - 1) * tuning.rechargeGrowth;
+  }
+
+  /**
+   * Applies drain to all tracked needs based on level and time delta.
+   * Rates come from the NEEDS registry.
+   * @param {object} needs - Current needs object {hunger, thirst, energy, fun}
+   * @param {number} level - Current game level
+   * @param {number} dt - Time delta in seconds
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @param {object} [modifiers] - Per-need drain multipliers, defaults to NO_MODIFIERS
+   * @returns {object} Updated needs object
+   */
+  function applyDrain(needs, level, dt, tuning = DEFAULT_TUNING, modifiers = NO_MODIFIERS) {
+    const drainMult = calculateDrainMultiplier(level, tuning);
+    return Object.fromEntries(Object.entries(needs).map(([id, value]) => {
+      const need = getNeed(id);
+      const drain = need ? need.drain * getModifier(modifiers.drain, id) : 0;
+      return [id, clamp(value - drain * drainMult * dt, 0, 100)];
+    }));
+  }
+
+  /**
+   * Applies recharge to needs based on current zone. Rates come from the
+   * ZONES registry; needs the state doesn't track are skipped.
+   * @param {object} needs - Current needs object {hunger, thirst, energy, fun}
+   * @param {string|null} zone - Current zone id from ZONES, or null
+   * @param {number} level - Current game level
+   * @param {number} dt - Time delta in seconds
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @param {object} [modifiers] - Per-zone recharge multipliers, defaults to NO_MODIFIERS
+   * @returns {object} Updated needs object
+   */
+  function applyRecharge(needs, zone, level, dt, tuning = DEFAULT_TUNING, modifiers = NO_MODIFIERS) {
+    const rechargeMult = calculateRechargeMultiplier(level, tuning) * getModifier(modifiers.recharge, zone);
+    const updated = { ...needs };
+    const entry = getZone(zone);
+    const rates = entry ? entry.recharge : {};
+
+    Object.entries(rates).forEach(([need, rate]) => {
+      if (need in updated) {
+        updated[need] = clamp(updated[need] + rate * rechargeMult * dt, 0, 100);
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Updates needs for a single game tick
+   * @param {object} needs - Current needs object
+   * @param {string|null} zone - Current zone the unicorn is in
+   * @param {number} level - Current game level
+   * @param {number} dt - Time delta in seconds
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @param {object} [modifiers] - Drain and recharge multipliers, defaults to NO_MODIFIERS
+   * @returns {object} Updated needs object
+   */
+  function updateNeeds(needs, zone, level, dt, tuning = DEFAULT_TUNING, modifiers = NO_MODIFIERS) {
+    const drained = applyDrain(needs, level, dt, tuning, modifiers);
+    return applyRecharge(drained, zone, level, dt, tuning, modifiers);
+  }
+
+  /**
+   * Checks if any need has reached zero. The monster is then no longer
+   * scared of safe zones, so the unicorn has nowhere to hide.
+   * @param {object} needs - Current needs object
+   * @returns {boolean} True if any need is at or below zero
+   */
+  function checkGameOver(needs) {
+    return Object.values(needs).some(v => v <= 0);
+  }
+
+  /**
+   * Works out which need let the monster catch the unicorn
+   * @param {object} needs - Needs when the unicorn was caught
+   * @returns {string|null} The lowest critical need, or null if none was
+   *   critical (the monster caught the unicorn while prowling)
+   */
+  function getGameOverCause(needs) {
+    const critical = Object.entries(needs).filter(([id, value]) => isNeedCritical(id, value));
+    if (critical.length === 0) {
+      return null;
+    }
+    return critical.reduce((min, need) => (need[1] < min[1] ? need : min))[0];
+  }
+
+  /**
+   * Checks if level time has expired (level complete condition)
+   * @param {number} levelTime - Current remaining time
+   * @returns {boolean} True if level time is at or below zero
+   */
+  function checkLevelComplete(levelTime) {
+    return levelTime <= 0;
+  }
+
+  /**
+   * Creates the next level state after a level break. A campaign's
+   * definition of the next level sets its clock, layout and starting
+   * needs; past the end of the campaign, or without one, the level falls
+   * back to the mode's clock and the usual formulas (see getLevelSetup).
+   * @param {object} currentState - Current game state
+   * @param {Array<string>} [needIds] - Needs to track next level, defaults to the current ones
+   * @returns {object} New state for next level
+   */
+  function createNextLevelState(currentState, needIds = Object.keys(currentState.needs)) {
+    const mode = getGameMode(currentState.mode);
+    const setup = getLevelSetup(currentState, currentState.level + 1, needIds);
+    return {
+      ...currentState,
+      level: currentState.level + 1,
+      needs: mode.carryNeeds ? currentState.needs : setup.needs,
+      levelTime: setup.levelTime,
+      layout: setup.layout,
+      status: null,
+      eaten: false,
+      monster: createMonster(),
+      target: null,
+      score: { ...currentState.score, level: 0 },
+      items: [],
+      spawnTimer: getSpawnTable(currentState.level + 1).interval,
+      worldEvents: scheduleWorldEvents(currentState.level + 1, currentState.rng)
+    };
+  }
+
+  /**
+   * Updates the level timer
+   * @param {number} currentTime - Current remaining time
+   * @param {number} dt - Time delta in seconds
+   * @returns {number} New remaining time
+   */
+  function updateLevelTimer(currentTime, dt) {
+    return currentTime - dt;
+  }
+
+  /**
+   * Looks up a zone in the ZONES registry
+   * @param {string|null} zone - Zone identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getZone(zone) {
+    return zone != null && Object.prototype.hasOwnProperty.call(ZONES, zone) ? ZONES[zone] : null;
+  }
+
+  /**
+   * Gets the zone mapping for display purposes
+   * @param {string} zone - Zone identifier
+   * @returns {string} Display string for the zone
+   */
+  function getZoneDisplay(zone) {
+    const entry = getZone(zone);
+    return entry ? `${entry.name} ${entry.icon}` : null;
+  }
+
+  /**
+   * Validates if a position is within valid bounds
+   * @param {number} x - X position as percentage (0-100)
+   * @param {number} y - Y position as percentage (0-100)
+   * @returns {boolean} True if position is valid
+   */
+  function isValidPosition(x, y) {
+    return x >= 0 && x <= 100 && y >= 0 && y <= 100;
+  }
+
+  /**
+   * Clamps a position to valid bounds
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {object} Clamped position {x, y}
+   */
+  function clampPosition(x, y) {
+    return {
+      x: clamp(x, 0, 100),
+      y: clamp(y, 0, 100)
+    };
+  }
+
+  /**
+   * Moves a position in a direction at a given speed, staying inside the
+   * field. Direction vectors longer than 1 are normalised so diagonals are
+   * no faster than straight lines; shorter ones (e.g. a half-tilted stick)
+   * move proportionally slower.
+   * @param {object} position - Current position {x, y}
+   * @param {object} direction - Direction {x, y}, each roughly -1 to 1
+   * @param {number} dt - Time delta in seconds
+   * @param {number} [speed] - Percent per second, defaults to UNICORN_SPEED
+   * @returns {object} New clamped position {x, y}
+   */
+  function applyMovement(position, direction, dt, speed = UNICORN_SPEED) {
+    const length = Math.hypot(direction.x, direction.y);
+    if (length === 0) {
+      return clampPosition(position.x, position.y);
+    }
+    const scale = length > 1 ? 1 / length : 1;
+    return clampPosition(
+      position.x + direction.x * scale * speed * dt,
+      position.y + direction.y * scale * speed * dt
+    );
+  }
+
+  /**
+   * Calculates how fast the unicorn travels. Speed grows with level and
+   * falls as energy runs low, down to TIRED_SPEED of full speed when empty.
+   * @param {number} level - Current game level
+   * @param {number} [energy] - Current energy; runs that don't track energy travel at full speed
+   * @returns {number} Speed in percent per second
+   */
+  function calculateTravelSpeed(level, energy) {
+    const levelMult = 1 + (level - 1) * SPEED_GROWTH;
+    const energyFactor = energy === undefined
+      ? 1
+      : TIRED_SPEED + (1 - TIRED_SPEED) * clamp(energy, 0, 100) / 100;
+    return UNICORN_SPEED * levelMult * energyFactor;
+  }
+
+  /**
+   * Moves a position straight towards a target without overshooting
+   * @param {object} position - Current position {x, y}
+   * @param {object} target - Destination {x, y}
+   * @param {number} maxDistance - Furthest the position may move
+   * @returns {object} New position {x, y, arrived}
+   */
+  function moveTowards(position, target, maxDistance) {
+    const dx = target.x - position.x;
+    const dy = target.y - position.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance <= maxDistance) {
+      return { x: target.x, y: target.y, arrived: true };
+    }
+    const scale = maxDistance / distance;
+    return { x: position.x + dx * scale, y: position.y + dy * scale, arrived: false };
+  }
+
+  /**
+   * Charges energy for distance travelled
+   * @param {object} needs - Current needs object
+   * @param {number} distance - Distance travelled in percent
+   * @returns {object} Updated needs object
+   */
+  function applyTravelCost(needs, distance) {
+    if (!('energy' in needs) || distance <= 0) {
+      return needs;
+    }
+    return { ...needs, energy: clamp(needs.energy - distance * TRAVEL_ENERGY_COST, 0, 100) };
+  }
+
+  /**
+   * Calculates the net change for a specific need based on zone and travel
+   * @param {string} needType - Need id from NEEDS
+   * @param {string|null} zone - The current zone
+   * @param {number} level - Current game level
+   * @param {number} dt - Time delta
+   * @param {number} [distance] - Distance travelled during dt, costing energy
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @param {object} [modifiers] - Drain and recharge multipliers, defaults to NO_MODIFIERS
+   * @returns {number} Net change (positive = gaining, negative = losing)
+   */
+  function calculateNetNeedChange(needType, zone, level, dt, distance = 0, tuning = DEFAULT_TUNING, modifiers = NO_MODIFIERS) {
+    const drainMult = calculateDrainMultiplier(level, tuning) * getModifier(modifiers.drain, needType);
+    const rechargeMult = calculateRechargeMultiplier(level, tuning) * getModifier(modifiers.recharge, zone);
+
+    const need = getNeed(needType);
+    let change = need ? -need.drain * drainMult * dt : 0;
+
+    const entry = getZone(zone);
+    if (entry && entry.recharge[needType]) {
+      change += entry.recharge[needType] * rechargeMult * dt;
+    }
+
+    if (needType === 'energy') {
+      change -= distance * TRAVEL_ENERGY_COST;
+    }
+
+    return change;
+  }
+
+  // ============================================
+  // NEED PROJECTIONS
+  // ============================================
+
+  /**
+   * Projects where a need is heading if its rate holds. A need that is
+   * already at a threshold is there in 0 seconds; one that isn't falling
+   * never gets there (null).
+   * @param {string} needType - Need id from NEEDS
+   * @param {number} value - The need's current value
+   * @param {number} rate - Net change per second (see calculateNetNeedChange)
+   * @returns {{need: string, value: number, rate: number, trend: string, runsOutIn: number|null, criticalIn: number|null}}
+   *   Trend is 'rising', 'falling' or 'steady' (within STEADY_RATE of zero)
+   */
+  function projectNeed(needType, value, rate) {
+    let trend = 'steady';
+    if (rate > STEADY_RATE) {
+      trend = 'rising';
+    } else if (rate < -STEADY_RATE) {
+      trend = 'falling';
+    }
+
+    const secondsUntil = threshold => {
+      if (value <= threshold) return 0;
+      return trend === 'falling' ? (value - threshold) / -rate : null;
+    };
+    const need = getNeed(needType);
+
+    return {
+      need: needType,
+      value,
+      rate,
+      trend,
+      runsOutIn: secondsUntil(0),
+      criticalIn: need ? secondsUntil(need.critical) : null
+    };
+  }
+
+  /**
+   * Projects every tracked need for a unicorn that stays where it is,
+   * at the state's current difficulty and with its modifiers (see
+   * getStateModifiers). Travel costs are left out, since they depend on
+   * where the player goes next.
+   * @param {object} state - Current game state
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {object} Projections keyed by need id (see projectNeed)
+   */
+  function projectNeeds(state, tuning = DEFAULT_TUNING) {
+    const zone = getZoneAt(state.x, state.y, state.layout);
+    const level = calculateDifficulty(state);
+    const modifiers = getStateModifiers(state);
+    return Object.fromEntries(Object.entries(state.needs).map(([id, value]) => {
+      const rate = calculateNetNeedChange(id, zone, level, 1, 0, tuning, modifiers);
+      return [id, projectNeed(id, value, rate)];
+    }));
+  }
+
+  /**
+   * Finds the zone in a layout that refills a need the fastest
+   * @param {string} needType - Need id from NEEDS
+   * @param {Array<object>} [layout] - Zone layout, defaults to DEFAULT_LAYOUT
+   * @param {object} [modifiers] - Recharge multipliers, defaults to NO_MODIFIERS
+   * @returns {string|null} Zone id, or null if no zone in the layout refills it
+   */
+  function findRefillZone(needType, layout = DEFAULT_LAYOUT, modifiers = NO_MODIFIERS) {
+    let best = null;
+    let bestRate = 0;
+    layout.forEach(({ id }) => {
+      const entry = getZone(id);
+      const rate = entry && entry.recharge[needType] ? entry.recharge[needType] * getModifier(modifiers.recharge, id) : 0;
+      if (rate > bestRate) {
+        best = id;
+        bestRate = rate;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Picks the need that will go critical soonest and where to refill it.
+   * Needs that are rising already have the unicorn's attention and are
+   * skipped; ties go to the lower need.
+   * @param {object} state - Current game state
+   * @param {object} [projections] - Projections from projectNeeds, worked out if not given
+   * @returns {{need: string, criticalIn: number, zone: string|null}|null} The need, the
+   *   seconds until it goes critical (0 if it already has) and the zone that
+   *   refills it, or null if no need is heading for critical
+   */
+  function getNextCriticalNeed(state, projections = projectNeeds(state)) {
+    const next = Object.values(projections)
+      .filter(p => p.trend !== 'rising' && p.criticalIn !== null)
+      .sort((a, b) => a.criticalIn - b.criticalIn || a.value - b.value)[0];
+    if (!next) {
+      return null;
+    }
+    return {
+      need: next.need,
+      criticalIn: next.criticalIn,
+      zone: findRefillZone(next.need, state.layout, getStateModifiers(state))
+    };
+  }
+
+  // ============================================
+  // ZONE LAYOUT FUNCTIONS
+  // ============================================
+
+  /**
+   * Checks whether a point lies inside a zone shape (edges included)
+   * @param {number} x - X position as percentage (0-100)
+   * @param {number} y - Y position as percentage (0-100)
+   * @param {object} shape - Rect, ellipse or polygon shape
+   * @returns {boolean} True if the point is inside the shape
+   */
+  function isPointInShape(x, y, shape) {
+    switch (shape.type) {
+      case 'rect':
+        return x >= shape.x && x <= shape.x + shape.w &&
+          y >= shape.y && y <= shape.y + shape.h;
+      case 'ellipse': {
+        const dx = (x - shape.cx) / shape.rx;
+        const dy = (y - shape.cy) / shape.ry;
+        return dx * dx + dy * dy <= 1;
+      }
+      case 'polygon': {
+        // Ray casting: count edge crossings to the right of the point
+        const pts = shape.points;
+        let inside = false;
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+          const [xi, yi] = pts[i];
+          const [xj, yj] = pts[j];
+          if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+          }
+        }
+        return inside;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Gets the bounding box of a zone shape, used to position it on screen
+   * @param {object} shape - Rect, ellipse or polygon shape
+   * @returns {object} Bounds {x, y, w, h} in percent
+   */
+  function getShapeBounds(shape) {
+    switch (shape.type) {
+      case 'rect':
+        return { x: shape.x, y: shape.y, w: shape.w, h: shape.h };
+      case 'ellipse':
+        return { x: shape.cx - shape.rx, y: shape.cy - shape.ry, w: shape.rx * 2, h: shape.ry * 2 };
+      case 'polygon': {
+        const xs = shape.points.map(p => p[0]);
+        const ys = shape.points.map(p => p[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+      }
+      default:
+        return { x: 0, y: 0, w: 0, h: 0 };
+    }
+  }
+
+  /**
+   * Validates a zone shape
+   * @param {*} shape - Value to check
+   * @returns {boolean} True if the shape is a well-formed rect, ellipse or polygon
+   */
+  function isValidShape(shape) {
+    if (!isPlainObject(shape)) return false;
+    switch (shape.type) {
+      case 'rect':
+        return [shape.x, shape.y, shape.w, shape.h].every(isFiniteNumber) && shape.w >= 0 && shape.h >= 0;
+      case 'ellipse':
+        return [shape.cx, shape.cy, shape.rx, shape.ry].every(isFiniteNumber) && shape.rx > 0 && shape.ry > 0;
+      case 'polygon':
+        return Array.isArray(shape.points) && shape.points.length >= 3 &&
+          shape.points.every(p => Array.isArray(p) && p.length === 2 && p.every(isFiniteNumber));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Finds the zone at a position. Where zones overlap, the one listed
+   * last in the layout (drawn on top) wins.
+   * @param {number} x - X position as percentage (0-100)
+   * @param {number} y - Y position as percentage (0-100)
+   * @param {Array<object>} [layout] - Zone layout, defaults to DEFAULT_LAYOUT
+   * @returns {string|null} Zone id, or null if the position is in no zone
+   */
+  function getZoneAt(x, y, layout = DEFAULT_LAYOUT) {
+    for (let i = layout.length - 1; i >= 0; i--) {
+      if (isPointInShape(x, y, layout[i].shape)) {
+        return layout[i].id;
+      }
+    }
+    return null;
+  }
+
+  // ============================================
+  // MONSTER AI
+  // ============================================
+
+  /**
+   * Creates the monster, idle in its lair
+   * @returns {object} Monster {x, y, state, timer, waypoint}
+   */
+  function createMonster() {
+    return { x: MONSTER_LAIR.x, y: MONSTER_LAIR.y, state: 'idle', timer: 0, waypoint: 0 };
+  }
+
+  /**
+   * Calculates the monster's chase speed based on level
+   * @param {number} level - Current game level
+   * @returns {number} Speed in percent per second
+   */
+  function calculateMonsterSpeed(level) {
+    return MONSTER_SPEED * (1 + (level - 1) * MONSTER_SPEED_GROWTH);
+  }
+
+  /**
+   * Checks whether a zone scares the monster off
+   * @param {string|null} zone - Zone id from ZONES, or null
+   * @returns {boolean} True for safe zones such as the barn
+   */
+  function isSafeZone(zone) {
+    const entry = getZone(zone);
+    return Boolean(entry && entry.safe);
+  }
+
+  /**
+   * Checks whether any tracked need is below its critical threshold
+   * @param {object} needs - Current needs object
+   * @returns {boolean} True if the monster should come hunting
+   */
+  function hasCriticalNeed(needs) {
+    return Object.entries(needs).some(([id, value]) => isNeedCritical(id, value));
+  }
+
+  /**
+   * Steps the monster's state machine by one tick:
+   * - idle: waits in its lair; from MONSTER_PROWL_LEVEL on (or as the
+   *   level's behaviour says) it starts prowling, heading for a random corner
+   * - prowling: walks the edges of the field along PROWL_ROUTE at reduced speed
+   * - chasing: runs at the unicorn while any need is critical
+   * - chomping: has caught the unicorn; timer counts towards game over
+   * - retreating: heads back to its lair for MONSTER_RETREAT_TIME, then idles
+   * A chase or prowl that gets within MONSTER_CATCH_RADIUS catches the
+   * unicorn. Safe zones scare the monster off unless a need has run out.
+   * @param {object} monster - Current monster
+   * @param {object} world - What the monster can see this tick
+   * @param {number} world.x - Unicorn x position
+   * @param {number} world.y - Unicorn y position
+   * @param {object} world.needs - Unicorn's needs
+   * @param {string|null} world.zone - Zone the unicorn is in
+   * @param {number} world.level - Current game level
+   * @param {object} [world.behaviour] - What the monster does this level, defaults to getMonsterBehaviour(world.level)
+   * @param {number} [world.roll] - Random number in [0, 1) for this tick
+   * @param {number} dt - Time delta in seconds
+   * @returns {object} Updated monster
+   */
+  function updateMonster(monster, world, dt) {
+    const behaviour = world.behaviour || getMonsterBehaviour(world.level);
+    const speed = calculateMonsterSpeed(world.level) * behaviour.speed;
+    const hunting = behaviour.enabled && hasCriticalNeed(world.needs);
+    const scared = isSafeZone(world.zone) && !checkGameOver(world.needs);
+    const timer = monster.timer + dt;
+    const to = (state, fields = {}) => ({ ...monster, timer: 0, ...fields, state });
+    const caught = position =>
+      !scared && Math.hypot(world.x - position.x, world.y - position.y) <= MONSTER_CATCH_RADIUS;
+
+    switch (monster.state) {
+      case 'chomping':
+        return { ...monster, x: world.x, y: world.y, timer };
+
+      case 'retreating': {
+        const step = moveTowards(monster, MONSTER_LAIR, speed * dt);
+        if (timer >= MONSTER_RETREAT_TIME) {
+          return to('idle', { x: step.x, y: step.y });
+        }
+        return { ...monster, x: step.x, y: step.y, timer };
+      }
+
+      case 'chasing': {
+        if (scared || !hunting) {
+          return to('retreating');
+        }
+        const step = moveTowards(monster, world, speed * dt);
+        if (caught(step)) {
+          return to('chomping', { x: world.x, y: world.y });
+        }
+        return { ...monster, x: step.x, y: step.y, timer };
+      }
+
+      case 'prowling': {
+        if (hunting && !scared) {
+          return to('chasing');
+        }
+        if (!behaviour.prowl) {
+          return to('retreating');
+        }
+        const step = moveTowards(monster, PROWL_ROUTE[monster.waypoint], speed * MONSTER_PROWL_SPEED * dt);
+        if (caught(step)) {
+          return to('chomping', { x: world.x, y: world.y });
+        }
+        const waypoint = step.arrived ? (monster.waypoint + 1) % PROWL_ROUTE.length : monster.waypoint;
+        return { ...monster, x: step.x, y: step.y, timer, waypoint };
+      }
+
+      case 'idle':
+      default:
+        if (hunting && !scared) {
+          return to('chasing');
+        }
+        if (behaviour.prowl) {
+          return to('prowling', { waypoint: Math.floor((world.roll || 0) * PROWL_ROUTE.length) });
+        }
+        return { ...monster, timer };
+    }
+  }
+
+  // ============================================
+  // POWER-UPS
+  // ============================================
+
+  /**
+   * Looks up an item in the ITEMS registry
+   * @param {string} id - Item identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getItem(id) {
+    return Object.prototype.hasOwnProperty.call(ITEMS, id) ? ITEMS[id] : null;
+  }
+
+  /**
+   * Looks up an effect in the EFFECTS registry
+   * @param {string} id - Effect identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getEffect(id) {
+    return Object.prototype.hasOwnProperty.call(EFFECTS, id) ? EFFECTS[id] : null;
+  }
+
+  /**
+   * Finds the spawn table for a level
+   * @param {number} level - Current game level
+   * @returns {object} Entry from SPAWN_TABLES
+   */
+  function getSpawnTable(level) {
+    return SPAWN_TABLES.filter(table => level >= table.minLevel).pop() || SPAWN_TABLES[0];
+  }
+
+  /**
+   * Picks an item by weight
+   * @param {object} weights - Weights keyed by item id
+   * @param {number} roll - Random number in [0, 1)
+   * @returns {string} Item id
+   */
+  function pickItem(weights, roll) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let left = roll * total;
+    const found = entries.find(([, weight]) => (left -= weight) < 0);
+    return (found || entries[entries.length - 1])[0];
+  }
+
+  /**
+   * Ages the items on the field, removing those past ITEM_LIFETIME
+   * @param {Array<object>} items - Items {id, x, y, timer}; timer is the seconds left
+   * @param {number} dt - Time delta in seconds
+   * @returns {Array<object>} Items still waiting
+   */
+  function updateItems(items, dt) {
+    return items
+      .map(item => ({ ...item, timer: item.timer - dt }))
+      .filter(item => item.timer > 0);
+  }
+
+  /**
+   * Counts down to the next spawn and spawns an item when it is due, at
+   * a random position drawn from rng. With MAX_ITEMS already out the
+   * spawn is skipped and the countdown starts again.
+   * @param {object} spawn - {items, spawnTimer, rng}
+   * @param {number} level - Current game level
+   * @param {number} dt - Time delta in seconds
+   * @returns {object} Updated {items, spawnTimer, rng}
+   */
+  function spawnItems(spawn, level, dt) {
+    const spawnTimer = spawn.spawnTimer - dt;
+    if (spawnTimer > 0) {
+      return { ...spawn, spawnTimer };
+    }
+    const table = getSpawnTable(level);
+    if (spawn.items.length >= MAX_ITEMS) {
+      return { ...spawn, spawnTimer: table.interval };
+    }
+
+    const pick = nextRandom(spawn.rng);
+    const px = nextRandom(pick.seed);
+    const py = nextRandom(px.seed);
+    const span = 100 - 2 * ITEM_MARGIN;
+    const item = {
+      id: pickItem(table.weights, pick.value),
+      x: ITEM_MARGIN + px.value * span,
+      y: ITEM_MARGIN + py.value * span,
+      timer: ITEM_LIFETIME
+    };
+    return { items: [...spawn.items, item], spawnTimer: table.interval, rng: py.seed };
+  }
+
+  /**
+   * Splits the items on the field into those the unicorn is touching and the rest
+   * @param {Array<object>} items - Items on the field
+   * @param {number} x - Unicorn x position
+   * @param {number} y - Unicorn y position
+   * @returns {{items: Array<object>, collected: Array<object>}} Items left and items picked up
+   */
+  function collectItems(items, x, y) {
+    const touching = item => Math.hypot(item.x - x, item.y - y) <= ITEM_PICKUP_RADIUS;
+    return { items: items.filter(item => !touching(item)), collected: items.filter(touching) };
+  }
+
+  /**
+   * Applies a picked-up item's effect. Instant effects change the needs;
+   * picking up a timed effect again restarts its countdown if that is
+   * longer, and charges add up.
+   * @param {object} needs - Current needs object
+   * @param {object} effects - Active effects, keyed by effect id
+   * @param {string} itemId - Item picked up
+   * @returns {{needs: object, effects: object}} Updated needs and effects
+   */
+  function applyItem(needs, effects, itemId) {
+    const item = getItem(itemId);
+    const effect = item && getEffect(item.effect);
+    if (!effect) {
+      return { needs, effects };
+    }
+    const current = effects[effect.id] || 0;
+    switch (effect.kind) {
+      case 'instant':
+        if (!(item.need in needs)) {
+          return { needs, effects };
+        }
+        return { needs: { ...needs, [item.need]: clamp(needs[item.need] + item.amount, 0, 100) }, effects };
+      case 'timed':
+        return { needs, effects: { ...effects, [effect.id]: Math.max(current, item.amount) } };
+      case 'charges':
+      default:
+        return { needs, effects: { ...effects, [effect.id]: current + item.amount } };
+    }
+  }
+
+  /**
+   * Counts down timed effects, removing those that run out. Charges are
+   * only used up by what they protect against (see useShield).
+   * @param {object} effects - Active effects, keyed by effect id
+   * @param {number} dt - Time delta in seconds
+   * @returns {object} Updated effects
+   */
+  function updateEffects(effects, dt) {
+    return Object.fromEntries(Object.entries(effects)
+      .map(([id, value]) => [id, getEffect(id).kind === 'timed' ? value - dt : value])
+      .filter(([, value]) => value > 0));
+  }
+
+  /**
+   * Works out the drain and recharge modifiers of active effects
+   * @param {object} effects - Active effects, keyed by effect id
+   * @param {Array<string>} needIds - Needs the run tracks
+   * @returns {object} Modifiers; a freeze stops every need draining
+   */
+  function getEffectModifiers(effects, needIds) {
+    if (!effects.freeze) {
+      return NO_MODIFIERS;
+    }
+    return { drain: Object.fromEntries(needIds.map(id => [id, 0])), recharge: {} };
+  }
+
+  /**
+   * Lets a shield turn away a monster that has just started a chase
+   * @param {object} monster - Monster after this tick's update
+   * @param {object} previous - Monster before this tick's update
+   * @param {object} effects - Active effects, keyed by effect id
+   * @returns {{monster: object, effects: object, blocked: boolean}} The monster, sent
+   *   retreating if a shield charge was spent, and the remaining effects
+   */
+  function useShield(monster, previous, effects) {
+    const triggered = monster.state === 'chasing' && previous.state !== 'chasing';
+    if (!triggered || !effects.shield) {
+      return { monster, effects, blocked: false };
+    }
+    const { shield, ...rest } = effects;
+    return {
+      monster: { ...monster, state: 'retreating', timer: 0 },
+      effects: shield > 1 ? { ...rest, shield: shield - 1 } : rest,
+      blocked: true
+    };
+  }
+
+  // ============================================
+  // WORLD EVENTS
+  // ============================================
+
+  /**
+   * Looks up an event in the WORLD_EVENTS registry
+   * @param {string} id - Event identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getWorldEvent(id) {
+    return Object.prototype.hasOwnProperty.call(WORLD_EVENTS, id) ? WORLD_EVENTS[id] : null;
+  }
+
+  /**
+   * Works out how many events a level schedules
+   * @param {number} level - Level number
+   * @returns {number} None on the first level, one more every two levels, up to MAX_WORLD_EVENTS
+   */
+  function countWorldEvents(level) {
+    return Math.min(MAX_WORLD_EVENTS, Math.floor(level / 2));
+  }
+
+  /**
+   * Schedules a level's events. Each event is a different one, starting
+   * between EVENT_EARLIEST and EVENT_LATEST seconds in. The schedule comes
+   * from its own generator seeded by the seed and level, so it does not
+   * use up state.rng.
+   * @param {number} level - Level number
+   * @param {number} seed - Current state.rng
+   * @returns {Array<object>} Events {id, delay, timer}, soonest first; delay is
+   *   the seconds until the event starts and timer the seconds it then lasts
+   */
+  function scheduleWorldEvents(level, seed) {
+    const random = createRandom((seed ^ Math.imul(level, 0x9e3779b9)) >>> 0);
+    const pool = Object.keys(WORLD_EVENTS);
+    return Array.from({ length: Math.min(countWorldEvents(level), pool.length) }, () => {
+      const [id] = pool.splice(Math.floor(random() * pool.length), 1);
+      const delay = EVENT_EARLIEST + random() * (EVENT_LATEST - EVENT_EARLIEST);
+      return { id, delay, timer: WORLD_EVENTS[id].duration };
+    }).sort((a, b) => a.delay - b.delay);
+  }
+
+  /**
+   * Checks whether an event is under way
+   * @param {object} event - Scheduled event
+   * @returns {boolean} True once its delay has run out
+   */
+  function isWorldEventActive(event) {
+    return event.delay === 0;
+  }
+
+  /**
+   * Checks whether an event is about to start and should be announced
+   * @param {object} event - Scheduled event
+   * @returns {boolean} True within EVENT_WARNING_TIME of its start
+   */
+  function isWorldEventWarning(event) {
+    return event.delay > 0 && event.delay <= EVENT_WARNING_TIME;
+  }
+
+  /**
+   * Counts down scheduled events: first the delay, then the event itself
+   * @param {Array<object>} worldEvents - Scheduled events
+   * @param {number} dt - Time delta in seconds
+   * @returns {{worldEvents: Array<object>, started: Array<string>, ended: Array<string>}}
+   *   Events still to come or under way, and the ids of those that started or ended this tick
+   */
+  function updateWorldEvents(worldEvents, dt) {
+    const started = [];
+    const ended = [];
+    const updated = worldEvents.map(event => {
+      if (isWorldEventActive(event)) {
+        return { ...event, timer: event.timer - dt };
+      }
+      const delay = Math.max(0, event.delay - dt);
+      if (delay === 0) {
+        started.push(event.id);
+      }
+      return { ...event, delay };
+    }).filter(event => {
+      if (event.timer > 0) {
+        return true;
+      }
+      ended.push(event.id);
+      return false;
+    });
+    return { worldEvents: updated, started, ended };
+  }
+
+  /**
+   * Stacks the modifiers of every event under way
+   * @param {Array<object>} worldEvents - Scheduled events
+   * @returns {object} Combined modifiers
+   */
+  function getWorldEventModifiers(worldEvents) {
+    return combineModifiers(...worldEvents.filter(isWorldEventActive).map(event => WORLD_EVENTS[event.id].modifiers));
+  }
+
+  // ============================================
+  // UPGRADE SHOP
+  // ============================================
+
+  /**
+   * Looks up an upgrade in the UPGRADES registry
+   * @param {string} id - Upgrade identifier
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getUpgrade(id) {
+    return id != null && Object.prototype.hasOwnProperty.call(UPGRADES, id) ? UPGRADES[id] : null;
+  }
+
+  /**
+   * Prices the next copy of an upgrade: its cost times the copies owned plus one
+   * @param {object} traits - Owned upgrades, keyed by upgrade id
+   * @param {string} id - Upgrade identifier
+   * @returns {number} Price in coins
+   */
+  function getUpgradeCost(traits, id) {
+    return getUpgrade(id).cost * ((traits[id] || 0) + 1);
+  }
+
+  /**
+   * Works out the coins a cleared level pays
+   * @param {number} levelScore - Points scored in the level, bonus included
+   * @returns {number} One coin per COIN_POINTS points
+   */
+  function calculateCoins(levelScore) {
+    return Math.floor(levelScore / COIN_POINTS);
+  }
+
+  /**
+   * Checks whether an upgrade can be bought. The shop only opens during the
+   * level break of modes with a shop.
+   * @param {object} state - Current game state
+   * @param {string} id - Upgrade identifier
+   * @returns {string|null} Why it can't be bought, or null if it can
+   */
+  function getPurchaseError(state, id) {
+    const upgrade = getUpgrade(id);
+    if (!upgrade) {
+      return `Unknown upgrade: ${id}`;
+    }
+    if (state.status !== 'nextlevel' || !getGameMode(state.mode).shop) {
+      return 'The shop is only open between levels';
+    }
+    if ((state.traits[id] || 0) >= upgrade.max) {
+      return `${upgrade.name} is already at its maximum`;
+    }
+    if (state.coins < getUpgradeCost(state.traits, id)) {
+      return 'Not enough coins';
+    }
+    return null;
+  }
+
+  /**
+   * Buys an upgrade, adding a copy to the unicorn's traits
+   * @param {object} state - State during a level break
+   * @param {string} id - Upgrade identifier
+   * @returns {object} State with the coins spent and the trait added
+   * @throws {Error} If the upgrade can't be bought (see getPurchaseError)
+   */
+  function buyUpgrade(state, id) {
+    const error = getPurchaseError(state, id);
+    if (error) {
+      throw new Error(error);
+    }
+    return {
+      ...state,
+      coins: state.coins - getUpgradeCost(state.traits, id),
+      traits: { ...state.traits, [id]: (state.traits[id] || 0) + 1 }
+    };
+  }
+
+  /**
+   * Works out the drain and recharge modifiers of the unicorn's traits
+   * @param {object} traits - Owned upgrades, keyed by upgrade id
+   * @returns {object} Modifiers; every copy of an upgrade stacks
+   */
+  function getTraitModifiers(traits) {
+    return combineModifiers(...Object.entries(traits).flatMap(([id, count]) => {
+      const { modifiers } = getUpgrade(id);
+      return modifiers ? Array(count).fill(modifiers) : [];
+    }));
+  }
+
+  /**
+   * Lets an escape trait free the unicorn from a monster that has just caught it
+   * @param {object} monster - Monster after this tick's update
+   * @param {object} traits - Owned upgrades, keyed by upgrade id
+   * @returns {{monster: object, traits: object, escaped: boolean}} The monster, sent
+   *   retreating if an escape was used up, and the remaining traits
+   */
+  function useEscape(monster, traits) {
+    const id = Object.keys(traits).find(trait => getUpgrade(trait).escape);
+    if (monster.state !== 'chomping' || !id) {
+      return { monster, traits, escaped: false };
+    }
+    const { [id]: count, ...rest } = traits;
+    return {
+      monster: { ...monster, state: 'retreating', timer: 0 },
+      traits: count > 1 ? { ...rest, [id]: count - 1 } : rest,
+      escaped: true
+    };
+  }
+
+  // ============================================
+  // SCORING
+  // ============================================
+
+  /**
+   * Creates the score for a new run. total is the run's points, level the
+   * points earned this level and streak the seconds since a need last went
+   * critical; the streak carries over between levels.
+   * @returns {object} Score {total, level, streak}
+   */
+  function createScore() {
+    return { total: 0, level: 0, streak: 0 };
+  }
+
+  /**
+   * Checks whether the unicorn is earning points
+   * @param {object} needs - Current needs object
+   * @returns {boolean} True if every need is above SCORE_THRESHOLD
+   */
+  function isScoring(needs) {
+    return Object.values(needs).every(v => v > SCORE_THRESHOLD);
+  }
+
+  /**
+   * Calculates the points multiplier for a streak
+   * @param {number} streak - Seconds since a need last went critical
+   * @returns {number} Multiplier from 1 up to MAX_STREAK_MULTIPLIER
+   */
+  function calculateStreakMultiplier(streak) {
+    return Math.min(MAX_STREAK_MULTIPLIER, 1 + Math.floor(streak / STREAK_INTERVAL) * STREAK_STEP);
+  }
+
+  /**
+   * Updates the score for one tick. Any critical need breaks the streak;
+   * otherwise it grows, and while every need is above SCORE_THRESHOLD the
+   * unicorn earns POINTS_PER_SECOND times the streak multiplier.
+   * @param {object} score - Current score
+   * @param {object} needs - Needs after this tick
+   * @param {number} dt - Time delta in seconds
+   * @returns {object} Updated score
+   */
+  function updateScore(score, needs, dt) {
+    const streak = hasCriticalNeed(needs) ? 0 : score.streak + dt;
+    const points = isScoring(needs) ? POINTS_PER_SECOND * dt * calculateStreakMultiplier(streak) : 0;
+    return { total: score.total + points, level: score.level + points, streak };
+  }
+
+  /**
+   * Calculates the bonus for finishing a level
+   * @param {object} needs - Needs when the level ended
+   * @returns {number} LEVEL_BONUS_RATE points per average need point above SCORE_THRESHOLD
+   */
+  function calculateLevelBonus(needs) {
+    const values = Object.values(needs);
+    const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.round(Math.max(0, average - SCORE_THRESHOLD) * LEVEL_BONUS_RATE);
+  }
+
+  /**
+   * Points a level is rated against: scoring for the whole level without a
+   * streak, plus the bonus for finishing with full needs
+   * @param {number} [duration] - Level length in seconds (see getLevelDuration), defaults to LEVEL_TIME
+   * @returns {number} Par score for one level
+   */
+  function calculateLevelPar(duration = LEVEL_TIME) {
+    return duration * POINTS_PER_SECOND + (100 - SCORE_THRESHOLD) * LEVEL_BONUS_RATE;
+  }
+
+  /**
+   * Rates a finished level. Surviving earns one star; reaching each of
+   * STAR_THRESHOLDS of par earns another.
+   * @param {number} levelScore - Points earned in the level, bonus included
+   * @param {number} [duration] - Level length in seconds (see getLevelDuration), defaults to LEVEL_TIME
+   * @returns {number} Star rating from 1 to 3
+   */
+  function calculateStars(levelScore, duration = LEVEL_TIME) {
+    const par = calculateLevelPar(duration);
+    return 1 + STAR_THRESHOLDS.filter(fraction => levelScore >= par * fraction).length;
+  }
+
+  // ============================================
+  // GAME MODES
+  // ============================================
+
+  /**
+   * Looks up a mode in the GAME_MODES registry
+   * @param {string} mode - Game mode id
+   * @returns {object|null} Registry entry, or null for unknown ids
+   */
+  function getGameMode(mode) {
+    return mode != null && Object.prototype.hasOwnProperty.call(GAME_MODES, mode) ? GAME_MODES[mode] : null;
+  }
+
+  /**
+   * Works out the level drain and recharge are scaled for. A campaign
+   * level can set its difficulty outright. Otherwise modes with
+   * smoothDifficulty count the part of the level already played, so the
+   * ramp has no steps; the others use the level number.
+   * @param {object} state - Current game state
+   * @returns {number} Level for calculateDrainMultiplier and calculateRechargeMultiplier
+   */
+  function calculateDifficulty(state) {
+    const definition = getLevelDefinition(state.campaign, state.level) || {};
+    if (definition.difficulty !== undefined) {
+      return definition.difficulty;
+    }
+    const mode = getGameMode(state.mode);
+    if (!mode.smoothDifficulty) {
+      return state.level;
+    }
+    const levelTime = getLevelDuration(state, state.level);
+    return state.level + (levelTime - state.levelTime) / levelTime;
+  }
+
+  /**
+   * Counts down the level for one tick. 'thrive' goals (see getLevelGoal)
+   * only count while every need is above SCORE_THRESHOLD.
+   * @param {object} state - Current game state
+   * @param {object} needs - Needs after this tick
+   * @param {number} dt - Time delta in seconds
+   * @returns {number} New remaining level time
+   */
+  function updateLevelProgress(state, needs, dt) {
+    if (getLevelGoal(state) === 'thrive' && !isScoring(needs)) {
+      return state.levelTime;
+    }
+    return updateLevelTimer(state.levelTime, dt);
+  }
+
+  /**
+   * Counts down the global clock
+   * @param {number|null} timeLeft - Seconds left, or null for modes without a clock
+   * @param {number} dt - Time delta in seconds
+   * @returns {number|null} Seconds left, never below zero
+   */
+  function updateTimeLeft(timeLeft, dt) {
+    return timeLeft === null ? null : Math.max(0, timeLeft - dt);
+  }
+
+  /**
+   * Starts the next level without a break, for modes without levelBreaks.
+   * The unicorn and monster carry on where they are, and so do world
+   * events under way; events still to come make way for the new level's.
+   * Like createNextLevelState, it follows the campaign if there is one.
+   * @param {object} state - State of the level just cleared
+   * @returns {object} State for the next level
+   */
+  function advanceLevel(state) {
+    const mode = getGameMode(state.mode);
+    const setup = getLevelSetup(state, state.level + 1, Object.keys(state.needs));
+    return {
+      ...state,
+      level: state.level + 1,
+      needs: mode.carryNeeds ? state.needs : setup.needs,
+      levelTime: setup.levelTime,
+      layout: setup.layout,
+      score: { ...state.score, level: 0 },
+      worldEvents: [
+        ...state.worldEvents.filter(isWorldEventActive),
+        ...scheduleWorldEvents(state.level + 1, state.rng)
+      ]
+    };
+  }
+
+  /**
+   * Checks whether a run has ended: caught by the monster, out of time or
+   * with its challenge complete
+   * @param {object} state - Current game state
+   * @returns {boolean} True once the run is over
+   */
+  function isRunOver(state) {
+    return state.status === 'gameover' || state.status === 'timeup' || state.status === 'complete';
+  }
+
+  /**
+   * Validates a challenge: the rules of a challenge run
+   * - id: names the challenge, e.g. the date of a daily challenge
+   * - targetLevel: clearing this level completes the challenge
+   * - startNeeds: need values at the start of every level, keyed by need id
+   * - drain: per-need drain multipliers; recharge: per-zone recharge multipliers
+   * @param {*} challenge - Value to check
+   * @returns {Array<string>} Problems found; empty when the challenge is valid
+   */
+  function validateChallenge(challenge) {
+    if (!isPlainObject(challenge)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const checkTable = (key, isKnown, isValid, rule) => {
+      if (!isPlainObject(challenge[key])) {
+        errors.push(`${key} must be an object`);
+        return;
+      }
+      Object.entries(challenge[key]).forEach(([id, value]) => {
+        if (!isKnown(id)) {
+          errors.push(`${key}.${id} is not known`);
+        } else if (!isFiniteNumber(value) || !isValid(value)) {
+          errors.push(`${key}.${id} must be ${rule}`);
+        }
+      });
+    };
+
+    if (typeof challenge.id !== 'string' || challenge.id === '') {
+      errors.push('id must be a non-empty string');
+    }
+    if (!Number.isInteger(challenge.targetLevel) || challenge.targetLevel < 1) {
+      errors.push('targetLevel must be an integer of at least 1');
+    }
+    checkTable('startNeeds', getNeed, v => v > 0 && v <= 100, 'a number above 0 and up to 100');
+    checkTable('drain', getNeed, v => v > 0, 'a number above 0');
+    checkTable('recharge', getZone, v => v > 0, 'a number above 0');
+
+    return errors;
+  }
+
+  // ============================================
+  // LEVEL DEFINITIONS
+  // ============================================
+
+  /**
+   * Validates a zone layout
+   * @param {*} layout - Value to check
+   * @param {string} name - Field name the errors start with
+   * @returns {Array<string>} Problems found; empty when the layout is valid
+   */
+  function validateLayout(layout, name) {
+    if (!Array.isArray(layout)) {
+      return [`${name} must be an array`];
+    }
+    const errors = [];
+    layout.forEach((zone, i) => {
+      if (!isPlainObject(zone) || !getZone(zone.id)) {
+        errors.push(`${name}[${i}] must reference a known zone`);
+      } else if (layout.findIndex(other => isPlainObject(other) && other.id === zone.id) < i) {
+        // Zones are looked up and drawn by id, so each may appear only once
+        errors.push(`${name}[${i}] repeats zone ${zone.id}`);
+      } else if (!isValidShape(zone.shape)) {
+        errors.push(`${name}[${i}] (${zone.id}) has an invalid shape`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validates a level definition (see LEVEL_FIELDS):
+   * - name: what the level is called
+   * - duration: seconds on the level clock, instead of the mode's
+   * - difficulty: level the drain and recharge formulas use, instead of
+   *   the level number (see calculateDifficulty)
+   * - zones: zone layout, in the format of DEFAULT_LAYOUT
+   * - drain: per-need drain multipliers; recharge: per-zone recharge multipliers
+   * - startNeeds: need values at the start of the level, keyed by need id
+   * - monster: {enabled, speed, prowl}, see getMonsterBehaviour
+   * - objective: {goal} from LEVEL_GOALS, instead of the mode's goal
+   * Errors name the field they are about, e.g. "zones[2] (lake) has an invalid shape".
+   * @param {*} level - Value to check
+   * @returns {Array<string>} Problems found; empty when the definition is valid
+   */
+  function validateLevel(level) {
+    if (!isPlainObject(level)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const has = key => Object.prototype.hasOwnProperty.call(level, key);
+    const checkTable = (key, isKnown, kind, isValid, rule) => {
+      if (!has(key)) return;
+      if (!isPlainObject(level[key])) {
+        errors.push(`${key} must be an object`);
+        return;
+      }
+      Object.entries(level[key]).forEach(([id, value]) => {
+        if (!isKnown(id)) {
+          errors.push(`${key}.${id} is not a known ${kind}`);
+        } else if (!isFiniteNumber(value) || !isValid(value)) {
+          errors.push(`${key}.${id} must be ${rule}`);
+        }
+      });
+    };
+
+    Object.keys(level)
+      .filter(key => !LEVEL_FIELDS.includes(key))
+      .forEach(key => errors.push(`${key} is not a level field`));
+    if (has('name') && (typeof level.name !== 'string' || level.name === '')) {
+      errors.push('name must be a non-empty string');
+    }
+    if (has('duration') && !(isFiniteNumber(level.duration) && level.duration > 0)) {
+      errors.push('duration must be a number above 0');
+    }
+    if (has('difficulty') && !(isFiniteNumber(level.difficulty) && level.difficulty >= 1)) {
+      errors.push('difficulty must be a number of at least 1');
+    }
+    if (has('zones')) {
+      errors.push(...validateLayout(level.zones, 'zones'));
+    }
+    checkTable('drain', getNeed, 'need', v => v > 0, 'a number above 0');
+    checkTable('recharge', getZone, 'zone', v => v > 0, 'a number above 0');
+    checkTable('startNeeds', getNeed, 'need', v => v > 0 && v <= 100, 'a number above 0 and up to 100');
+
+    if (has('monster')) {
+      const { monster } = level;
+      if (!isPlainObject(monster)) {
+        errors.push('monster must be an object');
+      } else {
+        Object.keys(monster)
+          .filter(key => !MONSTER_FIELDS.includes(key))
+          .forEach(key => errors.push(`monster.${key} is not a monster field`));
+        ['enabled', 'prowl']
+          .filter(key => key in monster && typeof monster[key] !== 'boolean')
+          .forEach(key => errors.push(`monster.${key} must be true or false`));
+        if ('speed' in monster && !(isFiniteNumber(monster.speed) && monster.speed > 0)) {
+          errors.push('monster.speed must be a number above 0');
+        }
+      }
+    }
+
+    if (has('objective')) {
+      if (!isPlainObject(level.objective)) {
+        errors.push('objective must be an object');
+      } else if (!LEVEL_GOALS.includes(level.objective.goal)) {
+        errors.push(`objective.goal must be one of ${LEVEL_GOALS.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates a campaign: a named pack of level definitions played in
+   * order from level 1. Levels past the end of the pack fall back to the
+   * usual formulas.
+   * @param {*} campaign - Value to check
+   * @returns {Array<string>} Problems found; empty when the campaign is valid
+   */
+  function validateCampaign(campaign) {
+    if (!isPlainObject(campaign)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    ['id', 'name']
+      .filter(key => typeof campaign[key] !== 'string' || campaign[key] === '')
+      .forEach(key => errors.push(`${key} must be a non-empty string`));
+    if (!Array.isArray(campaign.levels) || campaign.levels.length === 0) {
+      errors.push('levels must be a non-empty array');
+    } else {
+      campaign.levels.forEach((level, i) => {
+        validateLevel(level).forEach(e => errors.push(isPlainObject(level) ? `levels[${i}].${e}` : `levels[${i}] ${e}`));
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Finds a campaign's definition of a level
+   * @param {object|null} campaign - Campaign from state.campaign, or null
+   * @param {number} level - Level number, from 1
+   * @returns {object|null} The definition, or null past the end of the campaign or without one
+   */
+  function getLevelDefinition(campaign, level) {
+    if (!campaign || level < 1 || level > campaign.levels.length) {
+      return null;
+    }
+    return campaign.levels[level - 1];
+  }
+
+  /**
+   * Works out how long a level's clock runs: the campaign's duration for
+   * it, or else the mode's levelTime
+   * @param {object} state - State holding the mode and campaign
+   * @param {number} level - Level number, from 1
+   * @returns {number} Seconds the level starts with on its clock
+   */
+  function getLevelDuration(state, level) {
+    const definition = getLevelDefinition(state.campaign, level) || {};
+    return definition.duration !== undefined ? definition.duration : getGameMode(state.mode).levelTime;
+  }
+
+  /**
+   * Works out how a level starts: its clock, layout and starting needs.
+   * The campaign's definition of the level wins; what it leaves out comes
+   * from the mode, DEFAULT_LAYOUT and the challenge's starting needs.
+   * @param {object} state - State holding the mode, challenge and campaign
+   * @param {number} level - Level about to start
+   * @param {Array<string>} needIds - Needs to track
+   * @returns {{levelTime: number, layout: Array<object>, needs: object}} How the level starts
+   */
+  function getLevelSetup(state, level, needIds) {
+    const definition = getLevelDefinition(state.campaign, level) || {};
+    const start = {
+      ...(state.challenge ? state.challenge.startNeeds : {}),
+      ...(definition.startNeeds || {})
+    };
+    return {
+      levelTime: getLevelDuration(state, level),
+      layout: definition.zones || DEFAULT_LAYOUT,
+      needs: createNeeds(needIds, start)
+    };
+  }
+
+  /**
+   * Works out what a level's monster does. By default it comes out
+   * whenever a need is critical, runs at calculateMonsterSpeed and prowls
+   * from MONSTER_PROWL_LEVEL on; a definition's monster field overrides
+   * each of these. A monster that isn't enabled stays in its lair.
+   * @param {number} level - Current game level
+   * @param {object|null} [definition] - Level definition, or null
+   * @returns {{enabled: boolean, speed: number, prowl: boolean}} Whether it
+   *   comes out, a multiplier on its speed and whether it prowls
+   */
+  function getMonsterBehaviour(level, definition = null) {
+    const monster = (definition && definition.monster) || {};
+    const enabled = monster.enabled !== undefined ? monster.enabled : true;
+    return {
+      enabled,
+      speed: monster.speed !== undefined ? monster.speed : 1,
+      prowl: enabled && (monster.prowl !== undefined ? monster.prowl : level >= MONSTER_PROWL_LEVEL)
+    };
+  }
+
+  /**
+   * Finds the goal of the current level: the campaign's objective for it,
+   * or the mode's goal
+   * @param {object} state - Current game state
+   * @returns {string} Goal from LEVEL_GOALS
+   */
+  function getLevelGoal(state) {
+    const definition = getLevelDefinition(state.campaign, state.level);
+    return definition && definition.objective ? definition.objective.goal : getGameMode(state.mode).goal;
+  }
+
+  /**
+   * Starts a campaign: the state keeps the campaign, so saves, replays and
+   * createNextLevelState all see it, and its current level is set up from
+   * the campaign's definition
+   * @param {object} state - State to play the campaign from, usually a fresh one
+   * @param {object} campaign - Campaign (see validateCampaign)
+   * @returns {object} State playing the campaign
+   * @throws {Error} If the campaign fails validation
+   */
+  function startCampaign(state, campaign) {
+    const errors = validateCampaign(campaign);
+    if (errors.length > 0) {
+      throw createPlayerError('campaign.invalid', { count: errors.length }, `Invalid campaign: ${errors.join('; ')}`);
+    }
+    const next = { ...state, campaign };
+    return { ...next, ...getLevelSetup(next, next.level, Object.keys(next.needs)) };
+  }
+
+  // ============================================
+  // GAME LOOP
+  // ============================================
+
+  /**
+   * Works out where the unicorn goes this tick. A held direction walks it
+   * straight and cancels any destination; otherwise it walks towards its
+   * destination (a new one from input.target replaces the old) and clears
+   * it on arrival. Speed comes from calculateTravelSpeed.
+   * @param {object} state - Current game state
+   * @param {object} [input] - Player input for this tick
+   * @param {number} dt - Time delta in seconds
+   * @returns {object} New position and destination {x, y, target}
+   */
+  function updatePosition(state, input, dt) {
+    const speed = calculateTravelSpeed(state.level, state.needs.energy);
+    const move = input && input.move;
+
+    if (move && (move.x !== 0 || move.y !== 0)) {
+      return { ...applyMovement(state, move, dt, speed), target: null };
+    }
+
+    const target = input && input.target
+      ? clampPosition(input.target.x, input.target.y)
+      : state.target;
+    if (!target) {
+      return { x: state.x, y: state.y, target: null };
+    }
+
+    const step = moveTowards(state, target, speed * dt);
+    return { x: step.x, y: step.y, target: step.arrived ? null : target };
+  }
+
+  /**
+   * Advances the game by one tick. This is the only reducer the browser
+   * loop runs, so the rules tested here are the rules players get. The
+   * unicorn walks first (see updatePosition), then the zone is looked up
+   * from its new position in state.layout and travel costs energy. Walking
+   * into a zone and a need going critical are reported as events. World
+   * events count down (see WORLD EVENTS); those under way change drain and
+   * recharge from the next tick on, together with power-ups and a
+   * challenge's rules (see getStateModifiers). Power-ups then age, spawn
+   * and are picked up (see POWER-UPS). The monster then takes its turn (see
+   * updateMonster) with one random roll drawn from state.rng per tick,
+   * unless a shield turns it away or an escape charm frees the unicorn, and
+   * the score is updated (see updateScore), with a bonus on finishing the
+   * level. The game mode decides what finishing a level means and whether
+   * play stops for a level break or carries on (see GAME_MODES); a mode's
+   * global clock running out ends the run, and so does clearing a
+   * challenge's target level. Once the monster has caught the unicorn only
+   * the chomp advances, ending the game after MONSTER_CHOMP_TIME; once the
+   * level is over the state is left untouched and no further events fire.
+   * @param {object} state - Current game state
+   * @param {object} [input] - Player input for this tick
+   * @param {object} [input.move] - Direction {x, y} to walk the unicorn in
+   * @param {object} [input.target] - New destination {x, y} to walk the unicorn to
+   * @param {number} dt - Time delta in seconds
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {{state: object, events: Array<{type: string}>}} Next state and the events that fired
+   */
+  function stepGame(state, input, dt, tuning = DEFAULT_TUNING) {
+    if (state.status) {
+      return { state, events: [] };
+    }
+
+    if (state.eaten) {
+      const behaviour = getMonsterBehaviour(state.level, getLevelDefinition(state.campaign, state.level));
+      const monster = updateMonster(state.monster, { ...state, zone: null, behaviour }, dt);
+      if (monster.timer >= MONSTER_CHOMP_TIME) {
+        return {
+          state: { ...state, monster, status: 'gameover' },
+          events: [{ type: GAME_EVENTS.GAME_OVER, level: state.level }]
+        };
+      }
+      return { state: { ...state, monster }, events: [] };
+    }
+
+    const { x, y, target } = updatePosition(state, input, dt);
+    const distance = Math.hypot(x - state.x, y - state.y);
+    const zone = getZoneAt(x, y, state.layout);
+    const modifiers = getStateModifiers(state);
+    const drained = applyTravelCost(
+      updateNeeds(state.needs, zone, calculateDifficulty(state), dt, tuning, modifiers),
+      distance
+    );
+    const events = [];
+    if (zone && zone !== getZoneAt(state.x, state.y, state.layout)) {
+      events.push({ type: GAME_EVENTS.ZONE_ENTERED, level: state.level, zone });
+    }
+
+    const weather = updateWorldEvents(state.worldEvents, dt);
+    weather.started.forEach(id => events.push({ type: GAME_EVENTS.WORLD_EVENT_STARTED, level: state.level, event: id }));
+    weather.ended.forEach(id => events.push({ type: GAME_EVENTS.WORLD_EVENT_ENDED, level: state.level, event: id }));
+
+    const spawned = spawnItems(
+      { items: updateItems(state.items, dt), spawnTimer: state.spawnTimer, rng: state.rng },
+      state.level,
+      dt
+    );
+    const { items, collected } = collectItems(spawned.items, x, y);
+    let powered = { needs: drained, effects: updateEffects(state.effects, dt) };
+    collected.forEach(item => {
+      powered = applyItem(powered.needs, powered.effects, item.id);
+      events.push({ type: GAME_EVENTS.ITEM_COLLECTED, level: state.level, item: item.id });
+    });
+    const { needs } = powered;
+    const { spawnTimer } = spawned;
+    Object.keys(needs)
+      .filter(id => isNeedCritical(id, needs[id]) && !isNeedCritical(id, state.needs[id]))
+      .forEach(id => events.push({ type: GAME_EVENTS.NEED_CRITICAL, level: state.level, need: id }));
+
+    const { value: roll, seed: rng } = nextRandom(spawned.rng);
+    const behaviour = getMonsterBehaviour(state.level, getLevelDefinition(state.campaign, state.level));
+    const moved = updateMonster(state.monster, { x, y, needs, zone, level: state.level, behaviour, roll }, dt);
+    const shielded = useShield(moved, state.monster, powered.effects);
+    const { monster, traits, escaped } = useEscape(shielded.monster, state.traits);
+    const { effects, blocked } = shielded;
+    const score = updateScore(state.score, needs, dt);
+    const runTime = state.runTime + dt;
+    const timeLeft = updateTimeLeft(state.timeLeft, dt);
+
+    const world = { items, effects, spawnTimer, worldEvents: weather.worldEvents, traits };
+
+    if (monster.state === 'chomping') {
+      return {
+        state: { ...state, ...world, x, y, target: null, needs, monster, rng, score, runTime, timeLeft, eaten: true },
+        events: [...events, { type: GAME_EVENTS.MONSTER_CAUGHT, level: state.level }]
+      };
+    }
+
+    if (escaped) {
+      events.push({ type: GAME_EVENTS.MONSTER_ESCAPED, level: state.level });
+    } else if (blocked) {
+      events.push({ type: GAME_EVENTS.SHIELD_BLOCKED, level: state.level });
+    } else if (monster.state === 'chasing' && state.monster.state !== 'chasing') {
+      events.push({ type: GAME_EVENTS.MONSTER_TRIGGERED, level: state.level });
+    }
+
+    const levelTime = updateLevelProgress(state, needs, dt);
+    let next = { ...state, ...world, x, y, target, needs, monster, rng, score, runTime, timeLeft, levelTime };
+
+    if (checkLevelComplete(levelTime)) {
+      const bonus = calculateLevelBonus(needs);
+      const finalScore = { ...score, total: score.total + bonus, level: score.level + bonus };
+      const coins = getGameMode(state.mode).shop ? next.coins + calculateCoins(finalScore.level) : next.coins;
+      next = { ...next, score: finalScore, levelTime: 0, coins };
+      events.push({ type: GAME_EVENTS.LEVEL_COMPLETE, level: state.level });
+      if (state.challenge && state.level >= state.challenge.targetLevel) {
+        events.push({ type: GAME_EVENTS.CHALLENGE_COMPLETE, level: state.level });
+        return { state: { ...next, target: null, status: 'complete' }, events };
+      }
+      if (getGameMode(state.mode).levelBreaks) {
+        return { state: { ...next, target: null, status: 'nextlevel' }, events };
+      }
+      next = advanceLevel(next);
+    }
+
+    if (timeLeft === 0) {
+      return {
+        state: { ...next, target: null, status: 'timeup' },
+        events: [...events, { type: GAME_EVENTS.TIME_UP, level: next.level }]
+      };
+    }
+
+    return { state: next, events };
+  }
+
+  /**
+   * Runs several fixed-size ticks with the same input
+   * @param {object} state - Current game state
+   * @param {object} [input] - Player input for these ticks
+   * @param {number} steps - Number of ticks to run
+   * @param {number} [dt] - Seconds per tick, defaults to FIXED_DT
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {{state: object, events: Array<{type: string}>}} Final state and every event that fired
+   */
+  function runSteps(state, input, steps, dt = FIXED_DT, tuning = DEFAULT_TUNING) {
+    let current = state;
+    const events = [];
+    for (let i = 0; i < steps; i++) {
+      const result = stepGame(current, input, dt, tuning);
+      current = result.state;
+      events.push(...result.events);
+    }
+    return { state: current, events };
+  }
+
+  /**
+   * Fixed-timestep accumulator: adds a frame's elapsed time and works out
+   * how many whole ticks to run. Long frames (e.g. after a stall) are capped
+   * at MAX_FRAME_TIME so the game never fast-forwards through them.
+   * @param {number} accumulator - Unsimulated time carried from earlier frames
+   * @param {number} frameTime - Seconds since the previous frame
+   * @param {number} [dt] - Seconds per tick, defaults to FIXED_DT
+   * @returns {{steps: number, accumulator: number}} Ticks to run and time left over
+   */
+  function advanceAccumulator(accumulator, frameTime, dt = FIXED_DT) {
+    const total = accumulator + clamp(frameTime, 0, MAX_FRAME_TIME);
+    // Small epsilon so e.g. 3 * 0.1 counts as three ticks despite rounding
+    const steps = Math.floor(total / dt + 1e-9);
+    return { steps, accumulator: Math.max(0, total - steps * dt) };
+  }
+
+  // ============================================
+  // PERSISTENCE
+  // ============================================
+
+  /*
+   * Save migrations keyed by the version they upgrade from. Each takes the
+   * saved state of that version and returns the state of the next one.
+   */
+  const MIGRATIONS = {
+    // v2: the monster chase runs on the game clock
+    1: state => ({ ...state, monster: { ...state.monster, chaseTime: 0 } }),
+    // v3: click-to-move destinations
+    2: state => ({ ...state, target: null }),
+    // v4: the monster is an entity with its own state machine
+    3: state => ({
+      ...state,
+      monster: state.eaten
+        ? { x: state.x, y: state.y, state: 'chomping', timer: 0, waypoint: 0 }
+        : { x: -10, y: 50, state: 'idle', timer: 0, waypoint: 0 }
+    }),
+    // v5: seeded random numbers
+    4: state => ({ ...state, rng: DEFAULT_SEED }),
+    // v6: scoring
+    5: state => ({ ...state, score: createScore() }),
+    // v7: run length, estimated from the levels already played
+    6: state => ({ ...state, runTime: (state.level - 1) * LEVEL_TIME + (LEVEL_TIME - state.levelTime) }),
+    // v8: game modes; older runs are classic
+    7: state => ({ ...state, mode: 'classic', timeLeft: null }),
+    // v9: challenge rules
+    8: state => ({ ...state, challenge: null }),
+    // v10: power-ups
+    9: state => ({ ...state, items: [], effects: {}, spawnTimer: getSpawnTable(state.level).interval }),
+    // v11: world events; the level in progress has none
+    10: state => ({ ...state, worldEvents: [] }),
+    // v12: upgrade shop; nothing earned or bought yet
+    11: state => ({ ...state, coins: 0, traits: {} }),
+    // v13: slower-drain assist, off for runs saved before it existed
+    12: state => ({ ...state, assist: 1 }),
+    // v14: campaign packs; saves from before them play the usual levels
+    13: state => ({ ...state, campaign: null })
   };
-  return displays[zone] || null;
-}
 
-/**
- * Validates if a position is within valid bounds
- * @param {number} x - X position as percentage (0-100)
- * @param {number} y - Y position as percentage (0-100)
- * @returns {boolean} True if position is valid
- */
-function isValidPosition(x, y) {
-  return x >= 0 && x <= 100 && y >= 0 && y <= 100;
-}
+  const VALID_STATUSES = [null, 'nextlevel', 'gameover', 'timeup', 'complete'];
+
+  /**
+   * Validates a game state, e.g. one loaded from a save
+   * @param {*} state - Value to check
+   * @returns {Array<string>} Problems found; empty when the state is valid
+   */
+  function validateState(state) {
+    if (!isPlainObject(state)) {
+      return ['state must be an object'];
+    }
+
+    const errors = [];
+
+    if (!isFiniteNumber(state.x) || !isFiniteNumber(state.y) || !isValidPosition(state.x, state.y)) {
+      errors.push('x and y must be numbers between 0 and 100');
+    }
+
+    if (!isPlainObject(state.needs) || Object.keys(state.needs).length === 0) {
+      errors.push('needs must be a non-empty object');
+    } else {
+      Object.entries(state.needs).forEach(([id, value]) => {
+        if (!getNeed(id)) {
+          errors.push(`needs.${id} is not a known need`);
+        } else if (!isFiniteNumber(value) || value < 0 || value > 100) {
+          errors.push(`needs.${id} must be a number between 0 and 100`);
+        }
+      });
+    }
+
+    if (!Number.isInteger(state.level) || state.level < 1) {
+      errors.push('level must be an integer of at least 1');
+    }
+    if (!isFiniteNumber(state.levelTime) || state.levelTime < 0) {
+      errors.push('levelTime must be a number of at least 0');
+    }
+    if (!isFiniteNumber(state.runTime) || state.runTime < 0) {
+      errors.push('runTime must be a number of at least 0');
+    }
+    if (!getGameMode(state.mode)) {
+      errors.push(`mode must be one of ${Object.keys(GAME_MODES).join(', ')}`);
+    }
+    if (state.timeLeft !== null && (!isFiniteNumber(state.timeLeft) || state.timeLeft < 0)) {
+      errors.push('timeLeft must be null or a number of at least 0');
+    }
+    if (state.challenge !== null) {
+      validateChallenge(state.challenge).forEach(e => errors.push(`challenge: ${e}`));
+    } else if (getGameMode(state.mode) && getGameMode(state.mode).challenge) {
+      errors.push(`challenge is required in ${state.mode} mode`);
+    }
+    if (!VALID_STATUSES.includes(state.status)) {
+      errors.push(`status must be one of ${VALID_STATUSES.map(String).join(', ')}`);
+    }
+    if (typeof state.eaten !== 'boolean') {
+      errors.push('eaten must be a boolean');
+    }
+
+    const { monster } = state;
+    if (!isPlainObject(monster) || !isFiniteNumber(monster.x) || !isFiniteNumber(monster.y) ||
+      !isFiniteNumber(monster.timer) || monster.timer < 0) {
+      errors.push('monster must have numeric x, y and timer');
+    } else {
+      if (!MONSTER_STATES.includes(monster.state)) {
+        errors.push(`monster.state must be one of ${MONSTER_STATES.join(', ')}`);
+      }
+      if (!Number.isInteger(monster.waypoint) || monster.waypoint < 0 || monster.waypoint >= PROWL_ROUTE.length) {
+        errors.push(`monster.waypoint must be an integer from 0 to ${PROWL_ROUTE.length - 1}`);
+      }
+    }
+
+    const { target } = state;
+    if (target !== null && (!isPlainObject(target) || !isFiniteNumber(target.x) ||
+      !isFiniteNumber(target.y) || !isValidPosition(target.x, target.y))) {
+      errors.push('target must be null or a position between 0 and 100');
+    }
+
+    if (!isValidSeed(state.rng)) {
+      errors.push('rng must be an unsigned 32-bit integer');
+    }
+
+    const { score } = state;
+    if (!isPlainObject(score) || !['total', 'level', 'streak'].every(k => isFiniteNumber(score[k]) && score[k] >= 0)) {
+      errors.push('score must have total, level and streak of at least 0');
+    }
+
+    if (!Array.isArray(state.items)) {
+      errors.push('items must be an array');
+    } else {
+      state.items.forEach((item, i) => {
+        if (!isPlainObject(item) || !getItem(item.id)) {
+          errors.push(`items[${i}] must reference a known item`);
+        } else if (!isFiniteNumber(item.x) || !isFiniteNumber(item.y) || !isValidPosition(item.x, item.y) ||
+          !isFiniteNumber(item.timer) || item.timer <= 0) {
+          errors.push(`items[${i}] (${item.id}) must have a position between 0 and 100 and a timer above 0`);
+        }
+      });
+    }
+    if (!isPlainObject(state.effects)) {
+      errors.push('effects must be an object');
+    } else {
+      Object.entries(state.effects).forEach(([id, value]) => {
+        const effect = getEffect(id);
+        if (!effect || effect.kind === 'instant') {
+          errors.push(`effects.${id} is not a lasting effect`);
+        } else if (!isFiniteNumber(value) || value <= 0) {
+          errors.push(`effects.${id} must be a number above 0`);
+        }
+      });
+    }
+    if (!isFiniteNumber(state.spawnTimer) || state.spawnTimer < 0) {
+      errors.push('spawnTimer must be a number of at least 0');
+    }
+
+    if (!Number.isInteger(state.coins) || state.coins < 0) {
+      errors.push('coins must be an integer of at least 0');
+    }
+    if (!isPlainObject(state.traits)) {
+      errors.push('traits must be an object');
+    } else {
+      Object.entries(state.traits).forEach(([id, count]) => {
+        const upgrade = getUpgrade(id);
+        if (!upgrade) {
+          errors.push(`traits.${id} is not a known upgrade`);
+        } else if (!Number.isInteger(count) || count < 1 || count > upgrade.max) {
+          errors.push(`traits.${id} must be an integer from 1 to ${upgrade.max}`);
+        }
+      });
+    }
+    if (!DRAIN_ASSISTS.includes(state.assist)) {
+      errors.push(`assist must be one of ${DRAIN_ASSISTS.join(', ')}`);
+    }
+
+    if (!Array.isArray(state.worldEvents)) {
+      errors.push('worldEvents must be an array');
+    } else {
+      state.worldEvents.forEach((event, i) => {
+        if (!isPlainObject(event) || !getWorldEvent(event.id)) {
+          errors.push(`worldEvents[${i}] must reference a known event`);
+        } else if (!isFiniteNumber(event.delay) || event.delay < 0 || !isFiniteNumber(event.timer) || event.timer <= 0) {
+          errors.push(`worldEvents[${i}] (${event.id}) must have a delay of at least 0 and a timer above 0`);
+        }
+      });
+    }
+
+    errors.push(...validateLayout(state.layout, 'layout'));
+    if (state.campaign !== null) {
+      validateCampaign(state.campaign).forEach(e => errors.push(`campaign: ${e}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Serializes a game state for storage
+   * @param {object} state - Game state to save
+   * @returns {string} JSON save tagged with SAVE_VERSION
+   */
+  function serializeState(state) {
+    return JSON.stringify({ version: SAVE_VERSION, state });
+  }
+
+  /**
+   * Upgrades a parsed save to SAVE_VERSION by running each migration in turn
+   * @param {object} save - Parsed save {version, state}
+   * @param {object} [migrations] - Migrations keyed by source version, defaults to MIGRATIONS
+   * @param {number} [targetVersion] - Version to upgrade to, defaults to SAVE_VERSION
+   * @returns {object} Save at targetVersion
+   */
+  function migrateSave(save, migrations = MIGRATIONS, targetVersion = SAVE_VERSION) {
+    if (!Number.isInteger(save.version) || save.version < 1) {
+      throw new Error('Invalid save: missing or malformed version');
+    }
+    if (save.version > targetVersion) {
+      throw new Error(`Invalid save: version ${save.version} is newer than supported version ${targetVersion}`);
+    }
+
+    let { version, state } = save;
+    while (version < targetVersion) {
+      const migrate = migrations[version];
+      if (!migrate) {
+        throw new Error(`Invalid save: no migration from version ${version}`);
+      }
+      state = migrate(state);
+      version += 1;
+    }
+    return { version, state };
+  }
+
+  /**
+   * Parses, migrates and validates a save
+   * @param {string} json - Save produced by serializeState
+   * @returns {object} The restored game state
+   * @throws {Error} If the save is corrupt, from an unknown version or fails validation
+   */
+  function deserializeState(json) {
+    let save;
+    try {
+      save = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid save: not valid JSON');
+    }
+    if (!isPlainObject(save)) {
+      throw new Error('Invalid save: expected an object');
+    }
+
+    const { state } = migrateSave(save);
+    const errors = validateState(state);
+    if (errors.length > 0) {
+      throw new Error(`Invalid save: ${errors.join('; ')}`);
+    }
+    return state;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
 
-/**
- * Clamps a position to valid bounds
- * @param {number} x - X position
- * @param {number} y - Y position
- * @returns {object} Clamped position {x, y}
- */
-function clampPosition(x, y) {
   return {
-    x: clamp(x, 0, 100),
-    y: clamp(y, 0, 100)
-  };
-}
+    // Constants
+    NEEDS,
+    DEFAULT_NEEDS,
+    BASE_DRAIN,
+    ZONES,
+    BASE_RECHARGE,
+    DRAIN_GROWTH,
+    RECHARGE_GROWTH,
+    DEFAULT_TUNING,
+    LEVEL_TIME,
+    FIXED_DT,
+    MAX_FRAME_TIME,
+    UNICORN_SPEED,
+    SPEED_GROWTH,
+    TIRED_SPEED,
+    TRAVEL_ENERGY_COST,
+    STEADY_RATE,
+    MONSTER_STATES,
+    MONSTER_SPEED,
+    MONSTER_SPEED_GROWTH,
+    MONSTER_PROWL_SPEED,
+    MONSTER_PROWL_LEVEL,
+    MONSTER_CATCH_RADIUS,
+    MONSTER_CHOMP_TIME,
+    MONSTER_RETREAT_TIME,
+    MONSTER_LAIR,
+    PROWL_ROUTE,
+    SCORE_THRESHOLD,
+    POINTS_PER_SECOND,
+    STREAK_INTERVAL,
+    STREAK_STEP,
+    MAX_STREAK_MULTIPLIER,
+    LEVEL_BONUS_RATE,
+    STAR_THRESHOLDS,
+    TIME_ATTACK_LIMIT,
+    TIME_ATTACK_GOAL,
+    GAME_MODES,
+    DEFAULT_MODE,
+    NO_MODIFIERS,
+    EFFECTS,
+    ITEMS,
+    SPAWN_TABLES,
+    ITEM_LIFETIME,
+    ITEM_PICKUP_RADIUS,
+    MAX_ITEMS,
+    ITEM_MARGIN,
+    WORLD_EVENTS,
+    EVENT_WARNING_TIME,
+    EVENT_EARLIEST,
+    EVENT_LATEST,
+    MAX_WORLD_EVENTS,
+    DRAIN_ASSISTS,
+    UPGRADES,
+    COIN_POINTS,
+    DEFAULT_LAYOUT,
+    LEVEL_FIELDS,
+    MONSTER_FIELDS,
+    LEVEL_GOALS,
+    DEFAULT_SEED,
+    SAVE_VERSION,
+    GAME_EVENTS,
 
-/**
- * Calculates the net change for a specific need based on zone
- * @param {string} needType - The type of need ('hunger', 'thirst', 'energy', 'fun')
- * @param {string|null} zone - The current zone
- * @param {number} level - Current game level
- * @param {number} dt - Time delta
- * @returns {number} Net change (positive = gaining, negative = losing)
- */
-function calculateNetNeedChange(needType, zone, level, dt) {
-  const drainMult = calculateDrainMultiplier(level);
-  const rechargeMult = calculateRechargeMultiplier(level);
+    // Utility Functions
+    clamp,
+    createPlayerError,
 
-  let change = -BASE_DRAIN[needType] * drainMult * dt;
+    // Random Numbers
+    nextRandom,
+    createRandom,
+    isValidSeed,
 
-  const zoneToNeed = {
-    lake: 'thirst',
-    field: 'hunger',
-    barn: 'energy',
-    play: 'fun'
-  };
+    // Modifiers
+    getModifier,
+    combineModifiers,
+    getStateModifiers,
+    getAssistModifiers,
+    setDrainAssist,
+    getLevelModifiers,
+
+    // Game State Functions
+    getNeed,
+    createNeeds,
+    isNeedCritical,
+    createInitialState,
+    calculateDrainMultiplier,
+    calculateRechargeMultiplier,
+    applyDrain,
+    applyRecharge,
+    updateNeeds,
+    checkGameOver,
+    getGameOverCause,
+    checkLevelComplete,
+    createNextLevelState,
+    updateLevelTimer,
+    getZone,
+    getZoneDisplay,
+    isValidPosition,
+    clampPosition,
+    applyMovement,
+    calculateTravelSpeed,
+    moveTowards,
+    applyTravelCost,
+    calculateNetNeedChange,
+
+    // Need Projections
+    projectNeed,
+    projectNeeds,
+    findRefillZone,
+    getNextCriticalNeed,
 
-  if (zone && zoneToNeed[zone] === needType) {
-    const rechargeValue = Object.values(BASE_RECHARGE[zone])[0];
-    change += rechargeValue * rechargeMult * dt;
-  }
-
-  return change;
-}
-
-// ============================================
-// EXPORTS
-// ============================================
-
-module.exports = {
-  // Constants
-  BASE_DRAIN,
-  BASE_RECHARGE,
-  DRAIN_GROWTH,
-  RECHARGE_GROWTH,
-  LEVEL_TIME,
-
-  // Utility Functions
-  clamp,
-
-  // Game State Functions
-  createInitialState,
-  calculateDrainMultiplier,
-  calculateRechargeMultiplier,
-  applyDrain,
-  applyRecharge,
-  updateNeeds,
-  checkGameOver,
-  checkLevelComplete,
-  createNextLevelState,
-  updateLevelTimer,
-  createMonsterChaseState,
-  getZoneDisplay,
-  isValidPosition,
-  clampPosition,
-  calculateNetNeedChange
-};
+    // Zone Layout Functions
+    isPointInShape,
+    getShapeBounds,
+    isValidShape,
+    getZoneAt,
+
+    // Monster AI
+    createMonster,
+    calculateMonsterSpeed,
+    isSafeZone,
+    hasCriticalNeed,
+    updateMonster,
+
+    // Power-Ups
+    getItem,
+    getEffect,
+    getSpawnTable,
+    pickItem,
+    updateItems,
+    spawnItems,
+    collectItems,
+    applyItem,
+    updateEffects,
+    getEffectModifiers,
+    useShield,
+
+    // World Events
+    getWorldEvent,
+    countWorldEvents,
+    scheduleWorldEvents,
+    isWorldEventActive,
+    isWorldEventWarning,
+    updateWorldEvents,
+    getWorldEventModifiers,
+
+    // Upgrade Shop
+    getUpgrade,
+    getUpgradeCost,
+    calculateCoins,
+    getPurchaseError,
+    buyUpgrade,
+    getTraitModifiers,
+    useEscape,
+
+    // Scoring
+    createScore,
+    isScoring,
+    calculateStreakMultiplier,
+    updateScore,
+    calculateLevelBonus,
+    calculateLevelPar,
+    calculateStars,
+
+    // Game Modes
+    getGameMode,
+    calculateDifficulty,
+    updateLevelProgress,
+    updateTimeLeft,
+    advanceLevel,
+    isRunOver,
+    validateChallenge,
+
+    // Level Definitions
+    validateLayout,
+    validateLevel,
+    validateCampaign,
+    getLevelDefinition,
+    getLevelDuration,
+    getLevelSetup,
+    getMonsterBehaviour,
+    getLevelGoal,
+    startCampaign,
+
+    // Game Loop
+    updatePosition,
+    stepGame,
+    runSteps,
+    advanceAccumulator,
+
+    // Persistence
+    MIGRATIONS,
+    validateState,
+    serializeState,
+    migrateSave,
+    deserializeState
+  };
+}));
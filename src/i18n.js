@@ -0,0 +1,1091 @@
+/**
+ * Localization Module for Unicorn Ranch
+ * Holds a message catalog for every supported language and turns message
+ * keys into player-facing text: placeholders are filled in, numbers are
+ * formatted for the language, and plural messages pick the form that
+ * suits their count. Registry entries (needs, zones, modes, upgrades...)
+ * are looked up by id, e.g. "zone.lake". Missing messages fall back to
+ * English.
+ *
+ * Loaded by index.html as a plain script (exposed as window.I18n)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Supported languages, in the order the picker lists them; locale drives number and plural rules */
+  const LANGUAGES = {
+    en: { id: 'en', name: 'English', locale: 'en-US' },
+    es: { id: 'es', name: 'Español', locale: 'es-ES' },
+    ja: { id: 'ja', name: '日本語', locale: 'ja-JP' }
+  };
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  /* Placeholders look like {name} */
+  const PLACEHOLDER = /\{(\w+)\}/g;
+
+  /*
+   * Message catalogs keyed by language. A message is a string, or for
+   * messages that depend on a count, an object of plural forms keyed by
+   * Intl.PluralRules category that always includes "other".
+   */
+  const CATALOGS = {
+    en: {
+      // Registries
+      'need.hunger': 'Hunger',
+      'need.thirst': 'Thirst',
+      'need.energy': 'Energy',
+      'need.fun': 'Joy',
+      'need.hygiene': 'Hygiene',
+      'need.affection': 'Affection',
+      'zone.lake': 'Crystal Lake',
+      'zone.field': 'Golden Fields',
+      'zone.barn': 'Cozy Barn',
+      'zone.play': 'Festival Grounds',
+      'zone.meadow': 'Rainbow Meadow',
+      'mode.classic.name': 'Classic',
+      'mode.classic.description': 'Survive 30-second levels. Needs refill between levels.',
+      'mode.endless.name': 'Endless',
+      'mode.endless.description': 'One long run with no breaks. Needs carry over and the ranch keeps getting harder.',
+      'mode.timeattack.name': 'Time Attack',
+      'mode.timeattack.description': 'Clear as many levels as you can in {minutes} minutes. ' +
+        'A level clears after {seconds} seconds with every need above {threshold}%.',
+      'mode.daily.name': 'Daily Challenge',
+      'mode.daily.description': 'The same rules for everyone today: boosted and weakened zones, odd starting needs and a target level.',
+      'effect.fill': 'Refill',
+      'effect.freeze': 'Drain Paused',
+      'effect.shield': 'Shield',
+      'item.apple': 'Golden Apple',
+      'item.star': 'Star',
+      'item.shield': 'Shield',
+      'worldEvent.heatwave.name': 'Heatwave',
+      'worldEvent.heatwave.warning': 'Thirst drains twice as fast',
+      'worldEvent.storm.name': 'Storm',
+      'worldEvent.storm.warning': 'The Festival Grounds close and the barn is extra cozy',
+      'worldEvent.nightfall.name': 'Nightfall',
+      'worldEvent.nightfall.warning': 'Energy drains faster in the dark',
+      'upgrade.hydration.name': 'Camel Hump',
+      'upgrade.hydration.description': 'Thirst drains 10% slower',
+      'upgrade.bedding.name': 'Cozy Bedding',
+      'upgrade.bedding.description': 'The barn recharges 25% faster',
+      'upgrade.escape.name': 'Escape Charm',
+      'upgrade.escape.description': 'Slip free the next time the monster catches you',
+      'achievement.rookie.name': 'Ranch Hand',
+      'achievement.rookie.description': 'Clear your first level',
+      'achievement.veteran.name': 'Old Hand',
+      'achievement.veteran.description': 'Clear 25 levels',
+      'achievement.summit.name': 'Ten Levels Deep',
+      'achievement.summit.description': 'Reach level 10',
+      'achievement.untamed.name': 'Untamed',
+      'achievement.untamed.description': 'Finish a level without visiting the barn',
+      'achievement.whisker.name': 'By a Whisker',
+      'achievement.whisker.description': 'Survive a level with a need at 1%',
+      'achievement.wanderer.name': 'Wanderer',
+      'achievement.wanderer.description': 'Walk into zones 100 times',
+      'achievement.splash.name': 'Splash Happy',
+      'achievement.splash.description': 'Visit the Crystal Lake 30 times',
+      'achievement.daredevil.name': 'Daredevil',
+      'achievement.daredevil.description': 'Let needs go critical 50 times',
+      'achievement.bait.name': 'Monster Bait',
+      'achievement.bait.description': 'Set the monster on your trail 10 times',
+      'action.up': 'Move Up',
+      'action.down': 'Move Down',
+      'action.left': 'Move Left',
+      'action.right': 'Move Right',
+      'action.pause': 'Pause',
+      'volume.master': 'Master',
+      'volume.music': 'Music',
+      'volume.effects': 'Effects',
+      'sort.score': 'Score',
+      'sort.level': 'Level',
+      'sort.runTime': 'Run Length',
+      'sort.date': 'Date',
+      'cause.monster': 'Prowling monster',
+      'cause.time': 'Time ran out',
+      'cause.complete': 'Challenge complete',
+
+      // HUD
+      'hud.title': 'UNICORN RANCH',
+      'hud.level': 'Level',
+      'hud.time': 'Time',
+      'hud.thrive': 'Thrive',
+      'hud.campaignFreePlay': 'Free play',
+      'hud.target': 'Target',
+      'hud.targetHint': 'Clear this level to complete the challenge',
+      'hud.targetLevel': 'Level {level}',
+      'hud.clock': 'Clock',
+      'hud.score': 'Score',
+      'hud.coins': 'Coins',
+      'hud.coinsHint': 'Coins earned from level scores, spent between levels',
+      'hud.seconds': '{seconds}s',
+      'hud.language': 'Language',
+      'hud.eventWarning': '{name} in {seconds}s: {warning}',
+      'hud.trend.rising': 'Rising',
+      'hud.trend.falling': 'Falling',
+      'hud.trend.steady': 'Steady',
+      'hud.runsOut': 'empty in {seconds}s',
+      'hud.criticalIn': '{need} goes critical in {seconds}s',
+      'hud.criticalNow': '{need} is critical!',
+      'hud.refillAt': 'Head to {zone}',
+      'zone.closed': 'Closed',
+
+      // Buttons
+      'button.pause': 'Pause',
+      'button.resume': 'Resume',
+      'button.play': 'Play',
+      'button.controls': 'Controls',
+      'button.sound': 'Sound',
+      'button.accessibility': 'Accessibility',
+      'button.scores': 'Scores',
+      'button.highScores': 'High Scores',
+      'button.achievements': 'Achievements',
+      'button.loadReplay': 'Load Replay',
+      'button.loadCampaign': 'Load Campaign',
+      'button.editor': 'Level Editor',
+      'button.newRun': 'New Run',
+      'button.support': 'Support',
+      'button.restart': 'Restart',
+      'button.exit': 'Exit',
+      'button.defaults': 'Defaults',
+      'button.done': 'Done',
+      'button.begin': 'Begin',
+      'button.resumeRun': 'Resume Run',
+      'button.export': 'Export',
+      'button.import': 'Import',
+      'button.riseAgain': 'Rise Again',
+      'button.playAgain': 'Play Again',
+      'button.tryAgain': 'Try Again',
+      'button.changeMode': 'Change Mode',
+      'button.watchReplay': 'Watch Replay',
+      'button.downloadReplay': 'Download Replay',
+      'button.continueQuest': 'Continue Quest',
+      'button.copy': 'Copy',
+      'button.copied': 'Copied',
+      'button.check': 'Check',
+
+      // Panels
+      'replay.label': 'Replay',
+      'controls.title': 'Controls',
+      'controls.listening': 'Press a key for {action}...',
+      'controls.hint': 'Click a key to rebind it. Gamepads work with the stick or d-pad.',
+      'sound.title': 'Sound',
+      'sound.hint': 'Every sound is played live by your browser.',
+      'a11y.title': 'Accessibility',
+      'a11y.hint': 'Screen readers hear when needs go critical, zones change and levels change.',
+      'a11y.highContrast': 'High contrast',
+      'a11y.reducedMotion': 'Reduced motion',
+      'a11y.drainAssist': 'Slower drain',
+      'a11y.assistOff': 'Off',
+      'a11y.assistLevel': '{percent}% drain',
+      'a11y.assistHint': 'The drain setting applies from the next run.',
+      'a11y.needCritical': '{need} is critical!',
+      'a11y.monster': 'The monster is coming!',
+      'a11y.zoneEntered': 'Entered {zone}',
+      'a11y.levelComplete': 'Level {level} complete',
+      'a11y.levelStarted': 'Level {level} started',
+      'editor.title': 'Level Editor',
+      'editor.campaignName': 'Campaign name',
+      'editor.campaignId': 'Campaign id',
+      'editor.levels': 'Levels',
+      'editor.addLevel': 'Add level',
+      'editor.removeLevel': 'Remove level',
+      'editor.playtest': 'Playtest now',
+      'editor.gridHint': 'Drag a zone to move it and its corner to resize it.',
+      'editor.addZone': 'Add zone',
+      'editor.removeZone': 'Remove {zone}',
+      'editor.usual': 'usual',
+      'editor.yes': 'Yes',
+      'editor.no': 'No',
+      'editor.level': 'Level',
+      'editor.levelName': 'Name',
+      'editor.duration': 'Timer (s)',
+      'editor.difficulty': 'Difficulty',
+      'editor.goal': 'Goal',
+      'editor.goal.survive': 'Survive',
+      'editor.goal.thrive': 'Thrive',
+      'editor.monster': 'Monster',
+      'editor.monsterEnabled': 'Comes out',
+      'editor.monsterSpeed': 'Speed ×',
+      'editor.prowl': 'Prowls',
+      'editor.drain': 'Drain ×',
+      'editor.recharge': 'Recharge ×',
+      'editor.startNeeds': 'Starting needs',
+      'editor.curves': 'Predicted needs',
+      'editor.strategy': 'Played by',
+      'editor.outcome.cleared': 'Cleared after {seconds}s',
+      'editor.outcome.caught': 'Caught after {seconds}s',
+      'editor.outcome.unfinished': 'Not cleared after {seconds}s',
+      'editor.fixErrors': 'Fix the problems above to see the curves and playtest.',
+      'strategy.idle': 'Standing still',
+      'strategy.lowest-need': 'Lowest need first',
+      'strategy.cautious': 'Cautious player',
+      'strategy.rotation': 'Zone rotation',
+      'challenge.target': 'Clear level {level} to complete the challenge',
+      'challenge.rechargeFaster': '{zone} recharges faster (×{mult})',
+      'challenge.rechargeSlower': '{zone} recharges slower (×{mult})',
+      'challenge.startNeeds': 'Levels start with {needs}',
+      'challenge.drainFaster': '{need} drains faster (×{mult})',
+      'challenge.drainSlower': '{need} drains slower (×{mult})',
+      'share.label': 'Share code:',
+      'share.placeholder': 'Check a friend\'s share code',
+      'share.genuine': 'Genuine: {date}, {outcome}, score {score}',
+      'share.complete': 'challenge complete',
+      'share.cleared': {
+        one: '{cleared} of {count} level cleared',
+        other: '{cleared} of {count} levels cleared'
+      },
+      'shop.title': 'Ranch Market',
+      'shop.coins': {
+        one: '{count} coin to spend',
+        other: '{count} coins to spend'
+      },
+      'shop.owned': 'Owned {owned}/{max}',
+      'shop.maxed': 'Maxed',
+      'shop.atMaximum': '{name} is already at its maximum',
+      'shop.tooPoor': 'Not enough coins',
+      'shop.startLevel': 'Start Level {level}',
+      'achievements.title': 'Achievements',
+      'achievements.summary': '{earned} of {total} unlocked',
+      'achievements.unlockedOn': 'Unlocked {date}',
+      'achievements.toast': 'Achievement unlocked',
+      'start.title': 'Choose Your Quest',
+      'start.modes': 'Game mode',
+      'start.todaysRules': 'Today\'s Rules ({date})',
+      'scores.title': 'High Scores',
+      'scores.newBest': 'New personal best: {score}!',
+      'scores.everyEnding': 'Every ending',
+      'scores.byCause': 'Filter by cause',
+      'scores.byCampaign': 'Filter by campaign',
+      'scores.regularRuns': 'Regular runs',
+      'scores.campaignRuns': 'Campaign: {campaign}',
+      'scores.anyLevel': 'Any level',
+      'scores.byLevel': 'Filter by level',
+      'scores.levelAtLeast': 'Level {level}+',
+      'scores.empty': 'No runs yet. Go make some history!',
+      'scores.noMatch': 'No runs match these filters.',
+      'scores.endedBy': 'Ended By',
+      'scores.assisted': 'Assisted: {percent}% drain',
+
+      // Modals
+      'pause.title': 'Paused',
+      'pause.flavor': 'The ranch holds its breath...',
+      'pause.hint': 'Press {keys} to carry on.',
+      'gameover.title': 'Game Over',
+      'gameover.flavor': 'The shadow consumed your unicorn...',
+      'gameover.hint': 'But legends never truly die.',
+      'timeup.title': 'Time\'s Up!',
+      'timeup.flavor': 'The sands have run out...',
+      'timeup.hint': 'How many levels can you clear next time?',
+      'complete.title': 'Challenge Complete!',
+      'complete.flavor': 'You conquered the {date} challenge!',
+      'complete.hint': 'Share your code so friends can check it.',
+      'victory.title': 'Victory!',
+      'victory.flavor': 'Your unicorn grows stronger!',
+      'victory.hint': 'The challenges ahead will be greater...',
+      'victory.stars': {
+        one: '{count} of 3 stars',
+        other: '{count} of 3 stars'
+      },
+      'run.newBest': 'New personal best!',
+      'run.dailyBest': 'Your best try at today\'s challenge!',
+      'run.challengeBest': 'Your best try at this challenge!',
+      'stat.levelReached': 'Level Reached',
+      'stat.levelsCleared': 'Levels Cleared',
+      'stat.score': 'Score',
+      'stat.levelScore': 'Level Score',
+      'stat.totalScore': 'Total Score',
+      'stat.coins': 'Coins',
+      'stat.nextLevel': 'Next Level',
+
+      // Errors
+      'error.onlyKey': '{key} is the only key for {action}',
+      'error.shareCode.format': 'That is not a share code. Codes look like 20261019-4-5230-1A2B3C.',
+      'error.shareCode.date': '{date} is not a real date',
+      'error.shareCode.levels': 'The {date} challenge ends after level {level}',
+      'error.shareCode.checksum': 'This code has been changed or mistyped',
+      'error.leaderboard.json': 'This file is not a score export',
+      'error.leaderboard.version': 'These scores come from an unknown version of the game',
+      'error.leaderboard.invalid': {
+        one: 'These scores have {count} problem and were not imported',
+        other: 'These scores have {count} problems and were not imported'
+      },
+      'error.campaign.json': 'This file is not a campaign pack',
+      'error.campaign.version': 'This campaign pack comes from an unknown version of the game',
+      'error.campaign.invalid': {
+        one: 'This campaign has {count} problem',
+        other: 'This campaign has {count} problems'
+      },
+      'error.replay.json': 'This file is not a replay',
+      'error.replay.invalid': {
+        one: 'This replay has {count} problem',
+        other: 'This replay has {count} problems'
+      }
+    },
+
+    es: {
+      // Registries
+      'need.hunger': 'Hambre',
+      'need.thirst': 'Sed',
+      'need.energy': 'Energía',
+      'need.fun': 'Alegría',
+      'need.hygiene': 'Higiene',
+      'need.affection': 'Cariño',
+      'zone.lake': 'Lago de Cristal',
+      'zone.field': 'Campos Dorados',
+      'zone.barn': 'Establo Acogedor',
+      'zone.play': 'Recinto Ferial',
+      'zone.meadow': 'Prado Arcoíris',
+      'mode.classic.name': 'Clásico',
+      'mode.classic.description': 'Sobrevive a niveles de 30 segundos. Las necesidades se rellenan entre niveles.',
+      'mode.endless.name': 'Sin fin',
+      'mode.endless.description': 'Una sola partida larga sin pausas. Las necesidades se arrastran y el rancho es cada vez más difícil.',
+      'mode.timeattack.name': 'Contrarreloj',
+      'mode.timeattack.description': 'Supera tantos niveles como puedas en {minutes} minutos. ' +
+        'Un nivel se supera tras {seconds} segundos con todas las necesidades por encima del {threshold} %.',
+      'mode.daily.name': 'Reto diario',
+      'mode.daily.description': 'Las mismas reglas para todos hoy: zonas potenciadas y debilitadas, necesidades iniciales raras y un nivel objetivo.',
+      'effect.fill': 'Recarga',
+      'effect.freeze': 'Desgaste en pausa',
+      'effect.shield': 'Escudo',
+      'item.apple': 'Manzana dorada',
+      'item.star': 'Estrella',
+      'item.shield': 'Escudo',
+      'worldEvent.heatwave.name': 'Ola de calor',
+      'worldEvent.heatwave.warning': 'La sed baja el doble de rápido',
+      'worldEvent.storm.name': 'Tormenta',
+      'worldEvent.storm.warning': 'El Recinto Ferial cierra y el establo es aún más acogedor',
+      'worldEvent.nightfall.name': 'Anochecer',
+      'worldEvent.nightfall.warning': 'La energía baja más rápido en la oscuridad',
+      'upgrade.hydration.name': 'Joroba de camello',
+      'upgrade.hydration.description': 'La sed baja un 10 % más despacio',
+      'upgrade.bedding.name': 'Cama mullida',
+      'upgrade.bedding.description': 'El establo recarga un 25 % más rápido',
+      'upgrade.escape.name': 'Amuleto de escape',
+      'upgrade.escape.description': 'Escápate la próxima vez que el monstruo te atrape',
+      'achievement.rookie.name': 'Peón del rancho',
+      'achievement.rookie.description': 'Supera tu primer nivel',
+      'achievement.veteran.name': 'Veterano',
+      'achievement.veteran.description': 'Supera 25 niveles',
+      'achievement.summit.name': 'Diez niveles',
+      'achievement.summit.description': 'Llega al nivel 10',
+      'achievement.untamed.name': 'Indomable',
+      'achievement.untamed.description': 'Termina un nivel sin pasar por el establo',
+      'achievement.whisker.name': 'Por los pelos',
+      'achievement.whisker.description': 'Sobrevive a un nivel con una necesidad al 1 %',
+      'achievement.wanderer.name': 'Trotamundos',
+      'achievement.wanderer.description': 'Entra en zonas 100 veces',
+      'achievement.splash.name': 'Chapoteador',
+      'achievement.splash.description': 'Visita el Lago de Cristal 30 veces',
+      'achievement.daredevil.name': 'Temerario',
+      'achievement.daredevil.description': 'Deja que las necesidades lleguen a nivel crítico 50 veces',
+      'achievement.bait.name': 'Cebo de monstruo',
+      'achievement.bait.description': 'Pon al monstruo tras tu pista 10 veces',
+      'action.up': 'Arriba',
+      'action.down': 'Abajo',
+      'action.left': 'Izquierda',
+      'action.right': 'Derecha',
+      'action.pause': 'Pausa',
+      'volume.master': 'General',
+      'volume.music': 'Música',
+      'volume.effects': 'Efectos',
+      'sort.score': 'Puntos',
+      'sort.level': 'Nivel',
+      'sort.runTime': 'Duración',
+      'sort.date': 'Fecha',
+      'cause.monster': 'Monstruo al acecho',
+      'cause.time': 'Se acabó el tiempo',
+      'cause.complete': 'Reto completado',
+
+      // HUD
+      'hud.title': 'RANCHO UNICORNIO',
+      'hud.level': 'Nivel',
+      'hud.time': 'Tiempo',
+      'hud.thrive': 'Prosperar',
+      'hud.campaignFreePlay': 'Juego libre',
+      'hud.target': 'Objetivo',
+      'hud.targetHint': 'Supera este nivel para completar el reto',
+      'hud.targetLevel': 'Nivel {level}',
+      'hud.clock': 'Reloj',
+      'hud.score': 'Puntos',
+      'hud.coins': 'Monedas',
+      'hud.coinsHint': 'Monedas ganadas con los puntos de cada nivel, para gastar entre niveles',
+      'hud.seconds': '{seconds} s',
+      'hud.language': 'Idioma',
+      'hud.eventWarning': '{name} en {seconds} s: {warning}',
+      'hud.trend.rising': 'Subiendo',
+      'hud.trend.falling': 'Bajando',
+      'hud.trend.steady': 'Estable',
+      'hud.runsOut': 'vacío en {seconds} s',
+      'hud.criticalIn': '{need}: nivel crítico en {seconds} s',
+      'hud.criticalNow': '¡{need}: nivel crítico!',
+      'hud.refillAt': 'Ve a {zone}',
+      'zone.closed': 'Cerrado',
+
+      // Buttons
+      'button.pause': 'Pausa',
+      'button.resume': 'Continuar',
+      'button.play': 'Reproducir',
+      'button.controls': 'Controles',
+      'button.sound': 'Sonido',
+      'button.accessibility': 'Accesibilidad',
+      'button.scores': 'Puntuaciones',
+      'button.highScores': 'Mejores puntuaciones',
+      'button.achievements': 'Logros',
+      'button.loadReplay': 'Cargar repetición',
+      'button.loadCampaign': 'Cargar campaña',
+      'button.editor': 'Editor de niveles',
+      'button.newRun': 'Nueva partida',
+      'button.support': 'Apoyar',
+      'button.restart': 'Reiniciar',
+      'button.exit': 'Salir',
+      'button.defaults': 'Por defecto',
+      'button.done': 'Listo',
+      'button.begin': 'Empezar',
+      'button.resumeRun': 'Reanudar partida',
+      'button.export': 'Exportar',
+      'button.import': 'Importar',
+      'button.riseAgain': 'Levántate otra vez',
+      'button.playAgain': 'Jugar otra vez',
+      'button.tryAgain': 'Intentar de nuevo',
+      'button.changeMode': 'Cambiar modo',
+      'button.watchReplay': 'Ver repetición',
+      'button.downloadReplay': 'Descargar repetición',
+      'button.continueQuest': 'Continuar la aventura',
+      'button.copy': 'Copiar',
+      'button.copied': 'Copiado',
+      'button.check': 'Comprobar',
+
+      // Panels
+      'replay.label': 'Repetición',
+      'controls.title': 'Controles',
+      'controls.listening': 'Pulsa una tecla para {action}...',
+      'controls.hint': 'Haz clic en una tecla para cambiarla. Los mandos funcionan con la palanca o la cruceta.',
+      'sound.title': 'Sonido',
+      'sound.hint': 'Tu navegador genera cada sonido en directo.',
+      'a11y.title': 'Accesibilidad',
+      'a11y.hint': 'Los lectores de pantalla avisan cuando una necesidad llega a nivel crítico, cambia la zona o cambia el nivel.',
+      'a11y.highContrast': 'Alto contraste',
+      'a11y.reducedMotion': 'Movimiento reducido',
+      'a11y.drainAssist': 'Desgaste más lento',
+      'a11y.assistOff': 'No',
+      'a11y.assistLevel': '{percent} % de desgaste',
+      'a11y.assistHint': 'El desgaste se aplica a partir de la próxima partida.',
+      'a11y.needCritical': '¡{need}: nivel crítico!',
+      'a11y.monster': '¡Viene el monstruo!',
+      'a11y.zoneEntered': 'Entraste en {zone}',
+      'a11y.levelComplete': 'Nivel {level} superado',
+      'a11y.levelStarted': 'Empieza el nivel {level}',
+      'editor.title': 'Editor de niveles',
+      'editor.campaignName': 'Nombre de la campaña',
+      'editor.campaignId': 'Id de la campaña',
+      'editor.levels': 'Niveles',
+      'editor.addLevel': 'Añadir nivel',
+      'editor.removeLevel': 'Quitar nivel',
+      'editor.playtest': 'Probar ahora',
+      'editor.gridHint': 'Arrastra una zona para moverla y su esquina para cambiar su tamaño.',
+      'editor.addZone': 'Añadir zona',
+      'editor.removeZone': 'Quitar {zone}',
+      'editor.usual': 'normal',
+      'editor.yes': 'Sí',
+      'editor.no': 'No',
+      'editor.level': 'Nivel',
+      'editor.levelName': 'Nombre',
+      'editor.duration': 'Tiempo (s)',
+      'editor.difficulty': 'Dificultad',
+      'editor.goal': 'Objetivo',
+      'editor.goal.survive': 'Sobrevivir',
+      'editor.goal.thrive': 'Prosperar',
+      'editor.monster': 'Monstruo',
+      'editor.monsterEnabled': 'Sale',
+      'editor.monsterSpeed': 'Velocidad ×',
+      'editor.prowl': 'Merodea',
+      'editor.drain': 'Desgaste ×',
+      'editor.recharge': 'Recarga ×',
+      'editor.startNeeds': 'Necesidades iniciales',
+      'editor.curves': 'Necesidades previstas',
+      'editor.strategy': 'Jugado por',
+      'editor.outcome.cleared': 'Superado a los {seconds}s',
+      'editor.outcome.caught': 'Atrapado a los {seconds}s',
+      'editor.outcome.unfinished': 'Sin superar tras {seconds}s',
+      'editor.fixErrors': 'Corrige los problemas de arriba para ver las curvas y probar el nivel.',
+      'strategy.idle': 'Quieto',
+      'strategy.lowest-need': 'La necesidad más baja primero',
+      'strategy.cautious': 'Jugador prudente',
+      'strategy.rotation': 'Ronda de zonas',
+      'challenge.target': 'Supera el nivel {level} para completar el reto',
+      'challenge.rechargeFaster': '{zone} recarga más rápido (×{mult})',
+      'challenge.rechargeSlower': '{zone} recarga más despacio (×{mult})',
+      'challenge.startNeeds': 'Los niveles empiezan con {needs}',
+      'challenge.drainFaster': '{need} baja más rápido (×{mult})',
+      'challenge.drainSlower': '{need} baja más despacio (×{mult})',
+      'share.label': 'Código para compartir:',
+      'share.placeholder': 'Comprueba el código de un amigo',
+      'share.genuine': 'Auténtico: {date}, {outcome}, {score} puntos',
+      'share.complete': 'reto completado',
+      'share.cleared': {
+        one: '{cleared} de {count} nivel superado',
+        other: '{cleared} de {count} niveles superados'
+      },
+      'shop.title': 'Mercado del rancho',
+      'shop.coins': {
+        one: '{count} moneda para gastar',
+        other: '{count} monedas para gastar'
+      },
+      'shop.owned': 'Tienes {owned}/{max}',
+      'shop.maxed': 'Al máximo',
+      'shop.atMaximum': '{name} ya está al máximo',
+      'shop.tooPoor': 'No tienes suficientes monedas',
+      'shop.startLevel': 'Empezar nivel {level}',
+      'achievements.title': 'Logros',
+      'achievements.summary': '{earned} de {total} desbloqueados',
+      'achievements.unlockedOn': 'Desbloqueado el {date}',
+      'achievements.toast': 'Logro desbloqueado',
+      'start.title': 'Elige tu aventura',
+      'start.modes': 'Modo de juego',
+      'start.todaysRules': 'Reglas de hoy ({date})',
+      'scores.title': 'Mejores puntuaciones',
+      'scores.newBest': '¡Nuevo récord personal: {score}!',
+      'scores.everyEnding': 'Cualquier final',
+      'scores.byCause': 'Filtrar por causa',
+      'scores.byCampaign': 'Filtrar por campaña',
+      'scores.regularRuns': 'Partidas normales',
+      'scores.campaignRuns': 'Campaña: {campaign}',
+      'scores.anyLevel': 'Cualquier nivel',
+      'scores.byLevel': 'Filtrar por nivel',
+      'scores.levelAtLeast': 'Nivel {level}+',
+      'scores.empty': 'Aún no hay partidas. ¡Ve a hacer historia!',
+      'scores.noMatch': 'Ninguna partida coincide con estos filtros.',
+      'scores.endedBy': 'Final',
+      'scores.assisted': 'Con ayuda: {percent} % de desgaste',
+
+      // Modals
+      'pause.title': 'En pausa',
+      'pause.flavor': 'El rancho contiene la respiración...',
+      'pause.hint': 'Pulsa {keys} para seguir.',
+      'gameover.title': 'Fin de la partida',
+      'gameover.flavor': 'La sombra devoró a tu unicornio...',
+      'gameover.hint': 'Pero las leyendas nunca mueren del todo.',
+      'timeup.title': '¡Se acabó el tiempo!',
+      'timeup.flavor': 'La arena del reloj se ha agotado...',
+      'timeup.hint': '¿Cuántos niveles superarás la próxima vez?',
+      'complete.title': '¡Reto completado!',
+      'complete.flavor': '¡Has conquistado el reto del {date}!',
+      'complete.hint': 'Comparte tu código para que tus amigos lo comprueben.',
+      'victory.title': '¡Victoria!',
+      'victory.flavor': '¡Tu unicornio se hace más fuerte!',
+      'victory.hint': 'Los desafíos que vienen serán mayores...',
+      'victory.stars': {
+        one: '{count} de 3 estrellas',
+        other: '{count} de 3 estrellas'
+      },
+      'run.newBest': '¡Nuevo récord personal!',
+      'run.dailyBest': '¡Tu mejor intento en el reto de hoy!',
+      'run.challengeBest': '¡Tu mejor intento en este reto!',
+      'stat.levelReached': 'Nivel alcanzado',
+      'stat.levelsCleared': 'Niveles superados',
+      'stat.score': 'Puntos',
+      'stat.levelScore': 'Puntos del nivel',
+      'stat.totalScore': 'Puntos totales',
+      'stat.coins': 'Monedas',
+      'stat.nextLevel': 'Siguiente nivel',
+
+      // Errors
+      'error.onlyKey': '{key} es la única tecla para {action}',
+      'error.shareCode.format': 'Eso no es un código para compartir. Los códigos son como 20261019-4-5230-1A2B3C.',
+      'error.shareCode.date': '{date} no es una fecha real',
+      'error.shareCode.levels': 'El reto del {date} termina en el nivel {level}',
+      'error.shareCode.checksum': 'Este código se ha modificado o está mal escrito',
+      'error.leaderboard.json': 'Este archivo no es una exportación de puntuaciones',
+      'error.leaderboard.version': 'Estas puntuaciones son de una versión desconocida del juego',
+      'error.leaderboard.invalid': {
+        one: 'Estas puntuaciones tienen {count} problema y no se importaron',
+        other: 'Estas puntuaciones tienen {count} problemas y no se importaron'
+      },
+      'error.campaign.json': 'Este archivo no es un paquete de campaña',
+      'error.campaign.version': 'Este paquete de campaña es de una versión desconocida del juego',
+      'error.campaign.invalid': {
+        one: 'Esta campaña tiene {count} problema',
+        other: 'Esta campaña tiene {count} problemas'
+      },
+      'error.replay.json': 'Este archivo no es una repetición',
+      'error.replay.invalid': {
+        one: 'Esta repetición tiene {count} problema',
+        other: 'Esta repetición tiene {count} problemas'
+      }
+    },
+
+    ja: {
+      // Registries
+      'need.hunger': '空腹',
+      'need.thirst': 'のどの渇き',
+      'need.energy': '元気',
+      'need.fun': '楽しさ',
+      'need.hygiene': '清潔',
+      'need.affection': '愛情',
+      'zone.lake': 'クリスタル湖',
+      'zone.field': '黄金の畑',
+      'zone.barn': 'ぽかぽか納屋',
+      'zone.play': 'お祭り広場',
+      'zone.meadow': '虹の草原',
+      'mode.classic.name': 'クラシック',
+      'mode.classic.description': '30秒のレベルを生き延びよう。レベルの合間にニーズが回復します。',
+      'mode.endless.name': 'エンドレス',
+      'mode.endless.description': '休みなしの長い1本勝負。ニーズは引き継がれ、牧場はどんどん厳しくなります。',
+      'mode.timeattack.name': 'タイムアタック',
+      'mode.timeattack.description': '{minutes}分間でできるだけ多くのレベルをクリアしよう。' +
+        'すべてのニーズが{threshold}%を超えた状態で{seconds}秒たつとクリアです。',
+      'mode.daily.name': 'デイリーチャレンジ',
+      'mode.daily.description': '今日は全員が同じルール：強化・弱体化されたゾーン、変わった初期ニーズ、目標レベル。',
+      'effect.fill': '回復',
+      'effect.freeze': '減少ストップ',
+      'effect.shield': 'シールド',
+      'item.apple': '金のリンゴ',
+      'item.star': 'スター',
+      'item.shield': 'シールド',
+      'worldEvent.heatwave.name': '猛暑',
+      'worldEvent.heatwave.warning': 'のどの渇きが2倍の速さで減ります',
+      'worldEvent.storm.name': '嵐',
+      'worldEvent.storm.warning': 'お祭り広場が閉まり、納屋がいっそう居心地よくなります',
+      'worldEvent.nightfall.name': '日暮れ',
+      'worldEvent.nightfall.warning': '暗闇では元気が早く減ります',
+      'upgrade.hydration.name': 'ラクダのこぶ',
+      'upgrade.hydration.description': 'のどの渇きの減りが10%遅くなる',
+      'upgrade.bedding.name': 'ふかふか寝わら',
+      'upgrade.bedding.description': '納屋の回復が25%速くなる',
+      'upgrade.escape.name': '逃げのお守り',
+      'upgrade.escape.description': '次にモンスターに捕まったとき、するりと逃げられる',
+      'achievement.rookie.name': '牧場の新人',
+      'achievement.rookie.description': '初めてレベルをクリアする',
+      'achievement.veteran.name': 'ベテラン',
+      'achievement.veteran.description': '25レベルをクリアする',
+      'achievement.summit.name': '10レベルの高み',
+      'achievement.summit.description': 'レベル10に到達する',
+      'achievement.untamed.name': '野生児',
+      'achievement.untamed.description': '納屋に寄らずにレベルをクリアする',
+      'achievement.whisker.name': '間一髪',
+      'achievement.whisker.description': 'ニーズが1%の状態でレベルを生き延びる',
+      'achievement.wanderer.name': '放浪者',
+      'achievement.wanderer.description': 'ゾーンに100回入る',
+      'achievement.splash.name': '水遊び好き',
+      'achievement.splash.description': 'クリスタル湖を30回訪れる',
+      'achievement.daredevil.name': '命知らず',
+      'achievement.daredevil.description': 'ニーズを50回危険域にする',
+      'achievement.bait.name': 'モンスターのえさ',
+      'achievement.bait.description': 'モンスターに10回追いかけられる',
+      'action.up': '上へ移動',
+      'action.down': '下へ移動',
+      'action.left': '左へ移動',
+      'action.right': '右へ移動',
+      'action.pause': '一時停止',
+      'volume.master': 'マスター',
+      'volume.music': '音楽',
+      'volume.effects': '効果音',
+      'sort.score': 'スコア',
+      'sort.level': 'レベル',
+      'sort.runTime': 'プレイ時間',
+      'sort.date': '日付',
+      'cause.monster': 'うろつくモンスター',
+      'cause.time': '時間切れ',
+      'cause.complete': 'チャレンジ達成',
+
+      // HUD
+      'hud.title': 'ユニコーン牧場',
+      'hud.level': 'レベル',
+      'hud.time': '時間',
+      'hud.thrive': '好調',
+      'hud.campaignFreePlay': 'フリープレイ',
+      'hud.target': '目標',
+      'hud.targetHint': 'このレベルをクリアするとチャレンジ達成',
+      'hud.targetLevel': 'レベル{level}',
+      'hud.clock': '残り時間',
+      'hud.score': 'スコア',
+      'hud.coins': 'コイン',
+      'hud.coinsHint': 'レベルのスコアで稼ぎ、レベルの合間に使うコイン',
+      'hud.seconds': '{seconds}秒',
+      'hud.language': '言語',
+      'hud.eventWarning': 'あと{seconds}秒で{name}：{warning}',
+      'hud.trend.rising': '上昇中',
+      'hud.trend.falling': '減少中',
+      'hud.trend.steady': '安定',
+      'hud.runsOut': 'あと{seconds}秒で空',
+      'hud.criticalIn': 'あと{seconds}秒で{need}が危険',
+      'hud.criticalNow': '{need}が危険！',
+      'hud.refillAt': '{zone}へ向かおう',
+      'zone.closed': '閉鎖中',
+
+      // Buttons
+      'button.pause': '一時停止',
+      'button.resume': '再開',
+      'button.play': '再生',
+      'button.controls': '操作設定',
+      'button.sound': 'サウンド',
+      'button.accessibility': 'アクセシビリティ',
+      'button.scores': 'スコア',
+      'button.highScores': 'ハイスコア',
+      'button.achievements': '実績',
+      'button.loadReplay': 'リプレイを読み込む',
+      'button.loadCampaign': 'キャンペーンを読み込む',
+      'button.editor': 'レベルエディター',
+      'button.newRun': '新しいプレイ',
+      'button.support': '応援する',
+      'button.restart': '最初から',
+      'button.exit': '終了',
+      'button.defaults': '初期設定',
+      'button.done': '完了',
+      'button.begin': 'はじめる',
+      'button.resumeRun': 'プレイを再開',
+      'button.export': 'エクスポート',
+      'button.import': 'インポート',
+      'button.riseAgain': 'もう一度立ち上がる',
+      'button.playAgain': 'もう一度遊ぶ',
+      'button.tryAgain': 'もう一度挑戦',
+      'button.changeMode': 'モード変更',
+      'button.watchReplay': 'リプレイを見る',
+      'button.downloadReplay': 'リプレイを保存',
+      'button.continueQuest': '冒険を続ける',
+      'button.copy': 'コピー',
+      'button.copied': 'コピーしました',
+      'button.check': '確認',
+
+      // Panels
+      'replay.label': 'リプレイ',
+      'controls.title': '操作設定',
+      'controls.listening': '「{action}」に割り当てるキーを押してください...',
+      'controls.hint': 'キーをクリックすると割り当てを変更できます。ゲームパッドはスティックか十字キーで操作できます。',
+      'sound.title': 'サウンド',
+      'sound.hint': 'すべての音はブラウザがその場で鳴らしています。',
+      'a11y.title': 'アクセシビリティ',
+      'a11y.hint': '欲求が危険になったとき、エリアやレベルが変わったときにスクリーンリーダーが読み上げます。',
+      'a11y.highContrast': 'ハイコントラスト',
+      'a11y.reducedMotion': '動きを減らす',
+      'a11y.drainAssist': '減少をゆっくりに',
+      'a11y.assistOff': 'オフ',
+      'a11y.assistLevel': '減少{percent}%',
+      'a11y.assistHint': '減少の設定は次のランから反映されます。',
+      'a11y.needCritical': '{need}が危険！',
+      'a11y.monster': 'モンスターが来る！',
+      'a11y.zoneEntered': '{zone}に入った',
+      'a11y.levelComplete': 'レベル{level}クリア',
+      'a11y.levelStarted': 'レベル{level}開始',
+      'editor.title': 'レベルエディター',
+      'editor.campaignName': 'キャンペーン名',
+      'editor.campaignId': 'キャンペーンID',
+      'editor.levels': 'レベル',
+      'editor.addLevel': 'レベルを追加',
+      'editor.removeLevel': 'レベルを削除',
+      'editor.playtest': '今すぐテストプレイ',
+      'editor.gridHint': 'ゾーンをドラッグして移動、角をドラッグしてサイズ変更。',
+      'editor.addZone': 'ゾーンを追加',
+      'editor.removeZone': '{zone}を削除',
+      'editor.usual': '通常',
+      'editor.yes': 'はい',
+      'editor.no': 'いいえ',
+      'editor.level': 'レベル',
+      'editor.levelName': '名前',
+      'editor.duration': '制限時間（秒）',
+      'editor.difficulty': '難易度',
+      'editor.goal': '目標',
+      'editor.goal.survive': '生き残る',
+      'editor.goal.thrive': '好調を保つ',
+      'editor.monster': 'モンスター',
+      'editor.monsterEnabled': '出現する',
+      'editor.monsterSpeed': '速さ ×',
+      'editor.prowl': 'うろつく',
+      'editor.drain': '減り方 ×',
+      'editor.recharge': '回復 ×',
+      'editor.startNeeds': '開始時のステータス',
+      'editor.curves': 'ステータスの予測',
+      'editor.strategy': 'プレイする人',
+      'editor.outcome.cleared': '{seconds}秒でクリア',
+      'editor.outcome.caught': '{seconds}秒で捕まった',
+      'editor.outcome.unfinished': '{seconds}秒たってもクリアできず',
+      'editor.fixErrors': '上の問題を直すと、予測とテストプレイができます。',
+      'strategy.idle': '動かない',
+      'strategy.lowest-need': '一番低いステータスから',
+      'strategy.cautious': '慎重なプレイヤー',
+      'strategy.rotation': 'ゾーンを順番に回る',
+      'challenge.target': 'レベル{level}をクリアするとチャレンジ達成',
+      'challenge.rechargeFaster': '{zone}の回復が速い (×{mult})',
+      'challenge.rechargeSlower': '{zone}の回復が遅い (×{mult})',
+      'challenge.startNeeds': 'レベル開始時のニーズ：{needs}',
+      'challenge.drainFaster': '{need}の減りが速い (×{mult})',
+      'challenge.drainSlower': '{need}の減りが遅い (×{mult})',
+      'share.label': '共有コード：',
+      'share.placeholder': '友だちの共有コードを確認',
+      'share.genuine': '本物です：{date}、{outcome}、スコア{score}',
+      'share.complete': 'チャレンジ達成',
+      'share.cleared': {
+        other: '{count}レベル中{cleared}レベルクリア'
+      },
+      'shop.title': '牧場マーケット',
+      'shop.coins': {
+        other: '使えるコイン：{count}枚'
+      },
+      'shop.owned': '所持 {owned}/{max}',
+      'shop.maxed': '最大',
+      'shop.atMaximum': '{name}はすでに最大です',
+      'shop.tooPoor': 'コインが足りません',
+      'shop.startLevel': 'レベル{level}を開始',
+      'achievements.title': '実績',
+      'achievements.summary': '{total}個中{earned}個解除',
+      'achievements.unlockedOn': '{date}に解除',
+      'achievements.toast': '実績解除',
+      'start.title': '冒険を選ぼう',
+      'start.modes': 'ゲームモード',
+      'start.todaysRules': '今日のルール（{date}）',
+      'scores.title': 'ハイスコア',
+      'scores.newBest': '自己ベスト更新：{score}！',
+      'scores.everyEnding': 'すべての結末',
+      'scores.byCause': '原因で絞り込む',
+      'scores.byCampaign': 'キャンペーンで絞り込む',
+      'scores.regularRuns': '通常プレイ',
+      'scores.campaignRuns': 'キャンペーン：{campaign}',
+      'scores.anyLevel': 'すべてのレベル',
+      'scores.byLevel': 'レベルで絞り込む',
+      'scores.levelAtLeast': 'レベル{level}以上',
+      'scores.empty': 'まだプレイ記録がありません。歴史を作りに行こう！',
+      'scores.noMatch': '条件に合うプレイはありません。',
+      'scores.endedBy': '結末',
+      'scores.assisted': 'アシスト：減少{percent}%',
+
+      // Modals
+      'pause.title': '一時停止中',
+      'pause.flavor': '牧場は息をひそめている...',
+      'pause.hint': '{keys}を押すと続きから遊べます。',
+      'gameover.title': 'ゲームオーバー',
+      'gameover.flavor': '影がユニコーンを飲み込んだ...',
+      'gameover.hint': 'けれど伝説は決して終わらない。',
+      'timeup.title': '時間切れ！',
+      'timeup.flavor': '砂時計の砂が落ちきった...',
+      'timeup.hint': '次は何レベルクリアできるかな？',
+      'complete.title': 'チャレンジ達成！',
+      'complete.flavor': '{date}のチャレンジを制覇した！',
+      'complete.hint': 'コードを共有して友だちに確認してもらおう。',
+      'victory.title': '勝利！',
+      'victory.flavor': 'ユニコーンはさらに強くなった！',
+      'victory.hint': 'この先の試練はもっと厳しくなる...',
+      'victory.stars': {
+        other: '星3つ中{count}つ'
+      },
+      'run.newBest': '自己ベスト更新！',
+      'run.dailyBest': '今日のチャレンジの自己ベスト！',
+      'run.challengeBest': 'このチャレンジの自己ベスト！',
+      'stat.levelReached': '到達レベル',
+      'stat.levelsCleared': 'クリアしたレベル',
+      'stat.score': 'スコア',
+      'stat.levelScore': 'レベルスコア',
+      'stat.totalScore': '合計スコア',
+      'stat.coins': 'コイン',
+      'stat.nextLevel': '次のレベル',
+
+      // Errors
+      'error.onlyKey': '{key}は「{action}」の唯一のキーです',
+      'error.shareCode.format': '共有コードではありません。コードは20261019-4-5230-1A2B3Cのような形です。',
+      'error.shareCode.date': '{date}は存在しない日付です',
+      'error.shareCode.levels': '{date}のチャレンジはレベル{level}で終わります',
+      'error.shareCode.checksum': 'このコードは書き換えられたか、入力が間違っています',
+      'error.leaderboard.json': 'このファイルはスコアのエクスポートではありません',
+      'error.leaderboard.version': '不明なバージョンのゲームのスコアです',
+      'error.leaderboard.invalid': {
+        other: 'スコアに問題が{count}件あるため、読み込みませんでした'
+      },
+      'error.campaign.json': 'このファイルはキャンペーンパックではありません',
+      'error.campaign.version': '不明なバージョンのゲームのキャンペーンパックです',
+      'error.campaign.invalid': {
+        other: 'キャンペーンに問題が{count}件あります'
+      },
+      'error.replay.json': 'このファイルはリプレイではありません',
+      'error.replay.invalid': {
+        other: 'リプレイに問題が{count}件あります'
+      }
+    }
+  };
+
+  // ============================================
+  // LANGUAGES
+  // ============================================
+
+  /**
+   * Looks up a language in the LANGUAGES registry
+   * @param {string} id - Language identifier
+   * @returns {object|null} Registry entry, or null for unsupported languages
+   */
+  function getLanguage(id) {
+    return id != null && Object.prototype.hasOwnProperty.call(LANGUAGES, id) ? LANGUAGES[id] : null;
+  }
+
+  /**
+   * Picks the first supported language from the player's preferences,
+   * matching on the primary subtag so "es-MX" gets Spanish
+   * @param {Array<string>} preferred - Language tags, e.g. navigator.languages
+   * @returns {string} Supported language id, DEFAULT_LANGUAGE if none match
+   */
+  function detectLanguage(preferred) {
+    const match = (preferred || [])
+      .map(tag => String(tag).toLowerCase().split('-')[0])
+      .find(id => getLanguage(id));
+    return match || DEFAULT_LANGUAGE;
+  }
+
+  // ============================================
+  // FORMATTING
+  // ============================================
+
+  /**
+   * Formats a number the way the language writes it
+   * @param {string} language - Language id
+   * @param {number} value - Number to format
+   * @returns {string} e.g. "12,345" in English, "12.345" in Spanish
+   */
+  function formatNumber(language, value) {
+    return new Intl.NumberFormat((getLanguage(language) || LANGUAGES[DEFAULT_LANGUAGE]).locale).format(value);
+  }
+
+  /**
+   * Joins alternatives the way the language lists them
+   * @param {string} language - Language id
+   * @param {Array<string>} items - Alternatives
+   * @returns {string} e.g. "P or Esc"
+   */
+  function formatList(language, items) {
+    const { locale } = getLanguage(language) || LANGUAGES[DEFAULT_LANGUAGE];
+    return new Intl.ListFormat(locale, { type: 'disjunction' }).format(items);
+  }
+
+  /**
+   * Picks the plural form of a message for a count
+   * @param {string} language - Language id
+   * @param {object} forms - Plural forms keyed by Intl.PluralRules category
+   * @param {number} count - Count the message is about
+   * @returns {string} The matching form, or the "other" form
+   */
+  function selectPlural(language, forms, count) {
+    const { locale } = getLanguage(language) || LANGUAGES[DEFAULT_LANGUAGE];
+    const category = new Intl.PluralRules(locale).select(count);
+    return Object.prototype.hasOwnProperty.call(forms, category) ? forms[category] : forms.other;
+  }
+
+  /**
+   * Translates a message. Falls back to English when the language lacks
+   * the message, and to the key itself when English does too.
+   * @param {string} language - Language id
+   * @param {string} key - Message key, e.g. "shop.coins"
+   * @param {object} [params] - Placeholder values; numbers are formatted for
+   *   the language and a count picks the plural form
+   * @returns {string} Player-facing text
+   */
+  function translate(language, key, params = {}) {
+    const catalog = CATALOGS[getLanguage(language) ? language : DEFAULT_LANGUAGE];
+    const own = Object.prototype.hasOwnProperty.call(catalog, key);
+    const fallback = Object.prototype.hasOwnProperty.call(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (!own && !fallback) {
+      return key;
+    }
+    const textLanguage = own ? language : DEFAULT_LANGUAGE;
+    let message = own ? catalog[key] : CATALOGS[DEFAULT_LANGUAGE][key];
+    if (typeof message === 'object') {
+      message = selectPlural(textLanguage, message, params.count);
+    }
+    return message.replace(PLACEHOLDER, (placeholder, name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        return placeholder;
+      }
+      const value = params[name];
+      return typeof value === 'number' ? formatNumber(textLanguage, value) : String(value);
+    });
+  }
+
+  /**
+   * Binds translate and the formatters to a language, for the UI
+   * @param {string} language - Language id
+   * @returns {function(string, object=): string} Translator, with number(value),
+   *   list(items) and the language id attached
+   */
+  function createTranslator(language) {
+    const t = (key, params) => translate(language, key, params);
+    t.number = value => formatNumber(language, value);
+    t.list = items => formatList(language, items);
+    t.language = language;
+    t.locale = (getLanguage(language) || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+    return t;
+  }
+
+  // ============================================
+  // CATALOG CHECKS
+  // ============================================
+
+  /**
+   * Lists the keys of the reference catalog that a catalog lacks, or has
+   * in the wrong shape (a plain string where plural forms are needed, or
+   * plural forms without "other")
+   * @param {object} catalog - Catalog to check
+   * @param {object} [reference] - Catalog it must cover, defaults to English
+   * @returns {Array<string>} Missing keys; empty when the catalog is complete
+   */
+  function findMissingKeys(catalog, reference = CATALOGS[DEFAULT_LANGUAGE]) {
+    return Object.keys(reference).filter(key => {
+      if (!Object.prototype.hasOwnProperty.call(catalog, key)) {
+        return true;
+      }
+      const plural = typeof reference[key] === 'object';
+      const message = catalog[key];
+      return plural
+        ? message === null || typeof message !== 'object' || typeof message.other !== 'string'
+        : typeof message !== 'string';
+    });
+  }
+
+  /**
+   * Lists the placeholders a message uses
+   * @param {string|object} message - Message or plural forms
+   * @returns {Array<string>} Placeholder names, sorted and without repeats
+   */
+  function getPlaceholders(message) {
+    const texts = typeof message === 'object' ? Object.values(message) : [message];
+    const names = new Set();
+    texts.forEach(text => {
+      for (const match of text.matchAll(PLACEHOLDER)) {
+        names.add(match[1]);
+      }
+    });
+    return [...names].sort();
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    CATALOGS,
+
+    // Languages
+    getLanguage,
+    detectLanguage,
+
+    // Formatting
+    formatNumber,
+    formatList,
+    selectPlural,
+    translate,
+    createTranslator,
+
+    // Catalog Checks
+    findMissingKeys,
+    getPlaceholders
+  };
+}));
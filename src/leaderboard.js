@@ -0,0 +1,356 @@
+/**
+ * Leaderboard Module for Unicorn Ranch
+ * Keeps the local run history: one entry per finished run with its mode,
+ * level, score, length, the need that let the monster in and the date. Provides
+ * sorting, filtering and personal-best checks for the high-score screen,
+ * and JSON export/import so boards can be merged across machines.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Leaderboard)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Leaderboard = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { DEFAULT_MODE, DRAIN_ASSISTS, GAME_MODES, createPlayerError, getGameMode, getGameOverCause, getNeed } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into exported boards */
+  const LEADERBOARD_VERSION = 4;
+
+  /* Runs kept in the history; the oldest go first, each mode's unassisted best never does */
+  const MAX_ENTRIES = 100;
+
+  /* Columns the high-score screen sorts by, in the order it lists them */
+  const SORT_FIELDS = ['score', 'level', 'runTime', 'date'];
+
+  /* Cause recorded when the monster caught the unicorn with no need critical */
+  const CAUGHT_PROWLING = 'monster';
+
+  /* Cause recorded when the global clock ran out */
+  const OUT_OF_TIME = 'time';
+
+  /* Cause recorded when the run ended by completing its challenge */
+  const CHALLENGE_DONE = 'complete';
+
+  /*
+   * Upgrades for older boards, keyed by the version they upgrade from.
+   * Each takes that version's entries and returns the next version's.
+   */
+  const MIGRATIONS = {
+    // v2: game modes; older runs are classic
+    1: entries => entries.map(entry => ({ ...entry, mode: DEFAULT_MODE })),
+    // v3: the slower-drain assist; older runs were played without it
+    2: entries => entries.map(entry => ({ ...entry, assist: 1 })),
+    // v4: campaign runs, kept apart from the rest; older runs are regular ones
+    3: entries => entries.map(entry => ({ ...entry, campaign: null }))
+  };
+
+  // ============================================
+  // ENTRIES
+  // ============================================
+
+  /**
+   * Creates a history entry for a finished run. Campaign runs are tagged
+   * with the campaign's id: authored levels can be far easier or harder
+   * than the usual ones, so they are only compared with each other. The
+   * same goes for runs played with the slower-drain assist.
+   * @param {object} state - Final game state
+   * @param {Date} [date] - When the run ended, defaults to now
+   * @returns {object} Entry {mode, campaign, assist, level, score, runTime, cause, date};
+   *   campaign is null for regular runs and assist is 1 for unassisted ones
+   */
+  function createEntry(state, date = new Date()) {
+    const cause = state.status === 'timeup' ? OUT_OF_TIME
+      : state.status === 'complete' ? CHALLENGE_DONE
+        : getGameOverCause(state.needs) || CAUGHT_PROWLING;
+    return {
+      mode: state.mode,
+      campaign: state.campaign ? state.campaign.id : null,
+      assist: state.assist,
+      level: state.level,
+      score: Math.floor(state.score.total),
+      runTime: Math.round(state.runTime),
+      cause,
+      date: date.toISOString()
+    };
+  }
+
+  /**
+   * Formats a run length as minutes and seconds
+   * @param {number} seconds - Run length
+   * @returns {string} e.g. "2:05"
+   */
+  function formatRunTime(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Identifies an entry, so the same run is not imported twice
+   * @param {object} entry - History entry
+   * @returns {string} Key made of the entry's fields
+   */
+  function getEntryKey(entry) {
+    return `${entry.date}|${entry.mode}|${entry.campaign}|${entry.assist}|${entry.level}|${entry.score}|${entry.runTime}|${entry.cause}`;
+  }
+
+  // ============================================
+  // BOARD FUNCTIONS
+  // ============================================
+
+  /**
+   * Finds the best entry on a board
+   * @param {Array<object>} entries - History entries
+   * @returns {object|null} Highest score (earliest on a tie), or null for an empty board
+   */
+  function getPersonalBest(entries) {
+    return entries.reduce((best, entry) => {
+      if (!best || entry.score > best.score ||
+        (entry.score === best.score && entry.date < best.date)) {
+        return entry;
+      }
+      return best;
+    }, null);
+  }
+
+  /**
+   * Checks whether a run beats every earlier run in the same mode and
+   * campaign, played with the same assist
+   * @param {Array<object>} entries - History before the run
+   * @param {object} entry - The run's entry
+   * @returns {boolean} True if it scored more than the previous best
+   */
+  function isPersonalBest(entries, entry) {
+    const best = getPersonalBest(filterEntries(entries, { mode: entry.mode, campaign: entry.campaign, assist: entry.assist }));
+    return entry.score > 0 && (!best || entry.score > best.score);
+  }
+
+  /**
+   * Trims a board to MAX_ENTRIES, dropping the oldest runs but always
+   * keeping each mode's personal best among regular, unassisted runs
+   * @param {Array<object>} entries - History entries
+   * @param {number} [max] - Entries to keep, defaults to MAX_ENTRIES
+   * @returns {Array<object>} Trimmed board, newest first
+   */
+  function trimEntries(entries, max = MAX_ENTRIES) {
+    const newest = sortEntries(entries, 'date');
+    if (newest.length <= max) {
+      return newest;
+    }
+    const bests = Object.keys(GAME_MODES)
+      .map(mode => getPersonalBest(filterEntries(entries, { mode, campaign: null, assist: 1 })))
+      .filter(Boolean);
+    const others = newest.filter(entry => !bests.includes(entry)).slice(0, Math.max(0, max - bests.length));
+    return sortEntries([...others, ...bests], 'date');
+  }
+
+  /**
+   * Adds a finished run to the board
+   * @param {Array<object>} entries - History entries
+   * @param {object} entry - Entry from createEntry
+   * @returns {{entries: Array<object>, personalBest: boolean}} New board and whether the run is a new best
+   */
+  function addEntry(entries, entry) {
+    return {
+      entries: trimEntries([entry, ...entries]),
+      personalBest: isPersonalBest(entries, entry)
+    };
+  }
+
+  /**
+   * Combines two boards, e.g. after an import. Runs on both are kept once.
+   * @param {Array<object>} entries - Current history
+   * @param {Array<object>} incoming - History to merge in
+   * @returns {Array<object>} Merged board, newest first
+   */
+  function mergeEntries(entries, incoming) {
+    const seen = new Set(entries.map(getEntryKey));
+    const added = incoming.filter(entry => !seen.has(getEntryKey(entry)));
+    return trimEntries([...entries, ...added]);
+  }
+
+  /**
+   * Sorts entries by one of SORT_FIELDS. Ties keep the newest run first.
+   * @param {Array<object>} entries - History entries
+   * @param {string} field - Field to sort by
+   * @param {string} [direction] - 'desc' (default) or 'asc'
+   * @returns {Array<object>} Sorted copy
+   */
+  function sortEntries(entries, field, direction = 'desc') {
+    if (!SORT_FIELDS.includes(field)) {
+      throw new Error(`Unknown sort field: ${field}`);
+    }
+    const sign = direction === 'asc' ? 1 : -1;
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    return [...entries].sort((a, b) =>
+      sign * compare(a[field], b[field]) || compare(b.date, a.date));
+  }
+
+  /**
+   * Filters entries for the high-score screen
+   * @param {Array<object>} entries - History entries
+   * @param {object} [filter] - What to keep
+   * @param {string} [filter.mode] - Only runs in this game mode
+   * @param {string|null} [filter.campaign] - Only runs of this campaign, or only regular runs for null
+   * @param {number} [filter.assist] - Only runs played with this assist, 1 for unassisted runs
+   * @param {string} [filter.cause] - Only runs ended by this cause
+   * @param {number} [filter.minLevel] - Only runs that reached at least this level
+   * @returns {Array<object>} Matching entries
+   */
+  function filterEntries(entries, filter = {}) {
+    return entries.filter(entry =>
+      (!filter.mode || entry.mode === filter.mode) &&
+      (filter.campaign === undefined || entry.campaign === filter.campaign) &&
+      (filter.assist === undefined || entry.assist === filter.assist) &&
+      (!filter.cause || entry.cause === filter.cause) &&
+      (!filter.minLevel || entry.level >= filter.minLevel));
+  }
+
+  // ============================================
+  // IMPORT AND EXPORT
+  // ============================================
+
+  /**
+   * Validates a single entry
+   * @param {*} entry - Value to check
+   * @returns {Array<string>} Problems found; empty when the entry is valid
+   */
+  function validateEntry(entry) {
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+
+    if (!getGameMode(entry.mode)) {
+      errors.push(`mode must be one of ${Object.keys(GAME_MODES).join(', ')}`);
+    }
+    if (entry.campaign !== null && (typeof entry.campaign !== 'string' || entry.campaign === '')) {
+      errors.push('campaign must be null or a non-empty string');
+    }
+    if (!DRAIN_ASSISTS.includes(entry.assist)) {
+      errors.push(`assist must be one of ${DRAIN_ASSISTS.join(', ')}`);
+    }
+    if (!Number.isInteger(entry.level) || entry.level < 1) {
+      errors.push('level must be an integer of at least 1');
+    }
+    if (!Number.isInteger(entry.score) || entry.score < 0) {
+      errors.push('score must be an integer of at least 0');
+    }
+    if (typeof entry.runTime !== 'number' || !Number.isFinite(entry.runTime) || entry.runTime < 0) {
+      errors.push('runTime must be a number of at least 0');
+    }
+    if (![CAUGHT_PROWLING, OUT_OF_TIME, CHALLENGE_DONE].includes(entry.cause) && !getNeed(entry.cause)) {
+      errors.push(`cause must be a need, ${CAUGHT_PROWLING}, ${OUT_OF_TIME} or ${CHALLENGE_DONE}`);
+    }
+    if (typeof entry.date !== 'string' || Number.isNaN(Date.parse(entry.date))) {
+      errors.push('date must be an ISO date string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates a board
+   * @param {*} entries - Value to check
+   * @returns {Array<string>} Problems found; empty when the board is valid
+   */
+  function validateEntries(entries) {
+    if (!Array.isArray(entries)) {
+      return ['entries must be an array'];
+    }
+    const errors = [];
+    entries.forEach((entry, i) => {
+      validateEntry(entry).forEach(e => errors.push(`entries[${i}] ${e}`));
+    });
+    return errors;
+  }
+
+  /**
+   * Serializes a board for storage or export
+   * @param {Array<object>} entries - History entries
+   * @returns {string} JSON tagged with LEADERBOARD_VERSION
+   */
+  function serializeLeaderboard(entries) {
+    return JSON.stringify({ version: LEADERBOARD_VERSION, entries });
+  }
+
+  /**
+   * Parses, upgrades and validates a saved or exported board
+   * @param {string} json - Board produced by serializeLeaderboard
+   * @returns {Array<object>} History entries
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseLeaderboard(json) {
+    let board;
+    try {
+      board = JSON.parse(json);
+    } catch (e) {
+      throw createPlayerError('leaderboard.json', {}, 'Invalid leaderboard: not valid JSON');
+    }
+    if (board === null || typeof board !== 'object' || !Number.isInteger(board.version) ||
+      board.version < 1 || board.version > LEADERBOARD_VERSION) {
+      throw createPlayerError('leaderboard.version', {}, `Invalid leaderboard: version must be from 1 to ${LEADERBOARD_VERSION}`);
+    }
+    if (!Array.isArray(board.entries)) {
+      throw createPlayerError('leaderboard.invalid', { count: 1 }, 'Invalid leaderboard: entries must be an array');
+    }
+
+    let { version, entries } = board;
+    while (version < LEADERBOARD_VERSION) {
+      entries = MIGRATIONS[version](entries);
+      version += 1;
+    }
+
+    const errors = validateEntries(entries);
+    if (errors.length > 0) {
+      throw createPlayerError('leaderboard.invalid', { count: errors.length }, `Invalid leaderboard: ${errors.join('; ')}`);
+    }
+    return entries;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    LEADERBOARD_VERSION,
+    MAX_ENTRIES,
+    SORT_FIELDS,
+    CAUGHT_PROWLING,
+    OUT_OF_TIME,
+    CHALLENGE_DONE,
+    MIGRATIONS,
+
+    // Entries
+    createEntry,
+    formatRunTime,
+    getEntryKey,
+
+    // Board Functions
+    getPersonalBest,
+    isPersonalBest,
+    trimEntries,
+    addEntry,
+    mergeEntries,
+    sortEntries,
+    filterEntries,
+
+    // Import and Export
+    validateEntry,
+    validateEntries,
+    serializeLeaderboard,
+    parseLeaderboard
+  };
+}));
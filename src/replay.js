@@ -0,0 +1,407 @@
+/**
+ * Replay Module for Unicorn Ranch
+ * Records a run as its starting seed plus the inputs fed to stepGame, tick
+ * by tick, and plays recordings back through the same game logic. Because
+ * stepGame is pure and randomness comes from the seed in state.rng, a
+ * replay always reaches the same outcome.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Replay)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Replay = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const {
+    FIXED_DT,
+    buyUpgrade,
+    createInitialState,
+    createNextLevelState,
+    createPlayerError,
+    getUpgrade,
+    isValidSeed,
+    runSteps,
+    stepGame,
+    validateState
+  } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into replay files */
+  const REPLAY_VERSION = 1;
+
+  /* Inputs are rounded to this many steps per unit before they are played or recorded */
+  const INPUT_PRECISION = 100;
+
+  /* Marks the player continuing to the next level */
+  const NEXT_LEVEL = 'next';
+
+  /* Marks the player buying an upgrade during a level break */
+  const BUY_UPGRADE = 'buy';
+
+  /* Playback speeds offered by watch mode */
+  const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+  // ============================================
+  // INPUT FUNCTIONS
+  // ============================================
+
+  /**
+   * Rounds a number to INPUT_PRECISION
+   * @param {number} v - Value to round
+   * @returns {number} Rounded value
+   */
+  function quantize(v) {
+    return Math.round(v * INPUT_PRECISION) / INPUT_PRECISION;
+  }
+
+  /**
+   * Rounds an input so it can be written to a replay without losing
+   * anything: the live game plays the rounded input too
+   * @param {object} [input] - Input for stepGame
+   * @returns {{move: object, target: object|null}} Rounded input
+   */
+  function quantizeInput(input = {}) {
+    const move = input.move || { x: 0, y: 0 };
+    return {
+      move: { x: quantize(move.x), y: quantize(move.y) },
+      target: input.target ? { x: quantize(input.target.x), y: quantize(input.target.y) } : null
+    };
+  }
+
+  /**
+   * Runs a frame's worth of ticks. A new destination only counts on the
+   * first tick; the held direction counts on every tick. Recordings store
+   * inputs the same way, so live play and playback step identically.
+   * @param {object} state - Current game state
+   * @param {object} input - Rounded input from quantizeInput
+   * @param {number} steps - Number of ticks to run
+   * @returns {{state: object, events: Array<{type: string}>}} Final state and every event that fired
+   */
+  function playSteps(state, input, steps) {
+    if (steps < 1) {
+      return { state, events: [] };
+    }
+    const first = stepGame(state, input, FIXED_DT);
+    const rest = runSteps(first.state, { move: input.move, target: null }, steps - 1);
+    return { state: rest.state, events: [...first.events, ...rest.events] };
+  }
+
+  // ============================================
+  // RECORDING FUNCTIONS
+  // ============================================
+
+  /**
+   * Starts recording a run
+   * @param {object} start - Game state the run starts from
+   * @returns {object} Recording {start, ticks, inputs, move}
+   */
+  function startRecording(start) {
+    return { start, ticks: 0, inputs: [], move: { x: 0, y: 0 } };
+  }
+
+  /**
+   * Records a frame's worth of ticks played with playSteps. Only changes
+   * are stored: an entry [tick, moveX, moveY] when the held direction
+   * changes, or [tick, moveX, moveY, targetX, targetY] for a new destination.
+   * @param {object} recording - Current recording
+   * @param {object} input - Rounded input from quantizeInput
+   * @param {number} steps - Number of ticks played
+   * @returns {object} Updated recording
+   */
+  function recordSteps(recording, input, steps) {
+    if (steps < 1) {
+      return recording;
+    }
+    const { move, target } = input;
+    const moved = move.x !== recording.move.x || move.y !== recording.move.y;
+    let { inputs } = recording;
+
+    if (target) {
+      inputs = [...inputs, [recording.ticks, move.x, move.y, target.x, target.y]];
+    } else if (moved) {
+      inputs = [...inputs, [recording.ticks, move.x, move.y]];
+    }
+
+    return { ...recording, ticks: recording.ticks + steps, inputs, move };
+  }
+
+  /**
+   * Records the player continuing to the next level
+   * @param {object} recording - Current recording
+   * @returns {object} Updated recording
+   */
+  function recordNextLevel(recording) {
+    return { ...recording, inputs: [...recording.inputs, [recording.ticks, NEXT_LEVEL]] };
+  }
+
+  /**
+   * Records the player buying an upgrade, as an entry [tick, BUY_UPGRADE, upgradeId]
+   * @param {object} recording - Current recording
+   * @param {string} id - Upgrade bought
+   * @returns {object} Updated recording
+   */
+  function recordPurchase(recording, id) {
+    return { ...recording, inputs: [...recording.inputs, [recording.ticks, BUY_UPGRADE, id]] };
+  }
+
+  /**
+   * Turns a recording into a replay file. Runs that started from a fresh
+   * state store just the seed and needs; resumed runs keep the full start.
+   * @param {object} recording - Recording to finish
+   * @param {object} state - Game state the run reached
+   * @returns {object} Replay {version, seed, needs, start?, ticks, inputs, outcome}
+   */
+  function finishRecording(recording, state) {
+    const { start } = recording;
+    const needs = Object.keys(start.needs);
+    const fresh = JSON.stringify(start) === JSON.stringify(createInitialState(needs, start.rng));
+
+    const replay = {
+      version: REPLAY_VERSION,
+      seed: start.rng,
+      needs,
+      ticks: recording.ticks,
+      inputs: recording.inputs,
+      outcome: { level: state.level, status: state.status }
+    };
+    if (!fresh) {
+      replay.start = start;
+    }
+    return replay;
+  }
+
+  // ============================================
+  // REPLAY FILES
+  // ============================================
+
+  /**
+   * Checks a single replay entry
+   * @param {*} entry - Value to check
+   * @returns {boolean} True for a well-formed entry
+   */
+  function isValidEntry(entry) {
+    if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || entry[0] < 0) return false;
+    if (entry.length === 2) return entry[1] === NEXT_LEVEL;
+    if (entry[1] === BUY_UPGRADE) return entry.length === 3 && getUpgrade(entry[2]) !== null;
+    return (entry.length === 3 || entry.length === 5) &&
+      entry.slice(1).every(v => typeof v === 'number' && Number.isFinite(v));
+  }
+
+  /**
+   * Validates a replay, e.g. one loaded from a file
+   * @param {*} replay - Value to check
+   * @returns {Array<string>} Problems found; empty when the replay is valid
+   */
+  function validateReplay(replay) {
+    if (replay === null || typeof replay !== 'object' || Array.isArray(replay)) {
+      return ['replay must be an object'];
+    }
+
+    const errors = [];
+
+    if (replay.version !== REPLAY_VERSION) {
+      errors.push(`version must be ${REPLAY_VERSION}`);
+    }
+    if (!isValidSeed(replay.seed)) {
+      errors.push('seed must be an unsigned 32-bit integer');
+    }
+    if (!Array.isArray(replay.needs) || replay.needs.length === 0) {
+      errors.push('needs must be a non-empty array');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+      errors.push('ticks must be an integer of at least 0');
+    }
+
+    if (!Array.isArray(replay.inputs)) {
+      errors.push('inputs must be an array');
+    } else {
+      replay.inputs.forEach((entry, i) => {
+        if (!isValidEntry(entry)) {
+          errors.push(`inputs[${i}] is malformed`);
+        } else if (i > 0 && entry[0] < replay.inputs[i - 1][0]) {
+          errors.push(`inputs[${i}] is out of order`);
+        } else if (entry[0] > replay.ticks) {
+          errors.push(`inputs[${i}] is after the last tick`);
+        }
+      });
+    }
+
+    if ('start' in replay) {
+      validateState(replay.start).forEach(e => errors.push(`start: ${e}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Serializes a replay for download or storage
+   * @param {object} replay - Replay from finishRecording
+   * @returns {string} JSON
+   */
+  function serializeReplay(replay) {
+    return JSON.stringify(replay);
+  }
+
+  /**
+   * Parses and validates a replay file
+   * @param {string} json - Replay produced by serializeReplay
+   * @returns {object} The replay
+   * @throws {Error} If the JSON is corrupt or the replay fails validation
+   */
+  function parseReplay(json) {
+    let replay;
+    try {
+      replay = JSON.parse(json);
+    } catch (e) {
+      throw createPlayerError('replay.json', {}, 'Invalid replay: not valid JSON');
+    }
+    let errors = validateReplay(replay);
+    if (errors.length === 0 && !('start' in replay)) {
+      try {
+        createInitialState(replay.needs, replay.seed);
+      } catch (e) {
+        errors = [e.message];
+      }
+    }
+    if (errors.length > 0) {
+      throw createPlayerError('replay.invalid', { count: errors.length }, `Invalid replay: ${errors.join('; ')}`);
+    }
+    return replay;
+  }
+
+  // ============================================
+  // PLAYBACK FUNCTIONS
+  // ============================================
+
+  /**
+   * Checks whether an entry is made during a level break rather than play
+   * @param {Array} entry - Replay entry
+   * @returns {boolean} True for continuing to the next level or buying an upgrade
+   */
+  function isBreakEntry(entry) {
+    return entry[1] === NEXT_LEVEL || entry[1] === BUY_UPGRADE;
+  }
+
+  /**
+   * Applies a level break entry to the state
+   * @param {object} state - Game state during the break
+   * @param {Array} entry - Entry accepted by isBreakEntry
+   * @returns {object} State after the entry
+   */
+  function applyBreakEntry(state, entry) {
+    return entry[1] === NEXT_LEVEL ? createNextLevelState(state) : buyUpgrade(state, entry[2]);
+  }
+
+  /**
+   * Creates a player positioned at the start of a replay
+   * @param {object} replay - Replay to play
+   * @returns {object} Player {replay, state, tick, cursor, move, events}
+   */
+  function createPlayer(replay) {
+    const state = replay.start || createInitialState(replay.needs, replay.seed);
+    return { replay, state, tick: 0, cursor: 0, move: { x: 0, y: 0 }, events: [] };
+  }
+
+  /**
+   * Checks whether a player has reached the end of its replay
+   * @param {object} player - Player from createPlayer
+   * @returns {boolean} True once every recorded tick has been played
+   */
+  function isPlayerDone(player) {
+    return player.tick >= player.replay.ticks;
+  }
+
+  /**
+   * Plays a replay forward by up to a number of ticks
+   * @param {object} player - Player from createPlayer
+   * @param {number} steps - Ticks to play
+   * @returns {object} Updated player; events holds only this call's events
+   */
+  function advancePlayer(player, steps) {
+    const { inputs, ticks } = player.replay;
+    let { state, tick, cursor, move } = player;
+    const events = [];
+    const end = Math.min(ticks, tick + steps);
+
+    while (tick < end) {
+      let target = null;
+      while (cursor < inputs.length && inputs[cursor][0] === tick) {
+        const entry = inputs[cursor];
+        if (isBreakEntry(entry)) {
+          state = applyBreakEntry(state, entry);
+        } else {
+          move = { x: entry[1], y: entry[2] };
+          target = entry.length === 5 ? { x: entry[3], y: entry[4] } : null;
+        }
+        cursor += 1;
+      }
+
+      const result = stepGame(state, { move, target }, FIXED_DT);
+      state = result.state;
+      events.push(...result.events);
+      tick += 1;
+    }
+
+    // A level break after the last tick (e.g. shopping right before saving)
+    while (cursor < inputs.length && inputs[cursor][0] === tick && isBreakEntry(inputs[cursor])) {
+      state = applyBreakEntry(state, inputs[cursor]);
+      cursor += 1;
+    }
+
+    return { ...player, state, tick, cursor, move, events };
+  }
+
+  /**
+   * Plays a whole replay
+   * @param {object} replay - Replay to play
+   * @returns {{state: object, events: Array<{type: string}>}} Final state and every event that fired
+   */
+  function playReplay(replay) {
+    const player = advancePlayer(createPlayer(replay), replay.ticks);
+    return { state: player.state, events: player.events };
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    REPLAY_VERSION,
+    INPUT_PRECISION,
+    NEXT_LEVEL,
+    BUY_UPGRADE,
+    REPLAY_SPEEDS,
+
+    // Input Functions
+    quantizeInput,
+    playSteps,
+
+    // Recording Functions
+    startRecording,
+    recordSteps,
+    recordNextLevel,
+    recordPurchase,
+    finishRecording,
+
+    // Replay Files
+    validateReplay,
+    serializeReplay,
+    parseReplay,
+
+    // Playback Functions
+    createPlayer,
+    isPlayerDone,
+    advancePlayer,
+    playReplay
+  };
+}));
@@ -0,0 +1,518 @@
+/**
+ * Balance Simulator for Unicorn Ranch
+ * Plays levels headlessly with bot strategies, using the same stepGame the
+ * browser runs, and reports how survivable each level is. Sweeping the
+ * difficulty tuning shows where a balance change moves the wall.
+ *
+ * Used by scripts/simulate.js and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Simulator = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const {
+    DEFAULT_TUNING,
+    DEFAULT_NEEDS,
+    FIXED_DT,
+    MONSTER_CHOMP_TIME,
+    createInitialState,
+    getLevelDuration,
+    getZone,
+    getZoneAt,
+    getShapeBounds,
+    getSpawnTable,
+    isNeedCritical,
+    isSafeZone,
+    scheduleWorldEvents,
+    stepGame
+  } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  const DEFAULT_LEVELS = 10;
+  const DEFAULT_TRIALS = 8;
+  const TOP_UP = 90; // bots stay in a zone until the need it refills reaches this
+
+  // ============================================
+  // BOT HELPERS
+  // ============================================
+
+  /**
+   * Finds the middle of a zone in the state's layout
+   * @param {object} state - Current game state
+   * @param {string} zoneId - Zone id from ZONES
+   * @returns {object|null} Position {x, y}, or null if the layout has no such zone
+   */
+  function getZoneCentre(state, zoneId) {
+    const zone = state.layout.find(z => z.id === zoneId);
+    if (!zone) return null;
+    const b = getShapeBounds(zone.shape);
+    return { x: b.x + b.w / 2, y: b.y + b.h / 2 };
+  }
+
+  /**
+   * Finds the zone in the state's layout that refills a need fastest
+   * @param {object} state - Current game state
+   * @param {string} need - Need id from NEEDS
+   * @returns {string|null} Zone id, or null if no zone refills the need
+   */
+  function findZoneFor(state, need) {
+    let best = null;
+    let bestRate = 0;
+    state.layout.forEach(({ id }) => {
+      const rate = getZone(id).recharge[need] || 0;
+      if (rate > bestRate) {
+        best = id;
+        bestRate = rate;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Builds the input that walks the unicorn to a zone, or stands still
+   * once it is inside
+   * @param {object} state - Current game state
+   * @param {string|null} zoneId - Zone to go to
+   * @returns {object} Input for stepGame
+   */
+  function goTo(state, zoneId) {
+    if (!zoneId || getZoneAt(state.x, state.y, state.layout) === zoneId) {
+      return {};
+    }
+    const centre = getZoneCentre(state, zoneId);
+    return centre ? { target: centre } : {};
+  }
+
+  // ============================================
+  // STRATEGIES
+  // ============================================
+
+  /*
+   * A strategy is a function (state) => input for stepGame. Strategies are
+   * called every tick and must be pure so simulations are repeatable.
+   */
+
+  /**
+   * Stands still wherever the unicorn starts; the baseline every other
+   * strategy should beat
+   * @returns {object} Empty input
+   */
+  function idleStrategy() {
+    return {};
+  }
+
+  /**
+   * Always heads for the zone that refills the lowest need, staying put
+   * while the current zone is still topping up a need and nothing else is
+   * critical
+   * @param {object} state - Current game state
+   * @returns {object} Input for stepGame
+   */
+  function lowestNeedStrategy(state) {
+    const needs = Object.entries(state.needs);
+    const here = getZoneAt(state.x, state.y, state.layout);
+    const entry = getZone(here);
+
+    if (entry) {
+      const toppingUp = needs.some(([id, value]) => entry.recharge[id] > 0 && value < TOP_UP);
+      const elsewhere = needs.some(([id, value]) => isNeedCritical(id, value) && !(entry.recharge[id] > 0));
+      if (toppingUp && !elsewhere) {
+        return {};
+      }
+    }
+
+    const [lowest] = needs.reduce((min, need) => (need[1] < min[1] ? need : min));
+    return goTo(state, findZoneFor(state, lowest));
+  }
+
+  /**
+   * Like lowestNeedStrategy, but runs for a safe zone while the monster
+   * is chasing
+   * @param {object} state - Current game state
+   * @returns {object} Input for stepGame
+   */
+  function cautiousStrategy(state) {
+    if (state.monster.state === 'chasing') {
+      const refuge = state.layout.find(z => isSafeZone(z.id));
+      if (refuge) return goTo(state, refuge.id);
+    }
+    return lowestNeedStrategy(state);
+  }
+
+  /**
+   * Creates a strategy that visits zones in a fixed order, spending the
+   * same time in each. Time is counted from the start of the level's
+   * clock, and zones the level's layout leaves out are skipped.
+   * @param {Array<string>} zoneIds - Zones to visit, in order
+   * @param {number} dwell - Seconds per zone, counting the walk there
+   * @returns {function} Strategy
+   */
+  function createRotationStrategy(zoneIds, dwell) {
+    if (zoneIds.length === 0 || !(dwell > 0)) {
+      throw new Error('Rotation needs at least one zone and a positive dwell time');
+    }
+    return state => {
+      const zones = zoneIds.filter(id => state.layout.some(zone => zone.id === id));
+      if (zones.length === 0) {
+        return {};
+      }
+      const elapsed = Math.max(0, getLevelDuration(state, state.level) - state.levelTime);
+      const index = Math.floor(elapsed / dwell) % zones.length;
+      return goTo(state, zones[index]);
+    };
+  }
+
+  /* Built-in strategies by name, as used on the command line */
+  const STRATEGIES = {
+    idle: idleStrategy,
+    'lowest-need': lowestNeedStrategy,
+    cautious: cautiousStrategy,
+    rotation: createRotationStrategy(['lake', 'field', 'barn', 'play'], 5)
+  };
+
+  // ============================================
+  // SIMULATION
+  // ============================================
+
+  /**
+   * Spreads starting positions evenly over the field. Uses a fixed
+   * low-discrepancy sequence so runs are repeatable.
+   * @param {number} count - Number of positions
+   * @returns {Array<object>} Positions {x, y}
+   */
+  function getStartPositions(count) {
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      positions.push({
+        x: 5 + 90 * ((0.5 + i * 0.7548776662) % 1),
+        y: 5 + 90 * ((0.5 + i * 0.5698402910) % 1)
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Plays one level from full needs with a strategy, under the items and
+   * world events that level schedules
+   * @param {number} level - Level to play
+   * @param {function} strategy - Strategy choosing the input each tick
+   * @param {object} [options]
+   * @param {object} [options.start] - Starting position, defaults to the usual one
+   * @param {object} [options.tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @param {Array<string>} [options.needIds] - Needs to track, defaults to DEFAULT_NEEDS
+   * @param {number} [options.dt] - Seconds per tick, defaults to FIXED_DT
+   * @returns {{survived: boolean, lowestNeed: number, lowestNeedId: string, time: number}} Outcome
+   */
+  function simulateLevel(level, strategy, options = {}) {
+    const {
+      start = null,
+      tuning = DEFAULT_TUNING,
+      needIds = DEFAULT_NEEDS,
+      dt = FIXED_DT
+    } = options;
+
+    const initial = createInitialState(needIds);
+    let state = {
+      ...initial,
+      level,
+      spawnTimer: getSpawnTable(level).interval,
+      worldEvents: scheduleWorldEvents(level, initial.rng),
+      ...(start || {})
+    };
+    let lowestNeed = Infinity;
+    let lowestNeedId = null;
+    let time = 0;
+    const maxSteps = Math.ceil((state.levelTime + MONSTER_CHOMP_TIME) / dt) + 1;
+
+    for (let i = 0; i < maxSteps && !state.status; i++) {
+      state = stepGame(state, strategy(state), dt, tuning).state;
+      time += dt;
+      Object.entries(state.needs).forEach(([id, value]) => {
+        if (value < lowestNeed) {
+          lowestNeed = value;
+          lowestNeedId = id;
+        }
+      });
+    }
+
+    return { survived: state.status === 'nextlevel', lowestNeed, lowestNeedId, time };
+  }
+
+  /**
+   * Finds the first level from which a strategy never survives again
+   * @param {Array<object>} levels - Per-level results in level order
+   * @returns {number|null} Level, or null if the last level is still survivable
+   */
+  function findUnwinnableLevel(levels) {
+    let from = null;
+    levels.forEach(({ level, survivalRate }) => {
+      if (survivalRate > 0) {
+        from = null;
+      } else if (from === null) {
+        from = level;
+      }
+    });
+    return from;
+  }
+
+  /**
+   * Plays every level with every strategy and tuning, from several
+   * starting positions each
+   * @param {object} [options]
+   * @param {number} [options.levels] - Highest level to play, defaults to DEFAULT_LEVELS
+   * @param {number} [options.trials] - Starting positions per level, defaults to DEFAULT_TRIALS
+   * @param {Array<string>} [options.strategies] - Strategy names, defaults to every one in STRATEGIES
+   * @param {Array<object>} [options.tunings] - Tunings to sweep, each merged over DEFAULT_TUNING
+   * @param {Array<string>} [options.needIds] - Needs to track, defaults to DEFAULT_NEEDS
+   * @param {number} [options.dt] - Seconds per tick, defaults to FIXED_DT
+   * @returns {object} Report {levels, trials, results, summary}
+   */
+  function simulateSweep(options = {}) {
+    const {
+      levels = DEFAULT_LEVELS,
+      trials = DEFAULT_TRIALS,
+      strategies = Object.keys(STRATEGIES),
+      tunings = [{}],
+      needIds = DEFAULT_NEEDS,
+      dt = FIXED_DT
+    } = options;
+
+    strategies.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) {
+        throw new Error(`Unknown strategy: ${name}`);
+      }
+    });
+
+    const starts = getStartPositions(trials);
+    const results = [];
+    const summary = [];
+
+    tunings.forEach(overrides => {
+      const tuning = { ...DEFAULT_TUNING, ...overrides };
+      const rows = strategies.map(name => {
+        const perLevel = [];
+        for (let level = 1; level <= levels; level++) {
+          const runs = starts.map(start =>
+            simulateLevel(level, STRATEGIES[name], { start, tuning, needIds, dt }));
+          const lowest = runs.reduce((min, run) => (run.lowestNeed < min.lowestNeed ? run : min));
+          perLevel.push({
+            level,
+            survivalRate: runs.filter(run => run.survived).length / runs.length,
+            lowestNeed: lowest.lowestNeed,
+            lowestNeedId: lowest.lowestNeedId
+          });
+        }
+        return { tuning, strategy: name, levels: perLevel, unwinnableFrom: findUnwinnableLevel(perLevel) };
+      });
+
+      results.push(...rows);
+
+      // Winning is impossible once even the best strategy never survives
+      const walls = rows.map(row => row.unwinnableFrom);
+      summary.push({
+        tuning,
+        unwinnableFrom: walls.includes(null) ? null : Math.max(...walls)
+      });
+    });
+
+    return { levels, trials, results, summary };
+  }
+
+  // ============================================
+  // REPORTING
+  // ============================================
+
+  /**
+   * Formats a sweep report as a plain-text table
+   * @param {object} report - Report from simulateSweep
+   * @returns {string} Table, one row per tuning and strategy
+   */
+  function formatReport(report) {
+    const levelHeads = [];
+    for (let level = 1; level <= report.levels; level++) {
+      levelHeads.push(`L${level}`);
+    }
+
+    const header = ['drain', 'recharge', 'strategy', ...levelHeads, 'lowest', 'unwinnable'];
+    const rows = report.results.map(row => {
+      const lowest = row.levels.reduce((min, l) => (l.lowestNeed < min.lowestNeed ? l : min));
+      return [
+        row.tuning.drainGrowth.toFixed(2),
+        row.tuning.rechargeGrowth.toFixed(2),
+        row.strategy,
+        ...row.levels.map(l => `${Math.round(l.survivalRate * 100)}%`),
+        `${lowest.lowestNeed.toFixed(1)} ${lowest.lowestNeedId}`,
+        row.unwinnableFrom === null ? '-' : `L${row.unwinnableFrom}`
+      ];
+    });
+
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+
+    const lines = [line(header), ...rows.map(line), ''];
+    report.summary.forEach(({ tuning, unwinnableFrom }) => {
+      const wall = unwinnableFrom === null
+        ? `still winnable at L${report.levels}`
+        : `unwinnable from L${unwinnableFrom}`;
+      lines.push(`drain ${tuning.drainGrowth.toFixed(2)}, recharge ${tuning.rechargeGrowth.toFixed(2)}: ${wall}`);
+    });
+    return lines.join('\n');
+  }
+
+  // ============================================
+  // COMMAND LINE
+  // ============================================
+
+  const USAGE = [
+    'Usage: npm run simulate -- [options]',
+    '',
+    'Options:',
+    `  --levels N            Highest level to play (default ${DEFAULT_LEVELS})`,
+    `  --trials N            Starting positions per level (default ${DEFAULT_TRIALS})`,
+    `  --strategies a,b      Strategies to run (default all: ${Object.keys(STRATEGIES).join(', ')})`,
+    `  --drain-growth x,y    Drain growth values to sweep (default ${DEFAULT_TUNING.drainGrowth})`,
+    `  --recharge-growth x   Recharge growth values to sweep (default ${DEFAULT_TUNING.rechargeGrowth})`,
+    '  --dt S                Seconds per simulated tick (default 1/60)',
+    '  --json                Print the report as JSON instead of a table',
+    '  --help                Show this help'
+  ].join('\n');
+
+  /**
+   * Parses a comma-separated list of non-negative numbers
+   * @param {string} flag - Flag name, for error messages
+   * @param {string} value - Raw value
+   * @returns {Array<number>} Parsed numbers
+   */
+  function parseNumberList(flag, value) {
+    const numbers = String(value).split(',').map(Number);
+    if (numbers.some(n => !Number.isFinite(n) || n < 0)) {
+      throw new Error(`${flag} must be a comma-separated list of non-negative numbers`);
+    }
+    return numbers;
+  }
+
+  /**
+   * Parses a positive integer flag value
+   * @param {string} flag - Flag name, for error messages
+   * @param {string} value - Raw value
+   * @returns {number} Parsed integer
+   */
+  function parsePositiveInteger(flag, value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`${flag} must be a positive integer`);
+    }
+    return n;
+  }
+
+  /**
+   * Parses command-line arguments into simulateSweep options
+   * @param {Array<string>} argv - Arguments after the script name
+   * @returns {object} Options for simulateSweep plus {json, help}
+   * @throws {Error} On unknown flags or bad values
+   */
+  function parseArgs(argv) {
+    const options = { json: false, help: false };
+    let drainGrowth = [DEFAULT_TUNING.drainGrowth];
+    let rechargeGrowth = [DEFAULT_TUNING.rechargeGrowth];
+
+    for (let i = 0; i < argv.length; i++) {
+      const flag = argv[i];
+      const value = () => {
+        if (i + 1 >= argv.length) {
+          throw new Error(`${flag} needs a value`);
+        }
+        i += 1;
+        return argv[i];
+      };
+
+      switch (flag) {
+        case '--levels':
+          options.levels = parsePositiveInteger(flag, value());
+          break;
+        case '--trials':
+          options.trials = parsePositiveInteger(flag, value());
+          break;
+        case '--strategies':
+          options.strategies = value().split(',');
+          options.strategies.forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) {
+              throw new Error(`Unknown strategy: ${name}`);
+            }
+          });
+          break;
+        case '--drain-growth':
+          drainGrowth = parseNumberList(flag, value());
+          break;
+        case '--recharge-growth':
+          rechargeGrowth = parseNumberList(flag, value());
+          break;
+        case '--dt': {
+          const dt = Number(value());
+          if (!(dt > 0) || dt > 1) {
+            throw new Error('--dt must be a number of seconds between 0 and 1');
+          }
+          options.dt = dt;
+          break;
+        }
+        case '--json':
+          options.json = true;
+          break;
+        case '--help':
+          options.help = true;
+          break;
+        default:
+          throw new Error(`Unknown option: ${flag}`);
+      }
+    }
+
+    options.tunings = [];
+    drainGrowth.forEach(d => rechargeGrowth.forEach(r => {
+      options.tunings.push({ drainGrowth: d, rechargeGrowth: r });
+    }));
+    return options;
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    DEFAULT_LEVELS,
+    DEFAULT_TRIALS,
+    STRATEGIES,
+    USAGE,
+
+    // Bot Helpers
+    getZoneCentre,
+    findZoneFor,
+
+    // Strategies
+    idleStrategy,
+    lowestNeedStrategy,
+    cautiousStrategy,
+    createRotationStrategy,
+
+    // Simulation
+    getStartPositions,
+    simulateLevel,
+    findUnwinnableLevel,
+    simulateSweep,
+
+    // Reporting
+    formatReport,
+
+    // Command Line
+    parseArgs
+  };
+}));
@@ -0,0 +1,436 @@
+/**
+ * Sound Module for Unicorn Ranch
+ * Makes every sound with the Web Audio API, so the game ships no audio
+ * files. Ambient music speeds up with the drain multiplier, each zone
+ * layers its own loop over it, and game events from stepGame trigger
+ * short cues: critical beeps and the monster and victory stingers. The
+ * mapping from events to sounds is plain data and functions; only
+ * createSoundEngine touches an AudioContext.
+ *
+ * Loaded by index.html as a plain script (exposed as window.Sound)
+ * and by the tests through require().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./gameLogic'));
+  } else {
+    root.Sound = factory(root.GameLogic);
+  }
+}(typeof self !== 'undefined' ? self : this, function (GameLogic) {
+  'use strict';
+
+  const { GAME_EVENTS, DEFAULT_TUNING, calculateDifficulty, calculateDrainMultiplier, getZoneAt } = GameLogic;
+
+  // ============================================
+  // CONSTANTS
+  // ============================================
+
+  /* Format version written into saved volume settings */
+  const SOUND_VERSION = 1;
+
+  /* Volume channels, in the order the settings panel lists them */
+  const VOLUME_CHANNELS = ['master', 'music', 'effects'];
+
+  /* Volumes from 0 (silent) to 1 (full) */
+  const DEFAULT_VOLUMES = { master: 0.8, music: 0.5, effects: 0.8 };
+
+  /* Music tempo in beats per minute: BASE_TEMPO at drain multiplier 1, capped at MAX_TEMPO */
+  const BASE_TEMPO = 84;
+  const TEMPO_PER_DRAIN = 20;   // extra beats per minute for each +1 of drain multiplier
+  const MAX_TEMPO = 160;
+
+  /* The music and zone loops are bars of eighth notes */
+  const STEPS_PER_BAR = 8;
+
+  /* Wave shapes a sound can use; noise is filtered white noise, the rest are oscillators */
+  const WAVES = ['sine', 'triangle', 'square', 'sawtooth', 'noise'];
+
+  /*
+   * Sounds are lists of notes. A note has a wave, a pitch as a MIDI note
+   * number (or a filter cutoff in Hz for noise), an optional slide to
+   * another pitch, a duration in seconds and a gain. Cues place notes
+   * at a time offset; loops place them on a step of the bar.
+   */
+  const MUSIC = [
+    { step: 0, wave: 'triangle', note: 45, duration: 0.5, gain: 0.35 },
+    { step: 0, wave: 'sine', note: 69, duration: 0.2, gain: 0.15 },
+    { step: 1, wave: 'sine', note: 72, duration: 0.2, gain: 0.12 },
+    { step: 2, wave: 'sine', note: 76, duration: 0.2, gain: 0.15 },
+    { step: 3, wave: 'sine', note: 72, duration: 0.2, gain: 0.12 },
+    { step: 4, wave: 'triangle', note: 43, duration: 0.5, gain: 0.35 },
+    { step: 4, wave: 'sine', note: 67, duration: 0.2, gain: 0.15 },
+    { step: 5, wave: 'sine', note: 71, duration: 0.2, gain: 0.12 },
+    { step: 6, wave: 'sine', note: 74, duration: 0.2, gain: 0.15 },
+    { step: 7, wave: 'sine', note: 71, duration: 0.2, gain: 0.12 }
+  ];
+
+  /* Loop layered over the music while the unicorn stands in each zone; the barn is quiet */
+  const ZONE_LOOPS = {
+    lake: {
+      id: 'water',
+      notes: [
+        { step: 0, wave: 'noise', note: 500, duration: 1.2, gain: 0.2 },
+        { step: 3, wave: 'noise', note: 800, duration: 0.6, gain: 0.1 },
+        { step: 4, wave: 'noise', note: 450, duration: 1.2, gain: 0.2 }
+      ]
+    },
+    field: {
+      id: 'birds',
+      notes: [
+        { step: 1, wave: 'sine', note: 96, slide: 101, duration: 0.08, gain: 0.08 },
+        { step: 2, wave: 'sine', note: 98, slide: 103, duration: 0.08, gain: 0.08 },
+        { step: 6, wave: 'sine', note: 100, slide: 94, duration: 0.12, gain: 0.08 }
+      ]
+    },
+    play: {
+      id: 'festival',
+      notes: [
+        { step: 0, wave: 'square', note: 81, duration: 0.1, gain: 0.06 },
+        { step: 1, wave: 'noise', note: 7000, duration: 0.05, gain: 0.1 },
+        { step: 3, wave: 'noise', note: 7000, duration: 0.05, gain: 0.1 },
+        { step: 4, wave: 'square', note: 84, duration: 0.1, gain: 0.06 },
+        { step: 5, wave: 'noise', note: 7000, duration: 0.05, gain: 0.1 },
+        { step: 7, wave: 'noise', note: 7000, duration: 0.05, gain: 0.1 }
+      ]
+    }
+  };
+
+  /* One-shot sounds on the effects channel */
+  const CUES = {
+    critical: [
+      { at: 0, wave: 'square', note: 88, duration: 0.08, gain: 0.2 },
+      { at: 0.14, wave: 'square', note: 88, duration: 0.08, gain: 0.2 }
+    ],
+    monster: [
+      { at: 0, wave: 'sawtooth', note: 40, slide: 33, duration: 0.7, gain: 0.35 },
+      { at: 0, wave: 'sawtooth', note: 41, slide: 34, duration: 0.7, gain: 0.3 },
+      { at: 0, wave: 'noise', note: 300, duration: 0.5, gain: 0.2 }
+    ],
+    caught: [
+      { at: 0, wave: 'noise', note: 1200, duration: 0.25, gain: 0.4 },
+      { at: 0.05, wave: 'sawtooth', note: 36, slide: 28, duration: 0.5, gain: 0.3 }
+    ],
+    victory: [
+      { at: 0, wave: 'triangle', note: 72, duration: 0.15, gain: 0.3 },
+      { at: 0.12, wave: 'triangle', note: 76, duration: 0.15, gain: 0.3 },
+      { at: 0.24, wave: 'triangle', note: 79, duration: 0.15, gain: 0.3 },
+      { at: 0.36, wave: 'triangle', note: 84, duration: 0.6, gain: 0.35 }
+    ],
+    defeat: [
+      { at: 0, wave: 'triangle', note: 64, duration: 0.3, gain: 0.3 },
+      { at: 0.25, wave: 'triangle', note: 60, duration: 0.3, gain: 0.3 },
+      { at: 0.5, wave: 'triangle', note: 57, slide: 52, duration: 0.9, gain: 0.3 }
+    ],
+    pickup: [
+      { at: 0, wave: 'sine', note: 84, slide: 96, duration: 0.15, gain: 0.25 }
+    ],
+    shield: [
+      { at: 0, wave: 'square', note: 67, slide: 79, duration: 0.2, gain: 0.15 },
+      { at: 0, wave: 'noise', note: 4000, duration: 0.15, gain: 0.1 }
+    ]
+  };
+
+  /* Cue each event type plays; events not listed are silent */
+  const EVENT_CUES = {
+    [GAME_EVENTS.NEED_CRITICAL]: 'critical',
+    [GAME_EVENTS.MONSTER_TRIGGERED]: 'monster',
+    [GAME_EVENTS.MONSTER_CAUGHT]: 'caught',
+    [GAME_EVENTS.LEVEL_COMPLETE]: 'victory',
+    [GAME_EVENTS.CHALLENGE_COMPLETE]: 'victory',
+    [GAME_EVENTS.GAME_OVER]: 'defeat',
+    [GAME_EVENTS.TIME_UP]: 'defeat',
+    [GAME_EVENTS.ITEM_COLLECTED]: 'pickup',
+    [GAME_EVENTS.SHIELD_BLOCKED]: 'shield',
+    [GAME_EVENTS.MONSTER_ESCAPED]: 'shield'
+  };
+
+  /* The engine schedules music this far ahead, topping up every SCHEDULE_MS */
+  const LOOKAHEAD = 0.2;
+  const SCHEDULE_MS = 50;
+
+  // ============================================
+  // SOUND FUNCTIONS
+  // ============================================
+
+  /**
+   * Converts a MIDI note number to a frequency
+   * @param {number} note - MIDI note, 69 being A4
+   * @returns {number} Frequency in Hz
+   */
+  function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  /**
+   * Works out the music tempo for a level. It follows calculateDrainMultiplier,
+   * so the music hurries as the needs drain faster.
+   * @param {number} level - Level from calculateDifficulty
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {number} Beats per minute
+   */
+  function getMusicTempo(level, tuning = DEFAULT_TUNING) {
+    const drainMult = calculateDrainMultiplier(level, tuning);
+    return Math.min(MAX_TEMPO, BASE_TEMPO + (drainMult - 1) * TEMPO_PER_DRAIN);
+  }
+
+  /**
+   * Length of one step of the bar
+   * @param {number} tempo - Beats per minute
+   * @returns {number} Seconds per eighth note
+   */
+  function getStepDuration(tempo) {
+    return 60 / tempo / 2;
+  }
+
+  /**
+   * Looks up the loop that plays in a zone
+   * @param {string|null} zone - Zone identifier
+   * @returns {object|null} Loop {id, notes}, or null for quiet zones and open ground
+   */
+  function getZoneLoop(zone) {
+    return zone != null && Object.prototype.hasOwnProperty.call(ZONE_LOOPS, zone) ? ZONE_LOOPS[zone] : null;
+  }
+
+  /**
+   * Looks up the cue an event plays
+   * @param {object} event - Event from stepGame
+   * @returns {string|null} Cue id, or null for silent events
+   */
+  function getEventCue(event) {
+    return Object.prototype.hasOwnProperty.call(EVENT_CUES, event.type) ? EVENT_CUES[event.type] : null;
+  }
+
+  /**
+   * Decides what a stretch of the run sounds like: the cues its events
+   * play, each once however often it fired, and the music and zone loop
+   * for the state it led to. A finished run stops the music.
+   * @param {Array<object>} events - Events from stepGame, in order
+   * @param {object} state - Game state after those events
+   * @param {object} [tuning] - Difficulty tuning, defaults to DEFAULT_TUNING
+   * @returns {{cues: Array<string>, music: boolean, tempo: number, loop: string|null}} Sound plan
+   */
+  function planSounds(events, state, tuning = DEFAULT_TUNING) {
+    const cues = [];
+    events.forEach(event => {
+      const cue = getEventCue(event);
+      if (cue && !cues.includes(cue)) {
+        cues.push(cue);
+      }
+    });
+    const music = !state.status;
+    const loop = getZoneLoop(getZoneAt(state.x, state.y, state.layout));
+    return {
+      cues,
+      music,
+      tempo: getMusicTempo(calculateDifficulty(state), tuning),
+      loop: music && loop ? loop.id : null
+    };
+  }
+
+  // ============================================
+  // VOLUME FUNCTIONS
+  // ============================================
+
+  /**
+   * Validates volume settings
+   * @param {*} volumes - Value to check
+   * @returns {Array<string>} Problems found; empty when the settings are valid
+   */
+  function validateVolumes(volumes) {
+    if (volumes === null || typeof volumes !== 'object' || Array.isArray(volumes)) {
+      return ['must be an object'];
+    }
+    return VOLUME_CHANNELS
+      .filter(channel => typeof volumes[channel] !== 'number' || !(volumes[channel] >= 0 && volumes[channel] <= 1))
+      .map(channel => `${channel} must be a number from 0 to 1`);
+  }
+
+  /**
+   * Serializes volume settings for storage
+   * @param {object} volumes - Volumes keyed by channel
+   * @returns {string} JSON tagged with SOUND_VERSION
+   */
+  function serializeVolumes(volumes) {
+    return JSON.stringify({ version: SOUND_VERSION, volumes });
+  }
+
+  /**
+   * Parses and validates stored volume settings
+   * @param {string} json - Settings produced by serializeVolumes
+   * @returns {object} Volumes keyed by channel
+   * @throws {Error} If the JSON is corrupt, from an unknown version or fails validation
+   */
+  function parseVolumes(json) {
+    let saved;
+    try {
+      saved = JSON.parse(json);
+    } catch (e) {
+      throw new Error('Invalid sound settings: not valid JSON');
+    }
+    if (saved === null || typeof saved !== 'object' || saved.version !== SOUND_VERSION) {
+      throw new Error(`Invalid sound settings: version must be ${SOUND_VERSION}`);
+    }
+    const errors = validateVolumes(saved.volumes);
+    if (errors.length > 0) {
+      throw new Error(`Invalid sound settings: ${errors.join('; ')}`);
+    }
+    return Object.fromEntries(VOLUME_CHANNELS.map(channel => [channel, saved.volumes[channel]]));
+  }
+
+  // ============================================
+  // ENGINE
+  // ============================================
+
+  /**
+   * Creates the engine that plays sound plans through Web Audio. Browsers
+   * only start audio after a user gesture, so create it (or resume its
+   * context) from a click or key press.
+   * @param {AudioContext} context - Audio context to play through
+   * @param {object} [volumes] - Starting volumes, defaults to DEFAULT_VOLUMES
+   * @returns {object} Engine {update, playCue, setVolumes, close}
+   */
+  function createSoundEngine(context, volumes = DEFAULT_VOLUMES) {
+    const master = context.createGain();
+    master.connect(context.destination);
+    const channels = {};
+    ['music', 'effects'].forEach(channel => {
+      channels[channel] = context.createGain();
+      channels[channel].connect(master);
+    });
+
+    let plan = { cues: [], music: false, tempo: BASE_TEMPO, loop: null };
+    let step = 0;
+    let nextStep = 0;
+    let timer = null;
+    let noise = null;
+
+    /* One second of white noise, shared by every noise note */
+    function getNoise() {
+      if (!noise) {
+        noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+          data[i] = Math.random() * 2 - 1;
+        }
+      }
+      return noise;
+    }
+
+    function playNote(note, time, destination) {
+      const envelope = context.createGain();
+      envelope.gain.setValueAtTime(note.gain, time);
+      envelope.gain.exponentialRampToValueAtTime(0.001, time + note.duration);
+      envelope.connect(destination);
+
+      let source;
+      if (note.wave === 'noise') {
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.setValueAtTime(note.note, time);
+        filter.connect(envelope);
+        source = context.createBufferSource();
+        source.buffer = getNoise();
+        source.loop = true;
+        source.connect(filter);
+      } else {
+        source = context.createOscillator();
+        source.type = note.wave;
+        source.frequency.setValueAtTime(midiToFrequency(note.note), time);
+        if (note.slide !== undefined) {
+          source.frequency.exponentialRampToValueAtTime(midiToFrequency(note.slide), time + note.duration);
+        }
+        source.connect(envelope);
+      }
+      source.start(time);
+      source.stop(time + note.duration);
+    }
+
+    /* Plays every step that falls inside the lookahead window */
+    function schedule() {
+      const loop = Object.values(ZONE_LOOPS).find(l => l.id === plan.loop);
+      while (nextStep < context.currentTime + LOOKAHEAD) {
+        MUSIC.filter(n => n.step === step).forEach(n => playNote(n, nextStep, channels.music));
+        if (loop) {
+          loop.notes.filter(n => n.step === step).forEach(n => playNote(n, nextStep, channels.music));
+        }
+        nextStep += getStepDuration(plan.tempo);
+        step = (step + 1) % STEPS_PER_BAR;
+      }
+    }
+
+    function setVolumes(updated) {
+      master.gain.value = updated.master;
+      channels.music.gain.value = updated.music;
+      channels.effects.gain.value = updated.effects;
+    }
+
+    function playCue(id) {
+      CUES[id].forEach(note => playNote(note, context.currentTime + note.at, channels.effects));
+    }
+
+    /**
+     * Plays a stretch of the run
+     * @param {Array<object>} events - Events from stepGame
+     * @param {object} state - Game state after those events
+     * @param {boolean} [active] - False while paused or in menus, which silences the music
+     */
+    function update(events, state, active = true) {
+      plan = planSounds(events, state);
+      plan.cues.forEach(playCue);
+      if (plan.music && active && !timer) {
+        step = 0;
+        nextStep = context.currentTime + 0.05;
+        timer = setInterval(schedule, SCHEDULE_MS);
+      } else if ((!plan.music || !active) && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+
+    function close() {
+      clearInterval(timer);
+      timer = null;
+      return context.close();
+    }
+
+    setVolumes(volumes);
+    return { update, playCue, setVolumes, close };
+  }
+
+  // ============================================
+  // EXPORTS
+  // ============================================
+
+  return {
+    // Constants
+    SOUND_VERSION,
+    VOLUME_CHANNELS,
+    DEFAULT_VOLUMES,
+    BASE_TEMPO,
+    TEMPO_PER_DRAIN,
+    MAX_TEMPO,
+    STEPS_PER_BAR,
+    WAVES,
+    MUSIC,
+    ZONE_LOOPS,
+    CUES,
+    EVENT_CUES,
+
+    // Sound Functions
+    midiToFrequency,
+    getMusicTempo,
+    getStepDuration,
+    getZoneLoop,
+    getEventCue,
+    planSounds,
+
+    // Volume Functions
+    validateVolumes,
+    serializeVolumes,
+    parseVolumes,
+
+    // Engine
+    createSoundEngine
+  };
+}));
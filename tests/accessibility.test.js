@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for Unicorn Ranch Accessibility
+ */
+
+const {
+  // Constants
+  ACCESSIBILITY_VERSION,
+  ACCESSIBILITY_TOGGLES,
+  DEFAULT_ACCESSIBILITY,
+  EVENT_ANNOUNCEMENTS,
+
+  // Settings
+  detectAccessibility,
+  validateAccessibility,
+  serializeAccessibility,
+  parseAccessibility,
+
+  // Announcements
+  describeEvent,
+  planAnnouncements
+} = require('../src/accessibility');
+
+const { GAME_EVENTS, DRAIN_ASSISTS, createInitialState } = require('../src/gameLogic');
+
+const event = (type, fields = {}) => ({ type, level: 1, ...fields });
+
+// ============================================
+// SETTINGS TESTS
+// ============================================
+
+describe('DEFAULT_ACCESSIBILITY', () => {
+  test('starts with everything off', () => {
+    expect(DEFAULT_ACCESSIBILITY).toEqual({ highContrast: false, reducedMotion: false, drainAssist: 1 });
+    expect(validateAccessibility(DEFAULT_ACCESSIBILITY)).toEqual([]);
+  });
+});
+
+describe('detectAccessibility', () => {
+  test('follows the browser\'s preferences', () => {
+    expect(detectAccessibility({ reducedMotion: true, highContrast: false }))
+      .toEqual({ ...DEFAULT_ACCESSIBILITY, reducedMotion: true });
+    expect(detectAccessibility({ highContrast: true }).highContrast).toBe(true);
+  });
+
+  test('falls back to the defaults', () => {
+    expect(detectAccessibility()).toEqual(DEFAULT_ACCESSIBILITY);
+  });
+});
+
+describe('validateAccessibility', () => {
+  test('accepts every assist on offer', () => {
+    DRAIN_ASSISTS.forEach(drainAssist => {
+      expect(validateAccessibility({ highContrast: true, reducedMotion: true, drainAssist })).toEqual([]);
+    });
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateAccessibility('on')).toEqual(['must be an object']);
+  });
+
+  test('reports every bad setting', () => {
+    expect(validateAccessibility({ highContrast: 1, drainAssist: 0.2 })).toEqual([
+      ...ACCESSIBILITY_TOGGLES.map(toggle => `${toggle} must be true or false`),
+      'drainAssist must be one of 1, 0.75, 0.5'
+    ]);
+  });
+});
+
+describe('serializeAccessibility and parseAccessibility', () => {
+  test('round-trips settings', () => {
+    const settings = { highContrast: true, reducedMotion: false, drainAssist: 0.75 };
+    expect(parseAccessibility(serializeAccessibility(settings))).toEqual(settings);
+  });
+
+  test('tags the settings with their version', () => {
+    expect(JSON.parse(serializeAccessibility(DEFAULT_ACCESSIBILITY)).version).toBe(ACCESSIBILITY_VERSION);
+  });
+
+  test('rejects corrupt JSON, unknown versions and bad settings', () => {
+    expect(() => parseAccessibility('{')).toThrow('Invalid accessibility settings: not valid JSON');
+    expect(() => parseAccessibility('{"version":2}')).toThrow('Invalid accessibility settings: version must be 1');
+    expect(() => parseAccessibility(serializeAccessibility({ ...DEFAULT_ACCESSIBILITY, reducedMotion: 'yes' })))
+      .toThrow('Invalid accessibility settings: reducedMotion must be true or false');
+  });
+});
+
+// ============================================
+// ANNOUNCEMENT TESTS
+// ============================================
+
+describe('EVENT_ANNOUNCEMENTS', () => {
+  test('maps real event types to the fields they carry', () => {
+    const eventTypes = Object.values(GAME_EVENTS);
+    Object.keys(EVENT_ANNOUNCEMENTS).forEach(type => expect(eventTypes).toContain(type));
+  });
+});
+
+describe('describeEvent', () => {
+  test('names the need that went critical, urgently', () => {
+    expect(describeEvent(event(GAME_EVENTS.NEED_CRITICAL, { need: 'thirst' })))
+      .toEqual({ id: 'needCritical', urgent: true, need: 'thirst' });
+  });
+
+  test('names the zone entered', () => {
+    expect(describeEvent(event(GAME_EVENTS.ZONE_ENTERED, { zone: 'barn' })))
+      .toEqual({ id: 'zoneEntered', urgent: false, zone: 'barn' });
+  });
+
+  test('reports the level completed', () => {
+    expect(describeEvent(event(GAME_EVENTS.LEVEL_COMPLETE, { level: 4 })))
+      .toEqual({ id: 'levelComplete', urgent: false, level: 4 });
+  });
+
+  test('is null for events left unsaid', () => {
+    expect(describeEvent(event(GAME_EVENTS.ITEM_COLLECTED, { item: 'apple' }))).toBeNull();
+    expect(describeEvent(event('constructor'))).toBeNull();
+  });
+});
+
+describe('planAnnouncements', () => {
+  const state = createInitialState();
+
+  test('describes the events in order', () => {
+    const events = [
+      event(GAME_EVENTS.ZONE_ENTERED, { zone: 'field' }),
+      event(GAME_EVENTS.ITEM_COLLECTED, { item: 'apple' }),
+      event(GAME_EVENTS.NEED_CRITICAL, { need: 'fun' })
+    ];
+    expect(planAnnouncements(events, state, 1).map(message => message.id)).toEqual(['zoneEntered', 'needCritical']);
+  });
+
+  test('announces a level the state has moved on to', () => {
+    expect(planAnnouncements([], { ...state, level: 3 }, 2)).toEqual([{ id: 'levelStarted', urgent: false, level: 3 }]);
+    expect(planAnnouncements([], state, null)).toEqual([{ id: 'levelStarted', urgent: false, level: 1 }]);
+    expect(planAnnouncements([], state, 1)).toEqual([]);
+  });
+
+  test('waits for the break to end before announcing the next level', () => {
+    expect(planAnnouncements([], { ...state, level: 2, status: 'nextlevel' }, 1)).toEqual([]);
+  });
+});
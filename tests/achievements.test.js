@@ -0,0 +1,252 @@
+/**
+ * Unit Tests for Unicorn Ranch Achievements
+ */
+
+const {
+  // Constants
+  ACHIEVEMENTS_VERSION,
+  ACHIEVEMENT_KINDS,
+  ACHIEVEMENTS,
+
+  // Achievements
+  getAchievement,
+  isCounted,
+  matchesEvent,
+
+  // Progress
+  createProgress,
+  isUnlocked,
+  getAchievementProgress,
+  createTracker,
+  trackTick,
+
+  // Saving
+  validateProgress,
+  serializeProgress,
+  parseProgress
+} = require('../src/achievements');
+
+const { GAME_EVENTS, createInitialState, getZone } = require('../src/gameLogic');
+
+const DATE = new Date(Date.UTC(2026, 9, 19, 12, 0));
+
+/* A run standing in the middle of the field, between the zones */
+function openGround(fields = {}) {
+  return { ...createInitialState(), x: 50, y: 50, ...fields };
+}
+
+const entered = zone => ({ type: GAME_EVENTS.ZONE_ENTERED, level: 1, zone });
+const completed = (level = 1) => ({ type: GAME_EVENTS.LEVEL_COMPLETE, level });
+const triggered = { type: GAME_EVENTS.MONSTER_TRIGGERED, level: 1 };
+
+/* Feeds one batch of events to fresh progress and tracker */
+function track(events, state = openGround(), progress = createProgress()) {
+  return trackTick(progress, createTracker(state), events, state, DATE);
+}
+
+// ============================================
+// ACHIEVEMENT TESTS
+// ============================================
+
+describe('ACHIEVEMENTS', () => {
+  test('every achievement is well-formed data', () => {
+    const eventTypes = Object.values(GAME_EVENTS);
+    Object.entries(ACHIEVEMENTS).forEach(([id, achievement]) => {
+      expect(achievement.id).toBe(id);
+      expect(typeof achievement.name).toBe('string');
+      expect(typeof achievement.description).toBe('string');
+      expect(ACHIEVEMENT_KINDS).toContain(achievement.kind);
+      if (achievement.kind === 'count') expect(eventTypes).toContain(achievement.event);
+      if (isCounted(achievement)) expect(achievement.goal).toBeGreaterThan(0);
+      if (achievement.kind === 'avoid') expect(getZone(achievement.zone)).not.toBeNull();
+    });
+  });
+
+  test('includes the level, barn and close call goals', () => {
+    expect(ACHIEVEMENTS.summit).toMatchObject({ kind: 'level', goal: 10 });
+    expect(ACHIEVEMENTS.untamed).toMatchObject({ kind: 'avoid', zone: 'barn' });
+    expect(ACHIEVEMENTS.whisker).toMatchObject({ kind: 'closeCall', threshold: 1 });
+  });
+});
+
+describe('getAchievement', () => {
+  test('finds achievements by id', () => {
+    expect(getAchievement('bait')).toBe(ACHIEVEMENTS.bait);
+  });
+
+  test('is null for unknown ids', () => {
+    expect(getAchievement('hoarder')).toBeNull();
+    expect(getAchievement('constructor')).toBeNull();
+  });
+});
+
+describe('matchesEvent', () => {
+  test('needs the event type', () => {
+    expect(matchesEvent(ACHIEVEMENTS.bait, triggered)).toBe(true);
+    expect(matchesEvent(ACHIEVEMENTS.bait, completed())).toBe(false);
+  });
+
+  test('needs every matched field', () => {
+    expect(matchesEvent(ACHIEVEMENTS.splash, entered('lake'))).toBe(true);
+    expect(matchesEvent(ACHIEVEMENTS.splash, entered('barn'))).toBe(false);
+  });
+});
+
+// ============================================
+// PROGRESS TESTS
+// ============================================
+
+describe('isUnlocked', () => {
+  test('checks the unlock list', () => {
+    const { progress } = track([completed()]);
+    expect(isUnlocked(progress, 'rookie')).toBe(true);
+    expect(isUnlocked(progress, 'veteran')).toBe(false);
+  });
+});
+
+describe('getAchievementProgress', () => {
+  test('reports counters against their goal', () => {
+    const progress = { ...createProgress(), counts: { bait: 4 } };
+    expect(getAchievementProgress(progress, 'bait')).toEqual({ value: 4, goal: 10 });
+    expect(getAchievementProgress(createProgress(), 'summit')).toEqual({ value: 0, goal: 10 });
+  });
+
+  test('is full once unlocked', () => {
+    const progress = { unlocked: { bait: DATE.toISOString() }, counts: {} };
+    expect(getAchievementProgress(progress, 'bait')).toEqual({ value: 10, goal: 10 });
+  });
+
+  test('is null for achievements that don\'t count up', () => {
+    expect(getAchievementProgress(createProgress(), 'untamed')).toBeNull();
+  });
+});
+
+describe('createTracker', () => {
+  test('starts with the zone the unicorn stands in and its lowest need', () => {
+    const state = { ...createInitialState(), needs: { hunger: 40, thirst: 90, energy: 70, fun: 100 } };
+    expect(createTracker(state)).toEqual({ visited: ['lake'], lowest: 40 });
+    expect(createTracker(openGround()).visited).toEqual([]);
+  });
+});
+
+describe('trackTick', () => {
+  test('counts matching events', () => {
+    const { progress, unlocked } = track([triggered, triggered, entered('lake'), entered('barn')]);
+    expect(progress.counts).toMatchObject({ bait: 2, wanderer: 2, splash: 1 });
+    expect(unlocked).toEqual([]);
+  });
+
+  test('unlocks a counter at its goal and stops counting it', () => {
+    const start = { ...createProgress(), counts: { bait: 9 } };
+    const { progress, unlocked } = track([triggered], openGround(), start);
+    expect(unlocked).toEqual(['bait']);
+    expect(progress.unlocked).toEqual({ bait: DATE.toISOString() });
+    expect(progress.counts.bait).toBeUndefined();
+
+    expect(track([triggered], openGround(), progress).progress.counts.bait).toBeUndefined();
+  });
+
+  test('unlocks reaching level 10 from the level completed', () => {
+    expect(track([completed(8)]).progress.counts.summit).toBe(9);
+    expect(track([completed(9)]).unlocked).toContain('summit');
+  });
+
+  test('unlocks a level finished without visiting the barn', () => {
+    expect(track([entered('lake'), completed()]).unlocked).toContain('untamed');
+    expect(track([entered('barn'), entered('lake'), completed()]).unlocked).not.toContain('untamed');
+  });
+
+  test('remembers the barn between frames and forgets it when the level ends', () => {
+    let result = track([entered('barn')]);
+    result = trackTick(result.progress, result.tracker, [completed()], openGround(), DATE);
+    expect(result.unlocked).not.toContain('untamed');
+
+    result = trackTick(result.progress, result.tracker, [completed(2)], openGround(), DATE);
+    expect(result.unlocked).toContain('untamed');
+  });
+
+  test('a level that starts in the barn counts as a visit', () => {
+    const inBarn = openGround({ x: 75, y: 25 });
+    const { tracker } = trackTick(createProgress(), createTracker(inBarn), [completed()], inBarn, DATE);
+    expect(tracker.visited).toEqual(['barn']);
+  });
+
+  test('unlocks surviving a level with a need at 1%', () => {
+    const state = openGround({ needs: { hunger: 60, thirst: 0.8, energy: 70, fun: 100 } });
+    expect(track([completed()], state).unlocked).toContain('whisker');
+  });
+
+  test('a close call earlier in the level still counts', () => {
+    let result = track([], openGround({ needs: { hunger: 1, thirst: 90, energy: 90, fun: 90 } }));
+    result = trackTick(result.progress, result.tracker, [completed()], openGround(), DATE);
+    expect(result.unlocked).toContain('whisker');
+  });
+
+  test('a level without a close call does not count', () => {
+    expect(track([completed()]).unlocked).not.toContain('whisker');
+  });
+
+  test('never unlocks the same achievement twice', () => {
+    const { progress } = track([completed()]);
+    expect(track([completed(2)], openGround(), progress).unlocked).not.toContain('untamed');
+  });
+
+  test('does not mutate the progress', () => {
+    const progress = createProgress();
+    track([triggered, completed()], openGround(), progress);
+    expect(progress).toEqual(createProgress());
+  });
+});
+
+// ============================================
+// SAVING TESTS
+// ============================================
+
+describe('validateProgress', () => {
+  test('accepts fresh and tracked progress', () => {
+    expect(validateProgress(createProgress())).toEqual([]);
+    expect(validateProgress(track([triggered, completed()]).progress)).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateProgress(null)).toEqual(['must be an object']);
+  });
+
+  test('reports every bad entry', () => {
+    const progress = {
+      unlocked: { hoarder: DATE.toISOString(), bait: 'yesterday' },
+      counts: { untamed: 1, wanderer: -2 }
+    };
+    expect(validateProgress(progress)).toEqual([
+      'unlocked.hoarder is not a known achievement',
+      'unlocked.bait must be an ISO date string',
+      'counts.untamed is not a counted achievement',
+      'counts.wanderer must be an integer of at least 0'
+    ]);
+    expect(validateProgress({ unlocked: [], counts: null })).toEqual([
+      'unlocked must be an object',
+      'counts must be an object'
+    ]);
+  });
+});
+
+describe('serializeProgress and parseProgress', () => {
+  test('round-trips progress', () => {
+    const { progress } = track([triggered, completed()]);
+    expect(parseProgress(serializeProgress(progress))).toEqual(progress);
+  });
+
+  test('tags the progress with its version', () => {
+    expect(JSON.parse(serializeProgress(createProgress())).version).toBe(ACHIEVEMENTS_VERSION);
+  });
+
+  test('rejects corrupt JSON and unknown versions', () => {
+    expect(() => parseProgress('{')).toThrow('Invalid achievements: not valid JSON');
+    expect(() => parseProgress('{"version":7}')).toThrow('Invalid achievements: version must be 1');
+  });
+
+  test('rejects bad progress', () => {
+    const json = JSON.stringify({ version: ACHIEVEMENTS_VERSION, unlocked: {}, counts: { bait: 1.5 } });
+    expect(() => parseProgress(json)).toThrow('Invalid achievements: counts.bait must be an integer of at least 0');
+  });
+});
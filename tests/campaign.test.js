@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for Unicorn Ranch Campaigns
+ */
+
+const {
+  // Constants
+  CAMPAIGN_VERSION,
+
+  // Packs
+  serializeCampaign,
+  parseCampaign,
+  createCampaignState
+} = require('../src/campaign');
+
+const { createNextLevelState, validateState } = require('../src/gameLogic');
+
+const CAMPAIGN = {
+  id: 'meadowlands',
+  name: 'Meadowlands',
+  levels: [
+    { name: 'First Steps', duration: 15, monster: { enabled: false } },
+    {
+      name: 'Rainbow Run',
+      zones: [
+        { id: 'meadow', shape: { type: 'rect', x: 1, y: 1, w: 98, h: 48 } },
+        { id: 'lake', shape: { type: 'ellipse', cx: 25, cy: 75, rx: 20, ry: 20 } },
+        { id: 'barn', shape: { type: 'rect', x: 60, y: 60, w: 30, h: 30 } }
+      ],
+      objective: { goal: 'thrive' }
+    }
+  ]
+};
+
+// ============================================
+// PACK TESTS
+// ============================================
+
+describe('serializeCampaign and parseCampaign', () => {
+  test('round-trips a campaign', () => {
+    expect(parseCampaign(serializeCampaign(CAMPAIGN))).toEqual(CAMPAIGN);
+  });
+
+  test('tags the pack with its version', () => {
+    expect(JSON.parse(serializeCampaign(CAMPAIGN)).version).toBe(CAMPAIGN_VERSION);
+  });
+
+  test('rejects corrupt JSON and unknown versions', () => {
+    expect(() => parseCampaign('levels:')).toThrow('Invalid campaign: not valid JSON');
+    expect(() => parseCampaign(JSON.stringify({ ...CAMPAIGN, version: 2 }))).toThrow('Invalid campaign: version must be 1');
+  });
+
+  test('lists every problem in the pack', () => {
+    const pack = { ...CAMPAIGN, levels: [{ duration: 'long' }, { zones: [{ id: 'moon' }] }] };
+    expect(() => parseCampaign(serializeCampaign(pack))).toThrow(
+      'Invalid campaign: levels[0].duration must be a number above 0; levels[1].zones[0] must reference a known zone'
+    );
+  });
+
+  test('names the catalog message for each problem', () => {
+    const pack = { ...CAMPAIGN, levels: [{ duration: 'long' }, { zones: [{ id: 'moon' }] }] };
+    expect(() => parseCampaign('levels:')).toThrow(expect.objectContaining({ id: 'campaign.json' }));
+    expect(() => parseCampaign(JSON.stringify({ ...CAMPAIGN, version: 2 }))).toThrow(expect.objectContaining({ id: 'campaign.version' }));
+    expect(() => parseCampaign(serializeCampaign(pack)))
+      .toThrow(expect.objectContaining({ id: 'campaign.invalid', params: { count: 2 } }));
+  });
+});
+
+describe('createCampaignState', () => {
+  test('starts on the campaign\'s first level', () => {
+    const state = createCampaignState(CAMPAIGN, 7);
+    expect(state).toMatchObject({ mode: 'classic', rng: 7, level: 1, levelTime: 15, campaign: CAMPAIGN });
+    expect(validateState(state)).toEqual([]);
+  });
+
+  test('plays the next level of the pack', () => {
+    const next = createNextLevelState(createCampaignState(CAMPAIGN, 7, 'classic'));
+    expect(next.layout).toBe(CAMPAIGN.levels[1].zones);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Unit Tests for Unicorn Ranch Controls
+ */
+
+const {
+  // Constants
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  KEYS_PER_ACTION,
+  GAMEPAD_DEADZONE,
+
+  // Keyboard Functions
+  getActionForKey,
+  getKeyboardVector,
+  formatKey,
+
+  // Gamepad Functions
+  applyDeadzone,
+  getGamepadVector,
+  combineVectors,
+
+  // Binding Functions
+  rebindKey,
+  validateBindings,
+  serializeBindings,
+  parseBindings
+} = require('../src/controls');
+
+/* Minimal stand-in for a standard-mapping Gamepad */
+function gamepad({ axes = [0, 0], dpad = [] } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, i) => ({ pressed: dpad.includes(i) }));
+  return { axes, buttons };
+}
+
+// ============================================
+// CONSTANTS TESTS
+// ============================================
+
+describe('Constants', () => {
+  test('default bindings are valid', () => {
+    expect(validateBindings(DEFAULT_BINDINGS)).toEqual([]);
+  });
+
+  test('every action has default keys', () => {
+    ACTIONS.forEach(action => {
+      expect(DEFAULT_BINDINGS[action].length).toBeGreaterThan(0);
+    });
+  });
+
+  test('arrow keys and WASD both move by default', () => {
+    expect(DEFAULT_BINDINGS.up).toEqual(['ArrowUp', 'KeyW']);
+    expect(DEFAULT_BINDINGS.left).toEqual(['ArrowLeft', 'KeyA']);
+  });
+});
+
+// ============================================
+// KEYBOARD TESTS
+// ============================================
+
+describe('getActionForKey', () => {
+  test('finds the bound action', () => {
+    expect(getActionForKey('KeyW')).toBe('up');
+    expect(getActionForKey('ArrowRight')).toBe('right');
+    expect(getActionForKey('Escape')).toBe('pause');
+  });
+
+  test('returns null for unbound keys', () => {
+    expect(getActionForKey('KeyQ')).toBeNull();
+  });
+
+  test('uses custom bindings', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'up', 'KeyI');
+    expect(getActionForKey('KeyI', bindings)).toBe('up');
+    expect(getActionForKey('ArrowUp', bindings)).toBeNull();
+  });
+});
+
+describe('getKeyboardVector', () => {
+  test('no keys means no movement', () => {
+    expect(getKeyboardVector([])).toEqual({ x: 0, y: 0 });
+  });
+
+  test('maps each direction', () => {
+    expect(getKeyboardVector(['ArrowUp'])).toEqual({ x: 0, y: -1 });
+    expect(getKeyboardVector(['KeyS'])).toEqual({ x: 0, y: 1 });
+    expect(getKeyboardVector(['KeyA'])).toEqual({ x: -1, y: 0 });
+    expect(getKeyboardVector(['ArrowRight'])).toEqual({ x: 1, y: 0 });
+  });
+
+  test('combines keys for diagonals', () => {
+    expect(getKeyboardVector(['KeyW', 'KeyD'])).toEqual({ x: 1, y: -1 });
+  });
+
+  test('opposite keys cancel out', () => {
+    expect(getKeyboardVector(['ArrowLeft', 'KeyD'])).toEqual({ x: 0, y: 0 });
+  });
+
+  test('holding both keys of one action counts once', () => {
+    expect(getKeyboardVector(['ArrowUp', 'KeyW'])).toEqual({ x: 0, y: -1 });
+  });
+
+  test('ignores keys that are not movement', () => {
+    expect(getKeyboardVector(new Set(['KeyP', 'KeyQ']))).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('formatKey', () => {
+  test('shortens letter and digit keys', () => {
+    expect(formatKey('KeyW')).toBe('W');
+    expect(formatKey('Digit7')).toBe('7');
+  });
+
+  test('uses symbols for arrows and Esc', () => {
+    expect(formatKey('ArrowUp')).toBe('↑');
+    expect(formatKey('Escape')).toBe('Esc');
+  });
+
+  test('falls back to the code', () => {
+    expect(formatKey('ShiftLeft')).toBe('ShiftLeft');
+  });
+});
+
+// ============================================
+// GAMEPAD TESTS
+// ============================================
+
+describe('applyDeadzone', () => {
+  test('ignores small stick movements', () => {
+    expect(applyDeadzone(0.1, 0.1)).toEqual({ x: 0, y: 0 });
+    expect(applyDeadzone(GAMEPAD_DEADZONE, 0)).toEqual({ x: 0, y: 0 });
+  });
+
+  test('full tilt gives full speed', () => {
+    const v = applyDeadzone(1, 0);
+    expect(v.x).toBeCloseTo(1);
+    expect(v.y).toBeCloseTo(0);
+  });
+
+  test('rescales from the edge of the deadzone', () => {
+    const halfway = GAMEPAD_DEADZONE + (1 - GAMEPAD_DEADZONE) / 2;
+    expect(applyDeadzone(0, -halfway).y).toBeCloseTo(-0.5);
+  });
+
+  test('keeps the stick direction', () => {
+    const v = applyDeadzone(0.6, 0.6);
+    expect(v.x).toBeCloseTo(v.y);
+    expect(Math.hypot(v.x, v.y)).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('getGamepadVector', () => {
+  test('no gamepad means no movement', () => {
+    expect(getGamepadVector(null)).toEqual({ x: 0, y: 0 });
+  });
+
+  test('reads the left stick', () => {
+    const v = getGamepadVector(gamepad({ axes: [1, 0] }));
+    expect(v.x).toBeCloseTo(1);
+  });
+
+  test('reads the d-pad', () => {
+    expect(getGamepadVector(gamepad({ dpad: [12] }))).toEqual({ x: 0, y: -1 });
+    expect(getGamepadVector(gamepad({ dpad: [13, 15] }))).toEqual({ x: 1, y: 1 });
+  });
+
+  test('d-pad wins over the stick', () => {
+    expect(getGamepadVector(gamepad({ axes: [1, 0], dpad: [14] }))).toEqual({ x: -1, y: 0 });
+  });
+
+  test('copes with gamepads missing buttons or axes', () => {
+    expect(getGamepadVector({ axes: [], buttons: [] })).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('combineVectors', () => {
+  test('adds devices together', () => {
+    expect(combineVectors({ x: 0.5, y: 0 }, { x: 0, y: 0.5 })).toEqual({ x: 0.5, y: 0.5 });
+  });
+
+  test('caps the result at length 1', () => {
+    const v = combineVectors({ x: 1, y: 0 }, { x: 1, y: 0 });
+    expect(v).toEqual({ x: 1, y: 0 });
+  });
+
+  test('no vectors means no movement', () => {
+    expect(combineVectors()).toEqual({ x: 0, y: 0 });
+  });
+});
+
+// ============================================
+// BINDING TESTS
+// ============================================
+
+describe('rebindKey', () => {
+  test('replaces the primary key by default', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'up', 'KeyI');
+    expect(bindings.up).toEqual(['KeyI', 'KeyW']);
+  });
+
+  test('replaces the chosen slot', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'up', 'KeyI', 1);
+    expect(bindings.up).toEqual(['ArrowUp', 'KeyI']);
+  });
+
+  test('fills an empty slot', () => {
+    const start = { ...DEFAULT_BINDINGS, pause: ['KeyP'] };
+    expect(rebindKey(start, 'pause', 'Space', 1).pause).toEqual(['KeyP', 'Space']);
+  });
+
+  test('swaps keys taken from another action', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'up', 'KeyP');
+    expect(bindings.up).toEqual(['KeyP', 'KeyW']);
+    expect(bindings.pause).toEqual(['ArrowUp', 'Escape']);
+    expect(validateBindings(bindings)).toEqual([]);
+  });
+
+  test('swaps keys within the same action', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'up', 'KeyW');
+    expect(bindings.up).toEqual(['KeyW', 'ArrowUp']);
+  });
+
+  test('refuses to leave another action without keys', () => {
+    const start = { ...DEFAULT_BINDINGS, pause: ['KeyP'], up: ['ArrowUp'] };
+    expect(() => rebindKey(start, 'up', 'KeyP', 1)).toThrow('P is the only key for pause');
+  });
+
+  test('names the key and the action it would leave without keys', () => {
+    const start = { ...DEFAULT_BINDINGS, pause: ['KeyP'], up: ['ArrowUp'] };
+    expect(() => rebindKey(start, 'up', 'KeyP', 1)).toThrow(expect.objectContaining({
+      id: 'onlyKey',
+      params: { key: 'P', action: 'pause' }
+    }));
+  });
+
+  test('rejects unknown actions and slots', () => {
+    expect(() => rebindKey(DEFAULT_BINDINGS, 'jump', 'Space')).toThrow('Unknown action: jump');
+    expect(() => rebindKey(DEFAULT_BINDINGS, 'up', 'Space', KEYS_PER_ACTION)).toThrow('Slot must be');
+  });
+
+  test('does not mutate the original bindings', () => {
+    const copy = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+    rebindKey(DEFAULT_BINDINGS, 'up', 'KeyP');
+    expect(DEFAULT_BINDINGS).toEqual(copy);
+  });
+});
+
+describe('validateBindings', () => {
+  test('rejects non-objects', () => {
+    expect(validateBindings(null)).toEqual(['bindings must be an object']);
+    expect(validateBindings(['KeyW'])).toEqual(['bindings must be an object']);
+  });
+
+  test('rejects missing or empty actions', () => {
+    const { pause, ...rest } = DEFAULT_BINDINGS;
+    expect(validateBindings(rest)).toEqual(['pause must have 1 to 2 keys']);
+    expect(validateBindings({ ...DEFAULT_BINDINGS, up: [] })).toEqual(['up must have 1 to 2 keys']);
+  });
+
+  test('rejects too many keys and non-string keys', () => {
+    expect(validateBindings({ ...DEFAULT_BINDINGS, up: ['KeyI', 'KeyO', 'KeyU'] }))
+      .toEqual(['up must have 1 to 2 keys']);
+    expect(validateBindings({ ...DEFAULT_BINDINGS, up: [38] }))
+      .toEqual(['up must have 1 to 2 keys']);
+  });
+
+  test('rejects keys bound twice', () => {
+    expect(validateBindings({ ...DEFAULT_BINDINGS, pause: ['KeyW'] }))
+      .toEqual(['KeyW is bound to both up and pause']);
+  });
+
+  test('rejects unknown actions', () => {
+    expect(validateBindings({ ...DEFAULT_BINDINGS, jump: ['Space'] }))
+      .toEqual(['jump is not a known action']);
+  });
+});
+
+describe('serializeBindings and parseBindings', () => {
+  test('round-trips bindings', () => {
+    const bindings = rebindKey(DEFAULT_BINDINGS, 'left', 'KeyJ');
+    expect(parseBindings(serializeBindings(bindings))).toEqual(bindings);
+  });
+
+  test('rejects corrupt JSON', () => {
+    expect(() => parseBindings('{"up": [')).toThrow('Invalid bindings: not valid JSON');
+  });
+
+  test('rejects invalid bindings', () => {
+    expect(() => parseBindings('{}')).toThrow('Invalid bindings: up must have 1 to 2 keys');
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Unit Tests for Unicorn Ranch Daily Challenges
+ */
+
+const {
+  // Constants
+  DAILY_MODE,
+  DAILY_VERSION,
+  MAX_DAYS,
+  ZONE_BOOST,
+  ZONE_WEAKEN,
+  START_NEED_RANGE,
+  DRAIN_RANGE,
+  TARGET_LEVEL_RANGE,
+
+  // Challenges
+  getDateKey,
+  isValidDateKey,
+  hashString,
+  generateChallenge,
+  getDailySeed,
+  createDailyState,
+
+  // Results
+  createDailyResult,
+  isBetterResult,
+  recordDailyResult,
+  validateDailyResult,
+  serializeDailyResults,
+  parseDailyResults,
+
+  // Share Codes
+  createShareCode,
+  verifyShareCode
+} = require('../src/daily');
+
+const { DEFAULT_LAYOUT, DEFAULT_NEEDS, validateChallenge, validateState } = require('../src/gameLogic');
+
+const DAY = '2026-10-19';
+
+/* A finished daily run */
+function result(cleared, score, fields = {}) {
+  return { date: DAY, cleared, score, completed: false, ...fields };
+}
+
+/* Every day of a month, for checks that should hold whatever the date */
+const MONTH = Array.from({ length: 31 }, (_, i) => `2026-03-${String(i + 1).padStart(2, '0')}`);
+
+// ============================================
+// CHALLENGE TESTS
+// ============================================
+
+describe('getDateKey', () => {
+  test('names the UTC day', () => {
+    expect(getDateKey(new Date(Date.UTC(2026, 9, 19, 23, 59)))).toBe('2026-10-19');
+    expect(getDateKey(new Date(Date.UTC(2026, 9, 20, 0, 0)))).toBe('2026-10-20');
+  });
+});
+
+describe('isValidDateKey', () => {
+  test('accepts real dates', () => {
+    expect(isValidDateKey('2026-10-19')).toBe(true);
+    expect(isValidDateKey('2028-02-29')).toBe(true);
+  });
+
+  test('rejects anything else', () => {
+    expect(isValidDateKey('2026-02-30')).toBe(false);
+    expect(isValidDateKey('2026-1-5')).toBe(false);
+    expect(isValidDateKey('today')).toBe(false);
+    expect(isValidDateKey(20261019)).toBe(false);
+  });
+});
+
+describe('hashString', () => {
+  test('matches FNV-1a', () => {
+    expect(hashString('')).toBe(0x811c9dc5);
+    expect(hashString('a')).toBe(0xe40c292c);
+  });
+
+  test('gives different seeds for different text', () => {
+    expect(hashString('2026-10-19')).not.toBe(hashString('2026-10-20'));
+  });
+});
+
+describe('generateChallenge', () => {
+  test('is the same every time for the same day', () => {
+    expect(generateChallenge(DAY)).toEqual(generateChallenge(DAY));
+  });
+
+  test('is named after its day', () => {
+    expect(generateChallenge(DAY).id).toBe(DAY);
+  });
+
+  test('varies from day to day', () => {
+    const rules = new Set(MONTH.map(day => JSON.stringify({ ...generateChallenge(day), id: null })));
+    expect(rules.size).toBeGreaterThan(25);
+  });
+
+  test('boosts one zone and weakens another', () => {
+    MONTH.forEach(day => {
+      const multipliers = Object.values(generateChallenge(day).recharge).sort();
+      expect(multipliers).toEqual([ZONE_WEAKEN, ZONE_BOOST]);
+    });
+  });
+
+  test('only changes zones on the daily map, all year round', () => {
+    const mapped = DEFAULT_LAYOUT.map(zone => zone.id);
+    const start = Date.UTC(2026, 0, 1);
+    for (let day = 0; day < 365; day++) {
+      const dateKey = new Date(start + day * 86400000).toISOString().slice(0, 10);
+      Object.keys(generateChallenge(dateKey).recharge).forEach(zone => expect(mapped).toContain(zone));
+    }
+  });
+
+  test('draws needs, drain and target level from their ranges', () => {
+    MONTH.forEach(day => {
+      const challenge = generateChallenge(day);
+      expect(Object.keys(challenge.startNeeds)).toEqual(DEFAULT_NEEDS);
+      Object.values(challenge.startNeeds).forEach(v => {
+        expect(v).toBeGreaterThanOrEqual(START_NEED_RANGE[0]);
+        expect(v).toBeLessThanOrEqual(START_NEED_RANGE[1]);
+        expect(v % START_NEED_RANGE[2]).toBe(0);
+      });
+      Object.values(challenge.drain).forEach(v => {
+        expect(v).toBeGreaterThanOrEqual(DRAIN_RANGE[0]);
+        expect(v).toBeLessThanOrEqual(DRAIN_RANGE[1]);
+      });
+      expect(challenge.targetLevel).toBeGreaterThanOrEqual(TARGET_LEVEL_RANGE[0]);
+      expect(challenge.targetLevel).toBeLessThanOrEqual(TARGET_LEVEL_RANGE[1]);
+    });
+  });
+
+  test('always makes valid challenges', () => {
+    MONTH.forEach(day => expect(validateChallenge(generateChallenge(day))).toEqual([]));
+  });
+
+  test('rejects invalid dates', () => {
+    expect(() => generateChallenge('2026-13-01')).toThrow('Invalid date: 2026-13-01');
+  });
+});
+
+describe('createDailyState', () => {
+  test('starts the day\'s challenge in daily mode', () => {
+    const state = createDailyState(DAY);
+    expect(state.mode).toBe(DAILY_MODE);
+    expect(state.challenge).toEqual(generateChallenge(DAY));
+    expect(state.needs).toEqual(generateChallenge(DAY).startNeeds);
+    expect(state.rng).toBe(getDailySeed(DAY));
+    expect(validateState(state)).toEqual([]);
+  });
+
+  test('is the same for everyone', () => {
+    expect(createDailyState(DAY)).toEqual(createDailyState(DAY));
+  });
+});
+
+// ============================================
+// RESULT TESTS
+// ============================================
+
+describe('createDailyResult', () => {
+  const finished = fields => ({ ...createDailyState(DAY), score: { total: 812.6, level: 0, streak: 0 }, ...fields });
+
+  test('counts levels cleared before a game over', () => {
+    expect(createDailyResult(finished({ level: 3, status: 'gameover' })))
+      .toEqual({ date: DAY, cleared: 2, score: 812, completed: false });
+  });
+
+  test('counts the final level of a completed challenge', () => {
+    const { targetLevel } = generateChallenge(DAY);
+    expect(createDailyResult(finished({ level: targetLevel, status: 'complete' })))
+      .toEqual({ date: DAY, cleared: targetLevel, score: 812, completed: true });
+  });
+
+  test('creates valid results', () => {
+    expect(validateDailyResult(createDailyResult(finished({ status: 'gameover' })))).toEqual([]);
+  });
+});
+
+describe('isBetterResult', () => {
+  test('anything beats no result', () => {
+    expect(isBetterResult(result(0, 0), null)).toBe(true);
+  });
+
+  test('completing the challenge comes first', () => {
+    expect(isBetterResult(result(3, 100, { completed: true }), result(2, 900))).toBe(true);
+    expect(isBetterResult(result(2, 900), result(3, 100, { completed: true }))).toBe(false);
+  });
+
+  test('then levels cleared, then score', () => {
+    expect(isBetterResult(result(2, 100), result(1, 900))).toBe(true);
+    expect(isBetterResult(result(2, 500), result(2, 400))).toBe(true);
+    expect(isBetterResult(result(2, 400), result(2, 400))).toBe(false);
+  });
+});
+
+describe('recordDailyResult', () => {
+  test('keeps the best result of each day', () => {
+    const first = recordDailyResult({}, result(1, 300));
+    expect(first).toEqual({ results: { [DAY]: result(1, 300) }, best: true });
+
+    const worse = recordDailyResult(first.results, result(0, 50));
+    expect(worse).toEqual({ results: first.results, best: false });
+
+    const better = recordDailyResult(first.results, result(2, 200));
+    expect(better.results[DAY]).toEqual(result(2, 200));
+    expect(better.best).toBe(true);
+  });
+
+  test('drops the oldest days beyond MAX_DAYS', () => {
+    let results = {};
+    for (let d = 0; d < MAX_DAYS + 3; d++) {
+      const date = getDateKey(new Date(Date.UTC(2026, 0, 1 + d)));
+      results = recordDailyResult(results, result(1, 10, { date })).results;
+    }
+    expect(Object.keys(results)).toHaveLength(MAX_DAYS);
+    expect(results['2026-01-01']).toBeUndefined();
+  });
+});
+
+describe('validateDailyResult', () => {
+  test('rejects non-objects', () => {
+    expect(validateDailyResult(null)).toEqual(['must be an object']);
+  });
+
+  test('reports every bad field', () => {
+    expect(validateDailyResult({ date: '19/10/2026', cleared: -1, score: 1.5, completed: 'yes' })).toEqual([
+      'date must be a YYYY-MM-DD date',
+      'cleared must be an integer of at least 0',
+      'score must be an integer of at least 0',
+      'completed must be a boolean'
+    ]);
+  });
+});
+
+describe('serializeDailyResults and parseDailyResults', () => {
+  test('round-trips results', () => {
+    const results = { [DAY]: result(2, 400) };
+    expect(parseDailyResults(serializeDailyResults(results))).toEqual(results);
+  });
+
+  test('tags the results with their version', () => {
+    expect(JSON.parse(serializeDailyResults({})).version).toBe(DAILY_VERSION);
+  });
+
+  test('rejects corrupt JSON and unknown versions', () => {
+    expect(() => parseDailyResults('{')).toThrow('Invalid daily results: not valid JSON');
+    expect(() => parseDailyResults('{"version":9,"results":{}}')).toThrow('Invalid daily results: version must be 1');
+  });
+
+  test('rejects bad results', () => {
+    const json = JSON.stringify({ version: DAILY_VERSION, results: { [DAY]: result(-1, 5), '2026-10-20': result(1, 5) } });
+    expect(() => parseDailyResults(json)).toThrow(
+      'Invalid daily results: results[2026-10-19] cleared must be an integer of at least 0; ' +
+      'results[2026-10-20] is filed under the wrong date'
+    );
+  });
+});
+
+// ============================================
+// SHARE CODE TESTS
+// ============================================
+
+describe('createShareCode', () => {
+  test('encodes the date, levels cleared and score', () => {
+    expect(createShareCode(result(2, 5230))).toMatch(/^20261019-2-5230-[0-9A-Z]{6}$/);
+  });
+});
+
+describe('verifyShareCode', () => {
+  const { targetLevel } = generateChallenge(DAY);
+
+  test('decodes a genuine code', () => {
+    expect(verifyShareCode(createShareCode(result(2, 5230)))).toEqual({
+      date: DAY, cleared: 2, score: 5230, completed: false, targetLevel
+    });
+  });
+
+  test('reports a completed challenge', () => {
+    const code = createShareCode(result(targetLevel, 9000, { completed: true }));
+    expect(verifyShareCode(code).completed).toBe(true);
+  });
+
+  test('tolerates lower case and stray spaces', () => {
+    const code = createShareCode(result(1, 100));
+    expect(verifyShareCode(`  ${code.toLowerCase()} `).score).toBe(100);
+  });
+
+  test('rejects edited codes', () => {
+    const code = createShareCode(result(2, 5230)).replace('-5230-', '-9230-');
+    expect(() => verifyShareCode(code)).toThrow('Invalid share code: checksum does not match');
+  });
+
+  test('rejects more levels than the challenge has', () => {
+    const code = createShareCode(result(targetLevel + 1, 100));
+    expect(() => verifyShareCode(code))
+      .toThrow(`Invalid share code: the ${DAY} challenge ends after level ${targetLevel}`);
+  });
+
+  test('rejects malformed codes and impossible dates', () => {
+    expect(() => verifyShareCode('hello')).toThrow('Invalid share code: expected date-levels-score-check');
+    expect(() => verifyShareCode('20261399-1-10-AAAAAA')).toThrow('Invalid share code: 2026-13-99 is not a date');
+  });
+
+  test('names the catalog message for each problem', () => {
+    const edited = createShareCode(result(2, 5230)).replace('-5230-', '-9230-');
+    const tooFar = createShareCode(result(targetLevel + 1, 100));
+    expect(() => verifyShareCode('hello')).toThrow(expect.objectContaining({ id: 'shareCode.format' }));
+    expect(() => verifyShareCode('20261399-1-10-AAAAAA'))
+      .toThrow(expect.objectContaining({ id: 'shareCode.date', params: { date: '2026-13-99' } }));
+    expect(() => verifyShareCode(tooFar))
+      .toThrow(expect.objectContaining({ id: 'shareCode.levels', params: { date: DAY, level: targetLevel } }));
+    expect(() => verifyShareCode(edited)).toThrow(expect.objectContaining({ id: 'shareCode.checksum' }));
+  });
+});
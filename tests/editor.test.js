@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for Unicorn Ranch Level Editor
+ */
+
+const {
+  // Constants
+  MIN_ZONE_SIZE,
+  CURVE_STEP,
+  PREVIEW_LIMIT,
+
+  // Drafts
+  createDraftLevel,
+  createDraftCampaign,
+  updateLevel,
+  setTableEntry,
+  addLevel,
+  removeLevel,
+
+  // Zones
+  moveShape,
+  resizeShape,
+  moveZone,
+  resizeZone,
+  addZone,
+  removeZone,
+
+  // Playtesting
+  createLevelState,
+  predictNeedCurves
+} = require('../src/editor');
+
+const { DEFAULT_LAYOUT, LEVEL_TIME, getShapeBounds, getSpawnTable, validateCampaign } = require('../src/gameLogic');
+const { parseCampaign, serializeCampaign } = require('../src/campaign');
+
+const idle = () => ({});
+const RECT = { type: 'rect', x: 10, y: 20, w: 30, h: 40 };
+const ELLIPSE = { type: 'ellipse', cx: 50, cy: 50, rx: 10, ry: 5 };
+const TRIANGLE = { type: 'polygon', points: [[10, 10], [30, 10], [20, 30]] };
+
+// ============================================
+// DRAFT TESTS
+// ============================================
+
+describe('createDraftCampaign', () => {
+  test('starts with one valid level', () => {
+    const draft = createDraftCampaign();
+    expect(draft.levels).toEqual([{ name: 'Level 1', duration: LEVEL_TIME, zones: DEFAULT_LAYOUT }]);
+    expect(validateCampaign(draft)).toEqual([]);
+  });
+
+  test('exports as a campaign pack', () => {
+    const draft = createDraftCampaign();
+    expect(parseCampaign(serializeCampaign(draft))).toEqual(draft);
+  });
+});
+
+describe('updateLevel', () => {
+  const draft = addLevel(createDraftCampaign());
+
+  test('changes only the chosen level', () => {
+    const next = updateLevel(draft, 1, { duration: 45, objective: { goal: 'thrive' } });
+    expect(next.levels[1]).toMatchObject({ name: 'Level 2', duration: 45, objective: { goal: 'thrive' } });
+    expect(next.levels[0]).toBe(draft.levels[0]);
+    expect(draft.levels[1].duration).toBe(LEVEL_TIME);
+  });
+
+  test('removes fields set to undefined', () => {
+    expect(updateLevel(draft, 0, { duration: undefined }).levels[0]).not.toHaveProperty('duration');
+  });
+});
+
+describe('setTableEntry', () => {
+  test('sets an entry, keeping the others', () => {
+    expect(setTableEntry({ drain: { fun: 2 } }, 'drain', 'hunger', 1.5)).toEqual({ drain: { fun: 2, hunger: 1.5 } });
+    expect(setTableEntry({}, 'recharge', 'lake', 0.5)).toEqual({ recharge: { lake: 0.5 } });
+  });
+
+  test('removes entries and empty tables', () => {
+    expect(setTableEntry({ drain: { fun: 2, hunger: 1 } }, 'drain', 'fun', undefined)).toEqual({ drain: { hunger: 1 } });
+    expect(setTableEntry({ startNeeds: { fun: 50 } }, 'startNeeds', 'fun', undefined)).toEqual({ startNeeds: undefined });
+  });
+});
+
+describe('addLevel and removeLevel', () => {
+  test('adds numbered levels to the end', () => {
+    const draft = addLevel(addLevel(createDraftCampaign()));
+    expect(draft.levels.map(level => level.name)).toEqual(['Level 1', 'Level 2', 'Level 3']);
+    expect(draft.levels[2]).toEqual(createDraftLevel(3));
+  });
+
+  test('removes a level but keeps the last one', () => {
+    const draft = addLevel(createDraftCampaign());
+    expect(removeLevel(draft, 0).levels.map(level => level.name)).toEqual(['Level 2']);
+    const single = createDraftCampaign();
+    expect(removeLevel(single, 0)).toBe(single);
+  });
+});
+
+// ============================================
+// ZONE TESTS
+// ============================================
+
+describe('moveShape', () => {
+  test('moves every kind of shape', () => {
+    expect(moveShape(RECT, 5, -10)).toEqual({ ...RECT, x: 15, y: 10 });
+    expect(moveShape(ELLIPSE, -5, 5)).toEqual({ ...ELLIPSE, cx: 45, cy: 55 });
+    expect(moveShape(TRIANGLE, 10, 0).points).toEqual([[20, 10], [40, 10], [30, 30]]);
+  });
+
+  test('keeps the shape inside the field', () => {
+    expect(moveShape(RECT, -50, 90)).toEqual({ ...RECT, x: 0, y: 60 });
+    expect(getShapeBounds(moveShape(ELLIPSE, 100, -100))).toEqual({ x: 80, y: 0, w: 20, h: 10 });
+  });
+
+  test('rounds to a tenth of a percent', () => {
+    expect(moveShape(RECT, 0.123, 0.456)).toMatchObject({ x: 10.1, y: 20.5 });
+  });
+});
+
+describe('resizeShape', () => {
+  test('resizes from the bottom-right corner', () => {
+    expect(resizeShape(RECT, 20, 25)).toEqual({ ...RECT, w: 20, h: 25 });
+    expect(getShapeBounds(resizeShape(ELLIPSE, 30, 30))).toEqual({ x: 40, y: 45, w: 30, h: 30 });
+    expect(resizeShape(TRIANGLE, 40, 10).points).toEqual([[10, 10], [50, 10], [30, 20]]);
+  });
+
+  test('keeps sizes between MIN_ZONE_SIZE and the edge of the field', () => {
+    expect(resizeShape(RECT, 1, 500)).toEqual({ ...RECT, w: MIN_ZONE_SIZE, h: 80 });
+  });
+});
+
+describe('moveZone and resizeZone', () => {
+  test('change only the chosen zone', () => {
+    const moved = moveZone(DEFAULT_LAYOUT, 1, -10, 0);
+    expect(moved[1].shape).toEqual({ ...DEFAULT_LAYOUT[1].shape, x: 41 });
+    expect(moved[0]).toBe(DEFAULT_LAYOUT[0]);
+    expect(resizeZone(DEFAULT_LAYOUT, 2, 20, 20)[2].shape).toEqual({ ...DEFAULT_LAYOUT[2].shape, w: 20, h: 20 });
+  });
+});
+
+describe('addZone and removeZone', () => {
+  test('adds a zone where the default layout puts it', () => {
+    const zones = addZone(removeZone(DEFAULT_LAYOUT, 0), 'lake');
+    expect(zones.map(zone => zone.id)).toEqual(['barn', 'field', 'play', 'lake']);
+    expect(zones[3]).toEqual(DEFAULT_LAYOUT[0]);
+  });
+
+  test('adds other zones in the middle of the field', () => {
+    const [meadow] = addZone([], 'meadow');
+    expect(meadow.id).toBe('meadow');
+    expect(getShapeBounds(meadow.shape)).toEqual({ x: 40, y: 40, w: 20, h: 20 });
+  });
+});
+
+// ============================================
+// PLAYTESTING TESTS
+// ============================================
+
+describe('createLevelState', () => {
+  const draft = addLevel(updateLevel(createDraftCampaign(), 0, { duration: 10 }));
+
+  test('starts on the chosen level of the draft', () => {
+    const state = createLevelState(updateLevel(draft, 1, { duration: 20, startNeeds: { fun: 40 } }), 2, { seed: 3 });
+    expect(state).toMatchObject({ level: 2, levelTime: 20, rng: 3 });
+    expect(state.needs.fun).toBe(40);
+  });
+
+  test('spawns items on the level\'s schedule', () => {
+    const state = createLevelState(addLevel(addLevel(addLevel(addLevel(draft)))), 6);
+    expect(state.spawnTimer).toBe(getSpawnTable(6).interval);
+    expect(state.spawnTimer).not.toBe(getSpawnTable(1).interval);
+  });
+
+  test('uses the mode asked for', () => {
+    expect(createLevelState(draft, 1, { mode: 'endless' }).mode).toBe('endless');
+  });
+
+  test('refuses an invalid draft', () => {
+    expect(() => createLevelState(updateLevel(draft, 0, { duration: -1 }), 1))
+      .toThrow('Invalid campaign: levels[0].duration must be a number above 0');
+  });
+});
+
+describe('predictNeedCurves', () => {
+  const draft = updateLevel(createDraftCampaign(), 0, { duration: 5, monster: { enabled: false } });
+
+  test('samples the needs every CURVE_STEP seconds until the level ends', () => {
+    const prediction = predictNeedCurves(draft, 1, idle);
+    expect(prediction).toMatchObject({ cleared: true, eaten: false });
+    expect(prediction.samples.slice(0, 6).map(sample => Math.round(sample.time))).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(prediction.time).toBeCloseTo(5, 1);
+    expect(prediction.samples[1].time - prediction.samples[0].time).toBeCloseTo(CURVE_STEP);
+  });
+
+  test('follows the level\'s drain', () => {
+    const lastHunger = campaign => {
+      const { samples } = predictNeedCurves(campaign, 1, idle);
+      return samples[samples.length - 1].needs.hunger;
+    };
+    const faster = updateLevel(draft, 0, setTableEntry(draft.levels[0], 'drain', 'hunger', 3));
+    expect(lastHunger(faster)).toBeLessThan(lastHunger(draft));
+  });
+
+  test('reports the unicorn being caught', () => {
+    const hunted = updateLevel(draft, 0, { duration: 60, startNeeds: { hunger: 1 }, monster: { speed: 3 } });
+    expect(predictNeedCurves(hunted, 1, idle)).toMatchObject({ cleared: false, eaten: true });
+  });
+
+  test('is repeatable', () => {
+    expect(predictNeedCurves(draft, 1, idle)).toEqual(predictNeedCurves(draft, 1, idle));
+  });
+
+  test('stops at the end of the level in modes without level breaks', () => {
+    const prediction = predictNeedCurves(draft, 1, idle, { mode: 'endless' });
+    expect(prediction.cleared).toBe(true);
+    expect(prediction.time).toBeCloseTo(5, 1);
+  });
+
+  test('gives up on thrive levels after PREVIEW_LIMIT', () => {
+    const starving = updateLevel(draft, 0, { objective: { goal: 'thrive' }, startNeeds: { hunger: 1 } });
+    const prediction = predictNeedCurves(starving, 1, idle, { dt: 0.25 });
+    expect(prediction.cleared).toBe(false);
+    expect(prediction.time).toBeGreaterThanOrEqual(PREVIEW_LIMIT);
+  });
+});
@@ -4,16 +4,87 @@
 
 const {
   // Constants
+  NEEDS,
+  DEFAULT_NEEDS,
   BASE_DRAIN,
+  ZONES,
   BASE_RECHARGE,
   DRAIN_GROWTH,
   RECHARGE_GROWTH,
+  DEFAULT_TUNING,
   LEVEL_TIME,
+  FIXED_DT,
+  MAX_FRAME_TIME,
+  UNICORN_SPEED,
+  SPEED_GROWTH,
+  TIRED_SPEED,
+  TRAVEL_ENERGY_COST,
+  STEADY_RATE,
+  MONSTER_STATES,
+  MONSTER_SPEED,
+  MONSTER_SPEED_GROWTH,
+  MONSTER_PROWL_SPEED,
+  MONSTER_PROWL_LEVEL,
+  MONSTER_CATCH_RADIUS,
+  MONSTER_CHOMP_TIME,
+  MONSTER_RETREAT_TIME,
+  MONSTER_LAIR,
+  PROWL_ROUTE,
+  SCORE_THRESHOLD,
+  POINTS_PER_SECOND,
+  STREAK_INTERVAL,
+  STREAK_STEP,
+  MAX_STREAK_MULTIPLIER,
+  LEVEL_BONUS_RATE,
+  TIME_ATTACK_LIMIT,
+  TIME_ATTACK_GOAL,
+  GAME_MODES,
+  DEFAULT_MODE,
+  NO_MODIFIERS,
+  EFFECTS,
+  ITEMS,
+  SPAWN_TABLES,
+  ITEM_LIFETIME,
+  ITEM_PICKUP_RADIUS,
+  MAX_ITEMS,
+  ITEM_MARGIN,
+  WORLD_EVENTS,
+  EVENT_WARNING_TIME,
+  EVENT_EARLIEST,
+  EVENT_LATEST,
+  MAX_WORLD_EVENTS,
+  DRAIN_ASSISTS,
+  UPGRADES,
+  COIN_POINTS,
+  DEFAULT_LAYOUT,
+  LEVEL_FIELDS,
+  MONSTER_FIELDS,
+  LEVEL_GOALS,
+  DEFAULT_SEED,
+  SAVE_VERSION,
+  GAME_EVENTS,
 
   // Utility Functions
   clamp,
+  createPlayerError,
+
+  // Random Numbers
+  nextRandom,
+  createRandom,
+  isValidSeed,
+
+  // Modifiers
+  getModifier,
+  combineModifiers,
+  getStateModifiers,
+  getAssistModifiers,
+  setDrainAssist,
+  getLevelModifiers,
 
   // Game State Functions
+  getNeed,
+  createNeeds,
+  isNeedCritical,
   createInitialState,
   calculateDrainMultiplier,
   calculateRechargeMultiplier,
@@ -21,14 +92,111 @@ const {
   applyRecharge,
   updateNeeds,
   checkGameOver,
+  getGameOverCause,
   checkLevelComplete,
   createNextLevelState,
   updateLevelTimer,
-  createMonsterChaseState,
+  getZone,
   getZoneDisplay,
   isValidPosition,
   clampPosition,
-  calculateNetNeedChange
+  applyMovement,
+  calculateTravelSpeed,
+  moveTowards,
+  applyTravelCost,
+  calculateNetNeedChange,
+
+  // Need Projections
+  projectNeed,
+  projectNeeds,
+  findRefillZone,
+  getNextCriticalNeed,
+
+  // Zone Layout Functions
+  isPointInShape,
+  getShapeBounds,
+  isValidShape,
+  getZoneAt,
+
+  // Monster AI
+  createMonster,
+  calculateMonsterSpeed,
+  isSafeZone,
+  hasCriticalNeed,
+  updateMonster,
+
+  // Power-Ups
+  getItem,
+  getEffect,
+  getSpawnTable,
+  pickItem,
+  updateItems,
+  spawnItems,
+  collectItems,
+  applyItem,
+  updateEffects,
+  getEffectModifiers,
+  useShield,
+
+  // World Events
+  getWorldEvent,
+  countWorldEvents,
+  scheduleWorldEvents,
+  isWorldEventActive,
+  isWorldEventWarning,
+  updateWorldEvents,
+  getWorldEventModifiers,
+
+  // Upgrade Shop
+  getUpgrade,
+  getUpgradeCost,
+  calculateCoins,
+  getPurchaseError,
+  buyUpgrade,
+  getTraitModifiers,
+  useEscape,
+
+  // Scoring
+  createScore,
+  isScoring,
+  calculateStreakMultiplier,
+  updateScore,
+  calculateLevelBonus,
+  calculateLevelPar,
+  calculateStars,
+
+  // Game Modes
+  getGameMode,
+  calculateDifficulty,
+  updateLevelProgress,
+  updateTimeLeft,
+  advanceLevel,
+  isRunOver,
+  validateChallenge,
+
+  // Level Definitions
+  validateLayout,
+  validateLevel,
+  validateCampaign,
+  getLevelDefinition,
+  getLevelDuration,
+  getLevelSetup,
+  getMonsterBehaviour,
+  getLevelGoal,
+  startCampaign,
+
+  // Game Loop
+  updatePosition,
+  stepGame,
+  runSteps,
+  advanceAccumulator,
+
+  // Persistence
+  MIGRATIONS,
+  validateState,
+  serializeState,
+  migrateSave,
+  deserializeState
 } = require('../src/gameLogic');
 
 // ============================================
@@ -67,6 +235,171 @@ describe('clamp', () => {
   });
 });
 
+describe('createPlayerError', () => {
+  test('keeps the English message and names the catalog message', () => {
+    const error = createPlayerError('leaderboard.invalid', { count: 2 }, 'Invalid leaderboard: two problems');
+    expect(error).toBeInstanceOf(Error);
+    expect(error).toMatchObject({ message: 'Invalid leaderboard: two problems', id: 'leaderboard.invalid', params: { count: 2 } });
+  });
+});
+
+// ============================================
+// RANDOM NUMBER TESTS
+// ============================================
+
+describe('nextRandom', () => {
+  test('returns a number in [0, 1) and the next seed', () => {
+    const { value, seed } = nextRandom(1);
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+    expect(isValidSeed(seed)).toBe(true);
+    expect(seed).not.toBe(1);
+  });
+
+  test('the same seed always gives the same number', () => {
+    expect(nextRandom(12345)).toEqual(nextRandom(12345));
+  });
+
+  test('different seeds give different numbers', () => {
+    expect(nextRandom(1).value).not.toBe(nextRandom(2).value);
+  });
+
+  test('wraps around at 32 bits', () => {
+    expect(isValidSeed(nextRandom(0xFFFFFFFF).seed)).toBe(true);
+  });
+
+  test('spreads values over the whole range', () => {
+    let seed = 99;
+    const buckets = [0, 0, 0, 0];
+    for (let i = 0; i < 400; i++) {
+      const result = nextRandom(seed);
+      buckets[Math.floor(result.value * 4)] += 1;
+      seed = result.seed;
+    }
+    buckets.forEach(count => expect(count).toBeGreaterThan(60));
+  });
+});
+
+describe('createRandom', () => {
+  test('follows the nextRandom sequence', () => {
+    const random = createRandom(7);
+    const first = nextRandom(7);
+    expect(random()).toBe(first.value);
+    expect(random()).toBe(nextRandom(first.seed).value);
+  });
+
+  test('generators with the same seed agree', () => {
+    const a = createRandom(3);
+    const b = createRandom(3);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+});
+
+describe('isValidSeed', () => {
+  test('accepts unsigned 32-bit integers', () => {
+    expect(isValidSeed(0)).toBe(true);
+    expect(isValidSeed(0xFFFFFFFF)).toBe(true);
+  });
+
+  test('rejects anything else', () => {
+    expect(isValidSeed(-1)).toBe(false);
+    expect(isValidSeed(2 ** 32)).toBe(false);
+    expect(isValidSeed(1.5)).toBe(false);
+    expect(isValidSeed('1')).toBe(false);
+  });
+});
+
+// ============================================
+// MODIFIER TESTS
+// ============================================
+
+/* A challenge with weak drain on hunger, a boosted lake and a weakened barn */
+const CHALLENGE = {
+  id: 'test',
+  targetLevel: 2,
+  startNeeds: { hunger: 70, energy: 85 },
+  drain: { hunger: 0.5 },
+  recharge: { lake: 1.5, barn: 0.6 }
+};
+
+describe('getModifier', () => {
+  test('reads listed multipliers', () => {
+    expect(getModifier(CHALLENGE.recharge, 'lake')).toBe(1.5);
+  });
+
+  test('is 1 for anything not listed', () => {
+    expect(getModifier(CHALLENGE.recharge, 'meadow')).toBe(1);
+    expect(getModifier({}, 'toString')).toBe(1);
+  });
+});
+
+describe('combineModifiers', () => {
+  test('multiplies modifiers together', () => {
+    const combined = combineModifiers(CHALLENGE, { drain: { hunger: 2, thirst: 3 }, recharge: {} });
+    expect(combined).toEqual({ drain: { hunger: 1, thirst: 3 }, recharge: { lake: 1.5, barn: 0.6 } });
+  });
+
+  test('combining nothing changes nothing', () => {
+    expect(combineModifiers()).toEqual(NO_MODIFIERS);
+  });
+});
+
+describe('getStateModifiers', () => {
+  test('has no modifiers outside a challenge', () => {
+    expect(getStateModifiers(createInitialState())).toEqual(NO_MODIFIERS);
+  });
+
+  test('uses the challenge\'s drain and recharge', () => {
+    const state = createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE);
+    expect(getStateModifiers(state)).toEqual({ drain: CHALLENGE.drain, recharge: CHALLENGE.recharge });
+  });
+
+  test('slows every need\'s drain under the assist', () => {
+    const state = setDrainAssist(createInitialState(), 0.5);
+    expect(getStateModifiers(state)).toEqual({ drain: { hunger: 0.5, thirst: 0.5, energy: 0.5, fun: 0.5 }, recharge: {} });
+  });
+});
+
+describe('getAssistModifiers', () => {
+  test('has no modifiers with the assist off', () => {
+    expect(getAssistModifiers(1, DEFAULT_NEEDS)).toEqual(NO_MODIFIERS);
+  });
+
+  test('scales the drain of the needs given', () => {
+    expect(getAssistModifiers(0.75, ['thirst', 'fun'])).toEqual({ drain: { thirst: 0.75, fun: 0.75 }, recharge: {} });
+  });
+});
+
+describe('setDrainAssist', () => {
+  test('sets the assist on a copy of the state', () => {
+    const state = createInitialState();
+    expect(state.assist).toBe(1);
+    expect(setDrainAssist(state, 0.75).assist).toBe(0.75);
+    expect(state.assist).toBe(1);
+  });
+
+  test('scales the drain stepGame applies', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, level: 3 };
+    const normal = 100 - stepGame(state, {}, 1).state.needs.hunger;
+    const assisted = 100 - stepGame(setDrainAssist(state, 0.5), {}, 1).state.needs.hunger;
+    expect(assisted).toBeCloseTo(normal * 0.5);
+    expect(normal).toBeCloseTo(calculateDrainMultiplier(3));
+  });
+
+  test('carries over to the next level', () => {
+    expect(createNextLevelState(setDrainAssist(createInitialState(), 0.5)).assist).toBe(0.5);
+  });
+
+  test('rejects settings that are not offered', () => {
+    expect(() => setDrainAssist(createInitialState(), 0.1)).toThrow('Invalid drain assist: 0.1');
+  });
+
+  test('is never used in challenge modes', () => {
+    const daily = createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE);
+    expect(setDrainAssist(daily, 0.5).assist).toBe(1);
+  });
+});
+
 // ============================================
 // CONSTANTS TESTS
 // ============================================
@@ -97,6 +430,10 @@ describe('Constants', () => {
   test('LEVEL_TIME is 30 seconds', () => {
     expect(LEVEL_TIME).toBe(30);
   });
+
+  test('DEFAULT_TUNING uses the growth constants', () => {
+    expect(DEFAULT_TUNING).toEqual({ drainGrowth: DRAIN_GROWTH, rechargeGrowth: RECHARGE_GROWTH });
+  });
 });
 
 // ============================================
@@ -121,6 +458,10 @@ describe('calculateDrainMultiplier', () => {
     const level10 = calculateDrainMultiplier(10);
     expect(level10 - level5).toBeCloseTo(5 * DRAIN_GROWTH);
   });
+
+  test('uses the given tuning', () => {
+    expect(calculateDrainMultiplier(3, { ...DEFAULT_TUNING, drainGrowth: 0.5 })).toBeCloseTo(2);
+  });
 });
 
 describe('calculateRechargeMultiplier', () => {
@@ -141,6 +482,91 @@ describe('calculateRechargeMultiplier', () => {
     const rechargeMult = calculateRechargeMultiplier(5);
     expect(rechargeMult).toBeLessThan(drainMult);
   });
+
+  test('uses the given tuning', () => {
+    expect(calculateRechargeMultiplier(3, { ...DEFAULT_TUNING, rechargeGrowth: 1 })).toBeCloseTo(3);
+  });
+});
+
+// ============================================
+// NEEDS REGISTRY TESTS
+// ============================================
+
+describe('NEEDS', () => {
+  test('every entry has drain, start, critical and display metadata', () => {
+    Object.entries(NEEDS).forEach(([key, need]) => {
+      expect(need.id).toBe(key);
+      expect(typeof need.label).toBe('string');
+      expect(typeof need.icon).toBe('string');
+      expect(typeof need.color).toBe('string');
+      expect(need.drain).toBeGreaterThan(0);
+      expect(need.start).toBeGreaterThan(need.critical);
+      expect(need.start).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('BASE_DRAIN mirrors the registry', () => {
+    Object.values(NEEDS).forEach(need => {
+      expect(BASE_DRAIN[need.id]).toBe(need.drain);
+    });
+  });
+
+  test('default needs are the classic four', () => {
+    expect(DEFAULT_NEEDS).toEqual(['hunger', 'thirst', 'energy', 'fun']);
+  });
+
+  test('every tracked need can be recharged somewhere', () => {
+    Object.keys(NEEDS).forEach(id => {
+      const zones = Object.values(ZONES).filter(zone => zone.recharge[id] > 0);
+      expect(zones.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('getNeed', () => {
+  test('returns the registry entry', () => {
+    expect(getNeed('hygiene')).toBe(NEEDS.hygiene);
+  });
+
+  test('returns null for unknown ids', () => {
+    expect(getNeed('boredom')).toBeNull();
+    expect(getNeed('constructor')).toBeNull();
+    expect(getNeed(null)).toBeNull();
+  });
+});
+
+describe('createNeeds', () => {
+  test('defaults to the classic needs at their start values', () => {
+    expect(createNeeds()).toEqual({ hunger: 100, thirst: 100, energy: 100, fun: 100 });
+  });
+
+  test('uses each need\'s start value', () => {
+    expect(createNeeds(['hunger', 'affection'])).toEqual({
+      hunger: NEEDS.hunger.start,
+      affection: NEEDS.affection.start
+    });
+  });
+
+  test('throws for unknown needs', () => {
+    expect(() => createNeeds(['hunger', 'boredom'])).toThrow('Unknown need: boredom');
+  });
+
+  test('takes custom start values', () => {
+    expect(createNeeds(DEFAULT_NEEDS, { thirst: 60 })).toEqual({ hunger: 100, thirst: 60, energy: 100, fun: 100 });
+  });
+});
+
+describe('isNeedCritical', () => {
+  test('uses the per-need threshold', () => {
+    expect(isNeedCritical('hunger', 29)).toBe(true);
+    expect(isNeedCritical('hunger', 30)).toBe(false);
+    expect(isNeedCritical('affection', 26)).toBe(false);
+    expect(isNeedCritical('affection', 24)).toBe(true);
+  });
+
+  test('unknown needs are never critical', () => {
+    expect(isNeedCritical('boredom', 0)).toBe(false);
+  });
 });
 
 // ============================================
@@ -161,6 +587,51 @@ describe('createInitialState', () => {
     expect(state).toHaveProperty('monster');
   });
 
+  test('starts a classic run by default', () => {
+    const state = createInitialState();
+    expect(state.mode).toBe(DEFAULT_MODE);
+    expect(state.timeLeft).toBeNull();
+  });
+
+  test('sets up the chosen mode', () => {
+    const state = createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'timeattack');
+    expect(state.mode).toBe('timeattack');
+    expect(state.levelTime).toBe(TIME_ATTACK_GOAL);
+    expect(state.timeLeft).toBe(TIME_ATTACK_LIMIT);
+  });
+
+  test('has no challenge by default', () => {
+    expect(createInitialState().challenge).toBeNull();
+  });
+
+  test('starts a challenge with its starting needs', () => {
+    const state = createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE);
+    expect(state.challenge).toBe(CHALLENGE);
+    expect(state.needs).toEqual({ hunger: 70, thirst: 100, energy: 85, fun: 100 });
+  });
+
+  test('challenge modes need a challenge', () => {
+    expect(() => createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily'))
+      .toThrow('Game mode daily needs a challenge');
+  });
+
+  test('rejects invalid challenges', () => {
+    expect(() => createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', { ...CHALLENGE, targetLevel: 0 }))
+      .toThrow('Invalid challenge: targetLevel must be an integer of at least 1');
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'zen')).toThrow('Unknown game mode: zen');
+  });
+
+  test('starts the run clock at zero', () => {
+    expect(createInitialState().runTime).toBe(0);
+  });
+
+  test('starts with no score', () => {
+    expect(createInitialState().score).toEqual(createScore());
+  });
+
   test('sets initial position correctly', () => {
     const state = createInitialState();
     expect(state.x).toBe(15);
@@ -175,6 +646,11 @@ describe('createInitialState', () => {
     expect(state.needs.fun).toBe(100);
   });
 
+  test('tracks only the requested needs', () => {
+    const state = createInitialState(['hunger', 'hygiene']);
+    expect(Object.keys(state.needs)).toEqual(['hunger', 'hygiene']);
+  });
+
   test('starts at level 1', () => {
     const state = createInitialState();
     expect(state.level).toBe(1);
@@ -195,11 +671,18 @@ describe('createInitialState', () => {
     expect(state.eaten).toBe(false);
   });
 
-  test('monster starts off-screen', () => {
+  test('carries the random seed', () => {
+    expect(createInitialState().rng).toBe(DEFAULT_SEED);
+    expect(createInitialState(DEFAULT_NEEDS, 42).rng).toBe(42);
+  });
+
+  test('rejects invalid seeds', () => {
+    expect(() => createInitialState(DEFAULT_NEEDS, -3)).toThrow('Invalid seed: -3');
+  });
+
+  test('monster starts idle in its lair', () => {
     const state = createInitialState();
-    expect(state.monster.x).toBe(-20);
-    expect(state.monster.y).toBe(50);
-    expect(state.monster.chomp).toBe(false);
+    expect(state.monster).toEqual(createMonster());
   });
 });
 
@@ -240,6 +723,18 @@ describe('applyDrain', () => {
     expect(result.fun).toBe(0);
   });
 
+  test('uses each need\'s own drain rate', () => {
+    const result = applyDrain({ hunger: 100, hygiene: 100, affection: 100 }, 1, 1);
+
+    expect(result.hunger).toBeCloseTo(100 - NEEDS.hunger.drain);
+    expect(result.hygiene).toBeCloseTo(100 - NEEDS.hygiene.drain);
+    expect(result.affection).toBeCloseTo(100 - NEEDS.affection.drain);
+  });
+
+  test('only returns the tracked needs', () => {
+    expect(Object.keys(applyDrain({ thirst: 50 }, 1, dt))).toEqual(['thirst']);
+  });
+
   test('drains proportionally to dt', () => {
     const result1 = applyDrain(fullNeeds, 1, 0.1);
     const result2 = applyDrain(fullNeeds, 1, 0.2);
@@ -328,6 +823,30 @@ describe('applyRecharge', () => {
     expect(result5.thirst).toBeGreaterThan(result1.thirst);
   });
 
+  test('meadow recharges several needs and costs energy', () => {
+    const result = applyRecharge(lowNeeds, 'meadow', 1, dt);
+
+    expect(result.hunger).toBeCloseTo(50 + ZONES.meadow.recharge.hunger * dt);
+    expect(result.fun).toBeCloseTo(50 + ZONES.meadow.recharge.fun * dt);
+    expect(result.energy).toBeCloseTo(50 + ZONES.meadow.recharge.energy * dt);
+    expect(result.energy).toBeLessThan(50);
+    expect(result.thirst).toBe(50);
+  });
+
+  test('negative recharge does not go below 0', () => {
+    const result = applyRecharge({ ...lowNeeds, energy: 0.1 }, 'meadow', 1, 10);
+    expect(result.energy).toBe(0);
+  });
+
+  test('unknown zone does not recharge anything', () => {
+    expect(applyRecharge(lowNeeds, 'volcano', 1, dt)).toEqual(lowNeeds);
+  });
+
+  test('skips needs the state does not track', () => {
+    const result = applyRecharge({ thirst: 50 }, 'meadow', 1, dt);
+    expect(result).toEqual({ thirst: 50 });
+  });
+
   test('does not mutate original needs object', () => {
     const originalNeeds = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
     applyRecharge(originalNeeds, 'lake', 1, dt);
@@ -341,6 +860,16 @@ describe('applyRecharge', () => {
 // ============================================
 
 describe('updateNeeds', () => {
+  test('applies drain and recharge modifiers', () => {
+    const needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+    const plain = updateNeeds(needs, 'lake', 1, 1);
+    const modified = updateNeeds(needs, 'lake', 1, 1, DEFAULT_TUNING, CHALLENGE);
+
+    expect(50 - modified.hunger).toBeCloseTo((50 - plain.hunger) * 0.5);
+    expect(modified.thirst).toBeCloseTo(50 - BASE_DRAIN.thirst + BASE_RECHARGE.lake.thirst * 1.5);
+    expect(modified.energy).toBe(plain.energy);
+  });
+
   test('combines drain and recharge correctly', () => {
     const needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
     const result = updateNeeds(needs, 'lake', 1, 0.1);
@@ -422,12 +951,27 @@ describe('checkGameOver', () => {
     expect(checkGameOver(needs)).toBe(true);
   });
 
+  test('returns true when an extra need reaches 0', () => {
+    const needs = { hunger: 100, thirst: 100, energy: 100, fun: 100, hygiene: 0 };
+    expect(checkGameOver(needs)).toBe(true);
+  });
+
   test('returns false when needs are very low but not zero', () => {
     const needs = { hunger: 0.1, thirst: 0.1, energy: 0.1, fun: 0.1 };
     expect(checkGameOver(needs)).toBe(false);
   });
 });
 
+describe('getGameOverCause', () => {
+  test('blames the lowest critical need', () => {
+    expect(getGameOverCause({ hunger: 20, thirst: 5, energy: 100, fun: 29 })).toBe('thirst');
+  });
+
+  test('blames nothing when no need was critical', () => {
+    expect(getGameOverCause({ hunger: 30, thirst: 80, energy: 100, fun: 100 })).toBeNull();
+  });
+});
+
 // ============================================
 // LEVEL COMPLETE CONDITION TESTS
 // ============================================
@@ -462,6 +1006,27 @@ describe('createNextLevelState', () => {
     expect(nextState.level).toBe(4);
   });
 
+  test('schedules the next level\'s world events', () => {
+    const currentState = { ...createInitialState(DEFAULT_NEEDS, 31), level: 3, worldEvents: [eventIn('storm')] };
+    expect(createNextLevelState(currentState).worldEvents).toEqual(scheduleWorldEvents(4, 31));
+  });
+
+  test('keeps the unicorn\'s coins and traits', () => {
+    const currentState = { ...createInitialState(), coins: 5, traits: { hydration: 2 } };
+    const nextState = createNextLevelState(currentState);
+    expect(nextState.coins).toBe(5);
+    expect(nextState.traits).toEqual({ hydration: 2 });
+  });
+
+  test('clears the field of items but keeps active effects', () => {
+    const currentState = { ...createInitialState(), items: [itemAt('apple')], effects: { shield: 1 }, spawnTimer: 1 };
+
+    const nextState = createNextLevelState(currentState);
+    expect(nextState.items).toEqual([]);
+    expect(nextState.effects).toEqual({ shield: 1 });
+    expect(nextState.spawnTimer).toBe(getSpawnTable(2).interval);
+  });
+
   test('resets all needs to 100', () => {
     const currentState = createInitialState();
     currentState.needs = { hunger: 20, thirst: 30, energy: 40, fun: 50 };
@@ -473,6 +1038,13 @@ describe('createNextLevelState', () => {
     expect(nextState.needs.fun).toBe(100);
   });
 
+  test('restarts a challenge\'s needs at its starting values', () => {
+    const currentState = createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE);
+    currentState.needs = { hunger: 20, thirst: 30, energy: 40, fun: 50 };
+
+    expect(createNextLevelState(currentState).needs).toEqual({ hunger: 70, thirst: 100, energy: 85, fun: 100 });
+  });
+
   test('resets level time to LEVEL_TIME', () => {
     const currentState = createInitialState();
     currentState.levelTime = 0;
@@ -481,6 +1053,18 @@ describe('createNextLevelState', () => {
     expect(nextState.levelTime).toBe(LEVEL_TIME);
   });
 
+  test('carries needs over in modes that keep them', () => {
+    const currentState = { ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'endless'), needs: { hunger: 20, thirst: 30, energy: 40, fun: 50 } };
+    expect(createNextLevelState(currentState).needs).toEqual(currentState.needs);
+  });
+
+  test('keeps the run score and streak but starts the level score afresh', () => {
+    const currentState = { ...createInitialState(), score: { total: 900, level: 400, streak: 25 } };
+
+    const nextState = createNextLevelState(currentState);
+    expect(nextState.score).toEqual({ total: 900, level: 0, streak: 25 });
+  });
+
   test('clears status', () => {
     const currentState = createInitialState();
     currentState.status = 'nextlevel';
@@ -497,14 +1081,31 @@ describe('createNextLevelState', () => {
     expect(nextState.eaten).toBe(false);
   });
 
-  test('resets monster position', () => {
+  test('sends the monster back to its lair', () => {
     const currentState = createInitialState();
-    currentState.monster = { x: 50, y: 50, chomp: true };
+    currentState.monster = { x: 50, y: 50, state: 'chasing', timer: 4, waypoint: 2 };
+
+    const nextState = createNextLevelState(currentState);
+    expect(nextState.monster).toEqual(createMonster());
+  });
+
+  test('keeps tracking the same needs by default', () => {
+    const currentState = createInitialState(['hunger', 'affection']);
+    currentState.needs = { hunger: 10, affection: 10 };
 
     const nextState = createNextLevelState(currentState);
-    expect(nextState.monster.x).toBe(-20);
-    expect(nextState.monster.y).toBe(50);
-    expect(nextState.monster.chomp).toBe(false);
+    expect(nextState.needs).toEqual({ hunger: 100, affection: NEEDS.affection.start });
+  });
+
+  test('can switch the tracked needs for the next level', () => {
+    const nextState = createNextLevelState(createInitialState(), [...DEFAULT_NEEDS, 'hygiene']);
+    expect(nextState.needs.hygiene).toBe(NEEDS.hygiene.start);
+    expect(Object.keys(nextState.needs)).toHaveLength(5);
+  });
+
+  test('clears the destination', () => {
+    const currentState = { ...createInitialState(), target: { x: 90, y: 90 } };
+    expect(createNextLevelState(currentState).target).toBeNull();
   });
 
   test('preserves unicorn position', () => {
@@ -536,44 +1137,42 @@ describe('updateLevelTimer', () => {
 });
 
 // ============================================
-// MONSTER CHASE STATE TESTS
+// ZONE REGISTRY TESTS
 // ============================================
 
-describe('createMonsterChaseState', () => {
-  test('sets eaten flag to true', () => {
-    const currentState = createInitialState();
-    const chaseState = createMonsterChaseState(currentState);
-    expect(chaseState.eaten).toBe(true);
+describe('ZONES', () => {
+  test('every entry has id, name, icon and recharge rates', () => {
+    Object.entries(ZONES).forEach(([key, zone]) => {
+      expect(zone.id).toBe(key);
+      expect(typeof zone.name).toBe('string');
+      expect(typeof zone.icon).toBe('string');
+      expect(Object.keys(zone.recharge).length).toBeGreaterThan(0);
+    });
   });
 
-  test('monster starts at y position of unicorn', () => {
-    const currentState = createInitialState();
-    currentState.y = 75;
-
-    const chaseState = createMonsterChaseState(currentState);
-    expect(chaseState.monster.y).toBe(75);
+  test('BASE_RECHARGE mirrors the registry', () => {
+    Object.values(ZONES).forEach(zone => {
+      expect(BASE_RECHARGE[zone.id]).toEqual(zone.recharge);
+    });
   });
 
-  test('monster starts off-screen to the left', () => {
-    const currentState = createInitialState();
-    const chaseState = createMonsterChaseState(currentState);
-    expect(chaseState.monster.x).toBe(-20);
+  test('every layout zone is registered', () => {
+    DEFAULT_LAYOUT.forEach(({ id }) => {
+      expect(getZone(id)).not.toBeNull();
+    });
   });
+});
 
-  test('monster chomp is initially false', () => {
-    const currentState = createInitialState();
-    const chaseState = createMonsterChaseState(currentState);
-    expect(chaseState.monster.chomp).toBe(false);
+describe('getZone', () => {
+  test('returns the registry entry', () => {
+    expect(getZone('barn')).toBe(ZONES.barn);
   });
 
-  test('preserves other state properties', () => {
-    const currentState = createInitialState();
-    currentState.level = 5;
-    currentState.needs.hunger = 0;
-
-    const chaseState = createMonsterChaseState(currentState);
-    expect(chaseState.level).toBe(5);
-    expect(chaseState.needs.hunger).toBe(0);
+  test('returns null for unknown or missing ids', () => {
+    expect(getZone('volcano')).toBeNull();
+    expect(getZone('hasOwnProperty')).toBeNull();
+    expect(getZone(null)).toBeNull();
+    expect(getZone(undefined)).toBeNull();
   });
 });
 
@@ -583,23 +1182,28 @@ describe('createMonsterChaseState', () => {
 
 describe('getZoneDisplay', () => {
   test('returns correct display for lake', () => {
-    expect(getZoneDisplay('lake')).toBe('Lake 💧');
+    expect(getZoneDisplay('lake')).toBe('Crystal Lake 💧');
   });
 
   test('returns correct display for field', () => {
-    expect(getZoneDisplay('field')).toBe('Field 🍎');
+    expect(getZoneDisplay('field')).toBe('Golden Fields 🌾');
   });
 
   test('returns correct display for barn', () => {
-    expect(getZoneDisplay('barn')).toBe('Barn 💤');
+    expect(getZoneDisplay('barn')).toBe('Cozy Barn 🏠');
   });
 
   test('returns correct display for play', () => {
-    expect(getZoneDisplay('play')).toBe('Play 🎈');
+    expect(getZoneDisplay('play')).toBe('Festival Grounds 🎪');
+  });
+
+  test('returns correct display for meadow', () => {
+    expect(getZoneDisplay('meadow')).toBe('Rainbow Meadow 🌈');
   });
 
   test('returns null for invalid zone', () => {
     expect(getZoneDisplay('invalid')).toBeNull();
+    expect(getZoneDisplay('toString')).toBeNull();
     expect(getZoneDisplay(null)).toBeNull();
     expect(getZoneDisplay(undefined)).toBeNull();
   });
@@ -678,88 +1282,2480 @@ describe('clampPosition', () => {
 });
 
 // ============================================
-// NET NEED CHANGE TESTS
+// MOVEMENT TESTS
 // ============================================
 
-describe('calculateNetNeedChange', () => {
-  test('returns negative when not in matching zone', () => {
-    // Hunger drains when not in field
-    const change = calculateNetNeedChange('hunger', 'lake', 1, 0.1);
-    expect(change).toBeLessThan(0);
+describe('applyMovement', () => {
+  const centre = { x: 50, y: 50 };
+
+  test('moves at UNICORN_SPEED by default', () => {
+    const result = applyMovement(centre, { x: 1, y: 0 }, 0.5);
+    expect(result.x).toBeCloseTo(50 + UNICORN_SPEED * 0.5);
+    expect(result.y).toBe(50);
   });
 
-  test('returns positive when in matching zone at level 1', () => {
-    // Thirst recharges in lake (6 recharge > 1 drain at level 1)
-    const change = calculateNetNeedChange('thirst', 'lake', 1, 0.1);
-    expect(change).toBeGreaterThan(0);
+  test('moves at a custom speed', () => {
+    const result = applyMovement(centre, { x: 0, y: -1 }, 1, 10);
+    expect(result).toEqual({ x: 50, y: 40 });
   });
 
-  test('returns negative with null zone', () => {
-    const change = calculateNetNeedChange('hunger', null, 1, 0.1);
-    expect(change).toBeLessThan(0);
+  test('diagonals are no faster than straight lines', () => {
+    const result = applyMovement(centre, { x: 1, y: 1 }, 0.1, 10);
+    const distance = Math.hypot(result.x - 50, result.y - 50);
+    expect(distance).toBeCloseTo(1);
   });
 
-  test('drain increases with level', () => {
-    const change1 = calculateNetNeedChange('hunger', null, 1, 0.1);
-    const change5 = calculateNetNeedChange('hunger', null, 5, 0.1);
+  test('partial input moves proportionally slower', () => {
+    const result = applyMovement(centre, { x: 0.5, y: 0 }, 1, 10);
+    expect(result.x).toBeCloseTo(55);
+  });
 
-    // Both negative, but level 5 should be more negative
-    expect(change5).toBeLessThan(change1);
+  test('no direction means no movement', () => {
+    expect(applyMovement(centre, { x: 0, y: 0 }, 1)).toEqual(centre);
   });
 
-  test('net change is proportional to dt', () => {
-    const change1 = calculateNetNeedChange('thirst', 'lake', 1, 0.1);
-    const change2 = calculateNetNeedChange('thirst', 'lake', 1, 0.2);
+  test('stays inside the field', () => {
+    expect(applyMovement({ x: 99, y: 1 }, { x: 1, y: -1 }, 10)).toEqual({ x: 100, y: 0 });
+    expect(applyMovement({ x: 1, y: 50 }, { x: -1, y: 0 }, 10)).toEqual({ x: 0, y: 50 });
+  });
 
-    expect(change2).toBeCloseTo(change1 * 2);
+  test('does not mutate the position', () => {
+    const position = { x: 10, y: 10 };
+    applyMovement(position, { x: 1, y: 1 }, 1);
+    expect(position).toEqual({ x: 10, y: 10 });
   });
 });
 
-// ============================================
-// INTEGRATION TESTS
-// ============================================
+describe('calculateTravelSpeed', () => {
+  test('full speed at level 1 with full energy', () => {
+    expect(calculateTravelSpeed(1, 100)).toBe(UNICORN_SPEED);
+  });
 
-describe('Integration Tests', () => {
-  test('full game tick simulation at level 1', () => {
-    const state = createInitialState();
-    const dt = 0.1;
-    const zone = 'lake';
+  test('grows with level', () => {
+    expect(calculateTravelSpeed(3, 100)).toBeCloseTo(UNICORN_SPEED * (1 + 2 * SPEED_GROWTH));
+  });
 
-    const newNeeds = updateNeeds(state.needs, zone, state.level, dt);
-    const newTime = updateLevelTimer(state.levelTime, dt);
-    const isGameOver = checkGameOver(newNeeds);
-    const isLevelComplete = checkLevelComplete(newTime);
+  test('slows down as energy runs low', () => {
+    expect(calculateTravelSpeed(1, 50)).toBeLessThan(calculateTravelSpeed(1, 100));
+    expect(calculateTravelSpeed(1, 0)).toBeCloseTo(UNICORN_SPEED * TIRED_SPEED);
+  });
 
-    expect(isGameOver).toBe(false);
-    expect(isLevelComplete).toBe(false);
-    expect(newNeeds.thirst).toBeGreaterThan(state.needs.thirst - 1); // Thirst recovering
-    expect(newTime).toBeLessThan(state.levelTime);
+  test('clamps energy outside 0-100', () => {
+    expect(calculateTravelSpeed(1, 150)).toBe(UNICORN_SPEED);
+    expect(calculateTravelSpeed(1, -10)).toBeCloseTo(UNICORN_SPEED * TIRED_SPEED);
   });
 
-  test('level progression flow', () => {
-    const initial = createInitialState();
-    expect(initial.level).toBe(1);
+  test('full speed when energy is not tracked', () => {
+    expect(calculateTravelSpeed(1, undefined)).toBe(UNICORN_SPEED);
+  });
+});
 
-    // Simulate completing level 1
-    const afterLevel1 = { ...initial, levelTime: 0, status: 'nextlevel' };
-    expect(checkLevelComplete(afterLevel1.levelTime)).toBe(true);
+describe('moveTowards', () => {
+  test('moves the given distance along the line to the target', () => {
+    const result = moveTowards({ x: 0, y: 0 }, { x: 30, y: 40 }, 5);
+    expect(result.x).toBeCloseTo(3);
+    expect(result.y).toBeCloseTo(4);
+    expect(result.arrived).toBe(false);
+  });
 
-    // Progress to level 2
-    const level2 = createNextLevelState(afterLevel1);
-    expect(level2.level).toBe(2);
-    expect(level2.levelTime).toBe(LEVEL_TIME);
-    expect(level2.needs.hunger).toBe(100);
+  test('stops exactly on the target instead of overshooting', () => {
+    expect(moveTowards({ x: 10, y: 10 }, { x: 12, y: 10 }, 5)).toEqual({ x: 12, y: 10, arrived: true });
   });
 
-  test('game over flow', () => {
-    const state = createInitialState();
-    state.needs.hunger = 0;
+  test('already at the target counts as arrived', () => {
+    expect(moveTowards({ x: 5, y: 5 }, { x: 5, y: 5 }, 0)).toEqual({ x: 5, y: 5, arrived: true });
+  });
+});
+
+describe('applyTravelCost', () => {
+  const needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+
+  test('charges energy per distance travelled', () => {
+    const result = applyTravelCost(needs, 20);
+    expect(result.energy).toBeCloseTo(50 - 20 * TRAVEL_ENERGY_COST);
+    expect(result.hunger).toBe(50);
+  });
+
+  test('standing still is free', () => {
+    expect(applyTravelCost(needs, 0)).toBe(needs);
+  });
+
+  test('does not go below 0', () => {
+    expect(applyTravelCost({ energy: 0.01 }, 100).energy).toBe(0);
+  });
+
+  test('runs without energy travel for free', () => {
+    expect(applyTravelCost({ hunger: 50 }, 100)).toEqual({ hunger: 50 });
+  });
+});
+
+describe('updatePosition', () => {
+  const dt = 0.1;
+  const at = (x, y, extra = {}) => ({ ...createInitialState(), x, y, ...extra });
+
+  test('stays put with no input and no destination', () => {
+    expect(updatePosition(at(20, 20), {}, dt)).toEqual({ x: 20, y: 20, target: null });
+  });
+
+  test('sets a new destination and starts walking', () => {
+    const result = updatePosition(at(20, 20), { target: { x: 80, y: 20 } }, dt);
+    expect(result.x).toBeCloseTo(20 + UNICORN_SPEED * dt);
+    expect(result.target).toEqual({ x: 80, y: 20 });
+  });
+
+  test('keeps walking to the destination on later ticks', () => {
+    const result = updatePosition(at(20, 20, { target: { x: 20, y: 80 } }), {}, dt);
+    expect(result.y).toBeCloseTo(20 + UNICORN_SPEED * dt);
+    expect(result.target).toEqual({ x: 20, y: 80 });
+  });
+
+  test('clears the destination on arrival', () => {
+    const result = updatePosition(at(20, 20, { target: { x: 21, y: 20 } }), {}, dt);
+    expect(result).toEqual({ x: 21, y: 20, target: null });
+  });
+
+  test('clamps destinations outside the field', () => {
+    const result = updatePosition(at(99, 50), { target: { x: 150, y: 50 } }, dt);
+    expect(result).toEqual({ x: 100, y: 50, target: null });
+  });
+
+  test('a held direction overrides and cancels the destination', () => {
+    const result = updatePosition(at(50, 50, { target: { x: 90, y: 50 } }), { move: { x: 0, y: 1 } }, dt);
+    expect(result.x).toBe(50);
+    expect(result.y).toBeGreaterThan(50);
+    expect(result.target).toBeNull();
+  });
+
+  test('an idle direction does not cancel the destination', () => {
+    const result = updatePosition(at(50, 50, { target: { x: 90, y: 50 } }), { move: { x: 0, y: 0 } }, dt);
+    expect(result.x).toBeGreaterThan(50);
+    expect(result.target).toEqual({ x: 90, y: 50 });
+  });
+
+  test('walks slower when tired and faster at higher levels', () => {
+    const tired = at(20, 20);
+    tired.needs = { ...tired.needs, energy: 0 };
+    const fresh = at(20, 20, { level: 5 });
+
+    const input = { target: { x: 90, y: 20 } };
+    const slow = updatePosition(tired, input, dt).x - 20;
+    const fast = updatePosition(fresh, input, dt).x - 20;
+    expect(slow).toBeCloseTo(calculateTravelSpeed(1, 0) * dt);
+    expect(fast).toBeCloseTo(calculateTravelSpeed(5, 100) * dt);
+  });
+});
+
+// ============================================
+// NET NEED CHANGE TESTS
+// ============================================
+
+describe('calculateNetNeedChange', () => {
+  test('returns negative when not in matching zone', () => {
+    // Hunger drains when not in field
+    const change = calculateNetNeedChange('hunger', 'lake', 1, 0.1);
+    expect(change).toBeLessThan(0);
+  });
+
+  test('returns positive when in matching zone at level 1', () => {
+    // Thirst recharges in lake (6 recharge > 1 drain at level 1)
+    const change = calculateNetNeedChange('thirst', 'lake', 1, 0.1);
+    expect(change).toBeGreaterThan(0);
+  });
+
+  test('returns negative with null zone', () => {
+    const change = calculateNetNeedChange('hunger', null, 1, 0.1);
+    expect(change).toBeLessThan(0);
+  });
+
+  test('drain increases with level', () => {
+    const change1 = calculateNetNeedChange('hunger', null, 1, 0.1);
+    const change5 = calculateNetNeedChange('hunger', null, 5, 0.1);
+
+    // Both negative, but level 5 should be more negative
+    expect(change5).toBeLessThan(change1);
+  });
+
+  test('counts every need a zone recharges', () => {
+    expect(calculateNetNeedChange('hunger', 'meadow', 1, 1)).toBeCloseTo(-1 + 4);
+    expect(calculateNetNeedChange('fun', 'meadow', 1, 1)).toBeCloseTo(-1 + 4);
+  });
+
+  test('includes negative zone rates', () => {
+    expect(calculateNetNeedChange('energy', 'meadow', 1, 1)).toBeCloseTo(-1 - 3);
+  });
+
+  test('matches applyRecharge on top of applyDrain', () => {
+    const needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+    const result = updateNeeds(needs, 'meadow', 3, 0.1);
+    Object.keys(needs).forEach(need => {
+      expect(result[need]).toBeCloseTo(50 + calculateNetNeedChange(need, 'meadow', 3, 0.1));
+    });
+  });
+
+  test('reports the energy cost of travel', () => {
+    const still = calculateNetNeedChange('energy', null, 1, 0.1);
+    const walking = calculateNetNeedChange('energy', null, 1, 0.1, 4);
+    expect(walking).toBeCloseTo(still - 4 * TRAVEL_ENERGY_COST);
+  });
+
+  test('travel only costs energy', () => {
+    expect(calculateNetNeedChange('hunger', null, 1, 0.1, 4))
+      .toBe(calculateNetNeedChange('hunger', null, 1, 0.1));
+  });
+
+  test('matches a stepGame tick that walks', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, target: { x: 50, y: 90 } };
+    const { state: next } = stepGame(state, {}, 0.1);
+    const distance = next.y - 50;
+
+    expect(next.needs.energy).toBeCloseTo(100 + calculateNetNeedChange('energy', null, 1, 0.1, distance));
+  });
+
+  test('net change is proportional to dt', () => {
+    const change1 = calculateNetNeedChange('thirst', 'lake', 1, 0.1);
+    const change2 = calculateNetNeedChange('thirst', 'lake', 1, 0.2);
+
+    expect(change2).toBeCloseTo(change1 * 2);
+  });
+
+  test('applies tuning and modifiers the way updateNeeds does', () => {
+    const needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+    const tuning = { drainGrowth: 0.5, rechargeGrowth: 0.1 };
+    const modifiers = { drain: { thirst: 2 }, recharge: { lake: 0.5 } };
+    const result = updateNeeds(needs, 'lake', 2, 0.1, tuning, modifiers);
+    Object.keys(needs).forEach(need => {
+      expect(result[need]).toBeCloseTo(50 + calculateNetNeedChange(need, 'lake', 2, 0.1, 0, tuning, modifiers));
+    });
+  });
+});
+
+// ============================================
+// NEED PROJECTION TESTS
+// ============================================
+
+describe('projectNeed', () => {
+  test('counts down to empty and to critical while falling', () => {
+    expect(projectNeed('hunger', 50, -2)).toEqual({
+      need: 'hunger', value: 50, rate: -2, trend: 'falling', runsOutIn: 25, criticalIn: 10
+    });
+  });
+
+  test('is already there for thresholds it has crossed', () => {
+    expect(projectNeed('hunger', 20, -2)).toMatchObject({ runsOutIn: 10, criticalIn: 0 });
+    expect(projectNeed('hunger', 20, 3)).toMatchObject({ trend: 'rising', runsOutIn: null, criticalIn: 0 });
+  });
+
+  test('never gets anywhere while rising or steady', () => {
+    expect(projectNeed('thirst', 80, 4)).toMatchObject({ trend: 'rising', runsOutIn: null, criticalIn: null });
+    expect(projectNeed('thirst', 80, -STEADY_RATE / 2)).toMatchObject({ trend: 'steady', runsOutIn: null, criticalIn: null });
+  });
+});
+
+describe('projectNeeds', () => {
+  test('projects every need from the zone the unicorn stands in', () => {
+    const state = { ...createInitialState(), x: 25, y: 25 };
+    const projections = projectNeeds(state);
+
+    expect(Object.keys(projections)).toEqual(Object.keys(state.needs));
+    expect(projections.thirst.rate).toBeCloseTo(calculateNetNeedChange('thirst', 'lake', 1, 1));
+    expect(projections.thirst.trend).toBe('rising');
+    expect(projections.hunger).toMatchObject({ trend: 'falling', runsOutIn: 100, criticalIn: 70 });
+  });
+
+  test('matches stepGame while standing still', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, level: 3 };
+    const projections = projectNeeds(state);
+    const { state: next } = stepGame(state, {}, 0.1);
+    Object.entries(next.needs).forEach(([need, value]) => {
+      expect(value).toBeCloseTo(100 + projections[need].rate * 0.1);
+    });
+  });
+
+  test('uses the state\'s modifiers', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, effects: { freeze: 5 } };
+    Object.values(projectNeeds(state)).forEach(projection => {
+      expect(projection).toMatchObject({ trend: 'steady', runsOutIn: null, criticalIn: null });
+    });
+  });
+});
+
+describe('findRefillZone', () => {
+  test('finds the zone that refills a need', () => {
+    expect(findRefillZone('thirst')).toBe('lake');
+    expect(findRefillZone('hunger')).toBe('field');
+  });
+
+  test('picks the fastest zone under the modifiers', () => {
+    const layout = [{ id: 'meadow' }, { id: 'field' }];
+    expect(findRefillZone('hunger', layout)).toBe('field');
+    expect(findRefillZone('hunger', layout, { drain: {}, recharge: { field: 0.5 } })).toBe('meadow');
+  });
+
+  test('is null when no zone refills the need', () => {
+    expect(findRefillZone('energy', [{ id: 'meadow' }])).toBeNull();
+    expect(findRefillZone('hygiene', [])).toBeNull();
+  });
+});
+
+describe('getNextCriticalNeed', () => {
+  test('picks the falling need that goes critical first', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, needs: { hunger: 80, thirst: 40, energy: 60, fun: 90 } };
+    expect(getNextCriticalNeed(state)).toEqual({ need: 'thirst', criticalIn: 10, zone: 'lake' });
+  });
+
+  test('skips needs the unicorn is already refilling', () => {
+    const state = { ...createInitialState(), x: 25, y: 25, needs: { hunger: 80, thirst: 20, energy: 60, fun: 90 } };
+    expect(getNextCriticalNeed(state).need).toBe('energy');
+  });
+
+  test('breaks ties with the lowest need', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, needs: { hunger: 10, thirst: 20, energy: 60, fun: 90 } };
+    expect(getNextCriticalNeed(state)).toMatchObject({ need: 'hunger', criticalIn: 0, zone: 'field' });
+  });
+
+  test('is null when nothing is falling', () => {
+    const state = { ...createInitialState(), x: 50, y: 50, effects: { freeze: 5 } };
+    expect(getNextCriticalNeed(state)).toBeNull();
+  });
+});
+
+// ============================================
+// ZONE LAYOUT TESTS
+// ============================================
+
+describe('isPointInShape', () => {
+  const rect = { type: 'rect', x: 10, y: 20, w: 30, h: 40 };
+  const lake = { type: 'ellipse', cx: 50, cy: 50, rx: 20, ry: 10 };
+  const triangle = { type: 'polygon', points: [[0, 0], [100, 0], [0, 100]] };
+
+  test('rect includes interior and edges', () => {
+    expect(isPointInShape(25, 40, rect)).toBe(true);
+    expect(isPointInShape(10, 20, rect)).toBe(true);
+    expect(isPointInShape(40, 60, rect)).toBe(true);
+  });
+
+  test('rect excludes points outside', () => {
+    expect(isPointInShape(9, 40, rect)).toBe(false);
+    expect(isPointInShape(25, 61, rect)).toBe(false);
+  });
+
+  test('ellipse follows the curve rather than its bounding box', () => {
+    expect(isPointInShape(50, 50, lake)).toBe(true);
+    expect(isPointInShape(69, 50, lake)).toBe(true);
+    expect(isPointInShape(50, 59, lake)).toBe(true);
+    // Corner of the bounding box is outside the ellipse
+    expect(isPointInShape(68, 58, lake)).toBe(false);
+  });
+
+  test('polygon uses its outline', () => {
+    expect(isPointInShape(20, 20, triangle)).toBe(true);
+    expect(isPointInShape(80, 80, triangle)).toBe(false);
+  });
+
+  test('unknown shape types contain nothing', () => {
+    expect(isPointInShape(50, 50, { type: 'star' })).toBe(false);
+  });
+});
+
+describe('getShapeBounds', () => {
+  test('rect bounds are the rect itself', () => {
+    expect(getShapeBounds({ type: 'rect', x: 1, y: 2, w: 3, h: 4 })).toEqual({ x: 1, y: 2, w: 3, h: 4 });
+  });
+
+  test('ellipse bounds span both radii', () => {
+    expect(getShapeBounds({ type: 'ellipse', cx: 50, cy: 40, rx: 20, ry: 10 }))
+      .toEqual({ x: 30, y: 30, w: 40, h: 20 });
+  });
+
+  test('polygon bounds cover every point', () => {
+    expect(getShapeBounds({ type: 'polygon', points: [[10, 50], [30, 20], [60, 70]] }))
+      .toEqual({ x: 10, y: 20, w: 50, h: 50 });
+  });
+});
+
+describe('isValidShape', () => {
+  test('accepts well-formed shapes', () => {
+    expect(isValidShape({ type: 'rect', x: 0, y: 0, w: 10, h: 10 })).toBe(true);
+    expect(isValidShape({ type: 'ellipse', cx: 50, cy: 50, rx: 5, ry: 8 })).toBe(true);
+    expect(isValidShape({ type: 'polygon', points: [[0, 0], [10, 0], [0, 10]] })).toBe(true);
+  });
+
+  test('rejects malformed shapes', () => {
+    expect(isValidShape(null)).toBe(false);
+    expect(isValidShape({ type: 'rect', x: 0, y: 0, w: -1, h: 10 })).toBe(false);
+    expect(isValidShape({ type: 'rect', x: '0', y: 0, w: 1, h: 10 })).toBe(false);
+    expect(isValidShape({ type: 'ellipse', cx: 50, cy: 50, rx: 0, ry: 8 })).toBe(false);
+    expect(isValidShape({ type: 'polygon', points: [[0, 0], [10, 0]] })).toBe(false);
+    expect(isValidShape({ type: 'polygon', points: [[0, 0], [10, 0], [0, NaN]] })).toBe(false);
+    expect(isValidShape({ type: 'star' })).toBe(false);
+  });
+});
+
+describe('getZoneAt', () => {
+  test('default layout puts one zone in each quadrant', () => {
+    expect(getZoneAt(25, 25)).toBe('lake');
+    expect(getZoneAt(75, 25)).toBe('barn');
+    expect(getZoneAt(25, 75)).toBe('field');
+    expect(getZoneAt(75, 75)).toBe('play');
+  });
+
+  test('returns null in the gaps between zones', () => {
+    expect(getZoneAt(50, 50)).toBeNull();
+    expect(getZoneAt(0, 0)).toBeNull();
+  });
+
+  test('initial unicorn position is inside a zone', () => {
+    const state = createInitialState();
+    expect(getZoneAt(state.x, state.y, state.layout)).toBe('lake');
+  });
+
+  test('later zones win where zones overlap', () => {
+    const layout = [
+      { id: 'field', shape: { type: 'rect', x: 0, y: 0, w: 100, h: 100 } },
+      { id: 'lake', shape: { type: 'ellipse', cx: 50, cy: 50, rx: 10, ry: 10 } }
+    ];
+    expect(getZoneAt(50, 50, layout)).toBe('lake');
+    expect(getZoneAt(10, 10, layout)).toBe('field');
+  });
+
+  test('returns null for an empty layout', () => {
+    expect(getZoneAt(50, 50, [])).toBeNull();
+  });
+
+  test('DEFAULT_LAYOUT stays inside the percent space', () => {
+    DEFAULT_LAYOUT.forEach(({ shape }) => {
+      const b = getShapeBounds(shape);
+      expect(isValidPosition(b.x, b.y)).toBe(true);
+      expect(isValidPosition(b.x + b.w, b.y + b.h)).toBe(true);
+    });
+  });
+});
+
+// ============================================
+// MONSTER AI TESTS
+// ============================================
+
+/* The unicorn where the monster can see it, with healthy needs */
+function world(overrides = {}) {
+  return {
+    x: 50,
+    y: 50,
+    needs: { hunger: 100, thirst: 100, energy: 100, fun: 100 },
+    zone: null,
+    level: 1,
+    ...overrides
+  };
+}
+
+const lowNeeds = { hunger: 20, thirst: 100, energy: 100, fun: 100 };
+const emptyNeeds = { hunger: 0, thirst: 100, energy: 100, fun: 100 };
+
+function monsterIn(state, fields = {}) {
+  return { ...createMonster(), state, ...fields };
+}
+
+describe('createMonster', () => {
+  test('starts idle in its lair', () => {
+    expect(createMonster()).toEqual({ x: MONSTER_LAIR.x, y: MONSTER_LAIR.y, state: 'idle', timer: 0, waypoint: 0 });
+  });
+
+  test('lair is off the field', () => {
+    expect(isValidPosition(MONSTER_LAIR.x, MONSTER_LAIR.y)).toBe(false);
+  });
+});
+
+describe('calculateMonsterSpeed', () => {
+  test('base speed at level 1', () => {
+    expect(calculateMonsterSpeed(1)).toBe(MONSTER_SPEED);
+  });
+
+  test('grows with level', () => {
+    expect(calculateMonsterSpeed(4)).toBeCloseTo(MONSTER_SPEED * (1 + 3 * MONSTER_SPEED_GROWTH));
+    expect(calculateMonsterSpeed(5)).toBeGreaterThan(calculateMonsterSpeed(4));
+  });
+
+  test('a rested unicorn can outrun it at level 1', () => {
+    expect(calculateMonsterSpeed(1)).toBeLessThan(calculateTravelSpeed(1, 100));
+  });
+});
+
+describe('isSafeZone', () => {
+  test('the barn is safe', () => {
+    expect(isSafeZone('barn')).toBe(true);
+  });
+
+  test('other zones and open ground are not', () => {
+    expect(isSafeZone('lake')).toBe(false);
+    expect(isSafeZone(null)).toBe(false);
+    expect(isSafeZone('castle')).toBe(false);
+  });
+});
+
+describe('hasCriticalNeed', () => {
+  test('false while every need is above its threshold', () => {
+    expect(hasCriticalNeed({ hunger: 30, thirst: 100 })).toBe(false);
+  });
+
+  test('true once any need is critical', () => {
+    expect(hasCriticalNeed({ hunger: 29, thirst: 100 })).toBe(true);
+    expect(hasCriticalNeed({ affection: 24 })).toBe(true);
+  });
+});
+
+describe('updateMonster', () => {
+  const dt = 0.1;
+
+  test('follows the behaviour it is given', () => {
+    const starving = { needs: { hunger: 5, thirst: 100, energy: 100, fun: 100 } };
+    const home = { enabled: false, speed: 1, prowl: false };
+    expect(updateMonster(createMonster(), world({ ...starving, behaviour: home }), dt).state).toBe('idle');
+
+    const fast = updateMonster(monsterIn('chasing'), world({ ...starving, behaviour: { enabled: true, speed: 2, prowl: false } }), dt);
+    const normal = updateMonster(monsterIn('chasing'), world(starving), dt);
+    expect(fast.x - MONSTER_LAIR.x).toBeCloseTo((normal.x - MONSTER_LAIR.x) * 2);
+  });
+
+  describe('idle', () => {
+    test('stays in its lair while needs are fine', () => {
+      const next = updateMonster(createMonster(), world(), dt);
+      expect(next.state).toBe('idle');
+      expect(next.x).toBe(MONSTER_LAIR.x);
+      expect(next.timer).toBeCloseTo(dt);
+    });
+
+    test('starts chasing when a need goes critical', () => {
+      expect(updateMonster(createMonster(), world({ needs: lowNeeds }), dt).state).toBe('chasing');
+    });
+
+    test('does not come out while the unicorn is in the barn', () => {
+      expect(updateMonster(createMonster(), world({ needs: lowNeeds, zone: 'barn' }), dt).state).toBe('idle');
+    });
+
+    test('starts prowling on higher levels', () => {
+      const next = updateMonster(createMonster(), world({ level: MONSTER_PROWL_LEVEL }), dt);
+      expect(next.state).toBe('prowling');
+      expect(next.timer).toBe(0);
+    });
+
+    test('heads for a random corner when it starts prowling', () => {
+      const prowl = roll => updateMonster(createMonster(), world({ level: MONSTER_PROWL_LEVEL, roll }), dt);
+      expect(prowl(0).waypoint).toBe(0);
+      expect(prowl(0.3).waypoint).toBe(1);
+      expect(prowl(0.99).waypoint).toBe(PROWL_ROUTE.length - 1);
+    });
+  });
+
+  describe('prowling', () => {
+    const level = MONSTER_PROWL_LEVEL;
+
+    test('walks towards the next corner at prowling speed', () => {
+      const monster = monsterIn('prowling', { x: 0, y: 0, waypoint: 1 });
+      const next = updateMonster(monster, world({ level }), dt);
+      expect(next.x).toBeCloseTo(calculateMonsterSpeed(level) * MONSTER_PROWL_SPEED * dt);
+      expect(next.y).toBe(0);
+      expect(next.state).toBe('prowling');
+    });
+
+    test('moves on to the following corner on arrival', () => {
+      const monster = monsterIn('prowling', { x: 99.9, y: 0, waypoint: 1 });
+      expect(updateMonster(monster, world({ level }), dt).waypoint).toBe(2);
+    });
+
+    test('loops back to the first corner', () => {
+      const monster = monsterIn('prowling', { x: 0, y: 99.9, waypoint: PROWL_ROUTE.length - 1 });
+      expect(updateMonster(monster, world({ x: 50, y: 50, level }), dt).waypoint).toBe(0);
+    });
+
+    test('catches a unicorn that strays to the edge', () => {
+      const monster = monsterIn('prowling', { x: 40, y: 0, waypoint: 1 });
+      const next = updateMonster(monster, world({ x: 43, y: 1, level }), dt);
+      expect(next.state).toBe('chomping');
+    });
+
+    test('breaks into a chase when a need goes critical', () => {
+      const monster = monsterIn('prowling', { x: 0, y: 0, waypoint: 1 });
+      expect(updateMonster(monster, world({ level, needs: lowNeeds }), dt).state).toBe('chasing');
+    });
+
+    test('heads home if the level drops below the prowling level', () => {
+      const monster = monsterIn('prowling', { x: 0, y: 0 });
+      expect(updateMonster(monster, world({ level: 1 }), dt).state).toBe('retreating');
+    });
+  });
+
+  describe('chasing', () => {
+    test('runs straight at the unicorn', () => {
+      const monster = monsterIn('chasing', { x: 10, y: 50 });
+      const next = updateMonster(monster, world({ needs: lowNeeds }), dt);
+      expect(next.x).toBeCloseTo(10 + MONSTER_SPEED * dt);
+      expect(next.y).toBe(50);
+      expect(next.state).toBe('chasing');
+    });
+
+    test('runs faster on higher levels', () => {
+      const monster = monsterIn('chasing', { x: 10, y: 50 });
+      const slow = updateMonster(monster, world({ needs: lowNeeds, level: 1 }), dt);
+      const fast = updateMonster(monster, world({ needs: lowNeeds, level: 5 }), dt);
+      expect(fast.x).toBeGreaterThan(slow.x);
+    });
+
+    test('catches the unicorn within the catch radius', () => {
+      const monster = monsterIn('chasing', { x: 50 - MONSTER_CATCH_RADIUS - 1, y: 50 });
+      const next = updateMonster(monster, world({ needs: lowNeeds }), dt);
+      expect(next).toEqual({ ...monster, x: 50, y: 50, state: 'chomping', timer: 0 });
+    });
+
+    test('is scared off by the barn', () => {
+      const monster = monsterIn('chasing', { x: 48, y: 50, timer: 2 });
+      const next = updateMonster(monster, world({ needs: lowNeeds, zone: 'barn' }), dt);
+      expect(next.state).toBe('retreating');
+      expect(next.timer).toBe(0);
+    });
+
+    test('ignores the barn once a need has run out', () => {
+      const monster = monsterIn('chasing', { x: 48, y: 50 });
+      expect(updateMonster(monster, world({ needs: emptyNeeds, zone: 'barn' }), dt).state).toBe('chomping');
+    });
+
+    test('gives up once needs recover', () => {
+      const monster = monsterIn('chasing', { x: 10, y: 50 });
+      expect(updateMonster(monster, world(), dt).state).toBe('retreating');
+    });
+  });
+
+  describe('retreating', () => {
+    test('heads back to its lair', () => {
+      const monster = monsterIn('retreating', { x: 40, y: 50 });
+      const next = updateMonster(monster, world({ needs: lowNeeds }), dt);
+      expect(next.x).toBeCloseTo(40 - MONSTER_SPEED * dt);
+      expect(next.state).toBe('retreating');
+    });
+
+    test('cannot be lured back until the scare wears off', () => {
+      const monster = monsterIn('retreating', { x: 40, y: 50, timer: MONSTER_RETREAT_TIME - 0.2 });
+      expect(updateMonster(monster, world({ needs: lowNeeds }), dt).state).toBe('retreating');
+      expect(updateMonster(monster, world({ needs: lowNeeds }), 0.2).state).toBe('idle');
+    });
+  });
+
+  describe('chomping', () => {
+    test('holds on to the unicorn and counts towards game over', () => {
+      const monster = monsterIn('chomping', { x: 30, y: 30, timer: 1 });
+      const next = updateMonster(monster, world({ x: 30, y: 30 }), dt);
+      expect(next.state).toBe('chomping');
+      expect(next.timer).toBeCloseTo(1 + dt);
+    });
+  });
+
+  test('does not mutate the monster', () => {
+    const monster = monsterIn('chasing', { x: 10, y: 50 });
+    updateMonster(monster, world({ needs: lowNeeds }), dt);
+    expect(monster).toEqual(monsterIn('chasing', { x: 10, y: 50 }));
+  });
+
+  test('every state is handled', () => {
+    MONSTER_STATES.forEach(state => {
+      const next = updateMonster(monsterIn(state, { x: 10, y: 50 }), world(), dt);
+      expect(MONSTER_STATES).toContain(next.state);
+    });
+  });
+});
+
+// ============================================
+// POWER-UP TESTS
+// ============================================
+
+function itemAt(id, x = 50, y = 50, timer = ITEM_LIFETIME) {
+  return { id, x, y, timer };
+}
+
+describe('ITEMS and EFFECTS', () => {
+  test('every item grants a known effect', () => {
+    Object.entries(ITEMS).forEach(([id, item]) => {
+      expect(item.id).toBe(id);
+      expect(getEffect(item.effect)).not.toBeNull();
+      expect(item.amount).toBeGreaterThan(0);
+    });
+  });
+
+  test('instant effects name a need', () => {
+    Object.values(ITEMS)
+      .filter(item => EFFECTS[item.effect].kind === 'instant')
+      .forEach(item => expect(getNeed(item.need)).not.toBeNull());
+  });
+
+  test('spawn tables only list known items', () => {
+    SPAWN_TABLES.forEach(table => {
+      Object.keys(table.weights).forEach(id => expect(getItem(id)).not.toBeNull());
+    });
+  });
+
+  test('lookups return null for unknown ids', () => {
+    expect(getItem('toString')).toBeNull();
+    expect(getEffect('invisibility')).toBeNull();
+  });
+});
+
+describe('getSpawnTable', () => {
+  test('picks the table for the level', () => {
+    expect(getSpawnTable(1)).toBe(SPAWN_TABLES[0]);
+    expect(getSpawnTable(MONSTER_PROWL_LEVEL)).toBe(SPAWN_TABLES[1]);
+    expect(getSpawnTable(20)).toBe(SPAWN_TABLES[SPAWN_TABLES.length - 1]);
+  });
+
+  test('shields only spawn once the monster prowls', () => {
+    expect(getSpawnTable(1).weights.shield).toBeUndefined();
+    expect(getSpawnTable(MONSTER_PROWL_LEVEL).weights.shield).toBeGreaterThan(0);
+  });
+});
+
+describe('pickItem', () => {
+  test('picks by weight', () => {
+    const weights = { apple: 3, star: 1 };
+    expect(pickItem(weights, 0)).toBe('apple');
+    expect(pickItem(weights, 0.74)).toBe('apple');
+    expect(pickItem(weights, 0.75)).toBe('star');
+    expect(pickItem(weights, 0.999)).toBe('star');
+  });
+});
+
+describe('updateItems', () => {
+  test('counts down and removes expired items', () => {
+    const items = [itemAt('apple', 10, 10, 1), itemAt('star', 20, 20, 0.05)];
+    expect(updateItems(items, 0.1)).toEqual([itemAt('apple', 10, 10, 0.9)]);
+  });
+});
+
+describe('spawnItems', () => {
+  const spawn = fields => ({ items: [], spawnTimer: 0.05, rng: 9, ...fields });
+
+  test('counts down to the next spawn', () => {
+    expect(spawnItems(spawn({ spawnTimer: 3 }), 1, 1)).toEqual(spawn({ spawnTimer: 2 }));
+  });
+
+  test('spawns an item inside the field when due', () => {
+    const result = spawnItems(spawn(), 1, 0.1);
+    expect(result.items).toHaveLength(1);
+    const [item] = result.items;
+    expect(Object.keys(getSpawnTable(1).weights)).toContain(item.id);
+    expect(item.x).toBeGreaterThanOrEqual(ITEM_MARGIN);
+    expect(item.x).toBeLessThanOrEqual(100 - ITEM_MARGIN);
+    expect(item.timer).toBe(ITEM_LIFETIME);
+    expect(result.spawnTimer).toBe(getSpawnTable(1).interval);
+    expect(result.rng).not.toBe(9);
+  });
+
+  test('is the same for the same seed', () => {
+    expect(spawnItems(spawn(), 1, 0.1)).toEqual(spawnItems(spawn(), 1, 0.1));
+  });
+
+  test('skips the spawn with the field full', () => {
+    const items = Array.from({ length: MAX_ITEMS }, () => itemAt('apple'));
+    const result = spawnItems(spawn({ items }), 1, 0.1);
+    expect(result.items).toBe(items);
+    expect(result.rng).toBe(9);
+    expect(result.spawnTimer).toBe(getSpawnTable(1).interval);
+  });
+});
+
+describe('collectItems', () => {
+  test('picks up items within reach', () => {
+    const near = itemAt('apple', 50 + ITEM_PICKUP_RADIUS, 50);
+    const far = itemAt('star', 50 + ITEM_PICKUP_RADIUS + 0.1, 50);
+    expect(collectItems([near, far], 50, 50)).toEqual({ items: [far], collected: [near] });
+  });
+});
+
+describe('applyItem', () => {
+  const needs = { hunger: 40, thirst: 40, energy: 40, fun: 40 };
+
+  test('a golden apple fills hunger', () => {
+    expect(applyItem(needs, {}, 'apple')).toEqual({ needs: { ...needs, hunger: 100 }, effects: {} });
+  });
+
+  test('a star pauses drain', () => {
+    expect(applyItem(needs, {}, 'star').effects).toEqual({ freeze: ITEMS.star.amount });
+  });
+
+  test('another star restarts a shorter countdown only', () => {
+    expect(applyItem(needs, { freeze: 1 }, 'star').effects.freeze).toBe(ITEMS.star.amount);
+    expect(applyItem(needs, { freeze: 9 }, 'star').effects.freeze).toBe(9);
+  });
+
+  test('shields stack', () => {
+    expect(applyItem(needs, { shield: 1 }, 'shield').effects).toEqual({ shield: 2 });
+  });
+
+  test('ignores needs the run does not track and unknown items', () => {
+    expect(applyItem({ thirst: 40 }, {}, 'apple')).toEqual({ needs: { thirst: 40 }, effects: {} });
+    expect(applyItem(needs, {}, 'anvil')).toEqual({ needs, effects: {} });
+  });
+});
+
+describe('updateEffects', () => {
+  test('counts down timed effects and keeps charges', () => {
+    expect(updateEffects({ freeze: 2, shield: 1 }, 0.5)).toEqual({ freeze: 1.5, shield: 1 });
+  });
+
+  test('removes effects that run out', () => {
+    expect(updateEffects({ freeze: 0.05 }, 0.1)).toEqual({});
+  });
+});
+
+describe('getEffectModifiers', () => {
+  test('a freeze stops all drain', () => {
+    expect(getEffectModifiers({ freeze: 3 }, ['hunger', 'fun'])).toEqual({ drain: { hunger: 0, fun: 0 }, recharge: {} });
+  });
+
+  test('other effects change nothing', () => {
+    expect(getEffectModifiers({ shield: 1 }, DEFAULT_NEEDS)).toEqual(NO_MODIFIERS);
+  });
+});
+
+describe('useShield', () => {
+  test('turns away a monster that starts a chase', () => {
+    const result = useShield(monsterIn('chasing'), monsterIn('idle'), { shield: 1, freeze: 2 });
+    expect(result.monster.state).toBe('retreating');
+    expect(result.effects).toEqual({ freeze: 2 });
+    expect(result.blocked).toBe(true);
+  });
+
+  test('spends one charge at a time', () => {
+    expect(useShield(monsterIn('chasing'), monsterIn('prowling'), { shield: 2 }).effects).toEqual({ shield: 1 });
+  });
+
+  test('does nothing to a chase already under way or without a shield', () => {
+    const chasing = monsterIn('chasing');
+    expect(useShield(chasing, chasing, { shield: 1 })).toEqual({ monster: chasing, effects: { shield: 1 }, blocked: false });
+    expect(useShield(chasing, monsterIn('idle'), {}).blocked).toBe(false);
+  });
+});
+
+// ============================================
+// WORLD EVENT TESTS
+// ============================================
+
+/* An event under way, or still to come after delay seconds */
+function eventIn(id, delay = 0, timer = WORLD_EVENTS[id].duration) {
+  return { id, delay, timer };
+}
+
+describe('WORLD_EVENTS', () => {
+  test('every event describes itself', () => {
+    Object.entries(WORLD_EVENTS).forEach(([id, event]) => {
+      expect(event.id).toBe(id);
+      expect(typeof event.name).toBe('string');
+      expect(typeof event.warning).toBe('string');
+      expect(event.duration).toBeGreaterThan(0);
+    });
+  });
+
+  test('modifiers only name known needs and zones', () => {
+    Object.values(WORLD_EVENTS).forEach(({ modifiers }) => {
+      Object.keys(modifiers.drain).forEach(id => expect(getNeed(id)).not.toBeNull());
+      Object.keys(modifiers.recharge).forEach(id => expect(getZone(id)).not.toBeNull());
+    });
+  });
+
+  test('a heatwave doubles thirst drain and a storm shuts the Festival Grounds', () => {
+    expect(WORLD_EVENTS.heatwave.modifiers.drain.thirst).toBe(2);
+    expect(WORLD_EVENTS.storm.modifiers.recharge).toEqual({ play: 0, barn: 1.5 });
+    expect(WORLD_EVENTS.nightfall.modifiers.drain.energy).toBeGreaterThan(1);
+  });
+
+  test('getWorldEvent returns null for unknown ids', () => {
+    expect(getWorldEvent('storm')).toBe(WORLD_EVENTS.storm);
+    expect(getWorldEvent('toString')).toBeNull();
+  });
+});
+
+describe('countWorldEvents', () => {
+  test('grows with the level up to the maximum', () => {
+    expect(countWorldEvents(1)).toBe(0);
+    expect(countWorldEvents(2)).toBe(1);
+    expect(countWorldEvents(4)).toBe(2);
+    expect(countWorldEvents(50)).toBe(MAX_WORLD_EVENTS);
+  });
+});
+
+describe('scheduleWorldEvents', () => {
+  test('schedules different events inside the window, soonest first', () => {
+    const events = scheduleWorldEvents(6, 123);
+    expect(events).toHaveLength(countWorldEvents(6));
+    expect(new Set(events.map(e => e.id)).size).toBe(events.length);
+    events.forEach(event => {
+      expect(event.delay).toBeGreaterThanOrEqual(EVENT_EARLIEST);
+      expect(event.delay).toBeLessThanOrEqual(EVENT_LATEST);
+      expect(event.timer).toBe(WORLD_EVENTS[event.id].duration);
+    });
+    expect(events.map(e => e.delay)).toEqual([...events.map(e => e.delay)].sort((a, b) => a - b));
+  });
+
+  test('is the same for the same seed and level', () => {
+    expect(scheduleWorldEvents(4, 9)).toEqual(scheduleWorldEvents(4, 9));
+    expect(scheduleWorldEvents(4, 9)).not.toEqual(scheduleWorldEvents(4, 10));
+  });
+
+  test('the first level is calm', () => {
+    expect(createInitialState().worldEvents).toEqual([]);
+  });
+});
+
+describe('isWorldEventActive and isWorldEventWarning', () => {
+  test('announces an event shortly before it starts', () => {
+    expect(isWorldEventWarning(eventIn('storm', EVENT_WARNING_TIME + 1))).toBe(false);
+    expect(isWorldEventWarning(eventIn('storm', EVENT_WARNING_TIME))).toBe(true);
+    expect(isWorldEventActive(eventIn('storm', 1))).toBe(false);
+  });
+
+  test('an event is under way once its delay runs out', () => {
+    expect(isWorldEventActive(eventIn('storm'))).toBe(true);
+    expect(isWorldEventWarning(eventIn('storm'))).toBe(false);
+  });
+});
+
+describe('updateWorldEvents', () => {
+  test('counts down the delay, then the event', () => {
+    expect(updateWorldEvents([eventIn('storm', 2, 5)], 0.5).worldEvents).toEqual([eventIn('storm', 1.5, 5)]);
+    expect(updateWorldEvents([eventIn('storm', 0, 5)], 0.5).worldEvents).toEqual([eventIn('storm', 0, 4.5)]);
+  });
+
+  test('reports events starting and ending', () => {
+    const result = updateWorldEvents([eventIn('storm', 0.05), eventIn('heatwave', 0, 0.05)], 0.1);
+    expect(result.started).toEqual(['storm']);
+    expect(result.ended).toEqual(['heatwave']);
+    expect(result.worldEvents).toEqual([eventIn('storm')]);
+  });
+});
+
+describe('getWorldEventModifiers', () => {
+  test('stacks the events under way', () => {
+    const events = [eventIn('heatwave'), eventIn('nightfall'), eventIn('storm', 2)];
+    expect(getWorldEventModifiers(events)).toEqual({
+      drain: { thirst: 2, energy: WORLD_EVENTS.nightfall.modifiers.drain.energy },
+      recharge: {}
+    });
+  });
+
+  test('stack with a challenge and power-ups', () => {
+    const state = {
+      ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE),
+      worldEvents: [eventIn('storm')]
+    };
+    expect(getStateModifiers(state).recharge).toEqual({ lake: 1.5, barn: 0.6 * 1.5, play: 0 });
+    expect(getStateModifiers({ ...state, effects: { freeze: 1 } }).drain.hunger).toBe(0);
+  });
+});
+
+// ============================================
+// UPGRADE SHOP TESTS
+// ============================================
+
+/* A classic run on its level break with coins to spend */
+function shopState(coins, traits = {}) {
+  return { ...createInitialState(), status: 'nextlevel', coins, traits };
+}
+
+describe('UPGRADES', () => {
+  test('every upgrade has a price, a limit and something it does', () => {
+    Object.entries(UPGRADES).forEach(([id, upgrade]) => {
+      expect(upgrade.id).toBe(id);
+      expect(typeof upgrade.description).toBe('string');
+      expect(upgrade.cost).toBeGreaterThan(0);
+      expect(upgrade.max).toBeGreaterThanOrEqual(1);
+      expect(Boolean(upgrade.modifiers) !== Boolean(upgrade.escape)).toBe(true);
+    });
+  });
+});
+
+describe('getUpgrade', () => {
+  test('finds upgrades by id', () => {
+    expect(getUpgrade('hydration')).toBe(UPGRADES.hydration);
+  });
+
+  test('is null for unknown ids', () => {
+    expect(getUpgrade('wings')).toBeNull();
+    expect(getUpgrade('toString')).toBeNull();
+  });
+});
+
+describe('getUpgradeCost', () => {
+  test('goes up with every copy owned', () => {
+    const { cost } = UPGRADES.hydration;
+    expect(getUpgradeCost({}, 'hydration')).toBe(cost);
+    expect(getUpgradeCost({ hydration: 2 }, 'hydration')).toBe(cost * 3);
+  });
+});
+
+describe('calculateCoins', () => {
+  test('pays a coin per COIN_POINTS level points', () => {
+    expect(calculateCoins(0)).toBe(0);
+    expect(calculateCoins(COIN_POINTS - 0.5)).toBe(0);
+    expect(calculateCoins(COIN_POINTS * 7.9)).toBe(7);
+  });
+});
+
+describe('getPurchaseError', () => {
+  test('is null when the upgrade can be bought', () => {
+    expect(getPurchaseError(shopState(10), 'bedding')).toBeNull();
+  });
+
+  test('rejects unknown upgrades', () => {
+    expect(getPurchaseError(shopState(10), 'wings')).toBe('Unknown upgrade: wings');
+  });
+
+  test('only sells during the level break of a mode with a shop', () => {
+    const closed = 'The shop is only open between levels';
+    expect(getPurchaseError({ ...shopState(10), status: null }, 'bedding')).toBe(closed);
+    expect(getPurchaseError({ ...shopState(10), status: 'gameover' }, 'bedding')).toBe(closed);
+    expect(getPurchaseError({ ...shopState(10), mode: 'endless' }, 'bedding')).toBe(closed);
+  });
+
+  test('stops at the upgrade\'s maximum', () => {
+    expect(getPurchaseError(shopState(99, { escape: 1 }), 'escape')).toBe('Escape Charm is already at its maximum');
+  });
+
+  test('needs enough coins', () => {
+    expect(getPurchaseError(shopState(UPGRADES.bedding.cost - 1), 'bedding')).toBe('Not enough coins');
+  });
+});
+
+describe('buyUpgrade', () => {
+  test('spends the coins and adds the trait', () => {
+    const state = buyUpgrade(shopState(10, { bedding: 1 }), 'hydration');
+    expect(state.coins).toBe(10 - UPGRADES.hydration.cost);
+    expect(state.traits).toEqual({ bedding: 1, hydration: 1 });
+  });
+
+  test('stacks copies of an upgrade', () => {
+    const state = buyUpgrade(shopState(20, { hydration: 1 }), 'hydration');
+    expect(state.coins).toBe(20 - 2 * UPGRADES.hydration.cost);
+    expect(state.traits).toEqual({ hydration: 2 });
+  });
+
+  test('throws when the upgrade can\'t be bought', () => {
+    expect(() => buyUpgrade(shopState(0), 'hydration')).toThrow('Not enough coins');
+  });
+
+  test('does not mutate the state', () => {
+    const state = shopState(10);
+    buyUpgrade(state, 'hydration');
+    expect(state).toEqual(shopState(10));
+  });
+});
+
+describe('getTraitModifiers', () => {
+  test('a camel hump slows thirst by 10%', () => {
+    expect(getTraitModifiers({ hydration: 1 })).toEqual({ drain: { thirst: 0.9 }, recharge: {} });
+  });
+
+  test('copies stack', () => {
+    const modifiers = getTraitModifiers({ hydration: 2, bedding: 3 });
+    expect(modifiers.drain.thirst).toBeCloseTo(0.81);
+    expect(modifiers.recharge.barn).toBeCloseTo(1.25 ** 3);
+  });
+
+  test('escapes and no traits change nothing', () => {
+    expect(getTraitModifiers({})).toEqual(NO_MODIFIERS);
+    expect(getTraitModifiers({ escape: 1 })).toEqual(NO_MODIFIERS);
+  });
+
+  test('feed into the state\'s modifiers', () => {
+    const state = { ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE), traits: { bedding: 1 } };
+    expect(getStateModifiers(state).recharge).toEqual({ lake: 1.5, barn: 0.6 * 1.25 });
+  });
+
+  test('slow the drain applied each tick', () => {
+    const state = { ...createInitialState(), x: 50, y: 50 };
+    const plain = stepGame(state, {}, 1).state.needs;
+    const upgraded = stepGame({ ...state, traits: { hydration: 1 } }, {}, 1).state.needs;
+    expect(100 - upgraded.thirst).toBeCloseTo((100 - plain.thirst) * 0.9);
+    expect(upgraded.hunger).toBe(plain.hunger);
+  });
+});
+
+describe('useEscape', () => {
+  test('frees the unicorn from a monster that has caught it', () => {
+    const result = useEscape(monsterIn('chomping'), { escape: 1, bedding: 2 });
+    expect(result.monster.state).toBe('retreating');
+    expect(result.traits).toEqual({ bedding: 2 });
+    expect(result.escaped).toBe(true);
+  });
+
+  test('does nothing without a catch or an escape', () => {
+    const chasing = monsterIn('chasing');
+    expect(useEscape(chasing, { escape: 1 })).toEqual({ monster: chasing, traits: { escape: 1 }, escaped: false });
+    expect(useEscape(monsterIn('chomping'), { bedding: 1 }).escaped).toBe(false);
+  });
+});
+
+// ============================================
+// SCORING TESTS
+// ============================================
+
+describe('createScore', () => {
+  test('starts at zero', () => {
+    expect(createScore()).toEqual({ total: 0, level: 0, streak: 0 });
+  });
+});
+
+describe('isScoring', () => {
+  test('needs every need above the threshold', () => {
+    expect(isScoring({ hunger: 100, thirst: SCORE_THRESHOLD + 1 })).toBe(true);
+    expect(isScoring({ hunger: 100, thirst: SCORE_THRESHOLD })).toBe(false);
+  });
+});
+
+describe('calculateStreakMultiplier', () => {
+  test('starts at 1', () => {
+    expect(calculateStreakMultiplier(0)).toBe(1);
+    expect(calculateStreakMultiplier(STREAK_INTERVAL - 0.1)).toBe(1);
+  });
+
+  test('steps up every interval', () => {
+    expect(calculateStreakMultiplier(STREAK_INTERVAL)).toBe(1 + STREAK_STEP);
+    expect(calculateStreakMultiplier(STREAK_INTERVAL * 2)).toBe(1 + STREAK_STEP * 2);
+  });
+
+  test('is capped', () => {
+    expect(calculateStreakMultiplier(10000)).toBe(MAX_STREAK_MULTIPLIER);
+  });
+});
+
+describe('updateScore', () => {
+  const healthy = { hunger: 100, thirst: 100, energy: 100, fun: 100 };
+  const dt = 0.5;
+
+  test('earns points while every need is high', () => {
+    const score = updateScore(createScore(), healthy, dt);
+    expect(score).toEqual({ total: POINTS_PER_SECOND * dt, level: POINTS_PER_SECOND * dt, streak: dt });
+  });
+
+  test('earns nothing once a need drops to the threshold', () => {
+    const score = updateScore(createScore(), { ...healthy, fun: SCORE_THRESHOLD }, dt);
+    expect(score.total).toBe(0);
+    expect(score.streak).toBe(dt);
+  });
+
+  test('multiplies points by the streak', () => {
+    const score = updateScore({ total: 0, level: 0, streak: STREAK_INTERVAL }, healthy, dt);
+    expect(score.total).toBe(POINTS_PER_SECOND * dt * (1 + STREAK_STEP));
+  });
+
+  test('a critical need breaks the streak', () => {
+    const score = updateScore({ total: 50, level: 20, streak: 42 }, { ...healthy, thirst: 29 }, dt);
+    expect(score).toEqual({ total: 50, level: 20, streak: 0 });
+  });
+
+  test('does not mutate the score', () => {
+    const score = createScore();
+    updateScore(score, healthy, dt);
+    expect(score).toEqual(createScore());
+  });
+});
+
+describe('calculateLevelBonus', () => {
+  test('pays for the average need above the threshold', () => {
+    expect(calculateLevelBonus({ hunger: 100, thirst: 100 })).toBe((100 - SCORE_THRESHOLD) * LEVEL_BONUS_RATE);
+    expect(calculateLevelBonus({ hunger: 80, thirst: 60 })).toBe((70 - SCORE_THRESHOLD) * LEVEL_BONUS_RATE);
+  });
+
+  test('pays nothing for low needs', () => {
+    expect(calculateLevelBonus({ hunger: 10, thirst: 40 })).toBe(0);
+  });
+});
+
+describe('calculateStars', () => {
+  const par = calculateLevelPar();
+
+  test('par is a full level of scoring plus a full bonus', () => {
+    expect(par).toBe(LEVEL_TIME * POINTS_PER_SECOND + (100 - SCORE_THRESHOLD) * LEVEL_BONUS_RATE);
+  });
+
+  test('surviving is worth one star', () => {
+    expect(calculateStars(0)).toBe(1);
+  });
+
+  test('half of par is worth two stars', () => {
+    expect(calculateStars(par * 0.5)).toBe(2);
+    expect(calculateStars(par * 0.89)).toBe(2);
+  });
+
+  test('near par is worth three stars', () => {
+    expect(calculateStars(par * 0.9)).toBe(3);
+    expect(calculateStars(par * 2)).toBe(3);
+  });
+
+  test('par follows the level\'s duration', () => {
+    expect(calculateLevelPar(15)).toBe(15 * POINTS_PER_SECOND + (100 - SCORE_THRESHOLD) * LEVEL_BONUS_RATE);
+    expect(calculateLevelPar(60)).toBeGreaterThan(par);
+  });
+
+  test('rates shorter levels against their own par', () => {
+    const shortPar = calculateLevelPar(15);
+    expect(calculateStars(shortPar * 0.9, 15)).toBe(3);
+    expect(calculateStars(shortPar * 0.9)).toBe(2);
+    expect(calculateStars(par * 0.9, 60)).toBe(2);
+  });
+});
+
+// ============================================
+// GAME MODE TESTS
+// ============================================
+
+const modeState = (mode, fields = {}) => ({
+  ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, mode, GAME_MODES[mode].challenge ? CHALLENGE : null),
+  ...fields
+});
+
+describe('GAME_MODES', () => {
+  test('has classic, endless, time attack and daily challenge', () => {
+    expect(Object.keys(GAME_MODES)).toEqual(['classic', 'endless', 'timeattack', 'daily']);
+  });
+
+  test('every mode describes itself and its rules', () => {
+    Object.entries(GAME_MODES).forEach(([id, mode]) => {
+      expect(mode.id).toBe(id);
+      expect(typeof mode.name).toBe('string');
+      expect(typeof mode.description).toBe('string');
+      expect(['survive', 'thrive']).toContain(mode.goal);
+      expect(mode.levelTime).toBeGreaterThan(0);
+    });
+  });
+
+  test('classic keeps today\'s rules', () => {
+    expect(GAME_MODES.classic).toMatchObject({
+      goal: 'survive', levelTime: LEVEL_TIME, levelBreaks: true, carryNeeds: false, timeLimit: null
+    });
+  });
+
+  test('only modes with level breaks have a shop', () => {
+    Object.values(GAME_MODES).filter(mode => mode.shop).forEach(mode => expect(mode.levelBreaks).toBe(true));
+    expect(GAME_MODES.classic.shop).toBe(true);
+  });
+});
+
+describe('getGameMode', () => {
+  test('returns registry entries', () => {
+    expect(getGameMode('endless')).toBe(GAME_MODES.endless);
+  });
+
+  test('returns null for unknown modes', () => {
+    expect(getGameMode('zen')).toBeNull();
+    expect(getGameMode(undefined)).toBeNull();
+    expect(getGameMode('toString')).toBeNull();
+  });
+});
+
+describe('calculateDifficulty', () => {
+  test('is the level number in classic', () => {
+    expect(calculateDifficulty(modeState('classic', { level: 3, levelTime: 1 }))).toBe(3);
+  });
+
+  test('ramps through the level in endless', () => {
+    expect(calculateDifficulty(modeState('endless', { level: 2 }))).toBe(2);
+    expect(calculateDifficulty(modeState('endless', { level: 2, levelTime: LEVEL_TIME / 2 }))).toBe(2.5);
+  });
+});
+
+describe('updateLevelProgress', () => {
+  const healthy = { hunger: 100, thirst: 100, energy: 100, fun: 100 };
+  const struggling = { ...healthy, fun: SCORE_THRESHOLD };
+
+  test('survival levels always count down', () => {
+    expect(updateLevelProgress(modeState('classic'), struggling, 1)).toBe(LEVEL_TIME - 1);
+  });
+
+  test('thrive levels only count down while every need is high', () => {
+    expect(updateLevelProgress(modeState('timeattack'), healthy, 1)).toBe(TIME_ATTACK_GOAL - 1);
+    expect(updateLevelProgress(modeState('timeattack'), struggling, 1)).toBe(TIME_ATTACK_GOAL);
+  });
+});
+
+describe('updateTimeLeft', () => {
+  test('counts down to zero', () => {
+    expect(updateTimeLeft(10, 4)).toBe(6);
+    expect(updateTimeLeft(1, 4)).toBe(0);
+  });
+
+  test('leaves modes without a clock alone', () => {
+    expect(updateTimeLeft(null, 4)).toBeNull();
+  });
+});
+
+describe('advanceLevel', () => {
+  const needs = { hunger: 20, thirst: 30, energy: 40, fun: 50 };
+
+  test('carries needs, position and monster over in endless', () => {
+    const state = modeState('endless', { level: 2, levelTime: 0, needs, x: 70, monster: monsterIn('prowling') });
+    const next = advanceLevel(state);
+    expect(next).toMatchObject({ level: 3, levelTime: LEVEL_TIME, needs, x: 70, monster: state.monster });
+  });
+
+  test('refills needs in time attack', () => {
+    const next = advanceLevel(modeState('timeattack', { levelTime: 0, needs }));
+    expect(next.needs).toEqual(createNeeds());
+    expect(next.levelTime).toBe(TIME_ATTACK_GOAL);
+  });
+
+  test('restarts a challenge\'s needs at its starting values', () => {
+    const next = advanceLevel(modeState('daily', { needs }));
+    expect(next.needs).toEqual(createNeeds(DEFAULT_NEEDS, CHALLENGE.startNeeds));
+  });
+
+  test('keeps world events under way and schedules the new level\'s', () => {
+    const state = modeState('endless', { level: 3, worldEvents: [eventIn('storm'), eventIn('heatwave', 4)] });
+    expect(advanceLevel(state).worldEvents).toEqual([eventIn('storm'), ...scheduleWorldEvents(4, state.rng)]);
+  });
+
+  test('starts the level score afresh', () => {
+    const next = advanceLevel(modeState('endless', { score: { total: 300, level: 300, streak: 5 } }));
+    expect(next.score).toEqual({ total: 300, level: 0, streak: 5 });
+  });
+});
+
+describe('isRunOver', () => {
+  test('is true after a game over or when time is up', () => {
+    expect(isRunOver({ status: 'gameover' })).toBe(true);
+    expect(isRunOver({ status: 'timeup' })).toBe(true);
+  });
+
+  test('is true once a challenge is complete', () => {
+    expect(isRunOver({ status: 'complete' })).toBe(true);
+  });
+
+  test('is false during play and level breaks', () => {
+    expect(isRunOver({ status: null })).toBe(false);
+    expect(isRunOver({ status: 'nextlevel' })).toBe(false);
+  });
+});
+
+describe('validateChallenge', () => {
+  test('accepts a well-formed challenge', () => {
+    expect(validateChallenge(CHALLENGE)).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateChallenge(null)).toEqual(['must be an object']);
+  });
+
+  test('reports every bad field', () => {
+    const bad = {
+      id: '',
+      targetLevel: 2.5,
+      startNeeds: { hunger: 0, boredom: 50 },
+      drain: { thirst: -1 },
+      recharge: []
+    };
+    expect(validateChallenge(bad)).toEqual([
+      'id must be a non-empty string',
+      'targetLevel must be an integer of at least 1',
+      'startNeeds.hunger must be a number above 0 and up to 100',
+      'startNeeds.boredom is not known',
+      'drain.thirst must be a number above 0',
+      'recharge must be an object'
+    ]);
+  });
+
+  test('rejects unknown zones', () => {
+    expect(validateChallenge({ ...CHALLENGE, recharge: { volcano: 2 } })).toEqual(['recharge.volcano is not known']);
+  });
+});
+
+// ============================================
+// LEVEL DEFINITION TESTS
+// ============================================
+
+const ISLAND = [{ id: 'lake', shape: { type: 'ellipse', cx: 50, cy: 50, rx: 30, ry: 20 } }];
+
+const CAMPAIGN = {
+  id: 'drought',
+  name: 'The Drought',
+  levels: [
+    { name: 'Dry Spell', duration: 20, zones: ISLAND, startNeeds: { thirst: 60 }, drain: { thirst: 1.5 }, monster: { enabled: false } },
+    { difficulty: 4, recharge: { lake: 0.5 }, monster: { speed: 2, prowl: true }, objective: { goal: 'thrive' } }
+  ]
+};
+
+describe('validateLayout', () => {
+  test('accepts the default layout', () => {
+    expect(validateLayout(DEFAULT_LAYOUT, 'zones')).toEqual([]);
+  });
+
+  test('names the zone at fault', () => {
+    const layout = [{ id: 'volcano', shape: {} }, { id: 'lake', shape: { type: 'rect', x: 0 } }];
+    expect(validateLayout(layout, 'zones')).toEqual([
+      'zones[0] must reference a known zone',
+      'zones[1] (lake) has an invalid shape'
+    ]);
+    expect(validateLayout({}, 'zones')).toEqual(['zones must be an array']);
+  });
+
+  test('rejects a zone that appears twice', () => {
+    const layout = [...DEFAULT_LAYOUT, DEFAULT_LAYOUT[0]];
+    expect(validateLayout(layout, 'zones')).toEqual([`zones[${DEFAULT_LAYOUT.length}] repeats zone lake`]);
+  });
+});
+
+describe('validateLevel', () => {
+  test('accepts the campaign\'s levels and an empty definition', () => {
+    CAMPAIGN.levels.forEach(level => expect(validateLevel(level)).toEqual([]));
+    expect(validateLevel({})).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateLevel([])).toEqual(['must be an object']);
+  });
+
+  test('reports every bad field precisely', () => {
+    const level = {
+      name: '',
+      duration: 0,
+      difficulty: 0.5,
+      zones: [{ id: 'lake', shape: { type: 'ellipse', cx: 50, cy: 50, rx: 0, ry: 10 } }],
+      drain: { sleep: 2, thirst: -1 },
+      recharge: { pond: 1, barn: 'fast' },
+      startNeeds: { hunger: 120 },
+      monster: { enabled: 'no', speed: 0, hungry: true },
+      objective: { goal: 'win' },
+      timer: 30
+    };
+    expect(validateLevel(level)).toEqual([
+      'timer is not a level field',
+      'name must be a non-empty string',
+      'duration must be a number above 0',
+      'difficulty must be a number of at least 1',
+      'zones[0] (lake) has an invalid shape',
+      'drain.sleep is not a known need',
+      'drain.thirst must be a number above 0',
+      'recharge.pond is not a known zone',
+      'recharge.barn must be a number above 0',
+      'startNeeds.hunger must be a number above 0 and up to 100',
+      'monster.hungry is not a monster field',
+      'monster.enabled must be true or false',
+      'monster.speed must be a number above 0',
+      'objective.goal must be one of survive, thrive'
+    ]);
+  });
+
+  test('rejects fields of the wrong type', () => {
+    expect(validateLevel({ drain: [], monster: null, objective: 'thrive' })).toEqual([
+      'drain must be an object',
+      'monster must be an object',
+      'objective must be an object'
+    ]);
+  });
+});
+
+describe('validateCampaign', () => {
+  test('accepts a campaign', () => {
+    expect(validateCampaign(CAMPAIGN)).toEqual([]);
+  });
+
+  test('places level errors in the pack', () => {
+    const campaign = { ...CAMPAIGN, levels: [{}, 'level 2', { duration: -5 }] };
+    expect(validateCampaign(campaign)).toEqual([
+      'levels[1] must be an object',
+      'levels[2].duration must be a number above 0'
+    ]);
+  });
+
+  test('needs a name and at least one level', () => {
+    expect(validateCampaign({ id: 'x', levels: [] })).toEqual([
+      'name must be a non-empty string',
+      'levels must be a non-empty array'
+    ]);
+    expect(validateCampaign(null)).toEqual(['must be an object']);
+  });
+});
+
+describe('getLevelDefinition', () => {
+  test('finds levels by number', () => {
+    expect(getLevelDefinition(CAMPAIGN, 1)).toBe(CAMPAIGN.levels[0]);
+    expect(getLevelDefinition(CAMPAIGN, 2)).toBe(CAMPAIGN.levels[1]);
+  });
+
+  test('is null past the end or without a campaign', () => {
+    expect(getLevelDefinition(CAMPAIGN, 3)).toBeNull();
+    expect(getLevelDefinition(null, 1)).toBeNull();
+  });
+});
+
+describe('getLevelDuration', () => {
+  test('follows the definition', () => {
+    expect(getLevelDuration({ ...createInitialState(), campaign: CAMPAIGN }, 1)).toBe(20);
+  });
+
+  test('falls back to the mode\'s levelTime', () => {
+    expect(getLevelDuration({ ...createInitialState(), campaign: CAMPAIGN }, 2)).toBe(LEVEL_TIME);
+    expect(getLevelDuration(modeState('timeattack'), 1)).toBe(TIME_ATTACK_GOAL);
+  });
+});
+
+describe('getLevelSetup', () => {
+  test('follows the definition', () => {
+    const state = { ...createInitialState(), campaign: CAMPAIGN };
+    expect(getLevelSetup(state, 1, DEFAULT_NEEDS)).toEqual({
+      levelTime: 20,
+      layout: ISLAND,
+      needs: { hunger: 100, thirst: 60, energy: 100, fun: 100 }
+    });
+  });
+
+  test('fills in what the definition leaves out', () => {
+    const state = { ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'daily', CHALLENGE), campaign: CAMPAIGN };
+    expect(getLevelSetup(state, 2, DEFAULT_NEEDS)).toEqual({
+      levelTime: LEVEL_TIME,
+      layout: DEFAULT_LAYOUT,
+      needs: createNeeds(DEFAULT_NEEDS, CHALLENGE.startNeeds)
+    });
+  });
+});
+
+describe('getMonsterBehaviour', () => {
+  test('prowls from MONSTER_PROWL_LEVEL by default', () => {
+    expect(getMonsterBehaviour(1)).toEqual({ enabled: true, speed: 1, prowl: false });
+    expect(getMonsterBehaviour(MONSTER_PROWL_LEVEL)).toEqual({ enabled: true, speed: 1, prowl: true });
+  });
+
+  test('follows the definition', () => {
+    expect(getMonsterBehaviour(1, CAMPAIGN.levels[1])).toEqual({ enabled: true, speed: 2, prowl: true });
+  });
+
+  test('a monster that stays home never prowls', () => {
+    expect(getMonsterBehaviour(5, { monster: { enabled: false, prowl: true } })).toEqual({ enabled: false, speed: 1, prowl: false });
+  });
+});
+
+describe('getLevelGoal', () => {
+  test('uses the objective, then the mode', () => {
+    const state = { ...createInitialState(), campaign: CAMPAIGN };
+    expect(getLevelGoal(state)).toBe('survive');
+    expect(getLevelGoal({ ...state, level: 2 })).toBe('thrive');
+    expect(getLevelGoal({ ...createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'timeattack'), campaign: CAMPAIGN, level: 3 })).toBe('thrive');
+  });
+});
+
+describe('startCampaign', () => {
+  test('sets up the first level from the campaign', () => {
+    const state = startCampaign(createInitialState(), CAMPAIGN);
+    expect(state.campaign).toBe(CAMPAIGN);
+    expect(state).toMatchObject({ levelTime: 20, layout: ISLAND, needs: { thirst: 60 } });
+    expect(validateState(state)).toEqual([]);
+  });
+
+  test('rejects bad campaigns', () => {
+    expect(() => startCampaign(createInitialState(), { ...CAMPAIGN, name: 3 }))
+      .toThrow('Invalid campaign: name must be a non-empty string');
+  });
+});
+
+describe('playing a campaign', () => {
+  test('createNextLevelState consults the campaign, then falls back to the formula', () => {
+    const first = startCampaign(createInitialState(), CAMPAIGN);
+    const second = createNextLevelState(first);
+    expect(second).toMatchObject({ level: 2, levelTime: LEVEL_TIME, layout: DEFAULT_LAYOUT, needs: { thirst: 100 } });
+    expect(calculateDifficulty(second)).toBe(4);
+
+    const third = createNextLevelState(second);
+    expect(calculateDifficulty(third)).toBe(3);
+    expect(getStateModifiers(third)).toEqual(NO_MODIFIERS);
+  });
+
+  test('advances through the campaign without breaks', () => {
+    const state = startCampaign(createInitialState(DEFAULT_NEEDS, DEFAULT_SEED, 'endless'), CAMPAIGN);
+    const { state: next } = stepGame({ ...state, levelTime: 0.05 }, {}, 0.1);
+    expect(next).toMatchObject({ level: 2, levelTime: LEVEL_TIME, layout: DEFAULT_LAYOUT });
+  });
+
+  test('applies the level\'s drain and recharge overrides', () => {
+    const state = startCampaign(createInitialState(), CAMPAIGN);
+    expect(getStateModifiers(state)).toEqual({ drain: { thirst: 1.5 }, recharge: {} });
+    expect(getStateModifiers(createNextLevelState(state))).toEqual({ drain: {}, recharge: { lake: 0.5 } });
+  });
+
+  test('keeps the monster home when the level says so', () => {
+    const state = startCampaign(createInitialState(), CAMPAIGN);
+    const starving = { ...state, needs: { ...state.needs, hunger: 5 } };
+    expect(stepGame(starving, {}, 0.1).state.monster.state).toBe('idle');
+  });
+
+  test('only counts down a thrive objective while every need is above the threshold', () => {
+    const state = createNextLevelState(startCampaign(createInitialState(), CAMPAIGN));
+    const low = { ...state, needs: { ...state.needs, fun: SCORE_THRESHOLD - 10 } };
+    expect(stepGame(low, {}, 0.1).state.levelTime).toBe(state.levelTime);
+  });
+});
+
+// ============================================
+// GAME LOOP TESTS
+// ============================================
+
+describe('stepGame', () => {
+  const dt = 0.1;
+
+  // Centre of the field is the gap between all four default zones
+  function stateOutsideZones() {
+    return { ...createInitialState(), x: 50, y: 50 };
+  }
+
+  test('returns next state and an event list', () => {
+    const result = stepGame(createInitialState(), {}, dt);
+    expect(result).toHaveProperty('state');
+    expect(Array.isArray(result.events)).toBe(true);
+  });
+
+  test('drains needs and counts down the level timer', () => {
+    const state = stateOutsideZones();
+    const { state: next, events } = stepGame(state, {}, dt);
+
+    expect(next.needs).toEqual(updateNeeds(state.needs, null, 1, dt));
+    expect(next.levelTime).toBeCloseTo(LEVEL_TIME - dt);
+    expect(events).toEqual([]);
+  });
+
+  test('recharges the need of the zone the unicorn stands in', () => {
+    const state = { ...createInitialState(), x: 25, y: 25 };
+    state.needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.needs.thirst).toBeGreaterThan(50);
+    expect(next.needs.hunger).toBeLessThan(50);
+  });
+
+  test('uses the layout carried in state', () => {
+    const state = stateOutsideZones();
+    state.layout = [{ id: 'barn', shape: { type: 'ellipse', cx: 50, cy: 50, rx: 10, ry: 10 } }];
+    state.needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.needs.energy).toBeGreaterThan(50);
+  });
+
+  test('walks the unicorn in the input direction', () => {
+    const state = stateOutsideZones();
+    const { state: next } = stepGame(state, { move: { x: 1, y: 0 } }, dt);
+
+    expect(next.x).toBeCloseTo(50 + UNICORN_SPEED * dt);
+    expect(next.y).toBe(50);
+  });
+
+  test('uses the zone the unicorn walks into', () => {
+    const state = { ...createInitialState(), x: 49.5, y: 25 };
+    state.needs = { hunger: 50, thirst: 50, energy: 50, fun: 50 };
+
+    const { state: next } = stepGame(state, { move: { x: 1, y: 0 } }, dt);
+    expect(next.x).toBeGreaterThan(51);
+    expect(next.needs.energy).toBeGreaterThan(50);
+  });
+
+  test('walks to a clicked destination over several ticks', () => {
+    let state = stateOutsideZones();
+    state = stepGame(state, { target: { x: 75, y: 75 } }, dt).state;
+    expect(state.target).toEqual({ x: 75, y: 75 });
+
+    state = runSteps(state, {}, 20, dt).state;
+    expect(state.x).toBe(75);
+    expect(state.y).toBe(75);
+    expect(state.target).toBeNull();
+  });
+
+  test('travel drains extra energy', () => {
+    const still = stepGame(stateOutsideZones(), {}, dt).state;
+    const walking = stepGame(stateOutsideZones(), { move: { x: 1, y: 0 } }, dt).state;
+    expect(walking.needs.energy).toBeLessThan(still.needs.energy);
+    expect(walking.needs.hunger).toBe(still.needs.hunger);
+  });
+
+  test('clears the destination when the level ends', () => {
+    const state = { ...stateOutsideZones(), levelTime: 0.05, target: { x: 90, y: 90 } };
+    expect(stepGame(state, {}, dt).state.target).toBeNull();
+  });
+
+  // Unicorn already caught by the monster
+  function caughtState(overrides = {}) {
+    const state = { ...stateOutsideZones(), eaten: true, ...overrides };
+    return { ...state, monster: monsterIn('chomping', { x: state.x, y: state.y }) };
+  }
+
+  test('does not move once caught', () => {
+    const state = caughtState();
+    const { state: next } = stepGame(state, { move: { x: 1, y: 0 } }, dt);
+    expect(next.x).toBe(50);
+  });
+
+  test('applies the given tuning', () => {
+    const tuning = { drainGrowth: 0, rechargeGrowth: 0 };
+    const state = { ...stateOutsideZones(), level: 4 };
+    const { state: next } = stepGame(state, {}, dt, tuning);
+    expect(next.needs).toEqual(updateNeeds(state.needs, null, 1, dt));
+  });
+
+  test('works without input', () => {
+    const state = createInitialState();
+    expect(stepGame(state, undefined, dt).state).toEqual(stepGame(state, {}, dt).state);
+  });
+
+  test('sends the monster after the unicorn when a need goes critical', () => {
+    const state = stateOutsideZones();
+    state.needs = { ...state.needs, hunger: 30.05 };
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.monster.state).toBe('chasing');
+    expect(next.eaten).toBe(false);
+    expect(events).toEqual([
+      { type: GAME_EVENTS.NEED_CRITICAL, level: 1, need: 'hunger' },
+      { type: GAME_EVENTS.MONSTER_TRIGGERED, level: 1 }
+    ]);
+  });
+
+  test('reports walking into a zone', () => {
+    const state = { ...stateOutsideZones(), x: 49.9, y: 25 };
+    const { events } = stepGame(state, { move: { x: -1, y: 0 } }, dt);
+    expect(events).toEqual([{ type: GAME_EVENTS.ZONE_ENTERED, level: 1, zone: 'lake' }]);
+  });
 
+  test('does not report staying in a zone or leaving it', () => {
+    const inLake = { ...createInitialState(), x: 25, y: 25 };
+    expect(stepGame(inLake, { move: { x: 1, y: 0 } }, dt).events).toEqual([]);
+    expect(stepGame({ ...inLake, x: 48.9 }, { move: { x: 1, y: 0 } }, 0.01).events).toEqual([]);
+  });
+
+  test('reports a need going critical only when it crosses the line', () => {
+    const state = { ...stateOutsideZones(), needs: { ...lowNeeds, thirst: 30.05 }, monster: monsterIn('idle') };
+    const { events } = stepGame(state, {}, dt);
+    expect(events).toContainEqual({ type: GAME_EVENTS.NEED_CRITICAL, level: 1, need: 'thirst' });
+    expect(events.filter(e => e.type === GAME_EVENTS.NEED_CRITICAL)).toHaveLength(1);
+  });
+
+  test('a shield blocks the trigger', () => {
+    const state = { ...stateOutsideZones(), effects: { shield: 1 } };
+    state.needs = { ...state.needs, hunger: 30.05 };
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.monster.state).toBe('retreating');
+    expect(next.effects).toEqual({});
+    expect(events).toEqual([
+      { type: GAME_EVENTS.NEED_CRITICAL, level: 1, need: 'hunger' },
+      { type: GAME_EVENTS.SHIELD_BLOCKED, level: 1 }
+    ]);
+  });
+
+  test('an escape charm frees the unicorn from the monster\'s jaws', () => {
+    const state = {
+      ...stateOutsideZones(), needs: lowNeeds, monster: monsterIn('chasing', { x: 47, y: 50 }), traits: { escape: 1 }
+    };
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.eaten).toBe(false);
+    expect(next.monster.state).toBe('retreating');
+    expect(next.traits).toEqual({});
+    expect(events).toEqual([{ type: GAME_EVENTS.MONSTER_ESCAPED, level: 1 }]);
+  });
+
+  test('picks up items the unicorn walks into', () => {
+    const state = { ...stateOutsideZones(), needs: { ...lowNeeds }, items: [itemAt('apple', 52, 50)] };
+    const { state: next, events } = stepGame(state, { target: { x: 52, y: 50 } }, dt);
+    expect(next.items).toEqual([]);
+    expect(next.needs.hunger).toBe(100);
+    expect(events).toContainEqual({ type: GAME_EVENTS.ITEM_COLLECTED, level: 1, item: 'apple' });
+  });
+
+  test('a star pauses drain', () => {
+    const state = { ...stateOutsideZones(), effects: { freeze: 5 } };
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.needs).toEqual(state.needs);
+    expect(next.effects.freeze).toBeCloseTo(5 - dt);
+  });
+
+  test('a heatwave doubles thirst drain', () => {
+    const state = stateOutsideZones();
+    const plain = stepGame(state, {}, 1).state;
+    const hot = stepGame({ ...state, worldEvents: [eventIn('heatwave')] }, {}, 1).state;
+    expect(100 - hot.needs.thirst).toBeCloseTo(2 * (100 - plain.needs.thirst));
+    expect(hot.needs.hunger).toBe(plain.needs.hunger);
+  });
+
+  test('a storm shuts the Festival Grounds', () => {
+    const state = { ...createInitialState(), x: 75, y: 75, needs: { ...lowNeeds, fun: 50 } };
+    const stormy = stepGame({ ...state, worldEvents: [eventIn('storm')] }, {}, 1).state;
+    expect(stormy.needs.fun).toBeLessThan(50);
+  });
+
+  test('reports world events starting and ending', () => {
+    const state = { ...stateOutsideZones(), worldEvents: [eventIn('storm', 0.05), eventIn('nightfall', 0, 0.05)] };
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(events).toEqual([
+      { type: GAME_EVENTS.WORLD_EVENT_STARTED, level: 1, event: 'storm' },
+      { type: GAME_EVENTS.WORLD_EVENT_ENDED, level: 1, event: 'nightfall' }
+    ]);
+    expect(next.worldEvents).toEqual([eventIn('storm')]);
+  });
+
+  test('spawns items over the level', () => {
+    const state = { ...stateOutsideZones(), spawnTimer: 0.05 };
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.items).toHaveLength(1);
+    expect(next.spawnTimer).toBe(getSpawnTable(1).interval);
+  });
+
+  test('only reports the trigger when the chase starts', () => {
+    const state = { ...stateOutsideZones(), needs: lowNeeds, monster: monsterIn('chasing') };
+    expect(stepGame(state, {}, dt).events).toEqual([]);
+  });
+
+  test('an empty need no longer ends the game by itself', () => {
+    const state = { ...stateOutsideZones(), needs: emptyNeeds };
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.status).toBeNull();
+    expect(next.eaten).toBe(false);
+  });
+
+  test('the monster catches the unicorn', () => {
+    const state = { ...stateOutsideZones(), needs: lowNeeds, monster: monsterIn('chasing', { x: 47, y: 50 }) };
+    state.target = { x: 90, y: 90 };
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.eaten).toBe(true);
+    expect(next.monster.state).toBe('chomping');
+    expect(next.target).toBeNull();
+    expect(next.levelTime).toBe(state.levelTime);
+    expect(events).toEqual([
+      { type: GAME_EVENTS.ZONE_ENTERED, level: 1, zone: 'play' },
+      { type: GAME_EVENTS.MONSTER_CAUGHT, level: 1 }
+    ]);
+  });
+
+  test('a unicorn that keeps running is not caught', () => {
+    let state = { ...stateOutsideZones(), x: 90, needs: lowNeeds, monster: monsterIn('chasing', { x: 10, y: 50 }) };
+    state = runSteps(state, { move: { x: 0, y: 1 } }, 10, dt).state;
+    expect(state.eaten).toBe(false);
+    expect(state.monster.state).toBe('chasing');
+  });
+
+  test('the barn scares the monster off', () => {
+    const state = { ...createInitialState(), x: 75, y: 25, needs: lowNeeds, monster: monsterIn('chasing', { x: 72, y: 25 }) };
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.eaten).toBe(false);
+    expect(next.monster.state).toBe('retreating');
+  });
+
+  test('completes the level when the timer runs out', () => {
+    const state = stateOutsideZones();
+    state.level = 3;
+    state.levelTime = 0.05;
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.status).toBe('nextlevel');
+    expect(next.levelTime).toBe(0);
+    expect(events).toEqual([{ type: GAME_EVENTS.LEVEL_COMPLETE, level: 3 }]);
+  });
+
+  test('does nothing once the level is over', () => {
+    const state = { ...createInitialState(), status: 'gameover' };
+    const result = stepGame(state, {}, dt);
+    expect(result.state).toBe(state);
+    expect(result.events).toEqual([]);
+  });
+
+  test('only advances the chomp once caught', () => {
+    const state = caughtState({ x: 60, y: 40, needs: emptyNeeds });
+
+    const { state: next, events } = stepGame(state, {}, 0.5);
+    expect(next.needs).toEqual(state.needs);
+    expect(next.levelTime).toBe(state.levelTime);
+    expect(next.monster).toEqual({ ...state.monster, timer: 0.5 });
+    expect(events).toEqual([]);
+  });
+
+  test('ends the game when the chomp finishes', () => {
+    const state = caughtState({ level: 2 });
+    state.monster.timer = MONSTER_CHOMP_TIME - 0.05;
+
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.status).toBe('gameover');
+    expect(events).toEqual([{ type: GAME_EVENTS.GAME_OVER, level: 2 }]);
+  });
+
+  test('scores each tick', () => {
+    const { state: next } = stepGame(stateOutsideZones(), {}, dt);
+    expect(next.score).toEqual(updateScore(createScore(), next.needs, dt));
+  });
+
+  test('adds the level bonus when the level is complete', () => {
+    const state = { ...stateOutsideZones(), levelTime: 0.05 };
+    const { state: next } = stepGame(state, {}, dt);
+    const expected = updateScore(createScore(), next.needs, dt).total + calculateLevelBonus(next.needs);
+    expect(next.score.total).toBe(expected);
+    expect(next.score.level).toBe(expected);
+  });
+
+  test('pays coins for the level\'s points in modes with a shop', () => {
+    const state = { ...stateOutsideZones(), levelTime: 0.05, coins: 3, score: { total: 900, level: 500, streak: 0 } };
+    const { state: next } = stepGame(state, {}, dt);
+    expect(next.coins).toBe(3 + calculateCoins(next.score.level));
+    expect(next.coins).toBeGreaterThan(3);
+
+    const endless = { ...state, mode: 'endless' };
+    expect(stepGame(endless, {}, dt).state.coins).toBe(3);
+  });
+
+  test('a well-kept unicorn earns three stars', () => {
+    // Standing in the lake at level 1 keeps every need above the threshold
+    const state = { ...createInitialState(), x: 25, y: 25 };
+    const { state: next } = runSteps(state, {}, Math.round(LEVEL_TIME / FIXED_DT) + 1);
+    expect(next.status).toBe('nextlevel');
+    expect(calculateStars(next.score.level)).toBe(3);
+  });
+
+  test('counts the length of the run', () => {
+    const state = { ...stateOutsideZones(), runTime: 12 };
+    expect(stepGame(state, {}, dt).state.runTime).toBeCloseTo(12 + dt);
+  });
+
+  test('stops the run clock once caught', () => {
+    const state = { ...caughtState(), runTime: 12 };
+    expect(stepGame(state, {}, dt).state.runTime).toBe(12);
+  });
+
+  test('stops scoring once caught', () => {
+    const state = { ...caughtState(), score: { total: 10, level: 10, streak: 0 } };
+    expect(stepGame(state, {}, dt).state.score).toEqual(state.score);
+  });
+
+  test('endless levels roll over without a break', () => {
+    const state = modeState('endless', { x: 50, y: 50, levelTime: 0.05 });
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.status).toBeNull();
+    expect(next.level).toBe(2);
+    expect(next.levelTime).toBe(LEVEL_TIME);
+    expect(next.needs.hunger).toBeLessThan(100);
+    expect(events).toEqual([{ type: GAME_EVENTS.LEVEL_COMPLETE, level: 1 }]);
+  });
+
+  test('endless drains faster as the level goes on', () => {
+    const early = stepGame(modeState('endless', { x: 50, y: 50 }), {}, dt).state;
+    const late = stepGame(modeState('endless', { x: 50, y: 50, levelTime: 1 }), {}, dt).state;
+    expect(late.needs.hunger).toBeLessThan(early.needs.hunger);
+  });
+
+  test('time attack clears a level after enough time thriving', () => {
+    const state = modeState('timeattack', { x: 50, y: 50, levelTime: 0.05 });
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.level).toBe(2);
+    expect(next.levelTime).toBe(TIME_ATTACK_GOAL);
+    expect(next.status).toBeNull();
+    expect(events).toEqual([{ type: GAME_EVENTS.LEVEL_COMPLETE, level: 1 }]);
+  });
+
+  test('time attack ends when the clock runs out', () => {
+    const state = modeState('timeattack', { x: 50, y: 50, level: 4, timeLeft: 0.05 });
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.status).toBe('timeup');
+    expect(next.timeLeft).toBe(0);
+    expect(events).toEqual([{ type: GAME_EVENTS.TIME_UP, level: 4 }]);
+  });
+
+  test('a level cleared on the last tick still counts', () => {
+    const state = modeState('timeattack', { x: 50, y: 50, levelTime: 0.05, timeLeft: 0.05 });
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.level).toBe(2);
+    expect(events.map(e => e.type)).toEqual([GAME_EVENTS.LEVEL_COMPLETE, GAME_EVENTS.TIME_UP]);
+  });
+
+  test('the global clock stops once caught', () => {
+    const state = { ...caughtState(), mode: 'timeattack', timeLeft: 30 };
+    expect(stepGame(state, {}, dt).state.timeLeft).toBe(30);
+  });
+
+  test('applies the challenge\'s modifiers', () => {
+    const state = modeState('daily', { x: 50, y: 50 });
+    const plain = stepGame({ ...state, challenge: { ...CHALLENGE, drain: {} } }, {}, 1).state;
+    const modified = stepGame({ ...state, challenge: CHALLENGE }, {}, 1).state;
+    expect(state.needs.hunger - modified.needs.hunger).toBeCloseTo((state.needs.hunger - plain.needs.hunger) * 0.5);
+  });
+
+  test('a challenge is complete once its target level is cleared', () => {
+    const state = modeState('daily', { x: 50, y: 50, level: 2, levelTime: 0.05 });
+    const { state: next, events } = stepGame(state, {}, dt);
+    expect(next.status).toBe('complete');
+    expect(next.level).toBe(2);
+    expect(events).toEqual([
+      { type: GAME_EVENTS.LEVEL_COMPLETE, level: 2 },
+      { type: GAME_EVENTS.CHALLENGE_COMPLETE, level: 2 }
+    ]);
+  });
+
+  test('levels before the target end in a normal break', () => {
+    const state = modeState('daily', { x: 50, y: 50, levelTime: 0.05 });
+    expect(stepGame(state, {}, dt).state.status).toBe('nextlevel');
+  });
+
+  test('draws one random number per tick', () => {
+    const state = createInitialState(DEFAULT_NEEDS, 77);
+    expect(stepGame(state, {}, dt).state.rng).toBe(nextRandom(77).seed);
+  });
+
+  test('the same seed and input always give the same result', () => {
+    const state = { ...createInitialState(DEFAULT_NEEDS, 5), level: MONSTER_PROWL_LEVEL, x: 50, y: 50 };
+    expect(runSteps(state, {}, 100, dt)).toEqual(runSteps(state, {}, 100, dt));
+  });
+
+  test('does not mutate the input state', () => {
+    const state = createInitialState();
+    stepGame(state, {}, dt);
+    expect(state).toEqual(createInitialState());
+  });
+});
+
+describe('runSteps', () => {
+  test('matches calling stepGame repeatedly', () => {
+    let expected = createInitialState();
+    for (let i = 0; i < 5; i++) {
+      expected = stepGame(expected, {}, FIXED_DT).state;
+    }
+    expect(runSteps(createInitialState(), {}, 5).state).toEqual(expected);
+  });
+
+  test('collects events from every tick', () => {
+    const state = { ...createInitialState(), levelTime: 0.05 };
+    const { state: next, events } = runSteps(state, {}, 10, 0.1);
+
+    expect(next.status).toBe('nextlevel');
+    expect(events).toEqual([{ type: GAME_EVENTS.LEVEL_COMPLETE, level: 1 }]);
+  });
+
+  test('zero steps returns the same state', () => {
+    const state = createInitialState();
+    expect(runSteps(state, {}, 0).state).toBe(state);
+  });
+
+  test('a full level takes LEVEL_TIME seconds of ticks', () => {
+    const ticks = Math.round(LEVEL_TIME / FIXED_DT);
+    const before = runSteps(createInitialState(), {}, ticks - 1).state;
+    expect(before.status).toBeNull();
+    expect(runSteps(before, {}, 2).state.status).toBe('nextlevel');
+  });
+});
+
+describe('advanceAccumulator', () => {
+  test('runs whole ticks and carries the remainder', () => {
+    const result = advanceAccumulator(0, 0.25, 0.1);
+    expect(result.steps).toBe(2);
+    expect(result.accumulator).toBeCloseTo(0.05);
+  });
+
+  test('adds leftover time from earlier frames', () => {
+    const result = advanceAccumulator(0.05, 0.06, 0.1);
+    expect(result.steps).toBe(1);
+    expect(result.accumulator).toBeCloseTo(0.01);
+  });
+
+  test('counts exact multiples despite floating point rounding', () => {
+    expect(advanceAccumulator(0, 0.15, 0.05).steps).toBe(3);
+  });
+
+  test('runs no ticks for short frames', () => {
+    const result = advanceAccumulator(0, FIXED_DT / 2);
+    expect(result.steps).toBe(0);
+    expect(result.accumulator).toBeCloseTo(FIXED_DT / 2);
+  });
+
+  test('caps long frames so a stalled tab does not fast-forward', () => {
+    const result = advanceAccumulator(0, 30, 0.05);
+    expect(result.steps).toBe(Math.round(MAX_FRAME_TIME / 0.05));
+  });
+
+  test('ignores negative frame times', () => {
+    expect(advanceAccumulator(0, -1).steps).toBe(0);
+  });
+});
+
+// ============================================
+// PERSISTENCE TESTS
+// ============================================
+
+describe('validateState', () => {
+  test('accepts a fresh state', () => {
+    expect(validateState(createInitialState())).toEqual([]);
+  });
+
+  test('accepts states mid-run', () => {
+    const { state } = stepGame({ ...createInitialState(), levelTime: 0.05 }, {}, 0.1);
+    expect(validateState(state)).toEqual([]);
+    expect(validateState({ ...createInitialState(), eaten: true, monster: monsterIn('chomping') })).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateState(null)).toEqual(['state must be an object']);
+    expect(validateState([])).toEqual(['state must be an object']);
+    expect(validateState('save')).toEqual(['state must be an object']);
+  });
+
+  test('rejects positions outside the world', () => {
+    const errors = validateState({ ...createInitialState(), x: 140 });
+    expect(errors).toEqual(['x and y must be numbers between 0 and 100']);
+  });
+
+  test('rejects out-of-range and unknown needs', () => {
+    const state = createInitialState();
+    state.needs = { ...state.needs, hunger: 250, boredom: 10 };
+
+    expect(validateState(state)).toEqual([
+      'needs.hunger must be a number between 0 and 100',
+      'needs.boredom is not a known need'
+    ]);
+  });
+
+  test('rejects empty needs', () => {
+    expect(validateState({ ...createInitialState(), needs: {} }))
+      .toEqual(['needs must be a non-empty object']);
+  });
+
+  test('rejects tampered level, timer and status', () => {
+    const state = { ...createInitialState(), level: 2.5, levelTime: -3, status: 'won' };
+    expect(validateState(state)).toEqual([
+      'level must be an integer of at least 1',
+      'levelTime must be a number of at least 0',
+      'status must be one of null, nextlevel, gameover, timeup, complete'
+    ]);
+  });
+
+  test('rejects malformed monster and eaten flag', () => {
+    const state = { ...createInitialState(), eaten: 'yes', monster: { x: 0 } };
+    expect(validateState(state)).toEqual([
+      'eaten must be a boolean',
+      'monster must have numeric x, y and timer'
+    ]);
+  });
+
+  test('rejects bad seeds', () => {
+    expect(validateState({ ...createInitialState(), rng: -1 })).toEqual(['rng must be an unsigned 32-bit integer']);
+  });
+
+  test('rejects unknown monster states and waypoints', () => {
+    const state = { ...createInitialState(), monster: { ...createMonster(), state: 'sleeping', waypoint: 9 } };
+    expect(validateState(state)).toEqual([
+      'monster.state must be one of idle, prowling, chasing, chomping, retreating',
+      'monster.waypoint must be an integer from 0 to 3'
+    ]);
+  });
+
+  test('rejects destinations outside the field', () => {
+    expect(validateState({ ...createInitialState(), target: { x: 50, y: 120 } }))
+      .toEqual(['target must be null or a position between 0 and 100']);
+    expect(validateState({ ...createInitialState(), target: 'barn' }))
+      .toEqual(['target must be null or a position between 0 and 100']);
+  });
+
+  test('rejects unknown modes and bad clocks', () => {
+    expect(validateState({ ...createInitialState(), mode: 'zen', timeLeft: -1 })).toEqual([
+      'mode must be one of classic, endless, timeattack, daily',
+      'timeLeft must be null or a number of at least 0'
+    ]);
+  });
+
+  test('checks the challenge', () => {
+    expect(validateState(modeState('daily'))).toEqual([]);
+    expect(validateState(modeState('daily', { challenge: { ...CHALLENGE, drain: null } })))
+      .toEqual(['challenge: drain must be an object']);
+    expect(validateState(modeState('daily', { challenge: null }))).toEqual(['challenge is required in daily mode']);
+  });
+
+  test('rejects bad power-ups', () => {
+    const state = {
+      ...createInitialState(),
+      items: [itemAt('anvil'), itemAt('apple', 50, 120)],
+      effects: { freeze: 0, fill: 1 },
+      spawnTimer: -1
+    };
+    expect(validateState(state)).toEqual([
+      'items[0] must reference a known item',
+      'items[1] (apple) must have a position between 0 and 100 and a timer above 0',
+      'effects.freeze must be a number above 0',
+      'effects.fill is not a lasting effect',
+      'spawnTimer must be a number of at least 0'
+    ]);
+  });
+
+  test('rejects bad world events', () => {
+    const state = { ...createInitialState(), worldEvents: [eventIn('eclipse', 0, 5), eventIn('storm', -1)] };
+    expect(validateState(state)).toEqual([
+      'worldEvents[0] must reference a known event',
+      'worldEvents[1] (storm) must have a delay of at least 0 and a timer above 0'
+    ]);
+    expect(validateState({ ...createInitialState(), worldEvents: null })).toEqual(['worldEvents must be an array']);
+  });
+
+  test('rejects bad coins and traits', () => {
+    const state = { ...createInitialState(), coins: 1.5, traits: { wings: 1, hydration: 4, bedding: 0 } };
+    expect(validateState(state)).toEqual([
+      'coins must be an integer of at least 0',
+      'traits.wings is not a known upgrade',
+      'traits.hydration must be an integer from 1 to 3',
+      'traits.bedding must be an integer from 1 to 3'
+    ]);
+    expect(validateState({ ...createInitialState(), traits: [] })).toEqual(['traits must be an object']);
+  });
+
+  test('rejects a bad campaign', () => {
+    const campaign = { ...CAMPAIGN, levels: [{ duration: 0 }] };
+    expect(validateState({ ...createInitialState(), campaign })).toEqual(['campaign: levels[0].duration must be a number above 0']);
+  });
+
+  test('rejects an assist that is not offered', () => {
+    expect(validateState({ ...createInitialState(), assist: 0 })).toEqual(['assist must be one of 1, 0.75, 0.5']);
+  });
+
+  test('rejects a bad run length', () => {
+    expect(validateState({ ...createInitialState(), runTime: -1 })).toEqual(['runTime must be a number of at least 0']);
+  });
+
+  test('rejects bad scores', () => {
+    const message = 'score must have total, level and streak of at least 0';
+    expect(validateState({ ...createInitialState(), score: null })).toEqual([message]);
+    expect(validateState({ ...createInitialState(), score: { total: 5, level: -1, streak: 0 } })).toEqual([message]);
+  });
+
+  test('rejects bad layouts', () => {
+    expect(validateState({ ...createInitialState(), layout: {} })).toEqual(['layout must be an array']);
+
+    const layout = [
+      { id: 'volcano', shape: { type: 'rect', x: 0, y: 0, w: 1, h: 1 } },
+      { id: 'lake', shape: { type: 'rect', x: 0, y: 0, w: -1, h: 1 } }
+    ];
+    expect(validateState({ ...createInitialState(), layout })).toEqual([
+      'layout[0] must reference a known zone',
+      'layout[1] (lake) has an invalid shape'
+    ]);
+  });
+});
+
+describe('serializeState and deserializeState', () => {
+  test('round-trips a state', () => {
+    const state = { ...createInitialState(), x: 42, level: 4, levelTime: 12.3 };
+    state.needs.thirst = 17.5;
+
+    expect(deserializeState(serializeState(state))).toEqual(state);
+  });
+
+  test('tags saves with the schema version', () => {
+    const save = JSON.parse(serializeState(createInitialState()));
+    expect(save.version).toBe(SAVE_VERSION);
+  });
+
+  test('rejects corrupt JSON', () => {
+    expect(() => deserializeState('{"version": 1, "sta')).toThrow('Invalid save: not valid JSON');
+  });
+
+  test('rejects non-object saves', () => {
+    expect(() => deserializeState('42')).toThrow('Invalid save: expected an object');
+    expect(() => deserializeState('null')).toThrow('Invalid save: expected an object');
+  });
+
+  test('rejects saves without a version', () => {
+    expect(() => deserializeState(JSON.stringify({ state: createInitialState() })))
+      .toThrow('Invalid save: missing or malformed version');
+  });
+
+  test('rejects saves from a newer version', () => {
+    const json = JSON.stringify({ version: SAVE_VERSION + 1, state: createInitialState() });
+    expect(() => deserializeState(json)).toThrow(`version ${SAVE_VERSION + 1} is newer`);
+  });
+
+  test('rejects tampered states with every problem listed', () => {
+    const state = { ...createInitialState(), level: 0, eaten: null };
+    expect(() => deserializeState(serializeState(state))).toThrow(
+      'Invalid save: level must be an integer of at least 1; eaten must be a boolean'
+    );
+  });
+});
+
+describe('migrateSave', () => {
+  const migrations = {
+    1: state => ({ ...state, stars: 0 }),
+    2: state => ({ ...state, stars: state.stars + 1, renamed: true })
+  };
+
+  test('returns current saves unchanged', () => {
+    const save = { version: SAVE_VERSION, state: createInitialState() };
+    expect(migrateSave(save)).toEqual(save);
+  });
+
+  test('runs every migration from the save version up', () => {
+    const result = migrateSave({ version: 1, state: { level: 3 } }, migrations, 3);
+    expect(result).toEqual({ version: 3, state: { level: 3, stars: 1, renamed: true } });
+  });
+
+  test('starts from the save version', () => {
+    const result = migrateSave({ version: 2, state: { stars: 5 } }, migrations, 3);
+    expect(result.state).toEqual({ stars: 6, renamed: true });
+  });
+
+  test('throws when a migration step is missing', () => {
+    expect(() => migrateSave({ version: 1, state: {} }, { 1: s => s }, 3))
+      .toThrow('Invalid save: no migration from version 2');
+  });
+
+  test('upgrades a version 1 save to run the chase on the game clock', () => {
+    const v1 = createInitialState();
+    v1.monster = { x: -20, y: 50, chomp: false };
+
+    delete v1.target;
+
+    const v2 = migrateSave({ version: 1, state: v1 }, MIGRATIONS, 2).state;
+    expect(v2.monster.chaseTime).toBe(0);
+    expect(validateState(deserializeState(JSON.stringify({ version: 1, state: v1 })))).toEqual([]);
+  });
+
+  test('upgrades a version 2 save with no destination', () => {
+    const v2 = createInitialState();
+    v2.monster = { x: -20, y: 50, chomp: false, chaseTime: 0 };
+    delete v2.target;
+
+    const state = deserializeState(JSON.stringify({ version: 2, state: v2 }));
+    expect(state.target).toBeNull();
+    expect(validateState(state)).toEqual([]);
+  });
+
+  test('upgrades a version 3 save to the monster state machine', () => {
+    const v3 = { ...createInitialState(), monster: { x: -20, y: 50, chomp: false, chaseTime: 0 } };
+    expect(deserializeState(JSON.stringify({ version: 3, state: v3 })).monster).toEqual(createMonster());
+  });
+
+  test('a version 3 save mid-chase resumes with the unicorn caught', () => {
+    const v3 = { ...createInitialState(), x: 30, y: 60, eaten: true, monster: { x: 30, y: 60, chomp: true, chaseTime: 3 } };
+    const state = deserializeState(JSON.stringify({ version: 3, state: v3 }));
+    expect(state.monster).toEqual({ x: 30, y: 60, state: 'chomping', timer: 0, waypoint: 0 });
+  });
+
+  test('upgrades a version 4 save with the default seed', () => {
+    const v4 = createInitialState();
+    delete v4.rng;
+    expect(deserializeState(JSON.stringify({ version: 4, state: v4 })).rng).toBe(DEFAULT_SEED);
+  });
+
+  test('upgrades a version 13 save with no campaign', () => {
+    const v13 = createInitialState();
+    delete v13.campaign;
+    expect(deserializeState(JSON.stringify({ version: 13, state: v13 })).campaign).toBeNull();
+  });
+
+  test('upgrades a version 12 save with the assist off', () => {
+    const v12 = createInitialState();
+    delete v12.assist;
+    expect(deserializeState(JSON.stringify({ version: 12, state: v12 })).assist).toBe(1);
+  });
+
+  test('upgrades a version 11 save with no coins or traits', () => {
+    const v11 = createInitialState();
+    delete v11.coins;
+    delete v11.traits;
+    const state = deserializeState(JSON.stringify({ version: 11, state: v11 }));
+    expect(state.coins).toBe(0);
+    expect(state.traits).toEqual({});
+  });
+
+  test('upgrades a version 10 save with no world events', () => {
+    const v10 = createInitialState();
+    delete v10.worldEvents;
+    expect(deserializeState(JSON.stringify({ version: 10, state: v10 })).worldEvents).toEqual([]);
+  });
+
+  test('upgrades a version 9 save with no power-ups', () => {
+    const v9 = { ...createInitialState(), level: 5 };
+    delete v9.items;
+    delete v9.effects;
+    delete v9.spawnTimer;
+    const state = deserializeState(JSON.stringify({ version: 9, state: v9 }));
+    expect(state.items).toEqual([]);
+    expect(state.effects).toEqual({});
+    expect(state.spawnTimer).toBe(getSpawnTable(5).interval);
+  });
+
+  test('upgrades a version 8 save with no challenge', () => {
+    const v8 = createInitialState();
+    delete v8.challenge;
+    expect(deserializeState(JSON.stringify({ version: 8, state: v8 })).challenge).toBeNull();
+  });
+
+  test('upgrades a version 7 save to a classic run', () => {
+    const v7 = createInitialState();
+    delete v7.mode;
+    delete v7.timeLeft;
+    const state = deserializeState(JSON.stringify({ version: 7, state: v7 }));
+    expect(state.mode).toBe('classic');
+    expect(state.timeLeft).toBeNull();
+  });
+
+  test('upgrades a version 6 save with an estimated run length', () => {
+    const v6 = { ...createInitialState(), level: 3, levelTime: 10 };
+    delete v6.runTime;
+    expect(deserializeState(JSON.stringify({ version: 6, state: v6 })).runTime).toBe(2 * LEVEL_TIME + LEVEL_TIME - 10);
+  });
+
+  test('upgrades a version 5 save with an empty score', () => {
+    const v5 = createInitialState();
+    delete v5.score;
+    expect(deserializeState(JSON.stringify({ version: 5, state: v5 })).score).toEqual(createScore());
+  });
+
+  test('has a migration for every past version', () => {
+    for (let v = 1; v < SAVE_VERSION; v++) {
+      expect(typeof MIGRATIONS[v]).toBe('function');
+    }
+  });
+});
+
+// ============================================
+// INTEGRATION TESTS
+// ============================================
+
+describe('Integration Tests', () => {
+  test('full game tick simulation at level 1', () => {
+    const state = createInitialState();
+    const dt = 0.1;
+    const zone = 'lake';
+
+    const newNeeds = updateNeeds(state.needs, zone, state.level, dt);
+    const newTime = updateLevelTimer(state.levelTime, dt);
+    const isGameOver = checkGameOver(newNeeds);
+    const isLevelComplete = checkLevelComplete(newTime);
+
+    expect(isGameOver).toBe(false);
+    expect(isLevelComplete).toBe(false);
+    expect(newNeeds.thirst).toBeGreaterThan(state.needs.thirst - 1); // Thirst recovering
+    expect(newTime).toBeLessThan(state.levelTime);
+  });
+
+  test('level progression flow', () => {
+    const initial = createInitialState();
+    expect(initial.level).toBe(1);
+
+    // Simulate completing level 1
+    const afterLevel1 = { ...initial, levelTime: 0, status: 'nextlevel' };
+    expect(checkLevelComplete(afterLevel1.levelTime)).toBe(true);
+
+    // Progress to level 2
+    const level2 = createNextLevelState(afterLevel1);
+    expect(level2.level).toBe(2);
+    expect(level2.levelTime).toBe(LEVEL_TIME);
+    expect(level2.needs.hunger).toBe(100);
+  });
+
+  test('game over flow', () => {
+    let state = { ...createInitialState(), x: 50, y: 50 };
+    state.needs.hunger = 0;
     expect(checkGameOver(state.needs)).toBe(true);
 
-    const chaseState = createMonsterChaseState(state);
-    expect(chaseState.eaten).toBe(true);
-    expect(chaseState.monster.x).toBe(-20);
+    // A unicorn that stands still is run down and eaten
+    const { state: end, events } = runSteps(state, {}, 600, 0.05);
+    expect(end.status).toBe('gameover');
+    expect(events.map(e => e.type)).toEqual([
+      GAME_EVENTS.MONSTER_TRIGGERED,
+      GAME_EVENTS.MONSTER_CAUGHT,
+      GAME_EVENTS.GAME_OVER
+    ]);
   });
 
   test('difficulty scaling across levels', () => {
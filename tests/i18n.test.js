@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for Unicorn Ranch Localization
+ */
+
+const {
+  // Constants
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  CATALOGS,
+
+  // Languages
+  getLanguage,
+  detectLanguage,
+
+  // Formatting
+  formatNumber,
+  formatList,
+  selectPlural,
+  translate,
+  createTranslator,
+
+  // Catalog Checks
+  findMissingKeys,
+  getPlaceholders
+} = require('../src/i18n');
+
+const { NEEDS, ZONES, GAME_MODES, EFFECTS, ITEMS, WORLD_EVENTS, UPGRADES, LEVEL_GOALS } = require('../src/gameLogic');
+const { ACTIONS, DEFAULT_BINDINGS, rebindKey } = require('../src/controls');
+const { SORT_FIELDS, CAUGHT_PROWLING, OUT_OF_TIME, CHALLENGE_DONE, parseLeaderboard } = require('../src/leaderboard');
+const { verifyShareCode } = require('../src/daily');
+const { parseCampaign } = require('../src/campaign');
+const { parseReplay } = require('../src/replay');
+const { ACHIEVEMENTS } = require('../src/achievements');
+const { VOLUME_CHANNELS } = require('../src/sound');
+const { ACCESSIBILITY_TOGGLES, EVENT_ANNOUNCEMENTS } = require('../src/accessibility');
+const { STRATEGIES } = require('../src/simulator');
+
+const languages = Object.keys(LANGUAGES);
+
+// ============================================
+// CATALOG TESTS
+// ============================================
+
+describe('CATALOGS', () => {
+  test('has a catalog for every language', () => {
+    expect(Object.keys(CATALOGS)).toEqual(languages);
+    expect(languages).toEqual(expect.arrayContaining(['en', 'es', 'ja']));
+  });
+
+  test.each(languages)('the %s catalog has every English message', language => {
+    expect(findMissingKeys(CATALOGS[language])).toEqual([]);
+  });
+
+  test.each(languages)('the %s catalog uses the same placeholders as English', language => {
+    Object.entries(CATALOGS[language]).forEach(([key, message]) => {
+      expect([key, getPlaceholders(message)]).toEqual([key, getPlaceholders(CATALOGS.en[key])]);
+    });
+  });
+
+  test('English names every registry entry', () => {
+    const keys = [
+      ...Object.keys(NEEDS).map(id => `need.${id}`),
+      ...Object.keys(ZONES).map(id => `zone.${id}`),
+      ...Object.keys(GAME_MODES).flatMap(id => [`mode.${id}.name`, `mode.${id}.description`]),
+      ...Object.keys(EFFECTS).map(id => `effect.${id}`),
+      ...Object.keys(ITEMS).map(id => `item.${id}`),
+      ...Object.keys(WORLD_EVENTS).flatMap(id => [`worldEvent.${id}.name`, `worldEvent.${id}.warning`]),
+      ...Object.keys(UPGRADES).flatMap(id => [`upgrade.${id}.name`, `upgrade.${id}.description`]),
+      ...Object.keys(ACHIEVEMENTS).flatMap(id => [`achievement.${id}.name`, `achievement.${id}.description`]),
+      ...ACTIONS.map(id => `action.${id}`),
+      ...VOLUME_CHANNELS.map(id => `volume.${id}`),
+      ...ACCESSIBILITY_TOGGLES.map(id => `a11y.${id}`),
+      ...[...Object.values(EVENT_ANNOUNCEMENTS).map(({ id }) => id), 'levelStarted'].map(id => `a11y.${id}`),
+      ...LEVEL_GOALS.map(id => `editor.goal.${id}`),
+      ...Object.keys(STRATEGIES).map(id => `strategy.${id}`),
+      ...SORT_FIELDS.map(id => `sort.${id}`),
+      ...[CAUGHT_PROWLING, OUT_OF_TIME, CHALLENGE_DONE].map(id => `cause.${id}`)
+    ];
+    expect(findMissingKeys(CATALOGS.en, Object.fromEntries(keys.map(key => [key, ''])))).toEqual([]);
+  });
+
+  test('English words every error the player can be shown', () => {
+    const thrown = [
+      () => rebindKey({ ...DEFAULT_BINDINGS, pause: ['KeyP'], up: ['ArrowUp'] }, 'up', 'KeyP', 1),
+      () => verifyShareCode('hello'),
+      () => verifyShareCode('20261399-1-10-AAAAAA'),
+      () => verifyShareCode('20261019-99-10-AAAAAA'),
+      () => verifyShareCode('20261019-1-10-AAAAAA'),
+      () => parseLeaderboard('['),
+      () => parseLeaderboard('null'),
+      () => parseLeaderboard('{"version":1}'),
+      () => parseCampaign('levels:'),
+      () => parseCampaign('{}'),
+      () => parseCampaign('{"version":1}'),
+      () => parseReplay('{'),
+      () => parseReplay('{}')
+    ].map(fail => {
+      try {
+        fail();
+      } catch (e) {
+        return e;
+      }
+      throw new Error(`${fail} did not throw`);
+    });
+    thrown.forEach(error => expect(error.id).toEqual(expect.any(String)));
+    expect(thrown.map(error => `error.${error.id}`).filter(key => !(key in CATALOGS.en))).toEqual([]);
+  });
+
+  test('English agrees with the registries it translates', () => {
+    expect(CATALOGS.en['zone.lake']).toBe(ZONES.lake.name);
+    expect(CATALOGS.en['need.fun']).toBe(NEEDS.fun.label);
+    expect(CATALOGS.en['upgrade.escape.description']).toBe(UPGRADES.escape.description);
+  });
+});
+
+describe('findMissingKeys', () => {
+  test('lists missing messages', () => {
+    const { 'zone.lake': lake, 'hud.title': title, ...rest } = CATALOGS.en;
+    expect(findMissingKeys(rest)).toEqual(['zone.lake', 'hud.title']);
+  });
+
+  test('lists messages in the wrong shape', () => {
+    const catalog = { ...CATALOGS.en, 'shop.coins': 'coins', 'victory.stars': { one: 'a star' }, 'hud.level': {} };
+    expect(findMissingKeys(catalog)).toEqual(['hud.level', 'shop.coins', 'victory.stars']);
+  });
+});
+
+describe('getPlaceholders', () => {
+  test('collects the placeholders of every plural form', () => {
+    expect(getPlaceholders('{b} and {a} and {b}')).toEqual(['a', 'b']);
+    expect(getPlaceholders({ one: '{count} thing', other: '{count} things of {owner}' })).toEqual(['count', 'owner']);
+  });
+});
+
+// ============================================
+// LANGUAGE TESTS
+// ============================================
+
+describe('getLanguage', () => {
+  test('finds supported languages', () => {
+    expect(getLanguage('ja')).toBe(LANGUAGES.ja);
+  });
+
+  test('is null for anything else', () => {
+    expect(getLanguage('fr')).toBeNull();
+    expect(getLanguage('constructor')).toBeNull();
+    expect(getLanguage(undefined)).toBeNull();
+  });
+});
+
+describe('detectLanguage', () => {
+  test('takes the first supported preference', () => {
+    expect(detectLanguage(['fr-FR', 'es-MX', 'en'])).toBe('es');
+    expect(detectLanguage(['JA'])).toBe('ja');
+  });
+
+  test('falls back to the default', () => {
+    expect(detectLanguage(['de'])).toBe(DEFAULT_LANGUAGE);
+    expect(detectLanguage(undefined)).toBe(DEFAULT_LANGUAGE);
+  });
+});
+
+// ============================================
+// FORMATTING TESTS
+// ============================================
+
+describe('formatNumber', () => {
+  test('groups digits the way each language does', () => {
+    expect(formatNumber('en', 12345)).toBe('12,345');
+    expect(formatNumber('es', 12345)).toBe('12.345');
+    expect(formatNumber('ja', 12345)).toBe('12,345');
+  });
+
+  test('writes decimals the way each language does', () => {
+    expect(formatNumber('en', 1.5)).toBe('1.5');
+    expect(formatNumber('es', 1.5)).toBe('1,5');
+  });
+});
+
+describe('formatList', () => {
+  test('lists alternatives', () => {
+    expect(formatList('en', ['P', 'Esc'])).toBe('P or Esc');
+    expect(formatList('es', ['P', 'Esc'])).toBe('P o Esc');
+  });
+});
+
+describe('selectPlural', () => {
+  const forms = { one: 'one', other: 'other' };
+
+  test('follows the language\'s plural rules', () => {
+    expect(selectPlural('en', forms, 1)).toBe('one');
+    expect(selectPlural('en', forms, 0)).toBe('other');
+    expect(selectPlural('es', forms, 1)).toBe('one');
+    expect(selectPlural('ja', forms, 1)).toBe('other');
+  });
+
+  test('uses "other" for categories a message lacks', () => {
+    expect(selectPlural('en', { other: 'other' }, 1)).toBe('other');
+  });
+});
+
+describe('translate', () => {
+  test('fills in placeholders', () => {
+    expect(translate('en', 'hud.eventWarning', { name: 'Storm', seconds: 3, warning: 'Hide!' }))
+      .toBe('Storm in 3s: Hide!');
+  });
+
+  test('formats numbers for the language', () => {
+    expect(translate('en', 'scores.newBest', { score: 12345 })).toBe('New personal best: 12,345!');
+    expect(translate('es', 'scores.newBest', { score: 12345 })).toBe('¡Nuevo récord personal: 12.345!');
+  });
+
+  test('picks the plural form for the count', () => {
+    expect(translate('en', 'shop.coins', { count: 1 })).toBe('1 coin to spend');
+    expect(translate('en', 'shop.coins', { count: 4 })).toBe('4 coins to spend');
+    expect(translate('es', 'shop.coins', { count: 1 })).toBe('1 moneda para gastar');
+    expect(translate('ja', 'shop.coins', { count: 4 })).toBe('使えるコイン：4枚');
+  });
+
+  test('translates registry entries by id', () => {
+    expect(translate('es', 'zone.barn')).toBe('Establo Acogedor');
+    expect(translate('ja', 'need.thirst')).toBe('のどの渇き');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('fr', 'zone.lake')).toBe('Crystal Lake');
+    expect(translate('es', 'no.such.key')).toBe('no.such.key');
+  });
+
+  test('leaves placeholders it has no value for', () => {
+    expect(translate('en', 'hud.targetLevel')).toBe('Level {level}');
+  });
+});
+
+describe('createTranslator', () => {
+  test('binds the language', () => {
+    const t = createTranslator('ja');
+    expect(t('hud.level')).toBe('レベル');
+    expect(t('hud.targetLevel', { level: 3 })).toBe('レベル3');
+    expect(t.number(1000)).toBe('1,000');
+    expect(t.list(['P', 'Esc'])).toBe(formatList('ja', ['P', 'Esc']));
+    expect(t.language).toBe('ja');
+    expect(t.locale).toBe('ja-JP');
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Unit Tests for Unicorn Ranch Leaderboard
+ */
+
+const {
+  // Constants
+  LEADERBOARD_VERSION,
+  MAX_ENTRIES,
+  CAUGHT_PROWLING,
+  OUT_OF_TIME,
+  CHALLENGE_DONE,
+
+  // Entries
+  createEntry,
+  formatRunTime,
+  getEntryKey,
+
+  // Board Functions
+  getPersonalBest,
+  isPersonalBest,
+  trimEntries,
+  addEntry,
+  mergeEntries,
+  sortEntries,
+  filterEntries,
+
+  // Import and Export
+  validateEntry,
+  validateEntries,
+  serializeLeaderboard,
+  parseLeaderboard
+} = require('../src/leaderboard');
+
+const { DEFAULT_NEEDS, createInitialState } = require('../src/gameLogic');
+
+/* A finished run; day is the day of January 2026 it ended on */
+function entry(score, day = 1, fields = {}) {
+  return {
+    mode: 'classic',
+    campaign: null,
+    assist: 1,
+    level: 1,
+    score,
+    runTime: 30,
+    cause: 'hunger',
+    date: new Date(Date.UTC(2026, 0, day)).toISOString(),
+    ...fields
+  };
+}
+
+// ============================================
+// ENTRY TESTS
+// ============================================
+
+describe('createEntry', () => {
+  const date = new Date(Date.UTC(2026, 4, 17, 9, 30));
+
+  test('records the outcome of a run', () => {
+    const state = {
+      ...createInitialState(),
+      level: 4,
+      score: { total: 1234.8, level: 100, streak: 0 },
+      runTime: 101.4,
+      needs: { hunger: 60, thirst: 12, energy: 25, fun: 90 }
+    };
+    expect(createEntry(state, date)).toEqual({
+      mode: 'classic',
+      campaign: null,
+      assist: 1,
+      level: 4,
+      score: 1234,
+      runTime: 101,
+      cause: 'thirst',
+      date: '2026-05-17T09:30:00.000Z'
+    });
+  });
+
+  test('tags campaign runs with the campaign', () => {
+    const campaign = { id: 'meadowlands', name: 'Meadowlands', levels: [{ duration: 10 }] };
+    expect(createEntry({ ...createInitialState(), campaign }, date).campaign).toBe('meadowlands');
+  });
+
+  test('records the drain assist the run was played with', () => {
+    expect(createEntry({ ...createInitialState(), assist: 0.5 }, date).assist).toBe(0.5);
+  });
+
+  test('blames the prowling monster when no need was critical', () => {
+    expect(createEntry(createInitialState(), date).cause).toBe(CAUGHT_PROWLING);
+  });
+
+  test('records the mode and the clock running out', () => {
+    const state = { ...createInitialState(DEFAULT_NEEDS, 1, 'timeattack'), status: 'timeup' };
+    const result = createEntry(state, date);
+    expect(result.mode).toBe('timeattack');
+    expect(result.cause).toBe(OUT_OF_TIME);
+  });
+
+  test('records a completed challenge', () => {
+    const state = { ...createInitialState(), status: 'complete' };
+    expect(createEntry(state, date).cause).toBe(CHALLENGE_DONE);
+  });
+
+  test('creates valid entries', () => {
+    expect(validateEntry(createEntry(createInitialState(), date))).toEqual([]);
+  });
+});
+
+describe('formatRunTime', () => {
+  test('shows minutes and seconds', () => {
+    expect(formatRunTime(0)).toBe('0:00');
+    expect(formatRunTime(125.4)).toBe('2:05');
+    expect(formatRunTime(3600)).toBe('60:00');
+  });
+});
+
+describe('getEntryKey', () => {
+  test('is the same for the same run', () => {
+    expect(getEntryKey(entry(10))).toBe(getEntryKey(entry(10)));
+    expect(getEntryKey(entry(10))).not.toBe(getEntryKey(entry(11)));
+  });
+});
+
+// ============================================
+// BOARD TESTS
+// ============================================
+
+describe('getPersonalBest', () => {
+  test('finds the highest score', () => {
+    const best = entry(500, 2);
+    expect(getPersonalBest([entry(100, 1), best, entry(300, 3)])).toBe(best);
+  });
+
+  test('prefers the earliest run on a tie', () => {
+    const first = entry(500, 2);
+    expect(getPersonalBest([entry(500, 5), first])).toBe(first);
+  });
+
+  test('is null for an empty board', () => {
+    expect(getPersonalBest([])).toBeNull();
+  });
+});
+
+describe('isPersonalBest', () => {
+  test('needs to beat the previous best', () => {
+    const board = [entry(100), entry(300)];
+    expect(isPersonalBest(board, entry(301))).toBe(true);
+    expect(isPersonalBest(board, entry(300))).toBe(false);
+  });
+
+  test('only compares runs in the same mode', () => {
+    const board = [entry(300), entry(100, 1, { mode: 'endless' })];
+    expect(isPersonalBest(board, entry(200, 2, { mode: 'endless' }))).toBe(true);
+  });
+
+  test('only compares runs of the same campaign', () => {
+    const board = [entry(300), entry(500, 1, { campaign: 'meadowlands' })];
+    expect(isPersonalBest(board, entry(400, 2, { campaign: 'meadowlands' }))).toBe(false);
+    expect(isPersonalBest(board, entry(400, 2, { campaign: 'islands' }))).toBe(true);
+    expect(isPersonalBest([entry(500, 1, { campaign: 'meadowlands' })], entry(400, 2))).toBe(true);
+  });
+
+  test('only compares runs played with the same assist', () => {
+    const board = [entry(300), entry(500, 1, { assist: 0.5 })];
+    expect(isPersonalBest(board, entry(400, 2, { assist: 0.5 }))).toBe(false);
+    expect(isPersonalBest(board, entry(400, 2, { assist: 0.75 }))).toBe(true);
+    expect(isPersonalBest([entry(500, 1, { assist: 0.5 })], entry(400, 2))).toBe(true);
+  });
+
+  test('the first scoring run is a best', () => {
+    expect(isPersonalBest([], entry(10))).toBe(true);
+    expect(isPersonalBest([], entry(0))).toBe(false);
+  });
+});
+
+describe('trimEntries', () => {
+  test('keeps the newest runs', () => {
+    const board = [entry(1, 1), entry(2, 3), entry(3, 2)];
+    expect(trimEntries(board, 2)).toEqual([entry(2, 3), entry(3, 2)]);
+  });
+
+  test('never drops the personal best', () => {
+    const board = [entry(900, 1), entry(2, 3), entry(3, 2)];
+    expect(trimEntries(board, 2)).toEqual([entry(2, 3), entry(900, 1)]);
+  });
+
+  test('keeps the best of every mode', () => {
+    const board = [entry(900, 1), entry(50, 2, { mode: 'endless' }), entry(2, 4), entry(3, 3)];
+    expect(trimEntries(board, 3)).toEqual([entry(2, 4), entry(50, 2, { mode: 'endless' }), entry(900, 1)]);
+  });
+
+  test('does not keep a campaign run for its score', () => {
+    const board = [entry(900, 1, { campaign: 'meadowlands' }), entry(5, 2), entry(2, 4), entry(3, 3)];
+    expect(trimEntries(board, 2)).toEqual([entry(2, 4), entry(5, 2)]);
+  });
+
+  test('does not keep an assisted run for its score', () => {
+    const board = [entry(900, 1, { assist: 0.5 }), entry(5, 2), entry(2, 4), entry(3, 3)];
+    expect(trimEntries(board, 2)).toEqual([entry(2, 4), entry(5, 2)]);
+  });
+
+  test('defaults to MAX_ENTRIES', () => {
+    const board = Array.from({ length: MAX_ENTRIES + 5 }, (_, i) => entry(i, 1, { runTime: i }));
+    expect(trimEntries(board)).toHaveLength(MAX_ENTRIES);
+  });
+});
+
+describe('addEntry', () => {
+  test('adds the run and flags a new best', () => {
+    const run = entry(400, 9);
+    const result = addEntry([entry(300, 1)], run);
+    expect(result.entries).toEqual([run, entry(300, 1)]);
+    expect(result.personalBest).toBe(true);
+  });
+
+  test('an ordinary run is not a best', () => {
+    expect(addEntry([entry(300, 1)], entry(200, 9)).personalBest).toBe(false);
+  });
+
+  test('does not mutate the board', () => {
+    const board = [entry(300, 1)];
+    addEntry(board, entry(200, 9));
+    expect(board).toEqual([entry(300, 1)]);
+  });
+});
+
+describe('mergeEntries', () => {
+  test('adds runs from another board once', () => {
+    const mine = [entry(100, 1), entry(200, 2)];
+    const theirs = [entry(200, 2), entry(300, 3)];
+    expect(mergeEntries(mine, theirs)).toEqual([entry(300, 3), entry(200, 2), entry(100, 1)]);
+  });
+});
+
+describe('sortEntries', () => {
+  const board = [
+    entry(100, 1, { level: 3, runTime: 90 }),
+    entry(300, 2, { level: 2, runTime: 70 }),
+    entry(200, 3, { level: 5, runTime: 150 })
+  ];
+  const scores = entries => entries.map(e => e.score);
+
+  test('sorts by every field', () => {
+    expect(scores(sortEntries(board, 'score'))).toEqual([300, 200, 100]);
+    expect(scores(sortEntries(board, 'level'))).toEqual([200, 100, 300]);
+    expect(scores(sortEntries(board, 'runTime'))).toEqual([200, 100, 300]);
+    expect(scores(sortEntries(board, 'date'))).toEqual([200, 300, 100]);
+  });
+
+  test('sorts ascending', () => {
+    expect(scores(sortEntries(board, 'score', 'asc'))).toEqual([100, 200, 300]);
+  });
+
+  test('puts the newest run first on a tie', () => {
+    const tied = [entry(100, 1), entry(100, 5)];
+    expect(sortEntries(tied, 'score')[0]).toEqual(entry(100, 5));
+  });
+
+  test('rejects unknown fields', () => {
+    expect(() => sortEntries(board, 'colour')).toThrow('Unknown sort field: colour');
+  });
+});
+
+describe('filterEntries', () => {
+  const board = [
+    entry(100, 1, { cause: 'thirst', level: 2 }),
+    entry(200, 2, { cause: CAUGHT_PROWLING, level: 4 }),
+    entry(300, 3, { cause: 'thirst', level: 6 })
+  ];
+
+  test('filters by mode', () => {
+    const endless = entry(50, 4, { mode: 'endless' });
+    expect(filterEntries([...board, endless], { mode: 'endless' })).toEqual([endless]);
+  });
+
+  test('filters by campaign, or to regular runs with null', () => {
+    const campaign = entry(999, 4, { campaign: 'meadowlands' });
+    expect(filterEntries([...board, campaign], { campaign: 'meadowlands' })).toEqual([campaign]);
+    expect(filterEntries([...board, campaign], { campaign: null })).toEqual(board);
+  });
+
+  test('filters by assist', () => {
+    const assisted = entry(999, 4, { assist: 0.75 });
+    expect(filterEntries([...board, assisted], { assist: 0.75 })).toEqual([assisted]);
+    expect(filterEntries([...board, assisted], { assist: 1 })).toEqual(board);
+  });
+
+  test('keeps everything without a filter', () => {
+    expect(filterEntries(board)).toEqual(board);
+  });
+
+  test('filters by cause', () => {
+    expect(filterEntries(board, { cause: 'thirst' })).toEqual([board[0], board[2]]);
+  });
+
+  test('filters by level reached', () => {
+    expect(filterEntries(board, { minLevel: 4 })).toEqual([board[1], board[2]]);
+  });
+
+  test('combines filters', () => {
+    expect(filterEntries(board, { cause: 'thirst', minLevel: 4 })).toEqual([board[2]]);
+  });
+});
+
+// ============================================
+// IMPORT AND EXPORT TESTS
+// ============================================
+
+describe('validateEntry', () => {
+  test('accepts a well-formed entry', () => {
+    expect(validateEntry(entry(100))).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateEntry(null)).toEqual(['must be an object']);
+  });
+
+  test('reports every bad field', () => {
+    const bad = { mode: 'zen', campaign: '', assist: 2, level: 0, score: 1.5, runTime: -1, cause: 'boredom', date: 'yesterday' };
+    expect(validateEntry(bad)).toEqual([
+      'mode must be one of classic, endless, timeattack, daily',
+      'campaign must be null or a non-empty string',
+      'assist must be one of 1, 0.75, 0.5',
+      'level must be an integer of at least 1',
+      'score must be an integer of at least 0',
+      'runTime must be a number of at least 0',
+      'cause must be a need, monster, time or complete',
+      'date must be an ISO date string'
+    ]);
+  });
+});
+
+describe('validateEntries', () => {
+  test('points at the bad entry', () => {
+    expect(validateEntries([entry(1), { ...entry(2), level: 0 }]))
+      .toEqual(['entries[1] level must be an integer of at least 1']);
+  });
+
+  test('rejects non-arrays', () => {
+    expect(validateEntries({})).toEqual(['entries must be an array']);
+  });
+});
+
+describe('serializeLeaderboard and parseLeaderboard', () => {
+  test('round-trips a board', () => {
+    const board = [entry(100, 1), entry(200, 2, { cause: CAUGHT_PROWLING })];
+    expect(parseLeaderboard(serializeLeaderboard(board))).toEqual(board);
+  });
+
+  test('tags the export with its version', () => {
+    expect(JSON.parse(serializeLeaderboard([])).version).toBe(LEADERBOARD_VERSION);
+  });
+
+  test('rejects corrupt JSON', () => {
+    expect(() => parseLeaderboard('[')).toThrow('Invalid leaderboard: not valid JSON');
+  });
+
+  test('rejects unknown versions', () => {
+    const message = `Invalid leaderboard: version must be from 1 to ${LEADERBOARD_VERSION}`;
+    expect(() => parseLeaderboard('{"version":99,"entries":[]}')).toThrow(message);
+    expect(() => parseLeaderboard('null')).toThrow(message);
+  });
+
+  test('rejects a missing entry list', () => {
+    expect(() => parseLeaderboard(JSON.stringify({ version: LEADERBOARD_VERSION })))
+      .toThrow('Invalid leaderboard: entries must be an array');
+  });
+
+  test('upgrades a version 1 board to classic runs', () => {
+    const { mode, assist, campaign, ...old } = entry(100);
+    expect(parseLeaderboard(JSON.stringify({ version: 1, entries: [old] }))).toEqual([entry(100)]);
+  });
+
+  test('upgrades a version 2 board to unassisted runs', () => {
+    const { assist, campaign, ...old } = entry(100);
+    expect(parseLeaderboard(JSON.stringify({ version: 2, entries: [old] }))).toEqual([entry(100)]);
+  });
+
+  test('upgrades a version 3 board to regular runs', () => {
+    const { campaign, ...old } = entry(100);
+    expect(parseLeaderboard(JSON.stringify({ version: 3, entries: [old] }))).toEqual([entry(100)]);
+  });
+
+  test('rejects invalid entries', () => {
+    const json = JSON.stringify({ version: LEADERBOARD_VERSION, entries: [{ ...entry(1), score: -5 }] });
+    expect(() => parseLeaderboard(json)).toThrow('Invalid leaderboard: entries[0] score must be an integer of at least 0');
+  });
+
+  test('names the catalog message for each problem', () => {
+    const json = JSON.stringify({ version: LEADERBOARD_VERSION, entries: [{ ...entry(1), score: -5, level: 0 }] });
+    expect(() => parseLeaderboard('[')).toThrow(expect.objectContaining({ id: 'leaderboard.json' }));
+    expect(() => parseLeaderboard('null')).toThrow(expect.objectContaining({ id: 'leaderboard.version' }));
+    expect(() => parseLeaderboard(json)).toThrow(expect.objectContaining({ id: 'leaderboard.invalid', params: { count: 2 } }));
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Unit Tests for Unicorn Ranch Replays
+ */
+
+const {
+  // Constants
+  REPLAY_VERSION,
+  NEXT_LEVEL,
+  BUY_UPGRADE,
+  REPLAY_SPEEDS,
+
+  // Input Functions
+  quantizeInput,
+  playSteps,
+
+  // Recording Functions
+  startRecording,
+  recordSteps,
+  recordNextLevel,
+  recordPurchase,
+  finishRecording,
+
+  // Replay Files
+  validateReplay,
+  serializeReplay,
+  parseReplay,
+
+  // Playback Functions
+  createPlayer,
+  isPlayerDone,
+  advancePlayer,
+  playReplay
+} = require('../src/replay');
+
+const {
+  DEFAULT_NEEDS,
+  GAME_EVENTS,
+  buyUpgrade,
+  createInitialState,
+  createNextLevelState,
+  runSteps
+} = require('../src/gameLogic');
+
+/*
+ * Plays a scripted session the way the browser loop does: each frame runs
+ * a few ticks with the current input and records them, upgrades are
+ * bought and a finished level is continued. Returns the final state
+ * alongside the recording.
+ */
+function playSession(start, frames) {
+  let state = start;
+  let recording = startRecording(start);
+
+  frames.forEach(frame => {
+    if (frame === NEXT_LEVEL) {
+      recording = recordNextLevel(recording);
+      state = createNextLevelState(state);
+      return;
+    }
+    if (frame.buy) {
+      recording = recordPurchase(recording, frame.buy);
+      state = buyUpgrade(state, frame.buy);
+      return;
+    }
+    const input = quantizeInput(frame.input);
+    recording = recordSteps(recording, input, frame.steps);
+    state = playSteps(state, input, frame.steps).state;
+  });
+
+  return { state, recording };
+}
+
+// Walks around, clears level 1 in the barn and carries on into level 2
+const SESSION = [
+  { input: { move: { x: 0.7071, y: 0.7071 } }, steps: 30 },
+  { input: { target: { x: 75.123, y: 20.456 } }, steps: 2 },
+  { input: {}, steps: 600 },
+  { input: { move: { x: -0.333, y: 0 } }, steps: 3 },
+  { input: { target: { x: 70, y: 30 } }, steps: 4 },
+  { input: {}, steps: 1200 },
+  NEXT_LEVEL,
+  { input: { move: { x: 0, y: 1 } }, steps: 45 },
+  { input: {}, steps: 300 }
+];
+
+// The same session, shopping during the level break
+const SHOPPING_SESSION = [...SESSION.slice(0, 6), { buy: 'hydration' }, ...SESSION.slice(6)];
+
+// ============================================
+// INPUT TESTS
+// ============================================
+
+describe('quantizeInput', () => {
+  test('rounds movement and destinations', () => {
+    expect(quantizeInput({ move: { x: 0.70711, y: -0.123 }, target: { x: 12.3456, y: 99.999 } }))
+      .toEqual({ move: { x: 0.71, y: -0.12 }, target: { x: 12.35, y: 100 } });
+  });
+
+  test('fills in missing parts', () => {
+    expect(quantizeInput({})).toEqual({ move: { x: 0, y: 0 }, target: null });
+    expect(quantizeInput()).toEqual({ move: { x: 0, y: 0 }, target: null });
+  });
+});
+
+describe('playSteps', () => {
+  test('applies the destination on the first tick only', () => {
+    const state = { ...createInitialState(), x: 50, y: 50 };
+    const input = quantizeInput({ target: { x: 52, y: 50 } });
+    const { state: next } = playSteps(state, input, 10);
+    expect(next.x).toBe(52);
+    expect(next.target).toBeNull();
+  });
+
+  test('holds the direction on every tick', () => {
+    const state = { ...createInitialState(), x: 50, y: 50 };
+    const input = quantizeInput({ move: { x: 1, y: 0 } });
+    expect(playSteps(state, input, 5).state).toEqual(runSteps(state, input, 5).state);
+  });
+
+  test('zero steps changes nothing', () => {
+    const state = createInitialState();
+    expect(playSteps(state, quantizeInput({}), 0)).toEqual({ state, events: [] });
+  });
+});
+
+// ============================================
+// RECORDING TESTS
+// ============================================
+
+describe('recordSteps', () => {
+  const input = move => quantizeInput({ move });
+
+  test('counts ticks', () => {
+    const recording = recordSteps(startRecording(createInitialState()), input({ x: 0, y: 0 }), 7);
+    expect(recording.ticks).toBe(7);
+  });
+
+  test('records direction changes only', () => {
+    let recording = startRecording(createInitialState());
+    recording = recordSteps(recording, input({ x: 1, y: 0 }), 3);
+    recording = recordSteps(recording, input({ x: 1, y: 0 }), 3);
+    recording = recordSteps(recording, input({ x: 0, y: 0 }), 3);
+    expect(recording.inputs).toEqual([[0, 1, 0], [6, 0, 0]]);
+  });
+
+  test('standing still is not recorded', () => {
+    const recording = recordSteps(startRecording(createInitialState()), input({ x: 0, y: 0 }), 5);
+    expect(recording.inputs).toEqual([]);
+  });
+
+  test('records every destination', () => {
+    const target = quantizeInput({ target: { x: 20, y: 30 } });
+    let recording = startRecording(createInitialState());
+    recording = recordSteps(recording, target, 2);
+    recording = recordSteps(recording, target, 2);
+    expect(recording.inputs).toEqual([[0, 0, 0, 20, 30], [2, 0, 0, 20, 30]]);
+  });
+
+  test('does not mutate the recording', () => {
+    const recording = startRecording(createInitialState());
+    recordSteps(recording, input({ x: 1, y: 0 }), 3);
+    expect(recording.ticks).toBe(0);
+    expect(recording.inputs).toEqual([]);
+  });
+});
+
+describe('recordNextLevel', () => {
+  test('marks the tick the player continued on', () => {
+    let recording = recordSteps(startRecording(createInitialState()), quantizeInput({}), 12);
+    recording = recordNextLevel(recording);
+    expect(recording.inputs).toEqual([[12, NEXT_LEVEL]]);
+  });
+});
+
+describe('recordPurchase', () => {
+  test('marks the tick and the upgrade bought', () => {
+    let recording = recordSteps(startRecording(createInitialState()), quantizeInput({}), 12);
+    recording = recordPurchase(recording, 'bedding');
+    expect(recording.inputs).toEqual([[12, BUY_UPGRADE, 'bedding']]);
+  });
+});
+
+describe('finishRecording', () => {
+  test('a fresh run stores just its seed', () => {
+    const start = createInitialState(DEFAULT_NEEDS, 42);
+    const { state, recording } = playSession(start, SESSION.slice(0, 2));
+    const replay = finishRecording(recording, state);
+
+    expect(replay).toEqual({
+      version: REPLAY_VERSION,
+      seed: 42,
+      needs: DEFAULT_NEEDS,
+      ticks: 32,
+      inputs: recording.inputs,
+      outcome: { level: 1, status: null }
+    });
+  });
+
+  test('a resumed run stores its starting state', () => {
+    const start = { ...createInitialState(DEFAULT_NEEDS, 42), level: 3, x: 80 };
+    const replay = finishRecording(startRecording(start), start);
+    expect(replay.start).toEqual(start);
+  });
+});
+
+// ============================================
+// REPLAY FILE TESTS
+// ============================================
+
+describe('validateReplay', () => {
+  const valid = () => finishRecording(playSession(createInitialState(), SESSION.slice(0, 2)).recording, createInitialState());
+
+  test('accepts a finished recording', () => {
+    expect(validateReplay(valid())).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateReplay(null)).toEqual(['replay must be an object']);
+    expect(validateReplay([])).toEqual(['replay must be an object']);
+  });
+
+  test('rejects bad headers', () => {
+    const replay = { ...valid(), version: 99, seed: -1, needs: [], ticks: 1.5, inputs: [] };
+    expect(validateReplay(replay)).toEqual([
+      `version must be ${REPLAY_VERSION}`,
+      'seed must be an unsigned 32-bit integer',
+      'needs must be a non-empty array',
+      'ticks must be an integer of at least 0'
+    ]);
+  });
+
+  test('rejects malformed, unordered and late entries', () => {
+    const replay = { ...valid(), ticks: 10, inputs: [[5, 1, 0], [2, 0, 0], [3, 'jump'], [11, NEXT_LEVEL]] };
+    expect(validateReplay(replay)).toEqual([
+      'inputs[1] is out of order',
+      'inputs[2] is malformed',
+      'inputs[3] is after the last tick'
+    ]);
+  });
+
+  test('rejects purchases of unknown upgrades', () => {
+    const replay = { ...valid(), ticks: 10, inputs: [[1, BUY_UPGRADE, 'bedding'], [2, BUY_UPGRADE, 'wings']] };
+    expect(validateReplay(replay)).toEqual(['inputs[1] is malformed']);
+  });
+
+  test('checks the starting state', () => {
+    const replay = { ...valid(), start: { ...createInitialState(), level: 0 } };
+    expect(validateReplay(replay)).toEqual(['start: level must be an integer of at least 1']);
+  });
+});
+
+describe('serializeReplay and parseReplay', () => {
+  test('round-trips a replay', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 7), SESSION);
+    const replay = finishRecording(recording, state);
+    expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+  });
+
+  test('rejects corrupt JSON', () => {
+    expect(() => parseReplay('{"version":')).toThrow('Invalid replay: not valid JSON');
+  });
+
+  test('rejects invalid replays', () => {
+    expect(() => parseReplay('{}')).toThrow('Invalid replay: version must be 1');
+  });
+
+  test('rejects unknown needs', () => {
+    const replay = { version: REPLAY_VERSION, seed: 1, needs: ['wanderlust'], ticks: 0, inputs: [] };
+    expect(() => parseReplay(JSON.stringify(replay))).toThrow('Invalid replay: Unknown need: wanderlust');
+  });
+
+  test('names the catalog message for each problem', () => {
+    expect(() => parseReplay('{"version":')).toThrow(expect.objectContaining({ id: 'replay.json' }));
+    expect(() => parseReplay('{}')).toThrow(expect.objectContaining({ id: 'replay.invalid' }));
+  });
+});
+
+// ============================================
+// PLAYBACK TESTS
+// ============================================
+
+describe('createPlayer', () => {
+  test('starts from the seed', () => {
+    const replay = { version: REPLAY_VERSION, seed: 9, needs: ['hunger'], ticks: 0, inputs: [] };
+    expect(createPlayer(replay).state).toEqual(createInitialState(['hunger'], 9));
+  });
+
+  test('starts from a stored state', () => {
+    const start = { ...createInitialState(), level: 4 };
+    const replay = finishRecording(startRecording(start), start);
+    expect(createPlayer(replay).state).toEqual(start);
+  });
+});
+
+describe('playReplay', () => {
+  test('reaches exactly the recorded outcome', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 2024), SESSION);
+    const replay = parseReplay(serializeReplay(finishRecording(recording, state)));
+
+    const result = playReplay(replay);
+    expect(result.state).toEqual(state);
+    expect({ level: result.state.level, status: result.state.status }).toEqual(replay.outcome);
+  });
+
+  test('the session covers a level change', () => {
+    const { state } = playSession(createInitialState(DEFAULT_NEEDS, 2024), SESSION);
+    expect(state.level).toBe(2);
+  });
+
+  test('replays upgrades bought between levels', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 2024), SHOPPING_SESSION);
+    const replay = parseReplay(serializeReplay(finishRecording(recording, state)));
+    expect(state.traits).toEqual({ hydration: 1 });
+    expect(playReplay(replay).state).toEqual(state);
+  });
+
+  test('is the same every time', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 5), SESSION);
+    const replay = finishRecording(recording, state);
+    expect(playReplay(replay)).toEqual(playReplay(replay));
+  });
+
+  test('reports the events of the run', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 5), SESSION.slice(0, 6));
+    const { events } = playReplay(finishRecording(recording, state));
+    expect(events.map(e => e.type)).toContain(GAME_EVENTS.LEVEL_COMPLETE);
+  });
+
+  test('different seeds can play out differently', () => {
+    // At level 3 the monster prowls from a random corner
+    const start = seed => ({ ...createInitialState(DEFAULT_NEEDS, seed), level: 3, x: 50, y: 50 });
+    const frames = [{ input: {}, steps: 120 }];
+    const positions = [1, 2, 3, 4, 5, 6].map(seed => {
+      const { monster } = playSession(start(seed), frames).state;
+      return `${monster.x.toFixed(1)},${monster.y.toFixed(1)}`;
+    });
+    expect(new Set(positions).size).toBeGreaterThan(1);
+  });
+
+  test('replays a resumed run from its stored start', () => {
+    const start = { ...createInitialState(DEFAULT_NEEDS, 3), level: 2, x: 60, y: 60 };
+    const { state, recording } = playSession(start, SESSION.slice(0, 4));
+    const replay = finishRecording(recording, state);
+    expect(playReplay(replay).state).toEqual(state);
+  });
+});
+
+describe('advancePlayer', () => {
+  test('playing in chunks matches playing in one go', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 11), SESSION);
+    const replay = finishRecording(recording, state);
+
+    let player = createPlayer(replay);
+    while (!isPlayerDone(player)) {
+      player = advancePlayer(player, 37);
+    }
+    expect(player.state).toEqual(playReplay(replay).state);
+  });
+
+  test('stops at the end of the replay', () => {
+    const { state, recording } = playSession(createInitialState(), SESSION.slice(0, 1));
+    const player = advancePlayer(createPlayer(finishRecording(recording, state)), 1000);
+    expect(player.tick).toBe(30);
+    expect(isPlayerDone(player)).toBe(true);
+  });
+
+  test('only reports the events of this call', () => {
+    const { state, recording } = playSession(createInitialState(DEFAULT_NEEDS, 5), SESSION.slice(0, 6));
+    const replay = finishRecording(recording, state);
+    const done = advancePlayer(createPlayer(replay), replay.ticks);
+    expect(advancePlayer(done, 10).events).toEqual([]);
+  });
+
+  test('offers a range of playback speeds', () => {
+    expect(REPLAY_SPEEDS).toContain(1);
+    expect(REPLAY_SPEEDS.every(speed => speed > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * Unit Tests for Unicorn Ranch Balance Simulator
+ */
+
+const {
+  // Constants
+  DEFAULT_LEVELS,
+  DEFAULT_TRIALS,
+  STRATEGIES,
+
+  // Bot Helpers
+  getZoneCentre,
+  findZoneFor,
+
+  // Strategies
+  idleStrategy,
+  lowestNeedStrategy,
+  cautiousStrategy,
+  createRotationStrategy,
+
+  // Simulation
+  getStartPositions,
+  simulateLevel,
+  findUnwinnableLevel,
+  simulateSweep,
+
+  // Reporting
+  formatReport,
+
+  // Command Line
+  parseArgs
+} = require('../src/simulator');
+
+const { createInitialState, DEFAULT_LAYOUT, DEFAULT_TUNING, LEVEL_TIME, getSpawnTable } = require('../src/gameLogic');
+
+// Coarse ticks keep the sweeps quick; the rules are the same
+const dt = 0.1;
+
+function stateAt(x, y, needs = {}) {
+  const state = { ...createInitialState(), x, y };
+  return { ...state, needs: { ...state.needs, ...needs } };
+}
+
+// ============================================
+// BOT HELPER TESTS
+// ============================================
+
+describe('getZoneCentre', () => {
+  test('finds the middle of a zone in the layout', () => {
+    expect(getZoneCentre(createInitialState(), 'lake')).toEqual({ x: 25, y: 25 });
+  });
+
+  test('returns null for zones not in the layout', () => {
+    expect(getZoneCentre(createInitialState(), 'meadow')).toBeNull();
+  });
+});
+
+describe('findZoneFor', () => {
+  test('finds the zone that refills a need', () => {
+    const state = createInitialState();
+    expect(findZoneFor(state, 'thirst')).toBe('lake');
+    expect(findZoneFor(state, 'energy')).toBe('barn');
+  });
+
+  test('prefers the fastest zone', () => {
+    const state = stateAt(50, 50);
+    state.layout = [
+      { id: 'meadow', shape: { type: 'rect', x: 0, y: 0, w: 10, h: 10 } },
+      { id: 'field', shape: { type: 'rect', x: 90, y: 90, w: 10, h: 10 } }
+    ];
+    expect(findZoneFor(state, 'hunger')).toBe('field');
+  });
+
+  test('returns null when nothing in the layout refills the need', () => {
+    expect(findZoneFor({ ...createInitialState(), layout: [] }, 'hunger')).toBeNull();
+  });
+});
+
+// ============================================
+// STRATEGY TESTS
+// ============================================
+
+describe('idleStrategy', () => {
+  test('never moves', () => {
+    expect(idleStrategy(createInitialState())).toEqual({});
+  });
+});
+
+describe('lowestNeedStrategy', () => {
+  test('heads for the zone that refills the lowest need', () => {
+    const state = stateAt(50, 50, { hunger: 40 });
+    expect(lowestNeedStrategy(state)).toEqual({ target: { x: 25, y: 75 } });
+  });
+
+  test('stays while the current zone is topping up a need', () => {
+    const state = stateAt(25, 25, { thirst: 60, hunger: 50 });
+    expect(lowestNeedStrategy(state)).toEqual({});
+  });
+
+  test('leaves when another need goes critical', () => {
+    const state = stateAt(25, 25, { thirst: 60, hunger: 20 });
+    expect(lowestNeedStrategy(state)).toEqual({ target: { x: 25, y: 75 } });
+  });
+
+  test('stands still once in the right zone', () => {
+    const state = stateAt(25, 75, { hunger: 20 });
+    expect(lowestNeedStrategy(state)).toEqual({});
+  });
+});
+
+describe('cautiousStrategy', () => {
+  test('runs for the barn while the monster chases', () => {
+    const state = stateAt(25, 75, { hunger: 20 });
+    state.monster = { ...state.monster, state: 'chasing' };
+    expect(cautiousStrategy(state)).toEqual({ target: { x: 75, y: 25 } });
+  });
+
+  test('otherwise plays like lowestNeedStrategy', () => {
+    const state = stateAt(50, 50, { fun: 10 });
+    expect(cautiousStrategy(state)).toEqual(lowestNeedStrategy(state));
+  });
+});
+
+describe('createRotationStrategy', () => {
+  const rotate = createRotationStrategy(['lake', 'barn'], 5);
+
+  test('visits zones in order', () => {
+    expect(rotate({ ...stateAt(50, 50), levelTime: LEVEL_TIME })).toEqual({ target: { x: 25, y: 25 } });
+    expect(rotate({ ...stateAt(50, 50), levelTime: LEVEL_TIME - 6 })).toEqual({ target: { x: 75, y: 25 } });
+  });
+
+  test('wraps around', () => {
+    expect(rotate({ ...stateAt(50, 50), levelTime: LEVEL_TIME - 11 })).toEqual({ target: { x: 25, y: 25 } });
+  });
+
+  test('counts time from the start of a longer level', () => {
+    const state = { ...stateAt(50, 50), campaign: { levels: [{ duration: 60 }] } };
+    expect(rotate({ ...state, levelTime: 60 })).toEqual({ target: { x: 25, y: 25 } });
+    expect(rotate({ ...state, levelTime: 54 })).toEqual({ target: { x: 75, y: 25 } });
+  });
+
+  test('skips zones the layout leaves out', () => {
+    const state = { ...stateAt(50, 50), layout: DEFAULT_LAYOUT.filter(zone => zone.id !== 'lake') };
+    expect(rotate({ ...state, levelTime: LEVEL_TIME })).toEqual({ target: { x: 75, y: 25 } });
+    expect(rotate({ ...state, levelTime: LEVEL_TIME - 6 })).toEqual({ target: { x: 75, y: 25 } });
+    expect(rotate({ ...state, layout: [] })).toEqual({});
+  });
+
+  test('rejects empty rotations and bad dwell times', () => {
+    expect(() => createRotationStrategy([], 5)).toThrow('at least one zone');
+    expect(() => createRotationStrategy(['lake'], 0)).toThrow('positive dwell');
+  });
+});
+
+describe('STRATEGIES', () => {
+  test('every built-in strategy returns stepGame input', () => {
+    Object.values(STRATEGIES).forEach(strategy => {
+      expect(typeof strategy(createInitialState())).toBe('object');
+    });
+  });
+});
+
+// ============================================
+// SIMULATION TESTS
+// ============================================
+
+describe('getStartPositions', () => {
+  test('returns the requested number of positions inside the field', () => {
+    const starts = getStartPositions(20);
+    expect(starts).toHaveLength(20);
+    starts.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(5);
+      expect(x).toBeLessThanOrEqual(95);
+      expect(y).toBeGreaterThanOrEqual(5);
+      expect(y).toBeLessThanOrEqual(95);
+    });
+  });
+
+  test('is repeatable', () => {
+    expect(getStartPositions(5)).toEqual(getStartPositions(5));
+  });
+});
+
+describe('simulateLevel', () => {
+  const centre = { x: 50, y: 50 };
+
+  test('an idle unicorn survives level 1', () => {
+    const result = simulateLevel(1, idleStrategy, { start: centre, dt });
+    expect(result.survived).toBe(true);
+    expect(result.lowestNeed).toBeCloseTo(100 - LEVEL_TIME, 0);
+    expect(result.time).toBeCloseTo(LEVEL_TIME, 0);
+  });
+
+  test('an idle unicorn is caught on a hard level', () => {
+    const result = simulateLevel(5, idleStrategy, { start: centre, dt });
+    expect(result.survived).toBe(false);
+    expect(result.lowestNeed).toBeLessThan(30);
+  });
+
+  test('a sensible strategy beats standing still', () => {
+    expect(simulateLevel(4, lowestNeedStrategy, { start: centre, dt }).survived).toBe(true);
+  });
+
+  test('harsher tuning makes levels harder', () => {
+    const easy = simulateLevel(2, idleStrategy, { start: centre, dt });
+    const hard = simulateLevel(2, idleStrategy, { start: centre, dt, tuning: { ...DEFAULT_TUNING, drainGrowth: 3 } });
+    expect(easy.survived).toBe(true);
+    expect(hard.survived).toBe(false);
+  });
+
+  test('spawns items on the level\'s schedule', () => {
+    const timers = [];
+    simulateLevel(5, state => {
+      timers.push(state.spawnTimer);
+      return {};
+    }, { start: centre, dt });
+    expect(timers[0]).toBe(getSpawnTable(5).interval);
+  });
+
+  test('is repeatable', () => {
+    expect(simulateLevel(3, lowestNeedStrategy, { dt })).toEqual(simulateLevel(3, lowestNeedStrategy, { dt }));
+  });
+});
+
+describe('findUnwinnableLevel', () => {
+  const levels = rates => rates.map((survivalRate, i) => ({ level: i + 1, survivalRate }));
+
+  test('finds the first level nothing survives from', () => {
+    expect(findUnwinnableLevel(levels([1, 0.5, 0, 0]))).toBe(3);
+  });
+
+  test('ignores a bad level followed by a survivable one', () => {
+    expect(findUnwinnableLevel(levels([1, 0, 0.25, 0]))).toBe(4);
+  });
+
+  test('returns null while the last level is survivable', () => {
+    expect(findUnwinnableLevel(levels([1, 0, 0.5]))).toBeNull();
+  });
+});
+
+describe('simulateSweep', () => {
+  const report = simulateSweep({
+    levels: 5,
+    trials: 2,
+    strategies: ['idle', 'lowest-need'],
+    tunings: [{}, { drainGrowth: 2 }],
+    dt
+  });
+
+  test('has a row per tuning and strategy', () => {
+    expect(report.results).toHaveLength(4);
+    expect(report.results.map(r => r.strategy)).toEqual(['idle', 'lowest-need', 'idle', 'lowest-need']);
+    expect(report.results[2].tuning).toEqual({ ...DEFAULT_TUNING, drainGrowth: 2 });
+  });
+
+  test('reports survival and the lowest need for every level', () => {
+    report.results.forEach(row => {
+      expect(row.levels.map(l => l.level)).toEqual([1, 2, 3, 4, 5]);
+      row.levels.forEach(l => {
+        expect(l.survivalRate).toBeGreaterThanOrEqual(0);
+        expect(l.survivalRate).toBeLessThanOrEqual(1);
+        expect(typeof l.lowestNeedId).toBe('string');
+      });
+    });
+  });
+
+  test('finds where standing still stops working', () => {
+    expect(report.results[0].unwinnableFrom).not.toBeNull();
+  });
+
+  test('summarises the level no strategy survives', () => {
+    expect(report.summary).toHaveLength(2);
+    report.summary.forEach((entry, i) => {
+      const walls = report.results.slice(i * 2, i * 2 + 2).map(r => r.unwinnableFrom);
+      expect(entry.unwinnableFrom).toBe(walls.includes(null) ? null : Math.max(...walls));
+    });
+  });
+
+  test('harsher drain moves the wall earlier', () => {
+    const wall = row => row.unwinnableFrom === null ? Infinity : row.unwinnableFrom;
+    expect(wall(report.results[2])).toBeLessThanOrEqual(wall(report.results[0]));
+  });
+
+  test('uses the defaults', () => {
+    expect(DEFAULT_LEVELS).toBeGreaterThan(0);
+    expect(DEFAULT_TRIALS).toBeGreaterThan(0);
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => simulateSweep({ strategies: ['teleport'] })).toThrow('Unknown strategy: teleport');
+  });
+
+  test('reports are plain JSON', () => {
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+});
+
+// ============================================
+// REPORTING TESTS
+// ============================================
+
+describe('formatReport', () => {
+  const report = simulateSweep({ levels: 3, trials: 1, strategies: ['idle'], dt });
+  const text = formatReport(report);
+
+  test('has a header with a column per level', () => {
+    const [header] = text.split('\n');
+    expect(header).toMatch(/^drain\s+recharge\s+strategy\s+L1\s+L2\s+L3\s+lowest\s+unwinnable$/);
+  });
+
+  test('has a row per result', () => {
+    expect(text).toMatch(/0\.80\s+0\.30\s+idle\s+100%/);
+  });
+
+  test('ends with the verdict for each tuning', () => {
+    expect(text.split('\n').pop()).toMatch(/^drain 0\.80, recharge 0\.30: (still winnable at L3|unwinnable from L\d+)$/);
+  });
+});
+
+// ============================================
+// COMMAND LINE TESTS
+// ============================================
+
+describe('parseArgs', () => {
+  test('defaults to the current tuning', () => {
+    expect(parseArgs([])).toEqual({ json: false, help: false, tunings: [DEFAULT_TUNING] });
+  });
+
+  test('reads numeric options', () => {
+    const options = parseArgs(['--levels', '12', '--trials', '3', '--dt', '0.05']);
+    expect(options.levels).toBe(12);
+    expect(options.trials).toBe(3);
+    expect(options.dt).toBe(0.05);
+  });
+
+  test('sweeps every combination of growth values', () => {
+    const options = parseArgs(['--drain-growth', '0.6,0.8', '--recharge-growth', '0.3,0.5']);
+    expect(options.tunings).toEqual([
+      { drainGrowth: 0.6, rechargeGrowth: 0.3 },
+      { drainGrowth: 0.6, rechargeGrowth: 0.5 },
+      { drainGrowth: 0.8, rechargeGrowth: 0.3 },
+      { drainGrowth: 0.8, rechargeGrowth: 0.5 }
+    ]);
+  });
+
+  test('reads strategies and flags', () => {
+    const options = parseArgs(['--strategies', 'idle,rotation', '--json', '--help']);
+    expect(options.strategies).toEqual(['idle', 'rotation']);
+    expect(options.json).toBe(true);
+    expect(options.help).toBe(true);
+  });
+
+  test('rejects bad input', () => {
+    expect(() => parseArgs(['--fast'])).toThrow('Unknown option: --fast');
+    expect(() => parseArgs(['--levels'])).toThrow('--levels needs a value');
+    expect(() => parseArgs(['--levels', '0'])).toThrow('--levels must be a positive integer');
+    expect(() => parseArgs(['--drain-growth', '0.8,x'])).toThrow('--drain-growth must be a comma-separated list');
+    expect(() => parseArgs(['--strategies', 'teleport'])).toThrow('Unknown strategy: teleport');
+    expect(() => parseArgs(['--dt', '5'])).toThrow('--dt must be');
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit Tests for Unicorn Ranch Sound
+ */
+
+const {
+  // Constants
+  SOUND_VERSION,
+  VOLUME_CHANNELS,
+  DEFAULT_VOLUMES,
+  BASE_TEMPO,
+  MAX_TEMPO,
+  STEPS_PER_BAR,
+  WAVES,
+  MUSIC,
+  ZONE_LOOPS,
+  CUES,
+  EVENT_CUES,
+
+  // Sound Functions
+  midiToFrequency,
+  getMusicTempo,
+  getStepDuration,
+  getZoneLoop,
+  getEventCue,
+  planSounds,
+
+  // Volume Functions
+  validateVolumes,
+  serializeVolumes,
+  parseVolumes,
+
+  // Engine
+  createSoundEngine
+} = require('../src/sound');
+
+const { GAME_EVENTS, ZONES, calculateDrainMultiplier, createInitialState } = require('../src/gameLogic');
+
+const event = (type, fields = {}) => ({ type, level: 1, ...fields });
+
+/* The unicorn standing in the middle of a zone (see DEFAULT_LAYOUT) */
+const standingIn = {
+  lake: { x: 25, y: 25 },
+  barn: { x: 75, y: 25 },
+  field: { x: 25, y: 75 },
+  play: { x: 75, y: 75 }
+};
+
+/* Just enough of an AudioContext to count what the engine plays */
+function fakeContext() {
+  const param = () => ({ value: 1, setValueAtTime() {}, exponentialRampToValueAtTime() {} });
+  const node = fields => ({ connect() {}, ...fields });
+  const context = {
+    currentTime: 0,
+    sampleRate: 100,
+    destination: node(),
+    started: [],
+    closed: false,
+    createGain: () => node({ gain: param() }),
+    createBiquadFilter: () => node({ frequency: param() }),
+    createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+    close() {
+      context.closed = true;
+      return Promise.resolve();
+    }
+  };
+  const source = kind => node({ kind, frequency: param(), start: time => context.started.push({ kind, time }), stop() {} });
+  context.createOscillator = () => source('oscillator');
+  context.createBufferSource = () => source('noise');
+  return context;
+}
+
+// ============================================
+// SOUND DATA TESTS
+// ============================================
+
+describe('sound data', () => {
+  const notesOf = loopOrCue => (Array.isArray(loopOrCue) ? loopOrCue : loopOrCue.notes);
+  const everyNote = [
+    ...MUSIC,
+    ...Object.values(ZONE_LOOPS).flatMap(notesOf),
+    ...Object.values(CUES).flatMap(notesOf)
+  ];
+
+  test('every note is playable', () => {
+    everyNote.forEach(note => {
+      expect(WAVES).toContain(note.wave);
+      expect(note.note).toBeGreaterThan(0);
+      expect(note.duration).toBeGreaterThan(0);
+      expect(note.gain).toBeGreaterThan(0);
+      expect(note.gain).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('loops place notes on steps of the bar', () => {
+    [...MUSIC, ...Object.values(ZONE_LOOPS).flatMap(notesOf)].forEach(note => {
+      expect(Number.isInteger(note.step)).toBe(true);
+      expect(note.step).toBeGreaterThanOrEqual(0);
+      expect(note.step).toBeLessThan(STEPS_PER_BAR);
+    });
+  });
+
+  test('loops belong to real zones', () => {
+    Object.keys(ZONE_LOOPS).forEach(zone => expect(ZONES[zone]).toBeDefined());
+    expect(Object.values(ZONE_LOOPS).map(loop => loop.id)).toEqual(['water', 'birds', 'festival']);
+  });
+
+  test('events map to real event types and cues', () => {
+    const eventTypes = Object.values(GAME_EVENTS);
+    Object.entries(EVENT_CUES).forEach(([type, cue]) => {
+      expect(eventTypes).toContain(type);
+      expect(CUES[cue]).toBeDefined();
+    });
+  });
+});
+
+// ============================================
+// SOUND FUNCTION TESTS
+// ============================================
+
+describe('midiToFrequency', () => {
+  test('tunes A4 to 440 Hz and doubles every octave', () => {
+    expect(midiToFrequency(69)).toBe(440);
+    expect(midiToFrequency(81)).toBeCloseTo(880);
+    expect(midiToFrequency(60)).toBeCloseTo(261.63, 2);
+  });
+});
+
+describe('getMusicTempo', () => {
+  test('starts at the base tempo', () => {
+    expect(getMusicTempo(1)).toBe(BASE_TEMPO);
+  });
+
+  test('follows the drain multiplier', () => {
+    const tuning = { drainGrowth: 0.5, rechargeGrowth: 0.3 };
+    const tempo = level => getMusicTempo(level, tuning) - BASE_TEMPO;
+    expect(tempo(3) / tempo(2)).toBeCloseTo((calculateDrainMultiplier(3, tuning) - 1) / (calculateDrainMultiplier(2, tuning) - 1));
+    expect(getMusicTempo(2.5)).toBeGreaterThan(getMusicTempo(2));
+  });
+
+  test('is capped', () => {
+    expect(getMusicTempo(50)).toBe(MAX_TEMPO);
+  });
+});
+
+describe('getStepDuration', () => {
+  test('plays eighth notes', () => {
+    expect(getStepDuration(120)).toBe(0.25);
+  });
+});
+
+describe('getZoneLoop', () => {
+  test('finds the loop of each noisy zone', () => {
+    expect(getZoneLoop('lake').id).toBe('water');
+    expect(getZoneLoop('field').id).toBe('birds');
+    expect(getZoneLoop('play').id).toBe('festival');
+  });
+
+  test('is null for the barn, open ground and unknown zones', () => {
+    expect(getZoneLoop('barn')).toBeNull();
+    expect(getZoneLoop(null)).toBeNull();
+    expect(getZoneLoop('constructor')).toBeNull();
+  });
+});
+
+describe('getEventCue', () => {
+  test('beeps when a need goes critical', () => {
+    expect(getEventCue(event(GAME_EVENTS.NEED_CRITICAL, { need: 'thirst' }))).toBe('critical');
+  });
+
+  test('plays stingers for the monster and for victory', () => {
+    expect(getEventCue(event(GAME_EVENTS.MONSTER_TRIGGERED))).toBe('monster');
+    expect(getEventCue(event(GAME_EVENTS.LEVEL_COMPLETE))).toBe('victory');
+    expect(getEventCue(event(GAME_EVENTS.CHALLENGE_COMPLETE))).toBe('victory');
+  });
+
+  test('is null for silent events', () => {
+    expect(getEventCue(event(GAME_EVENTS.ZONE_ENTERED, { zone: 'lake' }))).toBeNull();
+    expect(getEventCue(event(GAME_EVENTS.WORLD_EVENT_STARTED, { event: 'storm' }))).toBeNull();
+  });
+});
+
+describe('planSounds', () => {
+  test('plays each cue once, in the order its events came', () => {
+    const events = [
+      event(GAME_EVENTS.NEED_CRITICAL, { need: 'hunger' }),
+      event(GAME_EVENTS.MONSTER_TRIGGERED),
+      event(GAME_EVENTS.NEED_CRITICAL, { need: 'fun' })
+    ];
+    expect(planSounds(events, createInitialState()).cues).toEqual(['critical', 'monster']);
+  });
+
+  test('plays music at the tempo of the level', () => {
+    const plan = planSounds([], { ...createInitialState(), level: 3 });
+    expect(plan.music).toBe(true);
+    expect(plan.tempo).toBe(getMusicTempo(3));
+  });
+
+  test('layers the loop of the zone the unicorn stands in', () => {
+    const loopAt = zone => planSounds([], { ...createInitialState(), ...standingIn[zone] }).loop;
+    expect(loopAt('lake')).toBe('water');
+    expect(loopAt('field')).toBe('birds');
+    expect(loopAt('play')).toBe('festival');
+    expect(loopAt('barn')).toBeNull();
+  });
+
+  test('stops the music when the run stops', () => {
+    const events = [event(GAME_EVENTS.LEVEL_COMPLETE)];
+    const plan = planSounds(events, { ...createInitialState(), status: 'nextlevel' });
+    expect(plan).toMatchObject({ cues: ['victory'], music: false, loop: null });
+  });
+});
+
+// ============================================
+// VOLUME TESTS
+// ============================================
+
+describe('validateVolumes', () => {
+  test('accepts the defaults and silence', () => {
+    expect(validateVolumes(DEFAULT_VOLUMES)).toEqual([]);
+    expect(validateVolumes({ master: 0, music: 0, effects: 0 })).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateVolumes([])).toEqual(['must be an object']);
+  });
+
+  test('reports every bad channel', () => {
+    expect(validateVolumes({ master: 1.5, music: '0.5', effects: NaN })).toEqual(
+      VOLUME_CHANNELS.map(channel => `${channel} must be a number from 0 to 1`)
+    );
+  });
+});
+
+describe('serializeVolumes and parseVolumes', () => {
+  test('round-trips volumes', () => {
+    const volumes = { master: 0.3, music: 0, effects: 1 };
+    expect(parseVolumes(serializeVolumes(volumes))).toEqual(volumes);
+  });
+
+  test('tags the settings with their version', () => {
+    expect(JSON.parse(serializeVolumes(DEFAULT_VOLUMES)).version).toBe(SOUND_VERSION);
+  });
+
+  test('rejects corrupt JSON, unknown versions and bad volumes', () => {
+    expect(() => parseVolumes('nope')).toThrow('Invalid sound settings: not valid JSON');
+    expect(() => parseVolumes('{"version":3}')).toThrow('Invalid sound settings: version must be 1');
+    expect(() => parseVolumes(serializeVolumes({ ...DEFAULT_VOLUMES, music: 2 })))
+      .toThrow('Invalid sound settings: music must be a number from 0 to 1');
+  });
+});
+
+// ============================================
+// ENGINE TESTS
+// ============================================
+
+describe('createSoundEngine', () => {
+  test('plays the cues of the events it is given', () => {
+    const context = fakeContext();
+    const engine = createSoundEngine(context);
+    engine.update([event(GAME_EVENTS.MONSTER_TRIGGERED)], { ...createInitialState(), status: 'gameover' });
+    expect(context.started).toHaveLength(CUES.monster.length);
+    return engine.close();
+  });
+
+  test('schedules music only while the run is active', () => {
+    jest.useFakeTimers();
+    const context = fakeContext();
+    const engine = createSoundEngine(context);
+
+    engine.update([], createInitialState(), false);
+    jest.advanceTimersByTime(200);
+    expect(context.started).toEqual([]);
+
+    engine.update([], createInitialState());
+    jest.advanceTimersByTime(200);
+    const played = context.started.length;
+    expect(played).toBeGreaterThan(0);
+
+    engine.update([], createInitialState(), false);
+    context.currentTime = 5;
+    jest.advanceTimersByTime(200);
+    expect(context.started).toHaveLength(played);
+
+    jest.useRealTimers();
+    return engine.close();
+  });
+});